@@ -0,0 +1,70 @@
+const { createGongClient } = require('./httpClient');
+
+// Endpoints probed by default
+const DEFAULT_ENDPOINTS = [
+  '/',
+  '/v1',
+  '/v2',
+  '/v1/calls',
+  '/v2/calls',
+  '/v1/users',
+  '/v2/users',
+  '/stats',
+  '/api',
+  '/api/v1',
+  '/api/v2',
+  '/api/calls',
+  '/api/users',
+  '/metadata'
+];
+
+/**
+ * Probe a list of endpoints to identify which ones are valid for the Gong instance
+ * @param {string} apiUrl The Gong API URL
+ * @param {string} basicToken The Basic auth token
+ * @param {Object} options Optional settings
+ * @param {Array<string>} options.endpoints Endpoints to test (default: DEFAULT_ENDPOINTS)
+ * @param {Function} options.onTest Optional callback invoked with the endpoint before it is tested
+ * @param {Function} options.onResult Optional callback invoked with each result as it completes
+ * @param {Object} options.rateLimit Limits for the tenant's shared rate limiter ({ requestsPerSecond, burst, requestsPerDay })
+ * @param {Object} options.retry Retry settings ({ maxRetries, baseDelayMs, maxDelayMs })
+ * @returns {Promise<Array>} Results ({ endpoint, success, status, data, error }) for each endpoint
+ */
+async function discoverEndpoints(apiUrl, basicToken, options = {}) {
+  const { endpoints = DEFAULT_ENDPOINTS, onTest, onResult, rateLimit, retry } = options;
+
+  // Create axios client with Basic auth, sharing the tenant's rate limit with other clients
+  const client = createGongClient(apiUrl, basicToken, { rateLimit, retry });
+
+  const results = [];
+
+  for (const endpoint of endpoints) {
+    if (onTest) {
+      onTest(endpoint);
+    }
+
+    let result;
+    try {
+      const response = await client.get(endpoint);
+      result = { endpoint, success: true, status: response.status, data: response.data };
+    } catch (error) {
+      if (error.response) {
+        result = { endpoint, success: false, status: error.response.status, data: error.response.data };
+      } else {
+        result = { endpoint, success: false, status: null, error: error.message };
+      }
+    }
+
+    results.push(result);
+    if (onResult) {
+      onResult(result);
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  DEFAULT_ENDPOINTS,
+  discoverEndpoints
+};
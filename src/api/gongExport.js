@@ -1,25 +1,42 @@
-const axios = require('axios');
 const logger = require('../utils/logger');
+const { createGongClient } = require('./httpClient');
+const { getRateLimiter } = require('../utils/rateLimiter');
+const RetryPolicy = require('../utils/retryPolicy');
+const { extractCallContext, mergeCrmEntities } = require('../utils/crm');
+const { buildFolderPaths } = require('../utils/library');
+const { normalizeExtensiveCall, resolveExposedFields } = require('../utils/contentSelector');
 
 /**
  * Gong API client for exporting data
  */
 class GongExport {
-  constructor(apiUrl, basicToken) {
+  /**
+   * Create a new GongExport instance
+   * @param {string} apiUrl The Gong API URL
+   * @param {string} basicToken The Basic auth token
+   * @param {Object} options Optional settings
+   * @param {Object} options.rateLimit Limits for the tenant's shared rate limiter ({ requestsPerSecond, burst, requestsPerDay }), the same for every client of the tenant
+   * @param {Object} options.retry Retry settings ({ maxRetries, baseDelayMs, maxDelayMs })
+   * @param {RateLimiter} options.rateLimiter Rate limiter to use instead of the tenant's shared limiter
+   * @param {RetryPolicy} options.retryPolicy Retry policy to use instead of one built from options.retry
+   * @param {Object} options.httpClient Preconfigured axios instance to send requests through (e.g. for tests or proxies)
+   */
+  constructor(apiUrl, basicToken, options = {}) {
     this.apiUrl = apiUrl;
     this.basicToken = basicToken;
     
+    // Every client of the same tenant shares one rate limiter, so parallel work stays under Gong's limits
+    this.rateLimiter = options.rateLimiter || getRateLimiter(basicToken, options.rateLimit);
+    this.retryPolicy = options.retryPolicy || new RetryPolicy(options.retry);
+    
     // Log authentication details
     logger.info(`Setting up Gong API client with URL: ${apiUrl}`);
     logger.info('Using Basic Authentication with token (masked for security)');
     
-    // Create axios instance with Basic auth header
-    this.client = axios.create({
-      baseURL: apiUrl,
-      headers: {
-        'Authorization': `Basic ${basicToken}`,
-        'Content-Type': 'application/json'
-      }
+    // Create axios instance with Basic auth header, rate limiting and retries, unless one was provided
+    this.client = options.httpClient || createGongClient(apiUrl, basicToken, {
+      rateLimiter: this.rateLimiter,
+      retryPolicy: this.retryPolicy
     });
 
     // Add request interceptor for logging
@@ -65,17 +82,102 @@ class GongExport {
   }
 
   /**
-   * Export call and conversation data
-   * @returns {Promise<Object>} The exported data
+   * Retrieve the workspaces of the company
+   * @returns {Promise<Array>} The workspaces ({ id, name, description })
+   */
+  async getWorkspaces() {
+    try {
+      logger.info('Retrieving workspaces');
+      
+      const response = await this.client.get('/v2/workspaces');
+      
+      return (response.data && response.data.workspaces) || [];
+    } catch (error) {
+      logger.error('Failed to retrieve workspaces', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Iterate over pages of call and conversation data as they are retrieved
+   * @param {Object} options Optional parameters for filtering
+   * @param {string} options.fromDateTime Optional ISO date to filter calls from
+   * @param {string} options.toDateTime Optional ISO date to filter calls until
+   * @param {string} options.workspaceId Optional workspace ID to restrict calls to
+   * @param {string} options.cursor Optional cursor to resume pagination from
+   * @returns {AsyncGenerator<Object>} Pages of calls ({ calls, records: { totalRecords, cursor } }), the cursor is null on the last page
    */
-  async exportCallData() {
+  async *iterateCallPages(options = {}) {
     try {
+      const { fromDateTime, toDateTime, workspaceId } = options;
+      let cursor = options.cursor || null;
+
       logger.info('Exporting call and conversation data');
+
+      do {
+        // Only send the filters that were provided, Gong rejects empty values
+        const params = {};
+        if (fromDateTime) params.fromDateTime = fromDateTime;
+        if (toDateTime) params.toDateTime = toDateTime;
+        if (workspaceId) params.workspaceId = workspaceId;
+        if (cursor) params.cursor = cursor;
+
+        const response = await this.client.get('/v2/calls', { params });
+        const pageData = response.data || {};
+        const records = pageData.records || {};
+        cursor = records.cursor || null;
+
+        const calls = Array.isArray(pageData.calls) ? pageData.calls : [];
+        logger.info(`Retrieved ${calls.length} calls${cursor ? ', more records available' : ', pagination complete'}`);
+
+        yield { calls, records: { totalRecords: records.totalRecords, cursor } };
+      } while (cursor);
+    } catch (error) {
+      logger.error('Failed to iterate call data', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Export call and conversation data, following pagination until all calls are retrieved
+   * @param {Object} options Optional parameters for filtering
+   * @param {string} options.fromDateTime Optional ISO date to filter calls from
+   * @param {string} options.toDateTime Optional ISO date to filter calls until
+   * @param {string} options.workspaceId Optional workspace ID to restrict calls to
+   * @param {string} options.cursor Optional cursor to resume pagination from
+   * @param {Function} options.onPage Optional callback invoked with (calls, nextCursor) after each page
+   * @returns {Promise<Object>} The merged call list and the record counts reported by Gong
+   */
+  async exportCallData(options = {}) {
+    try {
+      const { onPage, ...filters } = options;
+      const allCalls = [];
+      let totalRecords = null;
+
+      for await (const page of this.iterateCallPages(filters)) {
+        allCalls.push(...page.calls);
+
+        // Gong reports the total on every page, keep the first value we see
+        if (totalRecords === null && typeof page.records.totalRecords === 'number') {
+          totalRecords = page.records.totalRecords;
+        }
+
+        if (onPage) {
+          await onPage(page.calls, page.records.cursor);
+        }
+      }
       
-      // Using the correct Gong API endpoint for calls (v2 is common for most APIs)
-      const response = await this.client.get('/v2/calls');
+      if (totalRecords !== null && totalRecords !== allCalls.length) {
+        logger.warn(`Gong reported ${totalRecords} calls but ${allCalls.length} were retrieved`);
+      }
       
-      return response.data;
+      return {
+        records: {
+          totalRecords: totalRecords !== null ? totalRecords : allCalls.length,
+          retrievedRecords: allCalls.length
+        },
+        calls: allCalls
+      };
     } catch (error) {
       logger.error('Failed to export call data', error);
       throw error;
@@ -87,12 +189,16 @@ class GongExport {
    * @param {Object} options Optional parameters for filtering and pagination
    * @param {string} options.fromDateTime Optional ISO date to filter calls from
    * @param {string} options.toDateTime Optional ISO date to filter calls until
+   * @param {string} options.workspaceId Optional workspace ID to restrict calls to
+   * @param {Array<string>} options.callIds Optional list of call IDs to retrieve
    * @param {string} options.cursor Optional cursor for pagination
+   * @param {string} options.context Optional level of CRM context to include ('Basic' or 'Extended')
+   * @param {string|Object} options.contentSelector Optional content preset ('minimal', 'media' or 'everything') or exposedFields object (default: 'media')
    * @returns {Promise<Object>} The exported data with video URLs
    */
   async exportExtensiveCallData(options = {}) {
     try {
-      const { fromDateTime, toDateTime, cursor } = options;
+      const { fromDateTime, toDateTime, workspaceId, callIds, cursor, context, contentSelector } = options;
       
       logger.info('Exporting extensive call data with video URLs');
       
@@ -103,13 +209,23 @@ class GongExport {
           toDateTime
         },
         contentSelector: {
-          exposedFields: {
-            parties: true,
-            media: true
-          }
+          exposedFields: resolveExposedFields(contentSelector)
         }
       };
       
+      if (workspaceId) {
+        requestBody.filter.workspaceId = workspaceId;
+      }
+      
+      if (callIds && callIds.length > 0) {
+        requestBody.filter.callIds = callIds;
+      }
+      
+      // Include the CRM objects linked to each call if requested
+      if (context) {
+        requestBody.contentSelector.context = context;
+      }
+      
       // Add cursor for pagination if provided
       if (cursor) {
         requestBody.cursor = cursor;
@@ -125,99 +241,814 @@ class GongExport {
     }
   }
   
+  /**
+   * Iterate over pages of extensive call data as they are retrieved
+   * @param {Object} options Optional parameters for filtering
+   * @param {string} options.fromDateTime Optional ISO date to filter calls from
+   * @param {string} options.toDateTime Optional ISO date to filter calls until
+   * @param {string} options.workspaceId Optional workspace ID to restrict calls to
+   * @param {Array<string>} options.callIds Optional list of call IDs to retrieve
+   * @param {string} options.cursor Optional cursor to resume pagination from
+   * @param {string} options.context Optional level of CRM context to include ('Basic' or 'Extended')
+   * @param {string|Object} options.contentSelector Optional content preset ('minimal', 'media' or 'everything') or exposedFields object (default: 'media')
+   * @returns {AsyncGenerator<Object>} Pages of calls in the stable export schema ({ calls, records: { totalRecords, cursor } })
+   */
+  async *iterateExtensiveCallPages(options = {}) {
+    try {
+      const { contentSelector, ...filters } = options;
+      const exposedFields = resolveExposedFields(contentSelector);
+      let cursor = options.cursor || null;
+
+      logger.info('Retrieving extensive call data with pagination');
+
+      do {
+        const pageData = await this.exportExtensiveCallData({
+          ...filters,
+          contentSelector: exposedFields,
+          cursor
+        });
+        const records = (pageData && pageData.records) || {};
+        cursor = records.cursor || null;
+
+        // Every call gets the same set of sections, whatever Gong left out
+        const calls = (pageData && Array.isArray(pageData.calls) ? pageData.calls : [])
+          .map(call => normalizeExtensiveCall(call, exposedFields));
+        logger.info(`Retrieved ${calls.length} calls${cursor ? ', more records available' : ', pagination complete'}`);
+
+        yield { calls, records: { totalRecords: records.totalRecords, cursor } };
+      } while (cursor);
+    } catch (error) {
+      logger.error('Failed to iterate extensive call data', error);
+      throw error;
+    }
+  }
+
   /**
    * Retrieve all extensive call data with pagination
    * @param {Object} options Optional parameters for filtering
    * @param {string} options.fromDateTime Optional ISO date to filter calls from
    * @param {string} options.toDateTime Optional ISO date to filter calls until
-   * @returns {Promise<Array>} Array of all call data with video URLs
+   * @param {string} options.workspaceId Optional workspace ID to restrict calls to
+   * @param {Array<string>} options.callIds Optional list of call IDs to retrieve
+   * @param {string} options.cursor Optional cursor to resume pagination from
+   * @param {string} options.context Optional level of CRM context to include ('Basic' or 'Extended')
+   * @param {string|Object} options.contentSelector Optional content preset ('minimal', 'media' or 'everything') or exposedFields object (default: 'media')
+   * @param {Function} options.onPage Optional callback invoked with (calls, nextCursor) after each page
+   * @returns {Promise<Array>} Array of all call data in the stable export schema
    */
   async getAllExtensiveCallData(options = {}) {
     try {
+      const { onPage, ...filters } = options;
       const allCalls = [];
+
+      for await (const page of this.iterateExtensiveCallPages(filters)) {
+        allCalls.push(...page.calls);
+
+        if (onPage) {
+          await onPage(page.calls, page.records.cursor);
+        }
+      }
+
+      logger.info(`Retrieved ${allCalls.length} calls with extensive data`);
+
+      return allCalls;
+    } catch (error) {
+      logger.error('Failed to retrieve all extensive call data', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Export a single page of call transcripts
+   * @param {Object} options Optional parameters for filtering and pagination
+   * @param {string} options.fromDateTime Optional ISO date to filter calls from
+   * @param {string} options.toDateTime Optional ISO date to filter calls until
+   * @param {Array<string>} options.callIds Optional list of call IDs to retrieve transcripts for
+   * @param {string} options.cursor Optional cursor for pagination
+   * @returns {Promise<Object>} The transcript page as returned by Gong
+   */
+  async exportTranscriptData(options = {}) {
+    try {
+      const { fromDateTime, toDateTime, callIds, cursor } = options;
+      
+      logger.info('Exporting call transcript data');
+      
+      const requestBody = {
+        filter: {
+          fromDateTime,
+          toDateTime
+        }
+      };
+      
+      if (callIds && callIds.length > 0) {
+        requestBody.filter.callIds = callIds;
+      }
+      
+      // Add cursor for pagination if provided
+      if (cursor) {
+        requestBody.cursor = cursor;
+      }
+      
+      const response = await this.client.post('/v2/calls/transcript', requestBody);
+      
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to export transcript data', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Iterate over pages of call transcripts, batching call IDs and following pagination
+   * @param {Object} options Optional parameters for filtering
+   * @param {string} options.fromDateTime Optional ISO date to filter calls from
+   * @param {string} options.toDateTime Optional ISO date to filter calls until
+   * @param {Array<string>} options.callIds Optional list of call IDs to retrieve transcripts for
+   * @param {number} options.batchSize Maximum number of call IDs per request (default: 100)
+   * @returns {AsyncGenerator<Object>} Pages of transcripts ({ callTranscripts, records: { totalRecords, cursor } })
+   */
+  async *iterateTranscriptPages(options = {}) {
+    try {
+      const { fromDateTime, toDateTime, callIds, batchSize = 100 } = options;
+
+      // Without call IDs a single date-range query is made, otherwise one query per batch
+      const batches = [];
+      if (callIds && callIds.length > 0) {
+        for (let i = 0; i < callIds.length; i += batchSize) {
+          batches.push(callIds.slice(i, i + batchSize));
+        }
+      } else {
+        batches.push(null);
+      }
+
+      logger.info(`Retrieving call transcripts in ${batches.length} batch(es)`);
+
+      for (const batch of batches) {
+        let cursor = null;
+
+        do {
+          const pageData = await this.exportTranscriptData({
+            fromDateTime,
+            toDateTime,
+            callIds: batch,
+            cursor
+          });
+          const records = (pageData && pageData.records) || {};
+          cursor = records.cursor || null;
+
+          const callTranscripts = pageData && Array.isArray(pageData.callTranscripts) ? pageData.callTranscripts : [];
+          logger.info(`Retrieved ${callTranscripts.length} transcripts${cursor ? ', more transcripts available' : ''}`);
+
+          yield { callTranscripts, records: { totalRecords: records.totalRecords, cursor } };
+        } while (cursor);
+      }
+    } catch (error) {
+      logger.error('Failed to iterate transcripts', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieve all call transcripts, batching call IDs and following pagination
+   * @param {Object} options Optional parameters for filtering
+   * @param {string} options.fromDateTime Optional ISO date to filter calls from
+   * @param {string} options.toDateTime Optional ISO date to filter calls until
+   * @param {Array<string>} options.callIds Optional list of call IDs to retrieve transcripts for
+   * @param {number} options.batchSize Maximum number of call IDs per request (default: 100)
+   * @returns {Promise<Array>} Array of call transcripts ({ callId, transcript })
+   */
+  async getAllTranscripts(options = {}) {
+    try {
+      const allTranscripts = [];
+
+      for await (const page of this.iterateTranscriptPages(options)) {
+        allTranscripts.push(...page.callTranscripts);
+      }
+      
+      logger.info(`Transcript retrieval complete, ${allTranscripts.length} transcripts retrieved`);
+      
+      return allTranscripts;
+    } catch (error) {
+      logger.error('Failed to retrieve all transcripts', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Iterate over pages of user and team information as they are retrieved
+   * @param {Object} options Optional parameters
+   * @param {string} options.cursor Optional cursor to resume pagination from
+   * @returns {AsyncGenerator<Object>} Pages of users ({ users, records: { totalRecords, cursor } })
+   */
+  async *iterateUserPages(options = {}) {
+    try {
+      let cursor = options.cursor || null;
+
+      logger.info('Exporting user and team data');
+
+      do {
+        const params = {};
+        if (cursor) params.cursor = cursor;
+
+        // Using the correct Gong API endpoint for users
+        const response = await this.client.get('/v2/users', { params });
+        const pageData = response.data || {};
+        const records = pageData.records || {};
+        cursor = records.cursor || null;
+
+        const users = Array.isArray(pageData.users) ? pageData.users : [];
+        logger.info(`Retrieved ${users.length} users${cursor ? ', more users available' : ''}`);
+
+        yield { users, records: { totalRecords: records.totalRecords, cursor } };
+      } while (cursor);
+    } catch (error) {
+      logger.error('Failed to iterate user data', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Export user and team information, following pagination until all users are retrieved
+   * @param {Object} options Optional parameters
+   * @param {string} options.cursor Optional cursor to resume pagination from
+   * @param {Function} options.onPage Optional callback invoked with (users, nextCursor) after each page
+   * @returns {Promise<Object>} The merged user list and the record counts reported by Gong
+   */
+  async exportUserData(options = {}) {
+    try {
+      const { onPage, ...pagination } = options;
+      const allUsers = [];
+      let totalRecords = null;
+
+      for await (const page of this.iterateUserPages(pagination)) {
+        allUsers.push(...page.users);
+
+        if (totalRecords === null && typeof page.records.totalRecords === 'number') {
+          totalRecords = page.records.totalRecords;
+        }
+
+        if (onPage) {
+          await onPage(page.users, page.records.cursor);
+        }
+      }
+      
+      if (totalRecords !== null && totalRecords !== allUsers.length) {
+        logger.warn(`Gong reported ${totalRecords} users but ${allUsers.length} were retrieved`);
+      }
+      
+      return {
+        records: {
+          totalRecords: totalRecords !== null ? totalRecords : allUsers.length,
+          retrievedRecords: allUsers.length
+        },
+        users: allUsers
+      };
+    } catch (error) {
+      logger.error('Failed to export user data', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieve all users through the extensive users endpoint, following pagination
+   * @param {Object} options Optional parameters for filtering
+   * @param {Array<string>} options.userIds Optional list of user IDs to retrieve
+   * @param {string} options.createdFromDateTime Optional ISO date to filter users created from
+   * @param {string} options.createdToDateTime Optional ISO date to filter users created until
+   * @returns {Promise<Array>} Array of all users with their extensive details
+   */
+  async getAllExtensiveUsers(options = {}) {
+    try {
+      const { userIds, createdFromDateTime, createdToDateTime } = options;
+      const allUsers = [];
       let cursor = null;
       let hasMoreRecords = true;
       
-      logger.info('Retrieving all extensive call data with pagination');
+      logger.info('Retrieving all extensive user data with pagination');
       
       while (hasMoreRecords) {
-        // Request a page of data
-        const pageData = await this.exportExtensiveCallData({
-          ...options,
-          cursor
-        });
+        // Only send the filters that were provided, Gong rejects empty values
+        const filter = {};
+        if (userIds && userIds.length > 0) filter.userIds = userIds;
+        if (createdFromDateTime) filter.createdFromDateTime = createdFromDateTime;
+        if (createdToDateTime) filter.createdToDateTime = createdToDateTime;
         
-        // Add the calls from this page to our collection
-        if (pageData.calls && Array.isArray(pageData.calls)) {
-          allCalls.push(...pageData.calls);
-          logger.info(`Retrieved ${pageData.calls.length} calls (total: ${allCalls.length})`);
+        const requestBody = { filter };
+        if (cursor) {
+          requestBody.cursor = cursor;
         }
         
+        const response = await this.client.post('/v2/users/extensive', requestBody);
+        const pageData = response.data || {};
+        
+        const pageUsers = Array.isArray(pageData.users) ? pageData.users : [];
+        allUsers.push(...pageUsers);
+        logger.info(`Retrieved ${pageUsers.length} extensive users (total: ${allUsers.length})`);
+        
         // Check if there are more pages
         if (pageData.records && pageData.records.cursor) {
           cursor = pageData.records.cursor;
-          logger.info(`More records available, using cursor: ${cursor}`);
+          logger.info(`More users available, using cursor: ${cursor}`);
         } else {
           hasMoreRecords = false;
-          logger.info('No more records available, pagination complete');
         }
       }
       
-      return allCalls;
+      return allUsers;
     } catch (error) {
-      logger.error('Failed to retrieve all extensive call data', error);
+      logger.error('Failed to retrieve all extensive user data', error);
       throw error;
     }
   }
 
   /**
-   * Export user and team information
-   * @returns {Promise<Object>} The exported data
+   * Retrieve the history of a user's settings (recording, telephony and so on)
+   * @param {string} userId The ID of the user
+   * @returns {Promise<Array>} The settings history entries
    */
-  async exportUserData() {
+  async getUserSettingsHistory(userId) {
     try {
-      logger.info('Exporting user and team data');
+      const response = await this.client.get(`/v2/users/${encodeURIComponent(userId)}/settings-history`);
       
-      // Using the correct Gong API endpoint for users
-      const response = await this.client.get('/v2/users');
+      return (response.data && response.data.userSettingsHistory) || [];
+    } catch (error) {
+      logger.error(`Failed to retrieve settings history for user ${userId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieve the call library folders
+   * @param {Object} options Optional parameters for filtering
+   * @param {string} options.workspaceId Optional workspace ID to restrict folders to
+   * @returns {Promise<Array>} The library folders
+   */
+  async getLibraryFolders(options = {}) {
+    try {
+      const { workspaceId } = options;
       
-      return response.data;
+      logger.info('Retrieving call library folders');
+      
+      const params = {};
+      if (workspaceId) params.workspaceId = workspaceId;
+      
+      const response = await this.client.get('/v2/library/folders', { params });
+      
+      return (response.data && response.data.folders) || [];
     } catch (error) {
-      logger.error('Failed to export user data', error);
+      logger.error('Failed to retrieve library folders', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieve the calls and snippets in a call library folder
+   * @param {string} folderId The ID of the folder
+   * @returns {Promise<Array>} The calls in the folder ({ id, title, note, snippet, ... })
+   */
+  async getLibraryFolderContent(folderId) {
+    try {
+      const response = await this.client.get('/v2/library/folder-content', { params: { folderId } });
+      
+      return (response.data && response.data.calls) || [];
+    } catch (error) {
+      logger.error(`Failed to retrieve content of library folder ${folderId}`, error);
       throw error;
     }
   }
 
   /**
-   * Export CRM and Engage data
-   * @returns {Promise<Object>} The exported data
+   * Export the call library: every folder with its path and the calls and snippets within it
+   * @param {Object} options Optional parameters for filtering
+   * @param {string} options.workspaceId Optional workspace ID to restrict folders to
+   * @returns {Promise<Array>} The folders ({ ...folder, path, calls })
    */
-  async exportCrmData() {
+  async exportLibraryData(options = {}) {
     try {
-      logger.info('Exporting CRM and Engage data');
+      const folders = await this.getLibraryFolders(options);
+      const folderPaths = buildFolderPaths(folders);
       
-      // Currently we don't have a valid endpoint for CRM data, so we'll log a message
-      logger.warn('CRM data endpoint not available in the current API version');
+      const library = [];
+      for (const folder of folders) {
+        library.push({
+          ...folder,
+          path: folderPaths.get(folder.id),
+          calls: await this.getLibraryFolderContent(folder.id)
+        });
+      }
+      
+      const entryCount = library.reduce((count, folder) => count + folder.calls.length, 0);
+      logger.info(`Exported ${library.length} library folders with ${entryCount} entries`);
       
-      return { message: 'CRM data endpoint not available' };
+      return library;
+    } catch (error) {
+      logger.error('Failed to export call library', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieve the CRM integrations connected to Gong
+   * @returns {Promise<Array>} The CRM integrations
+   */
+  async getCrmIntegrations() {
+    try {
+      logger.info('Retrieving CRM integrations');
+      
+      const response = await this.client.get('/v2/crm/integrations');
+      
+      return (response.data && response.data.integrations) || [];
+    } catch (error) {
+      logger.error('Failed to retrieve CRM integrations', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieve CRM objects of one type from an integration, batching the CRM IDs
+   * @param {Object} options Parameters for the lookup
+   * @param {string} options.integrationId The ID of the CRM integration
+   * @param {string} options.objectType The CRM object type (e.g. Account, Opportunity, Contact)
+   * @param {Array<string>} options.objectIds The CRM IDs of the objects to retrieve
+   * @param {number} options.batchSize Maximum number of CRM IDs per request (default: 100)
+   * @returns {Promise<Object>} Map of CRM ID to the object's field values
+   */
+  async getCrmEntities(options = {}) {
+    try {
+      const { integrationId, objectType, objectIds = [], batchSize = 100 } = options;
+      const crmObjectsMap = {};
+      
+      for (let i = 0; i < objectIds.length; i += batchSize) {
+        const response = await this.client.get('/v2/crm/entities', {
+          params: {
+            integrationId,
+            objectType,
+            objectsCrmIds: objectIds.slice(i, i + batchSize)
+          },
+          // Gong expects repeated objectsCrmIds parameters rather than objectsCrmIds[]
+          paramsSerializer: { indexes: null }
+        });
+        
+        Object.assign(crmObjectsMap, (response.data && response.data.crmObjectsMap) || {});
+      }
+      
+      logger.info(`Retrieved ${Object.keys(crmObjectsMap).length} of ${objectIds.length} ${objectType} objects from integration ${integrationId}`);
+      
+      return crmObjectsMap;
+    } catch (error) {
+      logger.error(`Failed to retrieve ${options.objectType} objects from CRM integration ${options.integrationId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Export the CRM data linked to calls
+   * The accounts, opportunities, contacts and other objects in the context of the calls are
+   * grouped by type and keyed by CRM ID, then refreshed with their current values from each
+   * CRM integration where Gong has them.
+   * @param {Object} options Optional parameters
+   * @param {Array} options.calls Extensive call data retrieved with CRM context
+   * @param {Object} options.context CRM objects already collected from call context with extractCallContext, used instead of calls
+   * @returns {Promise<Object>} The CRM data ({ integrations, objects: { [objectType]: { [crmId]: object } }, callLinks })
+   */
+  async exportCrmData(options = {}) {
+    try {
+      logger.info('Exporting CRM data');
+      
+      const integrations = await this.getCrmIntegrations();
+      const { objects, callLinks } = options.context || extractCallContext(options.calls);
+      
+      for (const integration of integrations) {
+        for (const [objectType, objectsOfType] of Object.entries(objects)) {
+          // Integrations that don't hold an object type are skipped rather than failing the export
+          try {
+            const crmObjectsMap = await this.getCrmEntities({
+              integrationId: integration.integrationId,
+              objectType,
+              objectIds: Object.keys(objectsOfType)
+            });
+            mergeCrmEntities(objectsOfType, crmObjectsMap, integration.integrationId);
+          } catch (error) {
+            logger.warn(`Could not retrieve ${objectType} objects from CRM integration ${integration.integrationId}, keeping the call context values: ${error.message}`);
+          }
+        }
+      }
+      
+      const counts = Object.entries(objects).map(([objectType, objectsOfType]) => `${Object.keys(objectsOfType).length} ${objectType}`);
+      logger.info(`Exported CRM data from ${integrations.length} integration(s): ${counts.join(', ') || 'no linked objects'}`);
+      
+      return { integrations, objects, callLinks };
     } catch (error) {
       logger.error('Failed to export CRM data', error);
       throw error;
     }
   }
 
+  /**
+   * Retrieve the Engage flows visible to a user, following pagination
+   * Gong returns the company flows along with the personal flows of the given owner.
+   * @param {Object} options Parameters for filtering
+   * @param {string} options.flowOwnerEmail The email address of the user whose flows to list
+   * @param {string} options.workspaceId Optional workspace ID to restrict flows to
+   * @returns {Promise<Array>} Array of flows
+   */
+  async getFlows(options = {}) {
+    try {
+      const { flowOwnerEmail, workspaceId } = options;
+      const allFlows = [];
+      let cursor = null;
+      let hasMoreRecords = true;
+      
+      while (hasMoreRecords) {
+        const params = { flowOwnerEmail };
+        if (workspaceId) params.workspaceId = workspaceId;
+        if (cursor) params.cursor = cursor;
+        
+        const response = await this.client.get('/v2/flows', { params });
+        const pageData = response.data || {};
+        
+        const pageFlows = Array.isArray(pageData.flows) ? pageData.flows : [];
+        allFlows.push(...pageFlows);
+        
+        // Check if there are more pages
+        if (pageData.records && pageData.records.cursor) {
+          cursor = pageData.records.cursor;
+        } else {
+          hasMoreRecords = false;
+        }
+      }
+      
+      logger.info(`Retrieved ${allFlows.length} flows for ${flowOwnerEmail}`);
+      
+      return allFlows;
+    } catch (error) {
+      logger.error(`Failed to retrieve flows for ${options.flowOwnerEmail}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieve the step definitions of an Engage flow
+   * @param {string} flowId The ID of the flow
+   * @returns {Promise<Array>} The flow steps
+   */
+  async getFlowSteps(flowId) {
+    try {
+      const response = await this.client.get(`/v2/flows/${encodeURIComponent(flowId)}/steps`);
+      
+      return (response.data && response.data.steps) || [];
+    } catch (error) {
+      logger.error(`Failed to retrieve steps for flow ${flowId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieve the Engage flows that prospects are assigned to, batching the CRM IDs
+   * @param {Object} options Parameters for the lookup
+   * @param {Array<string>} options.crmProspectsIds The CRM IDs of the prospects (contacts or leads)
+   * @param {number} options.batchSize Maximum number of CRM IDs per request (default: 200)
+   * @returns {Promise<Array>} Array of flow assignments
+   */
+  async getFlowProspects(options = {}) {
+    try {
+      const { crmProspectsIds = [], batchSize = 200 } = options;
+      const allAssignments = [];
+      
+      for (let i = 0; i < crmProspectsIds.length; i += batchSize) {
+        const response = await this.client.post('/v2/flows/prospects', {
+          crmProspectsIds: crmProspectsIds.slice(i, i + batchSize)
+        });
+        
+        const assignments = (response.data && response.data.prospectsAssigned) || [];
+        allAssignments.push(...assignments);
+      }
+      
+      logger.info(`Retrieved ${allAssignments.length} flow assignments for ${crmProspectsIds.length} prospects`);
+      
+      return allAssignments;
+    } catch (error) {
+      logger.error('Failed to retrieve flow prospects', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Export Engage flows with their step definitions and the prospects assigned to them
+   * Flows are listed once per owner, since Gong only returns a user's personal flows to
+   * that user, and de-duplicated by flow ID.
+   * @param {Object} options Parameters for the export
+   * @param {Array<string>} options.ownerEmails Email addresses of the users whose flows to list
+   * @param {Array<string>} options.crmProspectsIds Optional CRM IDs of prospects to look up flow assignments for
+   * @param {string} options.workspaceId Optional workspace ID to restrict flows to
+   * @returns {Promise<Object>} The Engage data ({ flows, prospects })
+   */
+  async exportEngageData(options = {}) {
+    try {
+      const { ownerEmails = [], crmProspectsIds = [], workspaceId } = options;
+      
+      logger.info(`Exporting Engage flows for ${ownerEmails.length} users`);
+      
+      const flowsById = new Map();
+      for (const flowOwnerEmail of ownerEmails) {
+        for (const flow of await this.getFlows({ flowOwnerEmail, workspaceId })) {
+          if (!flowsById.has(flow.id)) {
+            flowsById.set(flow.id, flow);
+          }
+        }
+      }
+      
+      const flows = [];
+      for (const flow of flowsById.values()) {
+        flows.push({ ...flow, steps: await this.getFlowSteps(flow.id) });
+      }
+      
+      const prospects = crmProspectsIds.length > 0 ? await this.getFlowProspects({ crmProspectsIds }) : [];
+      
+      logger.info(`Exported ${flows.length} flows and ${prospects.length} flow assignments`);
+      
+      return { flows, prospects };
+    } catch (error) {
+      logger.error('Failed to export Engage data', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieve every page of a stats endpoint
+   * All /v2/stats endpoints take a filter in the request body and paginate with a cursor.
+   * @param {string} url The stats endpoint
+   * @param {Object} filter The filter to send (empty values are left out)
+   * @param {string} key The property of the response holding the records
+   * @returns {Promise<Array>} Array of all records
+   * @private
+   */
+  async getAllStatsPages(url, filter, key) {
+    const allRecords = [];
+    let cursor = null;
+    let hasMoreRecords = true;
+    
+    // Only send the filters that were provided, Gong rejects empty values
+    const requestFilter = {};
+    for (const [name, value] of Object.entries(filter)) {
+      if (value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0)) {
+        requestFilter[name] = value;
+      }
+    }
+    
+    while (hasMoreRecords) {
+      const requestBody = { filter: requestFilter };
+      if (cursor) {
+        requestBody.cursor = cursor;
+      }
+      
+      const response = await this.client.post(url, requestBody);
+      const pageData = response.data || {};
+      
+      const pageRecords = Array.isArray(pageData[key]) ? pageData[key] : [];
+      allRecords.push(...pageRecords);
+      logger.info(`Retrieved ${pageRecords.length} records from ${url} (total: ${allRecords.length})`);
+      
+      // Check if there are more pages
+      if (pageData.records && pageData.records.cursor) {
+        cursor = pageData.records.cursor;
+      } else {
+        hasMoreRecords = false;
+      }
+    }
+    
+    return allRecords;
+  }
+
+  /**
+   * Retrieve aggregate activity stats per user (calls, emails, comments and so on) for a date range
+   * @param {Object} options Parameters for filtering
+   * @param {string} options.fromDate First day to include (YYYY-MM-DD)
+   * @param {string} options.toDate Day to stop before (YYYY-MM-DD, exclusive)
+   * @param {Array<string>} options.userIds Optional list of user IDs to restrict the stats to
+   * @returns {Promise<Array>} Array of per-user aggregate activity stats
+   */
+  async getAggregateActivityStats(options = {}) {
+    try {
+      const { fromDate, toDate, userIds } = options;
+      
+      logger.info(`Retrieving aggregate activity stats from ${fromDate} to ${toDate}`);
+      
+      return await this.getAllStatsPages('/v2/stats/activity/aggregate', { fromDate, toDate, userIds }, 'usersAggregateActivityStats');
+    } catch (error) {
+      logger.error('Failed to retrieve aggregate activity stats', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieve interaction stats per user (talk ratio, longest monologue, patience and so on) for a date range
+   * @param {Object} options Parameters for filtering
+   * @param {string} options.fromDate First day to include (YYYY-MM-DD)
+   * @param {string} options.toDate Day to stop before (YYYY-MM-DD, exclusive)
+   * @param {Array<string>} options.userIds Optional list of user IDs to restrict the stats to
+   * @returns {Promise<Array>} Array of per-user interaction stats
+   */
+  async getInteractionStats(options = {}) {
+    try {
+      const { fromDate, toDate, userIds } = options;
+      
+      logger.info(`Retrieving interaction stats from ${fromDate} to ${toDate}`);
+      
+      return await this.getAllStatsPages('/v2/stats/interaction', { fromDate, toDate, userIds }, 'peopleInteractionStats');
+    } catch (error) {
+      logger.error('Failed to retrieve interaction stats', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieve the activity of each user broken down by day for a date range
+   * @param {Object} options Parameters for filtering
+   * @param {string} options.fromDate First day to include (YYYY-MM-DD)
+   * @param {string} options.toDate Day to stop before (YYYY-MM-DD, exclusive)
+   * @param {Array<string>} options.userIds Optional list of user IDs to restrict the activity to
+   * @returns {Promise<Array>} Array of per-user daily activity
+   */
+  async getDayByDayActivity(options = {}) {
+    try {
+      const { fromDate, toDate, userIds } = options;
+      
+      logger.info(`Retrieving day-by-day activity from ${fromDate} to ${toDate}`);
+      
+      return await this.getAllStatsPages('/v2/stats/activity/day-by-day', { fromDate, toDate, userIds }, 'usersDetailedActivities');
+    } catch (error) {
+      logger.error('Failed to retrieve day-by-day activity', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieve the scorecards answered for calls, by review date
+   * @param {Object} options Parameters for filtering
+   * @param {string} options.fromDate First review day to include (YYYY-MM-DD)
+   * @param {string} options.toDate Review day to stop before (YYYY-MM-DD, exclusive)
+   * @param {Array<string>} options.userIds Optional list of reviewed user IDs
+   * @returns {Promise<Array>} Array of answered scorecards
+   */
+  async getAnsweredScorecards(options = {}) {
+    try {
+      const { fromDate, toDate, userIds } = options;
+      
+      logger.info(`Retrieving answered scorecards reviewed from ${fromDate} to ${toDate}`);
+      
+      return await this.getAllStatsPages('/v2/stats/activity/scorecards', {
+        reviewFromDate: fromDate,
+        reviewToDate: toDate,
+        reviewedUserIds: userIds
+      }, 'answeredScorecards');
+    } catch (error) {
+      logger.error('Failed to retrieve answered scorecards', error);
+      throw error;
+    }
+  }
+
   /**
    * Export analytics and reporting data
-   * @returns {Promise<Object>} The exported data
+   * Each dataset is retrieved on its own, so one that the API key has no access to
+   * doesn't stop the others from being exported.
+   * @param {Object} options Parameters for filtering
+   * @param {string} options.fromDate First day to include (YYYY-MM-DD)
+   * @param {string} options.toDate Day to stop before (YYYY-MM-DD, exclusive)
+   * @param {Array<string>} options.userIds Optional list of user IDs to restrict the analytics to
+   * @returns {Promise<Object>} The analytics ({ fromDate, toDate, userIds, datasets, errors }), errors lists datasets that failed
    */
-  async exportAnalyticsData() {
+  async exportAnalyticsData(options = {}) {
     try {
-      logger.info('Exporting analytics and reporting data');
+      const { fromDate, toDate, userIds = null } = options;
       
-      // Currently we don't have a valid endpoint for analytics, so we'll log a message
-      logger.warn('Analytics endpoint not available in the current API version');
+      logger.info(`Exporting analytics and reporting data from ${fromDate} to ${toDate}`);
       
-      return { message: 'Analytics endpoint not available' };
+      const fetchers = {
+        aggregateActivity: () => this.getAggregateActivityStats(options),
+        interactionStats: () => this.getInteractionStats(options),
+        dayByDayActivity: () => this.getDayByDayActivity(options),
+        scorecards: () => this.getAnsweredScorecards(options)
+      };
+      
+      const datasets = {};
+      const errors = [];
+      let lastError = null;
+      for (const [name, fetchDataset] of Object.entries(fetchers)) {
+        try {
+          datasets[name] = await fetchDataset();
+        } catch (error) {
+          logger.warn(`Could not export ${name} analytics: ${error.message}`);
+          errors.push({ dataset: name, message: error.message });
+          lastError = error;
+        }
+      }
+      
+      if (errors.length === Object.keys(fetchers).length) {
+        throw lastError;
+      }
+      
+      return { fromDate, toDate, userIds, datasets, errors };
     } catch (error) {
       logger.error('Failed to export analytics data', error);
       throw error;
@@ -234,12 +1065,10 @@ class GongExport {
     try {
       logger.info(`Getting signed media URL for call ${callId}`);
       
-      // Create a custom axios instance with different content type for this specific request
-      const mediaClient = axios.create({
-        baseURL: this.apiUrl,
+      // Gong is picky about the content type of this request, so try a few
+      const mediaHeaders = contentType => ({
         headers: {
-          'Authorization': `Basic ${this.basicToken}`,
-          'Content-Type': 'application/octet-stream', // Try a different content type
+          'Content-Type': contentType,
           'Accept': 'application/json'
         }
       });
@@ -247,7 +1076,7 @@ class GongExport {
       // Try PUT with different content type
       try {
         logger.info(`Trying PUT with octet-stream content type for call ${callId}`);
-        const response = await mediaClient.put(`/v2/calls/${callId}/media`);
+        const response = await this.client.put(`/v2/calls/${callId}/media`, undefined, mediaHeaders('application/octet-stream'));
         
         if (response.data && response.data.url) {
           logger.info(`Successfully retrieved signed media URL for call ${callId} using PUT (valid for a limited time)`);
@@ -257,16 +1086,7 @@ class GongExport {
         // Try PUT with text/plain content type
         try {
           logger.info(`Trying PUT with text/plain content type for call ${callId}`);
-          const textPlainClient = axios.create({
-            baseURL: this.apiUrl,
-            headers: {
-              'Authorization': `Basic ${this.basicToken}`,
-              'Content-Type': 'text/plain',
-              'Accept': 'application/json'
-            }
-          });
-          
-          const plainResponse = await textPlainClient.put(`/v2/calls/${callId}/media`);
+          const plainResponse = await this.client.put(`/v2/calls/${callId}/media`, undefined, mediaHeaders('text/plain'));
           
           if (plainResponse.data && plainResponse.data.url) {
             logger.info(`Successfully retrieved signed media URL using PUT with text/plain for call ${callId}`);
@@ -302,7 +1122,24 @@ class GongExport {
       throw error;
     }
   }
-  
+
+  /**
+   * Get fresh media URLs for a specific call from its extensive data
+   * The media endpoint only signs video URLs, so this is how expired audio URLs are refreshed.
+   * @param {string} callId - The ID of the call
+   * @returns {Promise<Object>} The signed media URLs ({ audioUrl, videoUrl }), null when the call has none
+   */
+  async getCallMediaUrls(callId) {
+    try {
+      const [call] = await this.getAllExtensiveCallData({ callIds: [callId], contentSelector: { media: true } });
+      const media = (call && call.media) || {};
+      return { audioUrl: media.audioUrl || null, videoUrl: media.videoUrl || null };
+    } catch (error) {
+      logger.error(`Failed to get media URLs for call ${callId}: ${error.message || 'Unknown error'}`);
+      throw error;
+    }
+  }
+
   /**
    * Check API status and available endpoints
    * @returns {Promise<Object>} API status and version info
@@ -0,0 +1,79 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { getRateLimiter } = require('../utils/rateLimiter');
+const RetryPolicy = require('../utils/retryPolicy');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Throttle and retry every request made through an axios instance
+ *
+ * Requests wait for the rate limiter before they are sent. Failed requests are retried
+ * according to the retry policy, and a 429 pauses the limiter for every other caller too.
+ * @param {Object} client The axios instance
+ * @param {Object} options Limiting settings
+ * @param {RateLimiter} options.rateLimiter The rate limiter to acquire from before each request
+ * @param {RetryPolicy} options.retryPolicy The retry policy for failed requests
+ * @returns {Object} The axios instance
+ */
+function applyRateLimiting(client, { rateLimiter, retryPolicy }) {
+  client.interceptors.request.use(async config => {
+    await rateLimiter.acquire();
+    return config;
+  });
+
+  client.interceptors.response.use(
+    response => response,
+    async error => {
+      const config = error.config;
+      const attempt = (config && config.retryAttempt) || 0;
+
+      if (!config || !retryPolicy.shouldRetry(error, attempt)) {
+        return Promise.reject(error);
+      }
+
+      const delay = retryPolicy.getDelay(error, attempt);
+      if (error.response && error.response.status === 429) {
+        rateLimiter.pause(delay);
+      }
+
+      logger.warn(`Request ${config.method.toUpperCase()} ${config.url} failed (${error.response ? error.response.status : error.code || error.message}). Retry ${attempt + 1}/${retryPolicy.maxRetries} in ${delay}ms`);
+      await sleep(delay);
+
+      return client.request({ ...config, retryAttempt: attempt + 1 });
+    }
+  );
+
+  return client;
+}
+
+/**
+ * Create an axios instance for the Gong API with Basic auth, rate limiting and retries
+ * @param {string} apiUrl The Gong API URL
+ * @param {string} basicToken The Basic auth token
+ * @param {Object} options Optional settings
+ * @param {RateLimiter} options.rateLimiter Rate limiter to use (default: the tenant's shared limiter)
+ * @param {RetryPolicy} options.retryPolicy Retry policy to use (default: a policy with default settings)
+ * @param {Object} options.rateLimit Limits for the tenant's shared limiter, the same for every client of the tenant
+ * @param {Object} options.retry Settings for the default retry policy
+ * @returns {Object} The axios instance
+ */
+function createGongClient(apiUrl, basicToken, options = {}) {
+  const client = axios.create({
+    baseURL: apiUrl,
+    headers: {
+      'Authorization': `Basic ${basicToken}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  return applyRateLimiting(client, {
+    rateLimiter: options.rateLimiter || getRateLimiter(basicToken, options.rateLimit),
+    retryPolicy: options.retryPolicy || new RetryPolicy(options.retry)
+  });
+}
+
+module.exports = {
+  applyRateLimiting,
+  createGongClient
+};
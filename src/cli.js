@@ -0,0 +1,555 @@
+const { parseArgs } = require('util');
+const path = require('path');
+const logger = require('./utils/logger');
+const { parseBytesPerSecond } = require('./utils/bandwidthLimiter');
+const { CONTENT_PRESETS } = require('./utils/contentSelector');
+const { OUTPUT_FORMATS } = require('./utils/outputFormats');
+const { BITRATE_PATTERN, CODECS, MEDIA_MODES } = require('./utils/mediaProcessor');
+const { validateTemplate } = require('./utils/naming');
+const { parseJobs } = require('./utils/scheduler');
+
+// Exit codes reported to cron jobs and CI runners
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FATAL: 1,
+  PARTIAL: 2,
+  VERIFY_FAILED: 3
+};
+
+// Status file the schedule command writes to the output directory by default
+const STATUS_FILE_NAME = 'last_run_status.json';
+
+const USAGE = `Usage: gongexport <command> [options]
+       gongexport decrypt <file|directory> [--decrypt-to <path>] [--identity <file>]
+
+Commands:
+  export      Export all selected resources (default)
+  videos      Download call recordings only
+  users       Export user and team data only
+  workspaces  List the company's workspaces
+  discover    Probe the Gong API for available endpoints
+  status      Check API connectivity and show the saved sync state
+  verify      Re-hash downloaded recordings and compare them with the manifests
+  decrypt     Decrypt encrypted export files and recordings (default: the output directory)
+  schedule    Keep running and export resources at their cron times (default: users
+              nightly, calls, transcripts and videos hourly)
+
+Options:
+  --from <date>          Export calls from this date (bypasses the sync state)
+  --to <date>            Export calls until this date (bypasses the sync state)
+  --resources <list>     Comma-separated resources to export
+                         (calls, transcripts, videos, users, crm, analytics, library,
+                         and engage, which is only exported when selected)
+  --users <ids>          Comma-separated user IDs to restrict analytics to
+  --workspace <id>       Only export calls, library folders and flows of this workspace
+  --per-workspace        Export each workspace into its own output tree
+  --content <preset>     Sections of extensive call data to export: minimal (parties),
+                         media (parties and media URLs, default) or everything (adds
+                         content, trackers, topics, interaction and comments)
+  --format <format>      Output format: json (default), ndjson (one record per line) or
+                         csv (tables of calls, parties, users and video downloads)
+  --sqlite <path>        Also load calls, parties, users, transcripts and video download
+                         status into this SQLite database, updating earlier runs
+  --no-videos            Skip video downloads
+  --library-recordings   Download the recordings of calls in the call library
+  --concurrency <n>      Number of videos to download in parallel
+  --max-bandwidth <rate> Combined video download speed cap (e.g. 500K, 10M)
+  --media <mode>         Recordings to download: video (default), audio or both
+  --transcode <codec>    Transcode recordings with ffmpeg (e.g. libopus, aac, libx264)
+  --bitrate <rate>       Bitrate to transcode recordings to (e.g. 32k, 1M)
+  --extract-audio        Also save the audio of downloaded videos with ffmpeg
+  --verify-duration      Record the ffprobe duration of every downloaded recording
+  --naming <template>    File names and folders of recordings, from the tokens {yyyy},
+                         {mm}, {dd}, {date}, {callId}, {title}, {workspace},
+                         {primaryUser} and {account} (default: {date}_{callId}_{title})
+  --redact               Hash emails, pseudonymise names, mask phone numbers and remove
+                         card numbers, SSNs and similar data from everything written
+                         (needs GONG_REDACTION_SALT)
+  --redaction-key-dir <path>
+                         Directory to save the re-identification key to, outside the
+                         export (default: redaction_keys/ next to the output directory)
+  --output-dir <path>    Directory to write exports to (default: exports/)
+  --job <resources=cron> Job of the schedule command, repeat for each job (e.g.
+                         --job "users=0 2 * * *" --job "calls,videos=@hourly")
+  --status-file <path>   File the schedule command writes its status and each job's
+                         last run to (default: last_run_status.json in the output directory)
+  --decrypt-to <path>    Directory to write decrypted files to (default: next to each file)
+  --identity <file>      age identity file to decrypt with (default: GONG_AGE_IDENTITY_FILE)
+  --full                 Ignore the saved sync state
+  --dry-run              Check the API and show what would be exported
+  --json                 Print the result as JSON on stdout
+  -h, --help             Show this help
+
+Exit codes:
+  0  Success
+  1  Fatal error, nothing or only part of the export could be attempted
+  2  Partial failure, some resources failed to export
+  3  Verification found missing or corrupted recordings`;
+
+const OPTIONS = {
+  from: { type: 'string' },
+  to: { type: 'string' },
+  resources: { type: 'string' },
+  users: { type: 'string' },
+  workspace: { type: 'string' },
+  'per-workspace': { type: 'boolean', default: false },
+  content: { type: 'string' },
+  format: { type: 'string' },
+  sqlite: { type: 'string' },
+  'no-videos': { type: 'boolean', default: false },
+  'library-recordings': { type: 'boolean', default: false },
+  concurrency: { type: 'string' },
+  'max-bandwidth': { type: 'string' },
+  media: { type: 'string' },
+  transcode: { type: 'string' },
+  bitrate: { type: 'string' },
+  'extract-audio': { type: 'boolean', default: false },
+  'verify-duration': { type: 'boolean', default: false },
+  naming: { type: 'string' },
+  redact: { type: 'boolean', default: false },
+  'redaction-key-dir': { type: 'string' },
+  'output-dir': { type: 'string' },
+  job: { type: 'string', multiple: true },
+  'status-file': { type: 'string' },
+  'decrypt-to': { type: 'string' },
+  identity: { type: 'string' },
+  full: { type: 'boolean', default: false },
+  'dry-run': { type: 'boolean', default: false },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Convert a date argument to an ISO date-time string
+ * @param {string} value The date argument (any format accepted by Date)
+ * @param {string} name The option name, used in the error message
+ * @returns {string|undefined} The ISO date-time string
+ */
+const parseDateOption = (value, name) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date for --${name}: ${value}`);
+  }
+  return date.toISOString();
+};
+
+/**
+ * Parse command line arguments into a command and options
+ * @param {Array<string>} argv The arguments, without the node and script paths
+ * @returns {Object} The parsed command ({ command, options })
+ */
+const parseCommandLine = (argv) => {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+
+  const concurrency = values.concurrency !== undefined ? parseInt(values.concurrency, 10) : undefined;
+  if (concurrency !== undefined && (Number.isNaN(concurrency) || concurrency < 1)) {
+    throw new Error(`Invalid value for --concurrency: ${values.concurrency}`);
+  }
+
+  let maxBytesPerSecond;
+  try {
+    maxBytesPerSecond = parseBytesPerSecond(values['max-bandwidth']) || undefined;
+  } catch (error) {
+    throw new Error(`Invalid value for --max-bandwidth: ${error.message}`);
+  }
+
+  const contentPreset = values.content !== undefined ? values.content.toLowerCase() : undefined;
+  if (contentPreset !== undefined && !CONTENT_PRESETS[contentPreset]) {
+    throw new Error(`Invalid value for --content: ${values.content} (expected one of ${Object.keys(CONTENT_PRESETS).join(', ')})`);
+  }
+
+  const format = values.format !== undefined ? values.format.toLowerCase() : undefined;
+  if (format !== undefined && !OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Invalid value for --format: ${values.format} (expected one of ${OUTPUT_FORMATS.join(', ')})`);
+  }
+
+  const mediaMode = values.media !== undefined ? values.media.toLowerCase() : undefined;
+  if (mediaMode !== undefined && !MEDIA_MODES.includes(mediaMode)) {
+    throw new Error(`Invalid value for --media: ${values.media} (expected one of ${MEDIA_MODES.join(', ')})`);
+  }
+
+  if (values.transcode !== undefined && !CODECS[values.transcode]) {
+    throw new Error(`Invalid value for --transcode: ${values.transcode} (expected one of ${Object.keys(CODECS).join(', ')})`);
+  }
+
+  if (values.bitrate !== undefined && !BITRATE_PATTERN.test(values.bitrate)) {
+    throw new Error(`Invalid value for --bitrate: ${values.bitrate}`);
+  }
+
+  if (values.naming !== undefined) {
+    try {
+      validateTemplate(values.naming);
+    } catch (error) {
+      throw new Error(`Invalid value for --naming: ${error.message}`);
+    }
+  }
+
+  if (values.workspace && values['per-workspace']) {
+    throw new Error('--workspace and --per-workspace cannot be used together');
+  }
+
+  if (values.job !== undefined) {
+    try {
+      parseJobs(values.job);
+    } catch (error) {
+      throw new Error(`Invalid value for --job: ${error.message}`);
+    }
+  }
+
+  const command = positionals[0] || 'export';
+  if (command === 'schedule' && (values.from || values.to)) {
+    throw new Error('--from and --to cannot be used with schedule, scheduled runs continue from the sync state');
+  }
+  // Only decrypt takes an argument, the file or directory to decrypt
+  const argumentCount = command === 'decrypt' ? 2 : 1;
+  if (positionals.length > argumentCount) {
+    throw new Error(`Unexpected arguments: ${positionals.slice(argumentCount).join(' ')}`);
+  }
+
+  return {
+    command,
+    options: {
+      fromDateTime: parseDateOption(values.from, 'from'),
+      toDateTime: parseDateOption(values.to, 'to'),
+      resources: values.resources ? values.resources.split(',').map(resource => resource.trim()).filter(Boolean) : null,
+      userIds: values.users ? values.users.split(',').map(userId => userId.trim()).filter(Boolean) : null,
+      noVideos: values['no-videos'],
+      libraryRecordings: values['library-recordings'],
+      workspaceId: values.workspace,
+      perWorkspace: values['per-workspace'],
+      contentSelector: contentPreset,
+      format,
+      sqlitePath: values.sqlite ? path.resolve(values.sqlite) : undefined,
+      concurrency,
+      maxBytesPerSecond,
+      mediaMode,
+      transcodeCodec: values.transcode,
+      transcodeBitrate: values.bitrate,
+      extractAudio: values['extract-audio'] || undefined,
+      verifyDuration: values['verify-duration'] || undefined,
+      namingTemplate: values.naming,
+      redact: values.redact || undefined,
+      redactionKeyDir: values['redaction-key-dir'] ? path.resolve(values['redaction-key-dir']) : undefined,
+      outputDir: values['output-dir'] ? path.resolve(values['output-dir']) : undefined,
+      jobs: values.job,
+      statusFile: values['status-file'] ? path.resolve(values['status-file']) : undefined,
+      decryptPath: positionals[1] ? path.resolve(positionals[1]) : undefined,
+      decryptTo: values['decrypt-to'] ? path.resolve(values['decrypt-to']) : undefined,
+      identityFile: values.identity ? path.resolve(values.identity) : undefined,
+      full: values.full,
+      dryRun: values['dry-run'],
+      json: values.json,
+      help: values.help
+    }
+  };
+};
+
+/**
+ * Write the command result to stdout
+ * @param {Object} result The result to print
+ * @param {boolean} json Print as JSON instead of a readable summary
+ */
+const printResult = (result, json) => {
+  if (json) {
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    return;
+  }
+
+  console.log(`\nStatus: ${result.status}`);
+  for (const [key, value] of Object.entries(result)) {
+    if (key === 'status') {
+      continue;
+    }
+    console.log(`${key}: ${typeof value === 'object' ? JSON.stringify(value, null, 2) : value}`);
+  }
+};
+
+/**
+ * Run an export for the selected resources
+ * @param {Object} options The parsed command line options
+ * @param {Array<string>} defaultResources Resources to export when --resources is not given
+ * @returns {Promise<Object>} The command result
+ */
+const runExport = async (options, defaultResources) => {
+  const exportGongData = require('./export');
+
+  const result = await exportGongData({
+    full: options.full,
+    fromDateTime: options.fromDateTime,
+    toDateTime: options.toDateTime,
+    resources: options.resources || defaultResources || exportGongData.DEFAULT_RESOURCES,
+    enableVideoDownloads: !options.noVideos,
+    videoConcurrency: options.concurrency,
+    maxBytesPerSecond: options.maxBytesPerSecond,
+    mediaMode: options.mediaMode,
+    transcodeCodec: options.transcodeCodec,
+    transcodeBitrate: options.transcodeBitrate,
+    extractAudio: options.extractAudio,
+    verifyDuration: options.verifyDuration,
+    namingTemplate: options.namingTemplate,
+    redact: options.redact,
+    redactionKeyDir: options.redactionKeyDir,
+    userIds: options.userIds,
+    libraryRecordings: options.libraryRecordings,
+    workspaceId: options.workspaceId,
+    perWorkspace: options.perWorkspace,
+    contentSelector: options.contentSelector,
+    format: options.format,
+    sqlitePath: options.sqlitePath,
+    outputDir: options.outputDir,
+    dryRun: options.dryRun,
+    signal: options.signal
+  });
+
+  if (result.plan) {
+    return { status: 'success', plan: result.plan };
+  }
+
+  return {
+    status: result.errors.length > 0 ? 'partial' : 'success',
+    savedFiles: result.savedFiles,
+    exported: exportGongData.summarizeExport(result.exportedData),
+    errors: result.errors
+  };
+};
+
+/**
+ * Probe the Gong API for available endpoints
+ * @returns {Promise<Object>} The command result
+ */
+const runDiscover = async () => {
+  const config = require('./config');
+  const { discoverEndpoints } = require('./api/discover');
+
+  const results = await discoverEndpoints(config.gong.apiUrl, config.gong.basicToken, {
+    onResult: result => logger.info(`${result.success ? 'Available' : 'Unavailable'}: ${result.endpoint} (${result.status || result.error})`),
+    rateLimit: config.rateLimit,
+    retry: config.retry
+  });
+
+  return {
+    status: 'success',
+    available: results.filter(result => result.success).map(result => result.endpoint),
+    unavailable: results.filter(result => !result.success).map(result => ({
+      endpoint: result.endpoint,
+      status: result.status,
+      error: result.error
+    }))
+  };
+};
+
+/**
+ * List the company's workspaces
+ * @returns {Promise<Object>} The command result
+ */
+const runWorkspaces = async () => {
+  const config = require('./config');
+  const GongExport = require('./api/gongExport');
+
+  const gongExport = new GongExport(config.gong.apiUrl, config.gong.basicToken, {
+    rateLimit: config.rateLimit,
+    retry: config.retry
+  });
+  const workspaces = await gongExport.getWorkspaces();
+
+  return {
+    status: 'success',
+    workspaces: workspaces.map(workspace => ({ id: workspace.id, name: workspace.name }))
+  };
+};
+
+/**
+ * Check API connectivity and report the saved sync state
+ * @param {Object} options The parsed command line options
+ * @returns {Promise<Object>} The command result
+ */
+const runStatus = async (options) => {
+  const config = require('./config');
+  const GongExport = require('./api/gongExport');
+  const SyncState = require('./utils/syncState');
+
+  const gongExport = new GongExport(config.gong.apiUrl, config.gong.basicToken, {
+    rateLimit: config.rateLimit,
+    retry: config.retry
+  });
+  const syncState = new SyncState(options.outputDir || path.join(__dirname, '../exports')).load();
+
+  let api;
+  try {
+    api = await gongExport.checkApiStatus();
+  } catch (error) {
+    api = { status: 'error', message: error.message };
+  }
+
+  return {
+    status: api.status === 'ok' ? 'success' : 'fatal',
+    api,
+    syncState: syncState.state.resources
+  };
+};
+
+/**
+ * Re-hash the recording archive and report missing, corrupted and extra files
+ * @param {Object} options The parsed command line options
+ * @returns {Promise<Object>} The command result
+ */
+const runVerify = async (options) => {
+  const config = require('./config');
+  const { listWorkspaceTrees, verifyExport } = require('./utils/manifest');
+  const { createExportStorages } = require('./storage');
+  const { createCipher } = require('./utils/encryption');
+
+  const exportDir = options.outputDir || path.join(__dirname, '../exports');
+  // Encrypted archives are verified against the digests of the decrypted recordings
+  const cipher = createCipher({ ...config.encryption, identityFile: options.identityFile || config.encryption.identityFile });
+  const trees = [{ path: '', ...createExportStorages(config.storage, exportDir, '', { cipher }) }];
+  // Each workspace tree of a --per-workspace export is checked against its own manifests
+  for (const subPath of await listWorkspaceTrees(trees[0].exportStorage)) {
+    trees.push({ path: subPath, ...createExportStorages(config.storage, path.join(exportDir, subPath), subPath, { cipher }) });
+  }
+  const report = await verifyExport(trees);
+
+  return {
+    status: report.missing.length > 0 || report.corrupted.length > 0 ? 'verify_failed' : 'success',
+    verified: report.verified.length,
+    missing: report.missing,
+    corrupted: report.corrupted,
+    extra: report.extra
+  };
+};
+
+/**
+ * Run export jobs at their cron times until SIGTERM or SIGINT
+ * A signal lets the running job finish the recordings it is downloading and save its checkpoint
+ * before the command returns. Every job takes the export's lock, so a job that comes due while
+ * another process exports to the same directory is skipped.
+ * @param {Object} options The parsed command line options, applied to every job
+ * @returns {Promise<Object>} The command result
+ */
+const runSchedule = async (options) => {
+  const config = require('./config');
+  const exportGongData = require('./export');
+  const Scheduler = require('./utils/scheduler');
+
+  const jobs = options.jobs ? parseJobs(options.jobs) : config.schedule.jobs;
+  const unknownResources = jobs.flatMap(job => job.resources).filter(resource => !exportGongData.RESOURCES.includes(resource));
+  if (unknownResources.length > 0) {
+    throw new Error(`Unknown resources in scheduled jobs: ${unknownResources.join(', ')} (valid resources: ${exportGongData.RESOURCES.join(', ')})`);
+  }
+
+  const outputDir = options.outputDir || path.join(__dirname, '../exports');
+  const scheduler = new Scheduler({
+    jobs,
+    statusPath: options.statusFile || config.schedule.statusPath || path.join(outputDir, STATUS_FILE_NAME),
+    runJob: (job, signal) => runExport({ ...options, resources: job.resources, signal })
+  });
+
+  const stop = () => scheduler.stop();
+  process.once('SIGTERM', stop);
+  process.once('SIGINT', stop);
+  try {
+    const status = await scheduler.run();
+    return { status: 'success', statusFile: scheduler.statusPath, jobs: status.jobs };
+  } finally {
+    process.removeListener('SIGTERM', stop);
+    process.removeListener('SIGINT', stop);
+  }
+};
+
+/**
+ * Decrypt encrypted export files and recordings
+ * Reads the encryption settings from the environment only, so files can be decrypted on a machine
+ * without Gong API credentials.
+ * @param {Object} options The parsed command line options
+ * @returns {Promise<Object>} The command result
+ */
+const runDecrypt = async (options) => {
+  require('dotenv').config();
+  const { decryptFiles, loadEncryptionSettings } = require('./utils/encryption');
+
+  // The cipher of each file is known from its extension, so only the key and identity are needed
+  const settings = loadEncryptionSettings({ ...process.env, GONG_ENCRYPTION: '' });
+  const target = options.decryptPath || options.outputDir || path.join(__dirname, '../exports');
+  const result = await decryptFiles(target, { ...settings, identityFile: options.identityFile || settings.identityFile }, {
+    outputDir: options.decryptTo
+  });
+
+  return {
+    status: result.failed.length > 0 ? 'partial' : 'success',
+    decrypted: result.decrypted.length,
+    outputs: result.decrypted.map(file => file.output),
+    failed: result.failed
+  };
+};
+
+/**
+ * Run the command line interface
+ * @param {Array<string>} argv The arguments, without the node and script paths
+ * @returns {Promise<number>} The exit code
+ */
+async function run(argv) {
+  let parsed;
+  try {
+    parsed = parseCommandLine(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.FATAL;
+  }
+
+  const { command, options } = parsed;
+
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  // Keep stdout for the JSON result only
+  if (options.json) {
+    logger.useStderr();
+  }
+
+  const commands = {
+    export: () => runExport(options),
+    videos: () => runExport(options, ['videos']),
+    users: () => runExport(options, ['users']),
+    workspaces: () => runWorkspaces(),
+    discover: () => runDiscover(),
+    status: () => runStatus(options),
+    verify: () => runVerify(options),
+    decrypt: () => runDecrypt(options),
+    schedule: () => runSchedule(options)
+  };
+
+  if (!commands[command]) {
+    console.error(`Unknown command: ${command}\n\n${USAGE}`);
+    return EXIT_CODES.FATAL;
+  }
+
+  logger.info(`Running "${command}" command`);
+
+  let result;
+  try {
+    result = await commands[command]();
+  } catch (error) {
+    logger.error(`Command "${command}" failed`, { error: error.message });
+    result = { status: 'fatal', error: error.message };
+  }
+
+  printResult(result, options.json);
+
+  const exitCodes = {
+    success: EXIT_CODES.SUCCESS,
+    partial: EXIT_CODES.PARTIAL,
+    verify_failed: EXIT_CODES.VERIFY_FAILED
+  };
+  return exitCodes[result.status] !== undefined ? exitCodes[result.status] : EXIT_CODES.FATAL;
+}
+
+module.exports = {
+  EXIT_CODES,
+  parseCommandLine,
+  run
+};
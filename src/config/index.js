@@ -1,5 +1,13 @@
 require('dotenv').config();
 const logger = require('../utils/logger');
+const { parseBytesPerSecond } = require('../utils/bandwidthLimiter');
+const { CONTENT_PRESETS, DEFAULT_CONTENT_PRESET } = require('../utils/contentSelector');
+const { DEFAULT_OUTPUT_FORMAT, OUTPUT_FORMATS } = require('../utils/outputFormats');
+const { BITRATE_PATTERN, CODECS, DEFAULT_MEDIA_MODE, MEDIA_MODES } = require('../utils/mediaProcessor');
+const { DEFAULT_MAX_PATH_LENGTH, DEFAULT_NAMING_TEMPLATE, validateTemplate } = require('../utils/naming');
+const { DEFAULT_EMAIL_MODE, EMAIL_MODES, MIN_SALT_LENGTH, TEXT_PATTERNS } = require('../utils/redactor');
+const { loadEncryptionSettings } = require('../utils/encryption');
+const { DEFAULT_SCHEDULE, parseJobs } = require('../utils/scheduler');
 
 // Validate required environment variables
 const requiredEnvVars = [
@@ -34,6 +42,162 @@ if (videoStoragePath) {
   logger.info('Videos will be saved to default location (exports/videos directory)');
 }
 
+// Storage backend for exports and videos: 'local' (default) or 's3' for S3-compatible object stores
+const storageDriver = (process.env.GONG_STORAGE_DRIVER || 'local').toLowerCase();
+if (!['local', 's3'].includes(storageDriver)) {
+  const errorMessage = `Invalid GONG_STORAGE_DRIVER: ${process.env.GONG_STORAGE_DRIVER} (expected "local" or "s3")`;
+  logger.error(errorMessage);
+  throw new Error(errorMessage);
+}
+if (storageDriver === 's3' && !process.env.GONG_S3_BUCKET) {
+  const errorMessage = 'Missing required environment variable for S3 storage: GONG_S3_BUCKET';
+  logger.error(errorMessage);
+  throw new Error(errorMessage);
+}
+if (storageDriver === 's3') {
+  logger.info(`Exports and videos will be stored in S3 bucket ${process.env.GONG_S3_BUCKET}${process.env.GONG_S3_ENDPOINT ? ` at ${process.env.GONG_S3_ENDPOINT}` : ''}`);
+}
+
+// Video download concurrency and optional combined bandwidth cap (e.g. 10M for 10 MB/s)
+const videoConcurrency = parseInt(process.env.GONG_VIDEO_CONCURRENCY || '3', 10);
+if (Number.isNaN(videoConcurrency) || videoConcurrency < 1) {
+  const errorMessage = `Invalid GONG_VIDEO_CONCURRENCY: ${process.env.GONG_VIDEO_CONCURRENCY}`;
+  logger.error(errorMessage);
+  throw new Error(errorMessage);
+}
+let videoMaxBytesPerSecond;
+try {
+  videoMaxBytesPerSecond = parseBytesPerSecond(process.env.GONG_VIDEO_MAX_BANDWIDTH);
+} catch (error) {
+  const errorMessage = `Invalid GONG_VIDEO_MAX_BANDWIDTH: ${error.message}`;
+  logger.error(errorMessage);
+  throw new Error(errorMessage);
+}
+
+// Recordings to download for each call: 'video' (default), 'audio' or 'both'
+const mediaMode = (process.env.GONG_MEDIA_MODE || DEFAULT_MEDIA_MODE).toLowerCase();
+if (!MEDIA_MODES.includes(mediaMode)) {
+  const errorMessage = `Invalid GONG_MEDIA_MODE: ${process.env.GONG_MEDIA_MODE} (expected one of ${MEDIA_MODES.join(', ')})`;
+  logger.error(errorMessage);
+  throw new Error(errorMessage);
+}
+
+// Optional post-processing of downloaded recordings with a local ffmpeg binary
+const transcodeCodec = process.env.GONG_TRANSCODE_CODEC || null;
+if (transcodeCodec && !CODECS[transcodeCodec]) {
+  const errorMessage = `Invalid GONG_TRANSCODE_CODEC: ${transcodeCodec} (expected one of ${Object.keys(CODECS).join(', ')})`;
+  logger.error(errorMessage);
+  throw new Error(errorMessage);
+}
+const transcodeBitrate = process.env.GONG_TRANSCODE_BITRATE || null;
+if (transcodeBitrate && !BITRATE_PATTERN.test(transcodeBitrate)) {
+  const errorMessage = `Invalid GONG_TRANSCODE_BITRATE: ${transcodeBitrate} (expected a bitrate such as 64k or 1.5M)`;
+  logger.error(errorMessage);
+  throw new Error(errorMessage);
+}
+
+// Sections of extensive call data to request: 'minimal', 'media' (default) or 'everything'
+const contentPreset = (process.env.GONG_CONTENT_PRESET || DEFAULT_CONTENT_PRESET).toLowerCase();
+if (!CONTENT_PRESETS[contentPreset]) {
+  const errorMessage = `Invalid GONG_CONTENT_PRESET: ${process.env.GONG_CONTENT_PRESET} (expected one of ${Object.keys(CONTENT_PRESETS).join(', ')})`;
+  logger.error(errorMessage);
+  throw new Error(errorMessage);
+}
+
+// Format of the exported datasets: 'json' (default), 'ndjson' or 'csv'
+const outputFormat = (process.env.GONG_OUTPUT_FORMAT || DEFAULT_OUTPUT_FORMAT).toLowerCase();
+if (!OUTPUT_FORMATS.includes(outputFormat)) {
+  const errorMessage = `Invalid GONG_OUTPUT_FORMAT: ${process.env.GONG_OUTPUT_FORMAT} (expected one of ${OUTPUT_FORMATS.join(', ')})`;
+  logger.error(errorMessage);
+  throw new Error(errorMessage);
+}
+
+// Template of recording file names and folders, e.g. {yyyy}/{mm}/{workspace}/{callId}_{title}
+const namingTemplate = process.env.GONG_NAMING_TEMPLATE || DEFAULT_NAMING_TEMPLATE;
+try {
+  validateTemplate(namingTemplate);
+} catch (error) {
+  const errorMessage = `Invalid GONG_NAMING_TEMPLATE: ${error.message}`;
+  logger.error(errorMessage);
+  throw new Error(errorMessage);
+}
+
+// Optional redaction of personal data, for exports shared outside the sales org
+// The salt keys the pseudonyms, so it must stay the same between runs and must not be shared
+const redactionEnabled = process.env.GONG_REDACT === 'true';
+const redactionSalt = process.env.GONG_REDACTION_SALT || null;
+if ((redactionEnabled || redactionSalt) && (!redactionSalt || redactionSalt.length < MIN_SALT_LENGTH)) {
+  const errorMessage = `Invalid GONG_REDACTION_SALT: redaction needs a salt of at least ${MIN_SALT_LENGTH} characters`;
+  logger.error(errorMessage);
+  throw new Error(errorMessage);
+}
+const redactEmails = (process.env.GONG_REDACT_EMAILS || DEFAULT_EMAIL_MODE).toLowerCase();
+if (!EMAIL_MODES.includes(redactEmails)) {
+  const errorMessage = `Invalid GONG_REDACT_EMAILS: ${process.env.GONG_REDACT_EMAILS} (expected one of ${EMAIL_MODES.join(', ')})`;
+  logger.error(errorMessage);
+  throw new Error(errorMessage);
+}
+const redactPatterns = process.env.GONG_REDACT_PATTERNS
+  ? process.env.GONG_REDACT_PATTERNS.split(',').map(pattern => pattern.trim().toLowerCase()).filter(Boolean)
+  : TEXT_PATTERNS;
+const unknownPatterns = redactPatterns.filter(pattern => !TEXT_PATTERNS.includes(pattern));
+if (unknownPatterns.length > 0) {
+  const errorMessage = `Invalid GONG_REDACT_PATTERNS: ${unknownPatterns.join(', ')} (expected any of ${TEXT_PATTERNS.join(', ')})`;
+  logger.error(errorMessage);
+  throw new Error(errorMessage);
+}
+
+// Optional encryption of every file written, with an AES key or to age/OpenPGP recipients
+let encryption;
+try {
+  encryption = loadEncryptionSettings(process.env);
+} catch (error) {
+  logger.error(error.message);
+  throw error;
+}
+
+// Jobs of the schedule command, e.g. users=0 2 * * *; calls,transcripts,videos=0 * * * *
+let scheduledJobs;
+try {
+  scheduledJobs = parseJobs(process.env.GONG_SCHEDULE || DEFAULT_SCHEDULE);
+} catch (error) {
+  const errorMessage = `Invalid GONG_SCHEDULE: ${error.message}`;
+  logger.error(errorMessage);
+  throw new Error(errorMessage);
+}
+
+// Rate limits and retry policy for Gong API calls, shared by every client of this tenant
+// Gong allows 3 calls per second and 10,000 calls per day per company by default
+// An explicit 0 where it isn't allowed fails at startup, instead of being replaced by the default
+const parsePositiveNumber = (name, defaultValue, allowZero = true) => {
+  if (process.env[name] === undefined || process.env[name] === '') {
+    return defaultValue;
+  }
+  const value = Number(process.env[name]);
+  if (Number.isNaN(value) || value < 0 || (value === 0 && !allowZero)) {
+    const errorMessage = `Invalid ${name}: ${process.env[name]} (expected ${allowZero ? 'zero or ' : ''}a positive number)`;
+    logger.error(errorMessage);
+    throw new Error(errorMessage);
+  }
+  return value;
+};
+const rateLimit = {
+  requestsPerSecond: parsePositiveNumber('GONG_RATE_LIMIT_PER_SECOND', 3, false),
+  // Defaults to the per-second limit in the rate limiter
+  burst: parsePositiveNumber('GONG_RATE_LIMIT_BURST', undefined, false),
+  requestsPerDay: parsePositiveNumber('GONG_RATE_LIMIT_PER_DAY', 10000, false)
+};
+const retry = {
+  maxRetries: parsePositiveNumber('GONG_MAX_RETRIES', 3),
+  baseDelayMs: parsePositiveNumber('GONG_RETRY_BASE_DELAY_MS', 1000),
+  maxDelayMs: parsePositiveNumber('GONG_RETRY_MAX_DELAY_MS', 60000)
+};
+
+// Incremental call exports start this long before the last sync, so calls Gong finishes processing late are not missed
+const sync = {
+  lookbackMinutes: parsePositiveNumber('GONG_SYNC_LOOKBACK_MINUTES', 180)
+};
+
 // Export config object
 module.exports = {
   gong: {
@@ -43,6 +207,53 @@ module.exports = {
     basicToken: basicToken
   },
   storage: {
-    videoPath: videoStoragePath
-  }
+    videoPath: videoStoragePath,
+    driver: storageDriver,
+    s3: {
+      bucket: process.env.GONG_S3_BUCKET || null,
+      prefix: process.env.GONG_S3_PREFIX || '',
+      region: process.env.GONG_S3_REGION || 'us-east-1',
+      endpoint: process.env.GONG_S3_ENDPOINT || null,
+      forcePathStyle: process.env.GONG_S3_FORCE_PATH_STYLE === 'true',
+      accessKeyId: process.env.GONG_S3_ACCESS_KEY_ID || null,
+      secretAccessKey: process.env.GONG_S3_SECRET_ACCESS_KEY || null
+    }
+  },
+  downloads: {
+    concurrency: videoConcurrency,
+    maxBytesPerSecond: videoMaxBytesPerSecond,
+    mediaMode,
+    namingTemplate,
+    maxPathLength: parsePositiveNumber('GONG_MAX_PATH_LENGTH', DEFAULT_MAX_PATH_LENGTH),
+    processing: {
+      codec: transcodeCodec,
+      bitrate: transcodeBitrate,
+      extractAudio: process.env.GONG_EXTRACT_AUDIO === 'true',
+      verifyDuration: process.env.GONG_VERIFY_DURATION === 'true',
+      ffmpegPath: process.env.GONG_FFMPEG_PATH || 'ffmpeg',
+      ffprobePath: process.env.GONG_FFPROBE_PATH || 'ffprobe'
+    }
+  },
+  content: {
+    preset: contentPreset
+  },
+  output: {
+    format: outputFormat,
+    sqlitePath: process.env.GONG_SQLITE_PATH || null
+  },
+  redaction: {
+    enabled: redactionEnabled,
+    salt: redactionSalt,
+    emails: redactEmails,
+    patterns: redactPatterns,
+    keyDir: process.env.GONG_REDACTION_KEY_DIR || null
+  },
+  encryption,
+  schedule: {
+    jobs: scheduledJobs,
+    statusPath: process.env.GONG_SCHEDULE_STATUS_FILE || null
+  },
+  sync,
+  rateLimit,
+  retry
 };
\ No newline at end of file
@@ -2,45 +2,506 @@ const logger = require('./utils/logger');
 const config = require('./config');
 const GongExport = require('./api/gongExport');
 const VideoDownloader = require('./utils/videoDownloader');
-const fs = require('fs');
+const MediaProcessor = require('./utils/mediaProcessor');
+const { MEDIA_MODES } = MediaProcessor;
+const Redactor = require('./utils/redactor');
+const { PERSON_OBJECT_TYPES } = Redactor;
+const { indexCallsById, joinTranscriptWithCall } = require('./utils/transcripts');
+const { buildOrgTree, indexUsersById, resolveCallParties } = require('./utils/users');
+const { extractCallContext } = require('./utils/crm');
+const { namingFields, validateTemplate } = require('./utils/naming');
+const { linkLibraryEntries } = require('./utils/library');
+const { resolveExposedFields } = require('./utils/contentSelector');
+const { OUTPUT_FORMATS, createRecordWriter } = require('./utils/outputFormats');
+const SyncState = require('./utils/syncState');
+const { createExportStorages, createStorage, encryptStorage } = require('./storage');
+const { createCipher } = require('./utils/encryption');
+const LockFile = require('./utils/lockFile');
+const SqliteSink = require('./storage/sqliteSink');
 const path = require('path');
 
-// Function to save data to a file
-const saveToFile = (data, filename) => {
-  const exportDir = path.join(__dirname, '../exports');
-  const filePath = path.join(exportDir, filename);
-  
-  // Ensure exports directory exists
-  if (!fs.existsSync(exportDir)) {
-    fs.mkdirSync(exportDir, { recursive: true });
-  }
-  
+// Default directory for exported files
+const DEFAULT_EXPORT_DIR = path.join(__dirname, '../exports');
+
+// Resources that can be selected for export
+const RESOURCES = ['calls', 'transcripts', 'videos', 'users', 'crm', 'analytics', 'library', 'engage'];
+
+// Resources exported when none are selected, Engage is left out since not every team has it
+const DEFAULT_RESOURCES = RESOURCES.filter(resource => resource !== 'engage');
+
+// CRM object types that can be enrolled in Engage flows
+const PROSPECT_OBJECT_TYPES = ['Contact', 'Lead'];
+
+// Function to save data to a file in the export storage
+const saveToFile = async (data, filename, storage) => {
   // Add timestamp to data
   const dataToSave = {
     exportTimestamp: new Date().toISOString(),
     data
   };
-  
-  // Save to file
-  fs.writeFileSync(filePath, JSON.stringify(dataToSave, null, 2));
+
+  // Save to file (filenames may include a subdirectory)
+  const filePath = await storage.writeFile(filename, JSON.stringify(dataToSave, null, 2));
   logger.info(`Data saved to ${filePath}`);
-  
+
   return filePath;
 };
 
+// Number of days of extensive call data to retrieve when there is no sync state
+const DEFAULT_EXTENSIVE_WINDOW_DAYS = 90;
+
+// Number of calls handled at a time when falling back to the standard call data
+const FALLBACK_PAGE_SIZE = 100;
+
+// File names of the analytics datasets
+const ANALYTICS_FILES = {
+  aggregateActivity: 'aggregate_activity',
+  interactionStats: 'interaction_stats',
+  dayByDayActivity: 'day_by_day_activity',
+  scorecards: 'scorecards'
+};
+
+/**
+ * Iterate over the pages of a resource within a date window, checkpointing each page to the sync state
+ * Pages retrieved before an interrupted run are read back from the sync state first, so they are
+ * handled again along with the rest of the window.
+ * @param {SyncState} syncState The sync state to checkpoint to
+ * @param {string} resource The resource name used in the sync state
+ * @param {Object} windowOptions Options passed to SyncState.resolveWindow
+ * @param {Function} iteratePages Function called with ({ fromDateTime, toDateTime, cursor }) that returns an async iterator of pages
+ * @param {string} key The key of the records in each page (e.g. 'calls')
+ * @returns {AsyncGenerator<Object>} The pages ({ [key]: records, records: { totalRecords, cursor } })
+ */
+async function* pagesWithCheckpoint(syncState, resource, windowOptions, iteratePages, key) {
+  const window = syncState.resolveWindow(resource, windowOptions);
+
+  logger.info(`Retrieving ${resource} from ${window.fromDateTime || 'the beginning'} to ${window.toDateTime}`);
+
+  // Explicit windows are one-off exports and leave the checkpoint untouched
+  if (window.explicit) {
+    yield* iteratePages({ fromDateTime: window.fromDateTime, toDateTime: window.toDateTime });
+    return;
+  }
+
+  // Pages left over from an older window are stale once a new window starts
+  if (!window.cursor) {
+    syncState.clearPartial(resource);
+  }
+
+  if (window.resumed) {
+    for await (const items of syncState.readPartialPages(resource)) {
+      yield { [key]: items, records: { cursor: window.cursor } };
+    }
+  }
+
+  const pages = iteratePages({
+    fromDateTime: window.fromDateTime,
+    toDateTime: window.toDateTime,
+    cursor: window.cursor
+  });
+  for await (const page of pages) {
+    syncState.recordPage(resource, window, page[key], page.records.cursor);
+    yield page;
+  }
+
+  syncState.complete(resource, window.toDateTime);
+}
+
+/**
+ * Stop retrieving pages once an export is asked to stop
+ * The check runs after each page has been handled, so the checkpoint points to the next page and
+ * the window is not marked complete.
+ * @param {AsyncIterable<Object>} pages The pages, from pagesWithCheckpoint
+ * @param {AbortSignal} signal Signal that stops the export, or null to pass the pages through
+ * @returns {AsyncGenerator<Object>} The pages until the signal is aborted
+ */
+async function* untilStopped(pages, signal) {
+  for await (const page of pages) {
+    yield page;
+    if (signal && signal.aborted) {
+      throw new Error('Export stopped, the next run resumes from the saved checkpoint');
+    }
+  }
+}
+
+/**
+ * Redact the records of each page as it arrives
+ * Pages are redacted before the sync state checkpoints them, so its partial pages hold no personal data either.
+ * @param {AsyncIterable<Object>} pages The pages ({ [key]: records, records })
+ * @param {string} key The key of the records in each page (e.g. 'calls')
+ * @param {Redactor} redactor The redactor, or null to pass the pages through
+ * @returns {AsyncGenerator<Object>} The redacted pages
+ */
+async function* redactPages(pages, key, redactor) {
+  for await (const page of pages) {
+    yield redactor ? { ...page, [key]: redactor.redactRecords(page[key]) } : page;
+  }
+}
+
+/**
+ * Get the directory the re-identification keys of redacted exports are saved to by default
+ * It sits next to the export directory, so the key is never shared along with the export.
+ * @param {string} exportDir The export directory
+ * @returns {string} The key directory
+ */
+const defaultRedactionKeyDir = exportDir => path.join(path.dirname(exportDir), 'redaction_keys');
+
+/**
+ * Run a retrieval that streams its records to a writer, closing the writer when it succeeds
+ * and removing the partial file when it fails
+ * @param {RecordWriter} writer The writer
+ * @param {Function} run Function called with the writer that writes the records, it may return fields to close a JSON document with
+ * @returns {Promise<string>} The location of the written file
+ */
+const streamRecords = async (writer, run) => {
+  try {
+    const fields = await run(writer);
+    return await writer.close(fields || {});
+  } catch (error) {
+    await writer.abort();
+    throw error;
+  }
+};
+
+/**
+ * Keep the call metadata later stages need once the page a call came in has been written
+ * @param {Object} call Standard or extensive call data
+ * @returns {Object} The call summary ({ id, title, started, duration, url }) with the details recordings are named by
+ */
+const summarizeCall = (call) => {
+  const metaData = call.metaData || call;
+  return {
+    id: metaData.id,
+    title: metaData.title || null,
+    started: metaData.started || null,
+    duration: metaData.duration || null,
+    url: metaData.url || null,
+    ...namingFields(call)
+  };
+};
+
+/**
+ * Create a video downloader that refreshes expired URLs through the Gong API
+ * @param {GongExport} gongExport The Gong API client
+ * @param {string} exportDir The directory exports are written to
+ * @param {Object} downloadOptions Download settings ({ concurrency, maxBytesPerSecond, storage, exportStorage, mediaMode, mediaProcessor, namingTemplate, maxPathLength, signal })
+ * @returns {VideoDownloader} The configured video downloader
+ */
+const createVideoDownloader = (gongExport, exportDir, downloadOptions) => {
+  // Initialize video downloader with custom storage path if configured
+  // Pass a URL refresh callback to handle expired S3 URLs
+  return new VideoDownloader(
+    config.gong.accessKey,
+    config.gong.basicToken,
+    config.storage.videoPath,
+    async (callId, mediaType) => {
+      try {
+        // Try to get a fresh URL for this call ID, audio URLs are only signed as part of the extensive call data
+        const refreshedUrl = mediaType === 'audio'
+          ? (await gongExport.getCallMediaUrls(callId)).audioUrl
+          : await gongExport.getSignedMediaUrl(callId);
+        if (refreshedUrl) {
+          logger.info(`Successfully refreshed URL for call ${callId}`);
+          return refreshedUrl;
+        }
+      } catch (error) {
+        logger.warn(`Failed to refresh URL for call ${callId}: ${error.message}`);
+      }
+      return null;
+    },
+    {
+      exportDir,
+      rateLimiter: gongExport.rateLimiter,
+      retryPolicy: gongExport.retryPolicy,
+      ...downloadOptions
+    }
+  );
+};
+
+/**
+ * Count what an export retrieved, for summaries
+ * @param {Object} exportedData The exported data, keyed by dataset
+ * @returns {Object} Map of dataset to its record count, or 'exported' for datasets that aren't lists
+ */
+const summarizeExport = (exportedData) => {
+  return Object.fromEntries(Object.entries(exportedData).map(([key, value]) => {
+    if (Array.isArray(value)) {
+      return [key, value.length];
+    }
+    if (value && typeof value.count === 'number') {
+      return [key, value.count];
+    }
+    if (value && value.records && typeof value.records.retrievedRecords === 'number') {
+      return [key, value.records.retrievedRecords];
+    }
+    return [key, 'exported'];
+  }));
+};
+
+/**
+ * Get the directory name of a workspace's export tree
+ * @param {Object} workspace The workspace ({ id, name })
+ * @returns {string} The directory name, from the workspace name and ID
+ */
+const workspaceDirectoryName = (workspace) => {
+  const slug = (workspace.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  return slug ? `${slug}_${workspace.id}` : String(workspace.id);
+};
+
+/**
+ * Export every workspace into its own output tree
+ * Each workspace is exported to workspaces/<name>_<id>/ with its own sync state, recordings and
+ * summary, and an index of the workspaces is saved at the top of the output directory.
+ * @param {Object} options Export options, as for exportGongData
+ * @returns {Promise<Object>} The workspace index, saved files and the errors of every workspace
+ */
+async function exportWorkspaces(options = {}) {
+  const { outputDir = DEFAULT_EXPORT_DIR, dryRun = false, encryption = config.encryption, signal = null } = options;
+  const exportDir = path.resolve(outputDir);
+  const cipher = createCipher(encryption);
+  const { exportStorage } = createExportStorages(config.storage, exportDir, '', { cipher });
+
+  // Only one run at a time may write to the output tree, each workspace tree is locked again below it
+  const lock = dryRun ? null : new LockFile(path.join(exportDir, LockFile.LOCK_FILE_NAME)).acquire({ perWorkspace: true });
+
+  try {
+    const gongExport = new GongExport(
+      config.gong.apiUrl,
+      config.gong.basicToken,
+      { rateLimit: config.rateLimit, retry: config.retry }
+    );
+
+    let workspaces;
+    try {
+      workspaces = await gongExport.getWorkspaces();
+    } catch (error) {
+      logger.error('Unable to list workspaces, please check credentials and API URL');
+      throw new Error(`Failed to list workspaces: ${error.message}`);
+    }
+
+    logger.info(`Exporting ${workspaces.length} workspaces into separate output trees`);
+
+    const index = [];
+    const plans = [];
+    const errors = [];
+    const summaries = {};
+
+    for (const workspace of workspaces) {
+      // A stopped export leaves the remaining workspaces for the next run
+      if (signal && signal.aborted) {
+        errors.push({ resource: 'export', message: 'Stopped before exporting every workspace' });
+        break;
+      }
+      const storageSubPath = `workspaces/${workspaceDirectoryName(workspace)}`;
+      const workspaceDir = path.join(exportDir, storageSubPath);
+      const entry = { id: workspace.id, name: workspace.name || null, directory: storageSubPath };
+
+      try {
+        const result = await exportGongData({
+          ...options,
+          // Keys are kept next to the whole output tree, not inside it next to each workspace
+          redactionKeyDir: options.redactionKeyDir || defaultRedactionKeyDir(exportDir),
+          perWorkspace: false,
+          workspaceId: workspace.id,
+          outputDir: workspaceDir,
+          storageSubPath
+        });
+
+        if (result.plan) {
+          plans.push({ ...entry, plan: result.plan });
+          continue;
+        }
+
+        // Each tree gets its own summary, so a business unit can be handed just its own archive
+        const summary = {
+          workspace: { id: workspace.id, name: workspace.name || null, description: workspace.description || null },
+          resources: options.resources || DEFAULT_RESOURCES,
+          exported: summarizeExport(result.exportedData),
+          errors: result.errors,
+          combined: result.savedFiles.combined
+        };
+        const { exportStorage: workspaceStorage } = createExportStorages(config.storage, workspaceDir, storageSubPath, { cipher });
+        summaries[workspace.id] = await saveToFile(summary, `summary_${new Date().toISOString().replace(/:/g, '-')}.json`, workspaceStorage);
+
+        index.push({ ...entry, status: result.errors.length > 0 ? 'partial' : 'success', exported: summary.exported, summary: summaries[workspace.id] });
+        errors.push(...result.errors.map(error => ({ ...error, workspaceId: workspace.id })));
+      } catch (error) {
+        logger.error(`Export of workspace ${workspace.id} failed, continuing with other workspaces: ${error.message}`);
+        index.push({ ...entry, status: 'failed', error: error.message });
+        errors.push({ resource: 'workspace', workspaceId: workspace.id, message: error.message });
+      }
+    }
+
+    if (dryRun) {
+      return { exportedData: {}, savedFiles: {}, errors: [], plan: { dryRun: true, workspaces: plans } };
+    }
+
+    const indexPath = await saveToFile(index, `workspaces_${new Date().toISOString().replace(/:/g, '-')}.json`, exportStorage);
+    logger.info(`Exported ${index.filter(workspace => workspace.status !== 'failed').length} of ${workspaces.length} workspaces, index saved to ${indexPath}`);
+
+    return {
+      exportedData: { workspaces: index },
+      savedFiles: { combined: indexPath, summaries },
+      errors
+    };
+  } finally {
+    if (lock) {
+      lock.release();
+    }
+  }
+}
+
 /**
  * Main export function to retrieve data from Gong.io API
+ * @param {Object} options Export options
+ * @param {boolean} options.full Ignore the saved sync state and export the default date window
+ * @param {string} options.fromDateTime Optional ISO date to export from, bypasses the sync state
+ * @param {string} options.toDateTime Optional ISO date to export until, bypasses the sync state
+ * @param {Array<string>} options.resources Resources to export (default: all except engage)
+ * @param {boolean} options.enableVideoDownloads Set to false to skip video downloads (default: true)
+ * @param {string} options.outputDir Directory to write exports to (default: exports/)
+ * @param {boolean} options.dryRun Only check the API and report what would be exported
+ * @param {number} options.videoConcurrency Number of parallel video downloads (default: from config)
+ * @param {number} options.maxBytesPerSecond Combined video download speed cap (default: from config)
+ * @param {string} options.mediaMode Recordings to download for each call: 'video', 'audio' or 'both' (default: from config)
+ * @param {string} options.transcodeCodec Codec to transcode downloaded recordings to with ffmpeg (default: from config)
+ * @param {string} options.transcodeBitrate Bitrate to transcode downloaded recordings to with ffmpeg (default: from config)
+ * @param {boolean} options.extractAudio Also save the audio of downloaded videos as audio files (default: from config)
+ * @param {boolean} options.verifyDuration Probe the duration of downloaded recordings with ffprobe (default: from config, and always when processing recordings)
+ * @param {string} options.namingTemplate Template of recording file names and folders, e.g. {yyyy}/{mm}/{callId}_{title} (default: from config)
+ * @param {number} options.maxPathLength Maximum length of recording names below the video directory (default: from config)
+ * @param {Array<string>} options.userIds Optional list of user IDs to restrict analytics to
+ * @param {boolean} options.libraryRecordings Download the recordings of library calls into folders mirroring the library (default: false)
+ * @param {string} options.workspaceId Optional workspace ID to restrict calls, the library and Engage flows to
+ * @param {boolean} options.perWorkspace Export every workspace into its own output tree below workspaces/
+ * @param {string} options.storageSubPath Path of this export tree below the S3 prefix and custom video path (set for per-workspace exports)
+ * @param {string|Object} options.contentSelector Content preset ('minimal', 'media' or 'everything') or exposedFields object for extensive calls (default: from config)
+ * @param {string} options.format Output format of the datasets: 'json', 'ndjson' or 'csv' (default: from config)
+ * @param {string} options.sqlitePath Optional SQLite file to upsert calls, parties, users, transcripts and video download status into (default: from config)
+ * @param {boolean} options.redact Redact personal data from everything the export writes (default: from config)
+ * @param {string} options.redactionKeyDir Local directory to save the re-identification key to, outside the export directory (default: from config, or redaction_keys/ next to the export directory)
+ * @param {Object} options.encryption Encryption settings for every file written ({ mode, key, recipients, identityFile, agePath, gpgPath }, default: from config)
+ * @param {number} options.syncLookbackMinutes Start incremental call windows this many minutes before the last sync (default: from config)
+ * @param {AbortSignal} options.signal Signal to stop the export gracefully: recordings already downloading are finished, the checkpoint is saved and no further pages or resources are started
+ * @returns {Promise<Object>} The exported data (counts for the per-call datasets, which are written page by page), saved files and any per-resource errors
  */
-async function exportGongData() {
-  logger.info('Starting Gong.io data export process');
-  
+async function exportGongData(options = {}) {
+  const {
+    full = false,
+    fromDateTime,
+    toDateTime,
+    resources = DEFAULT_RESOURCES,
+    enableVideoDownloads = true,
+    outputDir = DEFAULT_EXPORT_DIR,
+    dryRun = false,
+    videoConcurrency = config.downloads.concurrency,
+    maxBytesPerSecond = config.downloads.maxBytesPerSecond,
+    mediaMode = config.downloads.mediaMode,
+    transcodeCodec = config.downloads.processing.codec,
+    transcodeBitrate = config.downloads.processing.bitrate,
+    extractAudio = config.downloads.processing.extractAudio,
+    verifyDuration = config.downloads.processing.verifyDuration,
+    namingTemplate = config.downloads.namingTemplate,
+    maxPathLength = config.downloads.maxPathLength,
+    userIds = null,
+    libraryRecordings = false,
+    workspaceId,
+    perWorkspace = false,
+    storageSubPath = '',
+    contentSelector = config.content.preset,
+    format = config.output.format,
+    sqlitePath = config.output.sqlitePath,
+    redact = config.redaction.enabled,
+    redactionKeyDir = config.redaction.keyDir,
+    encryption = config.encryption,
+    syncLookbackMinutes = config.sync.lookbackMinutes,
+    signal = null
+  } = options;
+
+  const unknownResources = resources.filter(resource => !RESOURCES.includes(resource));
+  if (unknownResources.length > 0) {
+    throw new Error(`Unknown resources: ${unknownResources.join(', ')} (valid resources: ${RESOURCES.join(', ')})`);
+  }
+
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown output format: ${format} (valid formats: ${OUTPUT_FORMATS.join(', ')})`);
+  }
+
+  if (!MEDIA_MODES.includes(mediaMode)) {
+    throw new Error(`Unknown media mode: ${mediaMode} (valid modes: ${MEDIA_MODES.join(', ')})`);
+  }
+
+  if (perWorkspace) {
+    return exportWorkspaces(options);
+  }
+
+  const exportDir = path.resolve(outputDir);
+  const shouldExport = resource => resources.includes(resource);
+  const downloadVideos = enableVideoDownloads && shouldExport('videos');
+  // Recordings are downloaded from the media URLs, so they are requested whatever the preset
+  const exposedFields = resolveExposedFields(contentSelector);
+  if (downloadVideos) {
+    exposedFields.media = true;
+  }
+  // Everything written is encrypted on the way out, nothing is stored in the clear
+  const cipher = createCipher(encryption);
+  const { exportStorage, videoStorage } = createExportStorages(config.storage, exportDir, storageSubPath, { cipher });
+  // Personal data is redacted before anything is written, the key to reverse it is saved outside the export
+  const redactor = redact ? new Redactor({
+    salt: config.redaction.salt,
+    emails: config.redaction.emails,
+    patterns: config.redaction.patterns
+  }) : null;
+  const keyDir = path.resolve(redactionKeyDir || defaultRedactionKeyDir(exportDir));
+  if (redactor && (keyDir === exportDir || keyDir.startsWith(`${exportDir}${path.sep}`))) {
+    throw new Error(`The redaction key directory ${keyDir} must be outside the export directory ${exportDir}`);
+  }
+  const redactRecords = records => (redactor ? redactor.redactRecords(records) : records);
+  if (redactor && downloadVideos) {
+    logger.warn('Recordings are not redacted, leave out videos when sharing a redacted export');
+  }
+  // Recordings are only handed to ffmpeg when they are transcoded, their audio is extracted or their duration is checked
+  const mediaProcessing = transcodeCodec || transcodeBitrate || extractAudio || verifyDuration
+    ? { codec: transcodeCodec || null, bitrate: transcodeBitrate || null, extractAudio: Boolean(extractAudio) }
+    : null;
+  if (cipher && !cipher.canDecrypt() && (mediaProcessing || sqlitePath)) {
+    throw new Error(`Processing recordings and updating the SQLite database read back what was written, which needs the identity to decrypt ${cipher.mode} files (set GONG_AGE_IDENTITY_FILE)`);
+  }
+  const mediaProcessor = mediaProcessing ? new MediaProcessor({
+    ...mediaProcessing,
+    ffmpegPath: config.downloads.processing.ffmpegPath,
+    ffprobePath: config.downloads.processing.ffprobePath
+  }) : null;
+  const downloadOptions = {
+    concurrency: videoConcurrency,
+    maxBytesPerSecond,
+    storage: videoStorage,
+    exportStorage,
+    mediaMode,
+    mediaProcessor,
+    namingTemplate: validateTemplate(namingTemplate),
+    maxPathLength,
+    signal
+  };
+  const stopped = () => Boolean(signal && signal.aborted);
+
+  logger.info(`Starting Gong.io data export process (${full ? 'full' : 'incremental'} mode)`);
+  logger.info(`Exporting resources: ${resources.join(', ')} to ${exportStorage.describe()}${workspaceId ? ` for workspace ${workspaceId}` : ''}`);
+  if (cipher) {
+    logger.info(`Encrypting every file written with ${cipher.mode}, interrupted page retrievals will start over`);
+  }
+
+  // Only one run at a time may write to the export tree, dry runs only read it
+  const lock = dryRun ? null : new LockFile(path.join(exportDir, LockFile.LOCK_FILE_NAME)).acquire({ resources });
+
   try {
     // Initialize Gong API client
     const gongExport = new GongExport(
       config.gong.apiUrl,
-      config.gong.basicToken
+      config.gong.basicToken,
+      { rateLimit: config.rateLimit, retry: config.retry }
     );
-    
+
     // Check API status first
     try {
       const apiStatus = await gongExport.checkApiStatus();
@@ -49,253 +510,601 @@ async function exportGongData() {
       logger.error('Unable to connect to Gong API, please check credentials and API URL');
       throw new Error('Failed to connect to Gong API');
     }
-    
+
+    // Load the checkpoint left by the previous run, retrieved pages are only kept in the clear when not encrypting
+    const syncState = new SyncState(exportDir, { keepPages: !cipher }).load();
+    if (config.storage.driver !== 'local') {
+      logger.info(`Sync state is kept locally in ${exportDir}, runs on other hosts do not see it`);
+    }
+
+    // Retrieve the last 90 days of extensive call data on the first run, then continue from the last sync
+    const defaultFromDateTime = new Date(Date.now() - DEFAULT_EXTENSIVE_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    // Call windows look back before the last sync for calls Gong processed late, analytics are cut to whole days instead
+    const lookbackMs = syncLookbackMinutes * 60 * 1000;
+    const callsWindowOptions = { full, fromDateTime, toDateTime, lookbackMs };
+    const workspaceFilter = workspaceId ? { workspaceId } : {};
+    const extensiveWindowOptions = { full, fromDateTime, toDateTime, defaultFromDateTime, lookbackMs };
+    const analyticsWindowOptions = { full, fromDateTime, toDateTime, defaultFromDateTime };
+
+    // In a dry run only report what would be exported
+    if (dryRun) {
+      const plan = {
+        dryRun: true,
+        exportDir: exportStorage.describe(),
+        videoDir: videoStorage.describe(),
+        resources,
+        workspaceId: workspaceId || null,
+        videoDownloads: downloadVideos,
+        mediaMode,
+        mediaProcessing,
+        namingTemplate,
+        format,
+        sqlitePath: sqlitePath || null,
+        redaction: redactor ? { ...redactor.describe(), keyDir } : null,
+        encryption: cipher ? cipher.describe() : null,
+        exposedFields,
+        windows: {
+          calls: syncState.resolveWindow('calls', callsWindowOptions),
+          extensiveCalls: syncState.resolveWindow('extensiveCalls', extensiveWindowOptions),
+          analytics: syncState.resolveWindow('analytics', analyticsWindowOptions)
+        }
+      };
+      logger.info('Dry run complete, nothing was exported', { plan });
+      return { exportedData: {}, savedFiles: {}, errors: [], plan };
+    }
+
     // Export different types of data
+    // Per-call datasets are written a page at a time, only their counts are kept here
     const exportedData = {};
+    const errors = [];
+    // Files written for each dataset, listed in the combined file
+    const files = {};
+    const addFile = (dataset, location) => {
+      files[dataset] = files[dataset] || [];
+      if (!files[dataset].includes(location)) {
+        files[dataset].push(location);
+      }
+      return location;
+    };
+    const save = (data, filename) => saveToFile(data, filename, exportStorage);
 
-    try {
-      // Export and save call data
-      exportedData.calls = await gongExport.exportCallData();
-      saveToFile(exportedData.calls, `calls_${new Date().toISOString().replace(/:/g, '-')}.json`);
-      logger.info('Successfully exported call data');
-      
-      // NOTE: Uncomment the following lines if you have the necessary API scopes
-      // (requires api:calls:read:extensive and api:calls:read:media-url scopes)
-      // 
-      // try {
-      //   const callsWithMedia = await gongExport.exportCallDataWithMedia();
-      //   saveToFile(callsWithMedia, `calls_with_media_${new Date().toISOString().replace(/:/g, '-')}.json`);
-      //   logger.info('Successfully exported call data with media URLs');
-      //   exportedData.callsWithMedia = callsWithMedia;
-      // } catch (error) {
-      //   logger.error('Failed to export call data with media URLs, verify your API credentials have the required scopes');
-      // }
-      
-      // Set this to false to disable video download attempts
-      const enableVideoDownloads = true;
-      
-      // Export extensive call data with video URLs
+    // CSV writes the flattened tables, datasets without a table are written as JSON
+    const openRecordWriter = (name, options = {}) => createRecordWriter(exportStorage, name, {
+      format: format === 'csv' && !options.table ? 'json' : format,
+      table: options.table,
+      key: options.key
+    });
+    // Datasets that are not a list of records (options.data) are saved as they are in JSON
+    const saveRecords = async (dataset, records, name, options = {}) => {
+      if (options.data !== undefined && (format === 'json' || (format === 'csv' && !options.table))) {
+        return addFile(dataset, await save(options.data, `${name}.json`));
+      }
+      return addFile(dataset, await streamRecords(openRecordWriter(name, options), writer => writer.write(records)));
+    };
+    // Stages that run for every page of calls report their first error and are skipped for the remaining pages
+    const failedStages = new Set();
+    const runStage = async (resource, description, run) => {
+      if (failedStages.has(resource)) {
+        return;
+      }
       try {
-        logger.info('Trying to export extensive call data which includes video URLs');
-        
-        // Set the date range for the last 90 days by default (to get more historical data)
-        const toDateTime = new Date().toISOString();
-        const fromDateTime = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString();
-        
-        logger.info(`Retrieving extensive call data from ${fromDateTime} to ${toDateTime}`);
-        
-        // Get all extensive call data with pagination
-        const extensiveCalls = await gongExport.getAllExtensiveCallData({
-          fromDateTime,
-          toDateTime
-        });
-        
-        if (extensiveCalls && extensiveCalls.length > 0) {
-          logger.info(`Successfully retrieved ${extensiveCalls.length} calls with extensive data`);
-          
-          // Save the extensive call data
-          saveToFile(extensiveCalls, `extensive_calls_${new Date().toISOString().replace(/:/g, '-')}.json`);
-          exportedData.extensiveCalls = extensiveCalls;
-          
-          // Download videos if enabled
-          if (enableVideoDownloads) {
-            logger.info(`Found ${extensiveCalls.length} calls with extensive data, attempting to download videos`);
-            
-            // Initialize video downloader with custom storage path if configured
-            // Pass a URL refresh callback to handle expired S3 URLs
-            const videoDownloader = new VideoDownloader(
-              config.gong.accessKey,
-              config.gong.basicToken,
-              config.storage.videoPath,
-              async (callId) => {
-                try {
-                  // Try to get a fresh URL for this call ID
-                  const refreshedUrl = await gongExport.getSignedMediaUrl(callId);
-                  if (refreshedUrl) {
-                    logger.info(`Successfully refreshed URL for call ${callId}`);
-                    return refreshedUrl;
-                  }
-                } catch (error) {
-                  logger.warn(`Failed to refresh URL for call ${callId}: ${error.message}`);
-                }
-                return null;
-              }
-            );
-            
-            // Download videos using the videoUrl field from extensive data
+        await run();
+      } catch (error) {
+        logger.error(`Error ${description}, continuing with other exports: ${error.message}`);
+        errors.push({ resource, message: error.message });
+        failedStages.add(resource);
+      }
+    };
+
+    // Rows are loaded into the database as they are exported, updating the rows of earlier runs
+    let sink = null;
+    if (sqlitePath) {
+      await runStage('sqlite', `opening ${sqlitePath}`, async () => {
+        sink = await SqliteSink.open(sqlitePath, { cipher });
+      });
+    }
+    const writeToSink = batch => (sink ? runStage('sqlite', `loading the export into ${sqlitePath}`, () => sink.write(batch)) : null);
+
+    // Call data is needed for transcripts, videos, CRM objects and Engage prospects even when it is not selected itself
+    const needsCallData = shouldExport('calls') || shouldExport('transcripts') || shouldExport('videos') ||
+      shouldExport('crm') || shouldExport('engage');
+    const needsCallContext = shouldExport('crm') || shouldExport('engage');
+
+    // User data is needed to attribute calls to reps even when it is not selected itself
+    let usersById = null;
+    if (shouldExport('users') || needsCallData) {
+      try {
+        // Export all users, including inactive users who have left the company
+        const users = await gongExport.exportUserData();
+        usersById = indexUsersById(users.users);
+
+        if (shouldExport('users')) {
+          exportedData.users = redactor ? { ...users, users: redactRecords(users.users) } : users;
+          await saveRecords('users', exportedData.users.users, `users_${new Date().toISOString().replace(/:/g, '-')}`, { data: exportedData.users, table: 'users' });
+          logger.info(`Successfully exported user data (${users.records.retrievedRecords} of ${users.records.totalRecords} users)`);
+
+          // Export extensive user data with the settings history of each user
+          const extensiveUsers = [];
+          for (const user of await gongExport.getAllExtensiveUsers()) {
             try {
-              const downloadedVideos = await videoDownloader.downloadVideosFromExtensiveCalls(extensiveCalls);
-              exportedData.videoDownloads = downloadedVideos;
-              
-              if (downloadedVideos.length > 0) {
-                logger.info(`Downloaded ${downloadedVideos.length} videos from extensive call data`);
-                saveToFile(downloadedVideos, `video_downloads_${new Date().toISOString().replace(/:/g, '-')}.json`);
-                
-                // Add note to the combined export about video downloads
-                exportedData.videoDownloadSummary = {
-                  totalCalls: extensiveCalls.length,
-                  successfulDownloads: downloadedVideos.length,
-                  videoDirectory: config.storage.videoPath || path.join(__dirname, '../exports/videos'),
-                  method: "extensive_calls_api"
-                };
-              } else {
-                logger.info('No videos were successfully downloaded from extensive call data');
-                
-                // Add note to the combined export about video downloads
-                exportedData.videoDownloadSummary = {
-                  totalCalls: extensiveCalls.length,
-                  successfulDownloads: 0,
-                  method: "extensive_calls_api",
-                  note: "Check failed_video_downloads_*.json for details on failures"
-                };
-              }
+              user.settingsHistory = await gongExport.getUserSettingsHistory(user.id);
             } catch (error) {
-              logger.error(`Error downloading videos from extensive call data: ${error.message}`);
+              logger.warn(`Could not retrieve settings history for user ${user.id}: ${error.message}`);
+              user.settingsHistory = null;
             }
+            extensiveUsers.push(redactor ? redactor.redactRecord(user) : user);
           }
-        } else {
-          logger.warn('No extensive call data retrieved, falling back to standard method');
-          
-          // Fallback to old method if extensive calls don't work
-          await downloadVideosUsingStandardMethod();
+          exportedData.extensiveUsers = extensiveUsers;
+          await saveRecords('extensiveUsers', extensiveUsers, `users_extensive_${new Date().toISOString().replace(/:/g, '-')}`);
+          await writeToSink({ users: extensiveUsers });
+
+          // Derive the manager hierarchy
+          exportedData.orgTree = buildOrgTree(exportedData.users.users);
+          await saveRecords('orgTree', exportedData.orgTree, `org_tree_${new Date().toISOString().replace(/:/g, '-')}`);
+          logger.info(`Successfully exported extensive user data and org tree for ${extensiveUsers.length} users`);
         }
       } catch (error) {
-        logger.error(`Error exporting extensive call data: ${error.message}`);
-        logger.info('Falling back to standard video download method');
-        
-        // Fallback to old method if extensive calls don't work
-        await downloadVideosUsingStandardMethod();
+        if (shouldExport('users')) {
+          logger.error('Error exporting user data, continuing with other exports');
+          errors.push({ resource: 'users', message: error.message });
+        } else {
+          logger.warn(`Could not retrieve users, call parties will not be resolved to users: ${error.message}`);
+        }
       }
-      
-      // Fallback method using the old approach for downloading videos
-      async function downloadVideosUsingStandardMethod() {
-        if (enableVideoDownloads && exportedData.calls && exportedData.calls.calls && Array.isArray(exportedData.calls.calls)) {
-          logger.info(`Found ${exportedData.calls.calls.length} calls, attempting to download videos using signed URLs (fallback method)`);
-          
-          // Initialize video downloader with custom storage path if configured
-          // Pass a refresh URL callback to handle expired URLs
-          const videoDownloader = new VideoDownloader(
-            config.gong.accessKey,
-            config.gong.basicToken,
-            config.storage.videoPath,
-            async (callId) => {
-              try {
-                // Try to get a fresh URL for this call ID
-                const refreshedUrl = await gongExport.getSignedMediaUrl(callId);
-                if (refreshedUrl) {
-                  logger.info(`Successfully refreshed URL for call ${callId} (fallback method)`);
-                  return refreshedUrl;
-                }
-              } catch (error) {
-                logger.warn(`Failed to refresh URL for call ${callId} (fallback method): ${error.message}`);
-              }
-              return null;
+    }
+
+    // Summaries of the exported calls for the library and the fallbacks, keyed by call ID
+    const callSummaries = new Map();
+    // The CRM objects linked to the calls, collected page by page from their context
+    const callContext = { objects: {}, callLinks: [] };
+
+    if (needsCallData && !stopped()) {
+      const videoDownloader = downloadVideos ? createVideoDownloader(gongExport, exportDir, downloadOptions) : null;
+      // Opened on the first page with records, so runs without transcripts or downloads leave no empty files
+      let transcriptsWriter = null;
+      let downloadsWriter = null;
+      let transcriptsDir = null;
+      let transcriptCount = 0;
+
+      // Export the transcripts of a page of calls
+      // Extensive call data is preferred since its parties carry the speaker IDs used in transcripts
+      const exportTranscripts = calls => runStage('transcripts', 'exporting transcript data', async () => {
+        const callsById = indexCallsById(calls);
+        if (callsById.size === 0) {
+          return;
+        }
+
+        for await (const page of gongExport.iterateTranscriptPages({ callIds: Array.from(callsById.keys()) })) {
+          const joined = redactRecords(page.callTranscripts.map(callTranscript => joinTranscriptWithCall(callTranscript, callsById.get(callTranscript.callId))));
+
+          // NDJSON exports hold one transcript per line, otherwise each is saved on its own
+          if (format === 'ndjson') {
+            transcriptsWriter = transcriptsWriter || openRecordWriter(`transcripts_${new Date().toISOString().replace(/:/g, '-')}`);
+            await transcriptsWriter.write(joined);
+          } else {
+            for (const transcript of joined) {
+              // Saved on its own so it can be archived alongside the recording
+              const datePrefix = transcript.started ? `${new Date(transcript.started).toISOString().split('T')[0]}_` : '';
+              transcriptsDir = path.dirname(await save(transcript, `transcripts/${datePrefix}${transcript.callId}.json`));
+            }
+          }
+
+          transcriptCount += joined.length;
+          await writeToSink({ transcripts: joined });
+        }
+      });
+
+      // Download the recordings of a page of calls with the given downloader method
+      const exportVideos = (calls, download) => runStage('videos', 'downloading videos', async () => {
+        const { downloaded, failed } = await download(calls);
+        if (downloaded.length > 0) {
+          downloadsWriter = downloadsWriter || openRecordWriter(`video_downloads_${new Date().toISOString().replace(/:/g, '-')}`, { table: 'videoDownloads' });
+          await downloadsWriter.write(downloaded);
+        }
+        await writeToSink({ videoDownloads: downloaded, failedVideoDownloads: failed });
+      });
+
+      // Handle every stage of a page of calls, so nothing is kept once the page is done
+      const exportCallsPage = async (calls, download) => {
+        if (shouldExport('transcripts')) {
+          await exportTranscripts(calls);
+        }
+        if (videoDownloader) {
+          await exportVideos(calls, download);
+        }
+      };
+
+      try {
+        // Export and save call data, writing each page as it arrives
+        // Without a sync state all calls are exported, later runs pick up from the last sync
+        const callRecords = { totalRecords: null, retrievedRecords: 0 };
+        const callsFile = await streamRecords(openRecordWriter(`calls_${new Date().toISOString().replace(/:/g, '-')}`, { table: 'calls', key: 'calls' }), async writer => {
+          const pages = untilStopped(pagesWithCheckpoint(syncState, 'calls', callsWindowOptions, window => redactPages(gongExport.iterateCallPages({ ...window, ...workspaceFilter }), 'calls', redactor), 'calls'), signal);
+          for await (const page of pages) {
+            await writer.write(page.calls);
+            await writeToSink({ calls: page.calls });
+            for (const call of page.calls) {
+              callSummaries.set(call.id, summarizeCall(call));
+            }
+
+            // Gong reports the total on every page, keep the first value we see
+            if (callRecords.totalRecords === null && typeof page.records.totalRecords === 'number') {
+              callRecords.totalRecords = page.records.totalRecords;
             }
-          );
-          
-          // Download videos with signed URLs
+            callRecords.retrievedRecords += page.calls.length;
+          }
+          if (callRecords.totalRecords === null) {
+            callRecords.totalRecords = callRecords.retrievedRecords;
+          }
+          return { records: callRecords };
+        });
+        addFile('calls', callsFile);
+        exportedData.calls = { records: callRecords };
+        logger.info(`Successfully exported call data (${callRecords.retrievedRecords} of ${callRecords.totalRecords} records)`);
+
+        // NOTE: Uncomment the following lines if you have the necessary API scopes
+        // (requires api:calls:read:extensive and api:calls:read:media-url scopes)
+        //
+        // try {
+        //   const callsWithMedia = await gongExport.exportCallDataWithMedia();
+        //   save(callsWithMedia, `calls_with_media_${new Date().toISOString().replace(/:/g, '-')}.json`);
+        //   logger.info('Successfully exported call data with media URLs');
+        //   exportedData.callsWithMedia = callsWithMedia;
+        // } catch (error) {
+        //   logger.error('Failed to export call data with media URLs, verify your API credentials have the required scopes');
+        // }
+
+        // Export extensive call data with video URLs, handling the transcripts and recordings of each page as it arrives
+        const extensiveCallIds = new Set();
+        let extensiveFailed = false;
+        try {
+          logger.info('Trying to export extensive call data which includes video URLs');
+
+          // The CSV format adds the flattened parties table
+          const timestamp = new Date().toISOString().replace(/:/g, '-');
+          const extensiveWriters = [['extensiveCalls', openRecordWriter(`extensive_calls_${timestamp}`)]];
+          if (format === 'csv') {
+            extensiveWriters.push(['parties', openRecordWriter(`parties_${timestamp}`, { table: 'parties' })]);
+          }
+
           try {
-            // Pass the gongExport instance to allow the downloader to get signed URLs
-            const downloadedVideos = await videoDownloader.downloadVideosForCalls(exportedData.calls.calls, gongExport);
-            exportedData.videoDownloads = downloadedVideos;
-            
-            if (downloadedVideos.length > 0) {
-              logger.info(`Downloaded ${downloadedVideos.length} videos from call recordings using signed URLs (fallback method)`);
-              saveToFile(downloadedVideos, `video_downloads_${new Date().toISOString().replace(/:/g, '-')}.json`);
-              
-              // Add note to the combined export about video downloads
-              exportedData.videoDownloadSummary = {
-                totalCalls: exportedData.calls.calls.length,
-                successfulDownloads: downloadedVideos.length,
-                videoDirectory: config.storage.videoPath || path.join(__dirname, '../exports/videos'),
-                method: "standard_fallback"
-              };
-            } else {
-              logger.info('No videos were successfully downloaded using fallback method');
-              
-              // Add note to the combined export about video downloads
-              exportedData.videoDownloadSummary = {
-                totalCalls: exportedData.calls.calls.length,
-                successfulDownloads: 0,
-                method: "standard_fallback",
-                note: "Check failed_video_downloads_*.json for details on failures"
-              };
+            const pages = untilStopped(pagesWithCheckpoint(
+              syncState,
+              'extensiveCalls',
+              extensiveWindowOptions,
+              // The CRM objects linked to each call come from its context
+              window => redactPages(gongExport.iterateExtensiveCallPages({
+                ...window,
+                ...workspaceFilter,
+                contentSelector: exposedFields,
+                context: needsCallContext ? 'Extended' : undefined
+              }), 'calls', redactor),
+              'calls'
+            ), signal);
+            for await (const page of pages) {
+              // Attribute calls to users, including reps who have since left, and redact the user details this adds
+              const calls = usersById ? redactRecords(resolveCallParties(page.calls, usersById)) : page.calls;
+
+              for (const [, writer] of extensiveWriters) {
+                await writer.write(calls);
+              }
+              await writeToSink({ extensiveCalls: calls });
+              if (needsCallContext) {
+                extractCallContext(calls, callContext);
+              }
+              for (const call of calls) {
+                extensiveCallIds.add(call.metaData.id);
+                callSummaries.set(call.metaData.id, summarizeCall(call));
+              }
+
+              await exportCallsPage(calls, pageCalls => videoDownloader.downloadExtensiveCallsPage(pageCalls));
+            }
+
+            for (const [dataset, writer] of extensiveWriters) {
+              addFile(dataset, await writer.close());
             }
           } catch (error) {
-            logger.error(`Error downloading videos using fallback method: ${error.message}`);
+            for (const [, writer] of extensiveWriters) {
+              await writer.abort();
+            }
+            throw error;
+          }
+
+          if (extensiveCallIds.size > 0) {
+            exportedData.extensiveCalls = { count: extensiveCallIds.size };
+            logger.info(`Successfully exported ${extensiveCallIds.size} calls with extensive data`);
+          } else {
+            logger.warn('No extensive call data retrieved, falling back to standard method');
           }
+        } catch (error) {
+          // A stopped export resumes on the next run instead of falling back
+          if (stopped()) {
+            throw error;
+          }
+          logger.error(`Error exporting extensive call data: ${error.message}`);
+          errors.push({ resource: 'extensiveCalls', message: error.message });
+          logger.info('Falling back to standard video download method');
+          extensiveFailed = true;
+        }
+
+        // Fallback using the standard call data for the calls the extensive data didn't cover
+        if (extensiveFailed || extensiveCallIds.size === 0) {
+          const remainingCalls = Array.from(callSummaries.values()).filter(call => !extensiveCallIds.has(call.id));
+          if (remainingCalls.length > 0) {
+            logger.info(`Found ${remainingCalls.length} calls without extensive data, using signed URLs for their videos (fallback method)`);
+          }
+          for (let i = 0; i < remainingCalls.length; i += FALLBACK_PAGE_SIZE) {
+            await exportCallsPage(remainingCalls.slice(i, i + FALLBACK_PAGE_SIZE), pageCalls => videoDownloader.downloadCallsPage(pageCalls, gongExport));
+          }
+        }
+
+        if (shouldExport('transcripts') && !failedStages.has('transcripts')) {
+          exportedData.transcripts = { count: transcriptCount };
+          logger.info(`Successfully exported ${transcriptCount} transcripts`);
+        }
+
+        if (videoDownloader) {
+          await runStage('videos', 'saving the video download records', async () => {
+            const downloadedFiles = await videoDownloader.finishDownloads();
+            exportedData.videoDownloads = { count: downloadedFiles.length, failed: videoDownloader.failedDownloads.length };
+
+            // Add note to the combined export about video downloads
+            const method = extensiveCallIds.size > 0 ? 'extensive_calls_api' : 'standard_fallback';
+            exportedData.videoDownloadSummary = downloadedFiles.length > 0 ? {
+              totalCalls: downloadedFiles.length + videoDownloader.failedDownloads.length,
+              successfulDownloads: downloadedFiles.length,
+              videoDirectory: videoDownloader.getDownloadsDir(),
+              manifest: videoDownloader.manifestPath,
+              method
+            } : {
+              totalCalls: videoDownloader.failedDownloads.length,
+              successfulDownloads: 0,
+              method,
+              note: "Check failed_video_downloads_*.json for details on failures"
+            };
+            logger.info(`Downloaded ${downloadedFiles.length} videos (${method})`);
+          });
+        } else {
+          // If video downloads are disabled, log a message
+          logger.info('Video downloads are disabled. Remove --no-videos or include "videos" in --resources to enable.');
+          exportedData.videoDownloadSummary = {
+            enabled: false,
+            note: "Video downloads are disabled for this run."
+          };
+        }
+      } catch (error) {
+        logger.error('Error exporting call data, continuing with other exports');
+        errors.push({ resource: 'calls', message: error.message });
+      } finally {
+        // A failed transcript export leaves no partial file, downloaded recordings are always listed
+        if (transcriptsWriter) {
+          if (failedStages.has('transcripts')) {
+            await transcriptsWriter.abort();
+          } else {
+            addFile('transcripts', await transcriptsWriter.close());
+          }
+        }
+        if (transcriptsDir) {
+          addFile('transcripts', transcriptsDir);
+        }
+        if (downloadsWriter) {
+          addFile('videoDownloads', await downloadsWriter.close());
+        }
+        // Recordings downloaded before a stop are still listed in a manifest
+        if (videoDownloader && stopped() && !videoDownloader.manifestPath) {
+          await runStage('videos', 'saving the video download records', async () => {
+            const downloadedFiles = await videoDownloader.finishDownloads();
+            exportedData.videoDownloads = { count: downloadedFiles.length, failed: videoDownloader.failedDownloads.length };
+          });
+        }
+        if (videoDownloader && videoDownloader.manifestPath) {
+          addFile('videoManifest', videoDownloader.manifestPath);
         }
       }
-      
-      // If video downloads are disabled, log a message
-      if (!enableVideoDownloads) {
-        logger.info('Video downloads are disabled. Set enableVideoDownloads to true in src/export.js to enable.');
-        exportedData.videoDownloadSummary = {
-          enabled: false,
-          note: "Video downloads are disabled. Edit src/export.js to enable this feature."
-        };
+    }
+
+    if (shouldExport('library') && !stopped()) {
+      try {
+        const library = await gongExport.exportLibraryData(workspaceFilter);
+
+        // Tie entries to their calls, fetching the extensive data of calls outside this export's window
+        const callsById = new Map(callSummaries);
+        const libraryCallIds = new Set(library.flatMap(folder => folder.calls.map(entry => entry.callId || entry.id)));
+        const missingCallIds = Array.from(libraryCallIds).filter(callId => !callsById.has(callId));
+        for (let i = 0; i < missingCallIds.length; i += 100) {
+          const libraryCalls = await gongExport.getAllExtensiveCallData({
+            callIds: missingCallIds.slice(i, i + 100),
+            contentSelector: libraryRecordings ? { ...exposedFields, media: true } : exposedFields
+          });
+          for (const [callId, call] of indexCallsById(libraryCalls)) {
+            callsById.set(callId, call);
+          }
+        }
+
+        exportedData.library = redactRecords(library.map(folder => ({ ...folder, calls: linkLibraryEntries(folder.calls, callsById) })));
+        await saveRecords('library', exportedData.library, `library/folders_${new Date().toISOString().replace(/:/g, '-')}`);
+        logger.info(`Successfully exported ${exportedData.library.length} library folders`);
+
+        if (libraryRecordings && enableVideoDownloads) {
+          const videoDownloader = createVideoDownloader(gongExport, exportDir, downloadOptions);
+          exportedData.libraryDownloads = await videoDownloader.downloadVideosForLibrary(exportedData.library, gongExport);
+          if (videoDownloader.manifestPath) {
+            addFile('videoManifest', videoDownloader.manifestPath);
+          }
+          logger.info(`Downloaded ${exportedData.libraryDownloads.length} library recordings to ${videoDownloader.getDownloadsDir()}/library`);
+        }
+      } catch (error) {
+        logger.error('Error exporting call library, continuing with other exports');
+        errors.push({ resource: 'library', message: error.message });
       }
-    } catch (error) {
-      logger.error('Error exporting call data, continuing with other exports');
     }
 
-    try {
-      // Export and save user data
-      exportedData.users = await gongExport.exportUserData();
-      saveToFile(exportedData.users, `users_${new Date().toISOString().replace(/:/g, '-')}.json`);
-      logger.info('Successfully exported user data');
-    } catch (error) {
-      logger.error('Error exporting user data, continuing with other exports');
+    if (shouldExport('crm') && !stopped()) {
+      try {
+        // Export the CRM objects linked to the exported calls
+        const crm = await gongExport.exportCrmData({ context: callContext });
+        exportedData.crm = redactor ? {
+          ...crm,
+          integrations: redactRecords(crm.integrations),
+          objects: Object.fromEntries(Object.entries(crm.objects).map(([objectType, objectsOfType]) => [
+            objectType,
+            redactor.redactRecord(objectsOfType, { person: PERSON_OBJECT_TYPES.includes(objectType) })
+          ]))
+        } : crm;
+
+        // Save one file per object type keyed by CRM ID, plus the call links to join them on
+        const crmTimestamp = new Date().toISOString().replace(/:/g, '-');
+        await saveRecords('crm', exportedData.crm.integrations, `crm/integrations_${crmTimestamp}`);
+        for (const [objectType, objectsOfType] of Object.entries(exportedData.crm.objects)) {
+          const typeName = objectType.toLowerCase().replace(/[^a-z0-9_-]/g, '_');
+          await saveRecords('crm', Object.values(objectsOfType), `crm/${typeName}_${crmTimestamp}`, { data: objectsOfType });
+        }
+        await saveRecords('crm', exportedData.crm.callLinks, `crm/call_links_${crmTimestamp}`);
+        logger.info(`Successfully exported CRM data (${exportedData.crm.callLinks.length} call links)`);
+      } catch (error) {
+        logger.error('Error exporting CRM data, continuing with other exports');
+        errors.push({ resource: 'crm', message: error.message });
+      }
     }
 
-    try {
-      // Export and save CRM data
-      exportedData.crm = await gongExport.exportCrmData();
-      saveToFile(exportedData.crm, `crm_${new Date().toISOString().replace(/:/g, '-')}.json`);
-      logger.info('Successfully exported CRM data');
-    } catch (error) {
-      logger.error('Error exporting CRM data, continuing with other exports');
+    if (shouldExport('engage') && !stopped()) {
+      try {
+        // Flows are listed per owner, and prospects are the contacts and leads linked to the exported calls
+        const ownerEmails = usersById ? Array.from(usersById.values()).map(user => user.emailAddress).filter(Boolean) : [];
+        const crmProspectsIds = PROSPECT_OBJECT_TYPES.flatMap(objectType => Object.keys(callContext.objects[objectType] || {}));
+
+        const engage = await gongExport.exportEngageData({ ownerEmails, crmProspectsIds, ...workspaceFilter });
+        exportedData.engage = { ...engage, flows: redactRecords(engage.flows), prospects: redactRecords(engage.prospects) };
+
+        const engageTimestamp = new Date().toISOString().replace(/:/g, '-');
+        await saveRecords('engage', exportedData.engage.flows, `engage/flows_${engageTimestamp}`);
+        await saveRecords('engage', exportedData.engage.prospects, `engage/flow_prospects_${engageTimestamp}`);
+        logger.info(`Successfully exported Engage data (${exportedData.engage.flows.length} flows)`);
+      } catch (error) {
+        logger.error('Error exporting Engage data, continuing with other exports');
+        errors.push({ resource: 'engage', message: error.message });
+      }
     }
 
-    try {
-      // Export and save analytics data
-      exportedData.analytics = await gongExport.exportAnalyticsData();
-      saveToFile(exportedData.analytics, `analytics_${new Date().toISOString().replace(/:/g, '-')}.json`);
-      logger.info('Successfully exported analytics data');
-    } catch (error) {
-      logger.error('Error exporting analytics data, continuing with other exports');
+    if (shouldExport('analytics') && !stopped()) {
+      try {
+        // Stats are reported per day, so the window is cut to whole days (toDate is exclusive)
+        const analyticsWindow = syncState.resolveWindow('analytics', analyticsWindowOptions);
+        const fromDate = analyticsWindow.fromDateTime.split('T')[0];
+        const toDate = analyticsWindow.toDateTime.split('T')[0];
+
+        if (fromDate >= toDate) {
+          logger.info(`Analytics are up to date until ${toDate}, skipping analytics export`);
+        } else {
+          exportedData.analytics = await gongExport.exportAnalyticsData({ fromDate, toDate, userIds });
+
+          // Save each dataset on its own for the dashboards that consume them, NDJSON lines carry the window they cover
+          const analyticsTimestamp = new Date().toISOString().replace(/:/g, '-');
+          for (const [name, datasetRecords] of Object.entries(exportedData.analytics.datasets)) {
+            const records = redactRecords(datasetRecords);
+            await saveRecords(
+              'analytics',
+              records.map(record => ({ fromDate, toDate, ...record })),
+              `analytics/${ANALYTICS_FILES[name]}_${analyticsTimestamp}`,
+              { data: { fromDate, toDate, userIds, records } }
+            );
+          }
+
+          if (exportedData.analytics.errors.length > 0) {
+            const failed = exportedData.analytics.errors.map(error => `${error.dataset} (${error.message})`);
+            errors.push({ resource: 'analytics', message: `Failed to export ${failed.join(', ')}` });
+          } else {
+            // A run for a subset of users doesn't move the checkpoint for everyone else
+            if (!analyticsWindow.explicit && !userIds) {
+              syncState.complete('analytics', `${toDate}T00:00:00.000Z`);
+            }
+            logger.info(`Successfully exported analytics data from ${fromDate} to ${toDate}`);
+          }
+        }
+      } catch (error) {
+        logger.error('Error exporting analytics data, continuing with other exports');
+        errors.push({ resource: 'analytics', message: error.message });
+      }
+    }
+
+    if (stopped()) {
+      logger.warn('Export stopped before it finished, the next run continues from the saved checkpoint');
+      errors.push({ resource: 'export', message: 'Stopped before finishing, the next run continues from the saved checkpoint' });
+    }
+
+    // Save the database once everything has been loaded into it
+    let sqliteFilePath = null;
+    if (sink) {
+      await runStage('sqlite', `saving ${sqlitePath}`, async () => {
+        sqliteFilePath = await sink.save();
+        logger.info(`Successfully loaded the export into ${sqliteFilePath}`);
+      });
+      sink.close();
     }
 
-    // Save all exported data to a combined file
+    // The combined file lists the files of every dataset instead of repeating their records
     const timestamp = new Date().toISOString().replace(/:/g, '-');
-    const combinedFilePath = saveToFile(exportedData, `gong_export_${timestamp}.json`);
-    
-    logger.info('Data export completed successfully');
-    logger.info(`All data saved to ${combinedFilePath}`);
-    
+
+    // The re-identification key is saved locally, apart from the export it unlocks
+    let redactionKeyPath = null;
+    if (redactor && redactor.keyEntries().length > 0) {
+      const keyStorage = encryptStorage(createStorage({ driver: 'local' }, { localDir: keyDir }), cipher);
+      redactionKeyPath = await saveToFile({
+        ...redactor.describe(),
+        exportDir: exportStorage.describe(),
+        entries: redactor.keyEntries()
+      }, `redaction_key_${timestamp}.json`, keyStorage);
+      logger.info(`Saved the re-identification key of ${redactor.keyEntries().length} pseudonyms to ${redactionKeyPath}, keep it out of the shared export`);
+    }
+
+    const combinedFilePath = await save({
+      exportDir: exportStorage.describe(),
+      resources,
+      format,
+      exported: summarizeExport(exportedData),
+      files,
+      ...(sqliteFilePath ? { sqlite: sqliteFilePath } : {}),
+      ...(redactor ? { redaction: redactor.describe() } : {}),
+      ...(cipher ? { encryption: cipher.describe() } : {}),
+      ...(exportedData.videoDownloadSummary ? { videoDownloadSummary: exportedData.videoDownloadSummary } : {}),
+      errors
+    }, `gong_export_${timestamp}.json`);
+
+    if (errors.length > 0) {
+      logger.warn(`Data export completed with errors in: ${errors.map(error => error.resource).join(', ')}`);
+    } else {
+      logger.info('Data export completed successfully');
+    }
+    logger.info(`Export manifest saved to ${combinedFilePath}`);
+
     return {
       exportedData,
       savedFiles: {
-        combined: combinedFilePath
-      }
+        combined: combinedFilePath,
+        ...(sqliteFilePath ? { sqlite: sqliteFilePath } : {}),
+        ...(redactionKeyPath ? { redactionKey: redactionKeyPath } : {})
+      },
+      errors
     };
   } catch (error) {
     logger.error('Fatal error during export process', { error: error.message });
     throw error;
+  } finally {
+    if (lock) {
+      lock.release();
+    }
   }
 }
 
-// Execute the export function if this module is run directly
+// Execute the export command if this module is run directly
 if (require.main === module) {
-  exportGongData()
-    .then(data => {
-      logger.info('Export complete');
-      process.exit(0);
-    })
-    .catch(error => {
-      logger.error('Export failed', { error: error.message });
-      process.exit(1);
+  require('./cli').run(['export', ...process.argv.slice(2)])
+    .then(exitCode => {
+      process.exit(exitCode);
     });
 }
 
 module.exports = exportGongData;
+module.exports.RESOURCES = RESOURCES;
+module.exports.DEFAULT_RESOURCES = DEFAULT_RESOURCES;
+module.exports.summarizeExport = summarizeExport;
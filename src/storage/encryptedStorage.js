@@ -0,0 +1,159 @@
+const { Readable, pipeline } = require('stream');
+
+/**
+ * Storage driver that encrypts everything written through it before handing it to another driver
+ *
+ * Keys stay as the exporter names them, while the stored objects get the cipher's extension
+ * (e.g. calls.json is stored as calls.json.enc). Objects are read back decrypted.
+ */
+class EncryptedStorage {
+  /**
+   * Create a new EncryptedStorage instance
+   * @param {LocalStorage|S3Storage} storage The storage driver the encrypted objects are written to
+   * @param {AesGcmCipher|RecipientCipher} cipher The cipher from createCipher()
+   */
+  constructor(storage, cipher) {
+    this.storage = storage;
+    this.cipher = cipher;
+    this.encryption = cipher.mode;
+    // An encrypted file can't be extended, so interrupted downloads start over
+    this.supportsAppend = false;
+  }
+
+  /**
+   * Get the key an object is stored under
+   * @param {string} key The storage key
+   * @returns {string} The key with the cipher's extension
+   * @private
+   */
+  storedKey(key) {
+    return `${key}${this.cipher.extension}`;
+  }
+
+  /**
+   * Describe where a key is stored, for logs and summaries
+   * @param {string} key The storage key
+   * @returns {string} The location of the encrypted object
+   */
+  describe(key = '') {
+    return this.storage.describe(key ? this.storedKey(key) : '');
+  }
+
+  /**
+   * Get the size of a stored object
+   * Objects only appear once fully written, so an existing object is always complete.
+   * @param {string} key The storage key
+   * @returns {Promise<Object|null>} The object details ({ size, encrypted }), with the encrypted size, or null if it does not exist
+   */
+  async stat(key) {
+    const stats = await this.storage.stat(this.storedKey(key));
+    return stats ? { ...stats, encrypted: true } : null;
+  }
+
+  /**
+   * Check whether a stored object exists
+   * @param {string} key The storage key
+   * @returns {Promise<boolean>} True if the object exists
+   */
+  async exists(key) {
+    return this.storage.exists(this.storedKey(key));
+  }
+
+  /**
+   * Encrypt a string or buffer to a stored object
+   * @param {string} key The storage key
+   * @param {string|Buffer} data The content to write
+   * @returns {Promise<string>} The location of the written object
+   */
+  async writeFile(key, data) {
+    return this.writeStream(key, Readable.from([Buffer.from(data)]));
+  }
+
+  /**
+   * Encrypt a stream to a stored object
+   * Local files are written under a temporary name and renamed once complete, so a failed write
+   * never leaves a truncated object behind (S3 uploads only appear once complete anyway).
+   * @param {string} key The storage key
+   * @param {Readable} readable The stream to write
+   * @param {Object} options Optional settings
+   * @param {boolean} options.append Not supported, encrypted objects are always replaced
+   * @returns {Promise<string>} The location of the written object
+   */
+  async writeStream(key, readable, options = {}) {
+    if (options.append) {
+      throw new Error('Encrypted storage does not support appending');
+    }
+
+    const target = this.storedKey(key);
+    const writeKey = this.storage.supportsAppend ? `${target}.tmp` : target;
+    // Errors on either side destroy the whole chain, which makes the inner write fail
+    const encrypted = pipeline(readable, this.cipher.encryptStream(), () => {});
+
+    try {
+      await this.storage.writeStream(writeKey, encrypted);
+      if (writeKey !== target) {
+        await this.storage.rename(writeKey, target);
+      }
+    } catch (error) {
+      encrypted.destroy();
+      await this.storage.delete(writeKey).catch(() => {});
+      throw error;
+    }
+    return this.storage.describe(target);
+  }
+
+  /**
+   * Read and decrypt a stored object as a string
+   * @param {string} key The storage key
+   * @returns {Promise<string>} The object content
+   */
+  async readFile(key) {
+    const chunks = [];
+    for await (const chunk of await this.createReadStream(key)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  }
+
+  /**
+   * Open a stored object for streaming, decrypted
+   * The stream fails at the end if the object doesn't authenticate, so its content is only
+   * trustworthy once it ended without an error.
+   * @param {string} key The storage key
+   * @returns {Promise<Readable>} The decrypted content stream
+   */
+  async createReadStream(key) {
+    const stream = await this.storage.createReadStream(this.storedKey(key));
+    return pipeline(stream, this.cipher.decryptStream(), () => {});
+  }
+
+  /**
+   * Move a stored object to a new key
+   * @param {string} fromKey The current storage key
+   * @param {string} toKey The new storage key
+   */
+  async rename(fromKey, toKey) {
+    await this.storage.rename(this.storedKey(fromKey), this.storedKey(toKey));
+  }
+
+  /**
+   * Delete a stored object if it exists
+   * @param {string} key The storage key
+   */
+  async delete(key) {
+    await this.storage.delete(this.storedKey(key));
+  }
+
+  /**
+   * List the keys of all encrypted objects below a prefix
+   * @param {string} prefix Optional key prefix (a directory) to list
+   * @returns {Promise<Array<string>>} The storage keys, without the cipher's extension
+   */
+  async list(prefix = '') {
+    const { extension } = this.cipher;
+    const keys = await this.storage.list(prefix);
+    return keys.filter(key => key.endsWith(extension)).map(key => key.slice(0, -extension.length));
+  }
+}
+
+module.exports = EncryptedStorage;
@@ -0,0 +1,70 @@
+const path = require('path');
+const EncryptedStorage = require('./encryptedStorage');
+const LocalStorage = require('./localStorage');
+
+/**
+ * Create the storage driver for an area of the export (JSON exports or videos)
+ *
+ * The local driver writes below `localDir`. The S3 driver mirrors the same layout in the bucket,
+ * below the configured key prefix followed by `s3Prefix`.
+ * @param {Object} storageConfig The storage section of the config ({ driver, s3 })
+ * @param {Object} location Where the area lives
+ * @param {string} location.localDir Directory used by the local driver
+ * @param {string} location.s3Prefix Key prefix used by the S3 driver, relative to the configured prefix
+ * @returns {LocalStorage|S3Storage} The storage driver
+ */
+function createStorage(storageConfig = {}, location = {}) {
+  const driver = storageConfig.driver || 'local';
+
+  if (driver === 'local') {
+    return new LocalStorage(location.localDir);
+  }
+
+  if (driver === 's3') {
+    // Loaded on demand so local-only setups don't pay for the AWS SDK
+    const S3Storage = require('./s3Storage');
+    const s3Config = storageConfig.s3 || {};
+    return new S3Storage({
+      ...s3Config,
+      prefix: [s3Config.prefix, location.s3Prefix].filter(Boolean).join('/')
+    });
+  }
+
+  throw new Error(`Unknown storage driver: ${driver} (expected "local" or "s3")`);
+}
+
+/**
+ * Wrap a storage driver so everything written through it is encrypted
+ * @param {LocalStorage|S3Storage} storage The storage driver
+ * @param {AesGcmCipher|RecipientCipher} cipher The cipher, or null to leave the driver as it is
+ * @returns {LocalStorage|S3Storage|EncryptedStorage} The storage driver
+ */
+function encryptStorage(storage, cipher) {
+  return cipher ? new EncryptedStorage(storage, cipher) : storage;
+}
+
+/**
+ * Create the storage drivers for an export's JSON files and its recordings
+ * @param {Object} storageConfig The storage section of the config ({ driver, videoPath, s3 })
+ * @param {string} exportDir Local directory the JSON files are written to
+ * @param {string} subPath Optional path of a separate export tree (e.g. 'workspaces/emea'), used below
+ *   the S3 prefix and the custom video path, which don't follow exportDir
+ * @param {Object} options Optional settings
+ * @param {AesGcmCipher|RecipientCipher} options.cipher Encrypt every file written with this cipher (default: none)
+ * @returns {Object} The storage drivers ({ exportStorage, videoStorage })
+ */
+function createExportStorages(storageConfig, exportDir, subPath = '', options = {}) {
+  return {
+    exportStorage: encryptStorage(createStorage(storageConfig, { localDir: exportDir, s3Prefix: subPath }), options.cipher),
+    videoStorage: encryptStorage(createStorage(storageConfig, {
+      localDir: storageConfig.videoPath ? path.join(storageConfig.videoPath, subPath) : path.join(exportDir, 'videos'),
+      s3Prefix: [subPath, 'videos'].filter(Boolean).join('/')
+    }), options.cipher)
+  };
+}
+
+module.exports = {
+  createExportStorages,
+  createStorage,
+  encryptStorage
+};
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Storage driver writing to a directory on the local filesystem (or a mounted network share)
+ */
+class LocalStorage {
+  /**
+   * Create a new LocalStorage instance
+   * @param {string} rootDir The directory all keys are relative to
+   */
+  constructor(rootDir) {
+    this.rootDir = path.resolve(rootDir);
+    // Local files can be appended to, which allows interrupted downloads to be resumed
+    this.supportsAppend = true;
+  }
+
+  /**
+   * Resolve a key to its path on disk
+   * @param {string} key The storage key (a relative path using forward slashes)
+   * @returns {string} The absolute file path
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, ...key.split('/'));
+    if (filePath !== this.rootDir && !filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Storage key escapes the storage root: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Describe where a key is stored, for logs and summaries
+   * @param {string} key The storage key
+   * @returns {string} The absolute file path
+   */
+  describe(key = '') {
+    return key ? this.resolve(key) : this.rootDir;
+  }
+
+  /**
+   * Get the size of a stored object
+   * @param {string} key The storage key
+   * @returns {Promise<Object|null>} The object details ({ size }), or null if it does not exist
+   */
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(key));
+      return stats.isFile() ? { size: stats.size } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a stored object exists
+   * @param {string} key The storage key
+   * @returns {Promise<boolean>} True if the object exists
+   */
+  async exists(key) {
+    return (await this.stat(key)) !== null;
+  }
+
+  /**
+   * Write a string or buffer to a stored object
+   * @param {string} key The storage key
+   * @param {string|Buffer} data The content to write
+   * @returns {Promise<string>} The location of the written object
+   */
+  async writeFile(key, data) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, data);
+    return filePath;
+  }
+
+  /**
+   * Stream data to a stored object
+   * @param {string} key The storage key
+   * @param {Readable} readable The stream to write
+   * @param {Object} options Optional settings
+   * @param {boolean} options.append Append to the existing object instead of replacing it
+   * @returns {Promise<string>} The location of the written object
+   */
+  async writeStream(key, readable, options = {}) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await pipeline(readable, fs.createWriteStream(filePath, { flags: options.append ? 'a' : 'w' }));
+    return filePath;
+  }
+
+  /**
+   * Read a stored object as a string
+   * @param {string} key The storage key
+   * @returns {Promise<string>} The object content
+   */
+  async readFile(key) {
+    return fs.promises.readFile(this.resolve(key), 'utf8');
+  }
+
+  /**
+   * Open a stored object for streaming
+   * @param {string} key The storage key
+   * @returns {Promise<Readable>} The object content stream
+   */
+  async createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  /**
+   * Move a stored object to a new key
+   * @param {string} fromKey The current storage key
+   * @param {string} toKey The new storage key
+   */
+  async rename(fromKey, toKey) {
+    const toPath = this.resolve(toKey);
+    await fs.promises.mkdir(path.dirname(toPath), { recursive: true });
+    await fs.promises.rename(this.resolve(fromKey), toPath);
+  }
+
+  /**
+   * Delete a stored object if it exists
+   * @param {string} key The storage key
+   */
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+
+  /**
+   * List the keys of all stored objects below a prefix
+   * @param {string} prefix Optional key prefix (a directory) to list
+   * @returns {Promise<Array<string>>} The storage keys
+   */
+  async list(prefix = '') {
+    const listDir = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return [];
+        }
+        throw error;
+      }
+
+      const keys = [];
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          keys.push(...await listDir(entryPath));
+        } else {
+          keys.push(path.relative(this.rootDir, entryPath).split(path.sep).join('/'));
+        }
+      }
+      return keys;
+    };
+
+    return listDir(prefix ? this.resolve(prefix) : this.rootDir);
+  }
+}
+
+module.exports = LocalStorage;
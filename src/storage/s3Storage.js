@@ -0,0 +1,219 @@
+const {
+  S3Client,
+  HeadObjectCommand,
+  PutObjectCommand,
+  GetObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const logger = require('../utils/logger');
+
+/**
+ * Storage driver writing to an S3-compatible object store (AWS S3, MinIO, Ceph, ...)
+ *
+ * Streams are uploaded with multipart uploads, so large recordings never have to be buffered in
+ * memory, and an object only becomes visible once its upload has completed.
+ */
+class S3Storage {
+  /**
+   * Create a new S3Storage instance
+   * @param {Object} options S3 settings
+   * @param {string} options.bucket The bucket name
+   * @param {string} options.prefix Optional key prefix all keys are relative to
+   * @param {string} options.region The bucket region (default: us-east-1)
+   * @param {string} options.endpoint Optional endpoint override for S3-compatible stores such as MinIO
+   * @param {boolean} options.forcePathStyle Use path-style addressing (bucket in the path instead of the host name)
+   * @param {string} options.accessKeyId Optional access key, the default AWS credential chain is used otherwise
+   * @param {string} options.secretAccessKey Optional secret key
+   * @param {number} options.partSize Multipart upload part size in bytes (default: 8 MB)
+   * @param {number} options.queueSize Number of parts uploaded in parallel (default: 4)
+   * @param {Object} options.requestHandler Optional HTTP request handler of the S3 client, e.g. one with custom timeouts
+   */
+  constructor(options = {}) {
+    if (!options.bucket) {
+      throw new Error('S3 storage requires a bucket name');
+    }
+
+    this.bucket = options.bucket;
+    this.prefix = (options.prefix || '').replace(/^\/+|\/+$/g, '');
+    this.partSize = options.partSize || 8 * 1024 * 1024;
+    this.queueSize = options.queueSize || 4;
+    // Objects cannot be appended to, downloads are uploaded in one multipart upload instead
+    this.supportsAppend = false;
+
+    this.client = new S3Client({
+      region: options.region || 'us-east-1',
+      endpoint: options.endpoint || undefined,
+      forcePathStyle: Boolean(options.forcePathStyle),
+      credentials: options.accessKeyId ? {
+        accessKeyId: options.accessKeyId,
+        secretAccessKey: options.secretAccessKey
+      } : undefined,
+      requestHandler: options.requestHandler
+    });
+  }
+
+  /**
+   * Resolve a key to the full object key including the prefix
+   * @param {string} key The storage key
+   * @returns {string} The object key
+   */
+  resolve(key) {
+    return [this.prefix, key].filter(Boolean).join('/');
+  }
+
+  /**
+   * Describe where a key is stored, for logs and summaries
+   * @param {string} key The storage key
+   * @returns {string} The s3:// URI of the object
+   */
+  describe(key = '') {
+    return `s3://${this.bucket}/${this.resolve(key)}`;
+  }
+
+  /**
+   * Get the size of a stored object
+   * @param {string} key The storage key
+   * @returns {Promise<Object|null>} The object details ({ size }), or null if it does not exist
+   */
+  async stat(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.resolve(key) }));
+      return { size: response.ContentLength };
+    } catch (error) {
+      if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a stored object exists
+   * @param {string} key The storage key
+   * @returns {Promise<boolean>} True if the object exists
+   */
+  async exists(key) {
+    return (await this.stat(key)) !== null;
+  }
+
+  /**
+   * Write a string or buffer to a stored object
+   * @param {string} key The storage key
+   * @param {string|Buffer} data The content to write
+   * @returns {Promise<string>} The location of the written object
+   */
+  async writeFile(key, data) {
+    await this.client.send(new PutObjectCommand({ Bucket: this.bucket, Key: this.resolve(key), Body: data }));
+    return this.describe(key);
+  }
+
+  /**
+   * Stream data to a stored object using a multipart upload
+   * @param {string} key The storage key
+   * @param {Readable} readable The stream to write
+   * @param {Object} options Optional settings
+   * @param {boolean} options.append Not supported by object stores
+   * @returns {Promise<string>} The location of the written object
+   */
+  async writeStream(key, readable, options = {}) {
+    if (options.append) {
+      throw new Error('S3 storage does not support appending to objects');
+    }
+
+    const upload = new Upload({
+      client: this.client,
+      params: { Bucket: this.bucket, Key: this.resolve(key), Body: readable },
+      partSize: this.partSize,
+      queueSize: this.queueSize,
+      leavePartsOnError: false
+    });
+
+    // Abort the multipart upload if the source stream fails, so no partial object is left behind
+    const onError = (error) => {
+      logger.warn(`Aborting upload of ${this.describe(key)}: ${error.message}`);
+      upload.abort().catch(() => {});
+    };
+    readable.once('error', onError);
+
+    try {
+      await upload.done();
+    } finally {
+      readable.removeListener('error', onError);
+    }
+
+    return this.describe(key);
+  }
+
+  /**
+   * Read a stored object as a string
+   * @param {string} key The storage key
+   * @returns {Promise<string>} The object content
+   */
+  async readFile(key) {
+    const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this.resolve(key) }));
+    return response.Body.transformToString('utf8');
+  }
+
+  /**
+   * Open a stored object for streaming
+   * @param {string} key The storage key
+   * @returns {Promise<Readable>} The object content stream
+   */
+  async createReadStream(key) {
+    const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this.resolve(key) }));
+    return response.Body;
+  }
+
+  /**
+   * Move a stored object to a new key (copy followed by delete)
+   * @param {string} fromKey The current storage key
+   * @param {string} toKey The new storage key
+   */
+  async rename(fromKey, toKey) {
+    await this.client.send(new CopyObjectCommand({
+      Bucket: this.bucket,
+      Key: this.resolve(toKey),
+      CopySource: `${this.bucket}/${this.resolve(fromKey).split('/').map(encodeURIComponent).join('/')}`
+    }));
+    await this.delete(fromKey);
+  }
+
+  /**
+   * Delete a stored object if it exists
+   * @param {string} key The storage key
+   */
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.resolve(key) }));
+  }
+
+  /**
+   * List the keys of all stored objects below a prefix
+   * @param {string} prefix Optional key prefix (a directory) to list
+   * @returns {Promise<Array<string>>} The storage keys
+   */
+  async list(prefix = '') {
+    const rootPrefix = this.prefix ? `${this.prefix}/` : '';
+    const listPrefix = prefix ? `${this.resolve(prefix).replace(/\/+$/, '')}/` : rootPrefix;
+    const keys = [];
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: listPrefix || undefined,
+        ContinuationToken: continuationToken
+      }));
+      for (const object of response.Contents || []) {
+        keys.push(object.Key.slice(rootPrefix.length));
+      }
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return keys;
+  }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,450 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { decryptBuffer, encryptBuffer } = require('../utils/encryption');
+
+// Relational schema of the database, created on first use
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS users (
+  id TEXT PRIMARY KEY,
+  email_address TEXT,
+  first_name TEXT,
+  last_name TEXT,
+  title TEXT,
+  phone_number TEXT,
+  manager_id TEXT REFERENCES users (id),
+  active INTEGER,
+  created TEXT,
+  data TEXT,
+  updated_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS calls (
+  id TEXT PRIMARY KEY,
+  url TEXT,
+  title TEXT,
+  scheduled TEXT,
+  started TEXT,
+  duration INTEGER,
+  direction TEXT,
+  system TEXT,
+  scope TEXT,
+  media TEXT,
+  language TEXT,
+  workspace_id TEXT,
+  primary_user_id TEXT REFERENCES users (id),
+  is_private INTEGER,
+  data TEXT,
+  updated_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS parties (
+  call_id TEXT NOT NULL REFERENCES calls (id) ON DELETE CASCADE,
+  party_id TEXT NOT NULL,
+  speaker_id TEXT,
+  user_id TEXT REFERENCES users (id),
+  name TEXT,
+  email_address TEXT,
+  title TEXT,
+  affiliation TEXT,
+  phone_number TEXT,
+  methods TEXT,
+  PRIMARY KEY (call_id, party_id)
+);
+
+CREATE TABLE IF NOT EXISTS transcript_sentences (
+  call_id TEXT NOT NULL REFERENCES calls (id) ON DELETE CASCADE,
+  sentence_index INTEGER NOT NULL,
+  speaker_id TEXT,
+  party_id TEXT,
+  topic TEXT,
+  start_ms INTEGER,
+  end_ms INTEGER,
+  text TEXT,
+  PRIMARY KEY (call_id, sentence_index)
+);
+
+CREATE TABLE IF NOT EXISTS video_downloads (
+  call_id TEXT PRIMARY KEY REFERENCES calls (id) ON DELETE CASCADE,
+  status TEXT NOT NULL,
+  file_path TEXT,
+  file_key TEXT,
+  size INTEGER,
+  sha256 TEXT,
+  source_host TEXT,
+  media_type TEXT,
+  media_duration REAL,
+  reason TEXT,
+  downloaded_at TEXT,
+  updated_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS parties_email_address ON parties (email_address);
+CREATE INDEX IF NOT EXISTS parties_user_id ON parties (user_id);
+CREATE INDEX IF NOT EXISTS calls_started ON calls (started);
+`;
+
+// Columns added to tables after they were first released, added to databases created before them
+const ADDED_COLUMNS = {
+  video_downloads: { media_type: 'TEXT', media_duration: 'REAL' }
+};
+
+const CALL_COLUMNS = {
+  id: 'id',
+  url: 'url',
+  title: 'title',
+  scheduled: 'scheduled',
+  started: 'started',
+  duration: 'duration',
+  direction: 'direction',
+  system: 'system',
+  scope: 'scope',
+  media: 'media',
+  language: 'language',
+  workspace_id: 'workspaceId',
+  primary_user_id: 'primaryUserId',
+  is_private: 'isPrivate'
+};
+
+/**
+ * Convert a value to something SQLite can store
+ * @param {*} value The value
+ * @returns {string|number|null} The value to bind
+ */
+function toSqlValue(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+/**
+ * Add the columns of ADDED_COLUMNS that a database created by an earlier release lacks
+ * @param {Object} db The sql.js database
+ */
+function addMissingColumns(db) {
+  for (const [table, columns] of Object.entries(ADDED_COLUMNS)) {
+    const [info] = db.exec(`PRAGMA table_info(${table})`);
+    const existing = new Set(info.values.map(row => row[1]));
+    for (const [column, type] of Object.entries(columns)) {
+      if (!existing.has(column)) {
+        db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+      }
+    }
+  }
+}
+
+/**
+ * Sink that upserts exported calls, parties, users, transcripts and video download status
+ * into a SQLite database file
+ *
+ * Rows are keyed by their Gong IDs, so repeated incremental runs update rows instead of
+ * duplicating them. The parties and transcript sentences of a call are replaced whenever the
+ * call is exported again.
+ */
+class SqliteSink {
+  /**
+   * Create a new SqliteSink instance, use SqliteSink.open to load a database file
+   * @param {Object} db The sql.js database
+   * @param {string} filePath The database file the sink saves to
+   * @param {AesGcmCipher|RecipientCipher} cipher Cipher the file is encrypted with (default: none)
+   */
+  constructor(db, filePath, cipher = null) {
+    this.db = db;
+    this.filePath = filePath;
+    this.cipher = cipher;
+  }
+
+  /**
+   * Open a database file, creating it and its tables if needed
+   * @param {string} filePath Path of the SQLite file
+   * @param {Object} options Optional settings
+   * @param {AesGcmCipher|RecipientCipher} options.cipher Keep the file encrypted with this cipher, stored with its extension (default: none)
+   * @returns {Promise<SqliteSink>} The sink
+   */
+  static async open(filePath, options = {}) {
+    // Loaded on demand so exports without a database don't pay for the SQLite engine
+    const initSqlJs = require('sql.js');
+    const SQL = await initSqlJs();
+    const { cipher = null } = options;
+    const resolvedPath = path.resolve(cipher ? `${filePath}${cipher.extension}` : filePath);
+
+    let db = new SQL.Database();
+    if (fs.existsSync(resolvedPath)) {
+      const data = fs.readFileSync(resolvedPath);
+      db = new SQL.Database(cipher ? await decryptBuffer(cipher, data) : data);
+    }
+
+    db.run('PRAGMA foreign_keys = ON');
+    db.exec(SCHEMA);
+    addMissingColumns(db);
+
+    return new SqliteSink(db, resolvedPath, cipher);
+  }
+
+  /**
+   * Run a statement for each set of parameters
+   * @param {string} sql The statement
+   * @param {Array<Array>} rows The parameters of each run
+   * @private
+   */
+  runEach(sql, rows) {
+    const statement = this.db.prepare(sql);
+    try {
+      for (const row of rows) {
+        statement.run(row.map(toSqlValue));
+      }
+    } finally {
+      statement.free();
+    }
+  }
+
+  /**
+   * Make sure users referenced by calls and parties exist, so foreign keys hold for users
+   * who were not exported in this run
+   * @param {Array<string>} userIds The referenced user IDs
+   * @private
+   */
+  ensureUsers(userIds) {
+    this.runEach('INSERT OR IGNORE INTO users (id) VALUES (?)', Array.from(new Set(userIds.filter(Boolean))).map(id => [id]));
+  }
+
+  /**
+   * Upsert users
+   * @param {Array} users Users as returned by /v2/users or /v2/users/extensive
+   * @param {string} updatedAt Time of the run
+   * @returns {number} The number of users written
+   * @private
+   */
+  writeUsers(users, updatedAt) {
+    this.ensureUsers(users.map(user => user.managerId));
+    this.runEach(`
+      INSERT INTO users (id, email_address, first_name, last_name, title, phone_number, manager_id, active, created, data, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET
+        email_address = excluded.email_address, first_name = excluded.first_name, last_name = excluded.last_name,
+        title = excluded.title, phone_number = excluded.phone_number, manager_id = excluded.manager_id,
+        active = excluded.active, created = excluded.created, data = excluded.data, updated_at = excluded.updated_at
+    `, users.map(user => [
+      user.id, user.emailAddress, user.firstName, user.lastName, user.title, user.phoneNumber,
+      user.managerId, user.active, user.created, user, updatedAt
+    ]));
+    return users.length;
+  }
+
+  /**
+   * Upsert calls
+   * @param {Array} calls Call metadata, from standard or extensive call data
+   * @param {string} updatedAt Time of the run
+   * @returns {number} The number of calls written
+   * @private
+   */
+  writeCalls(calls, updatedAt) {
+    const columns = Object.keys(CALL_COLUMNS);
+    this.ensureUsers(calls.map(call => call.primaryUserId));
+    this.runEach(`
+      INSERT INTO calls (${columns.join(', ')}, data, updated_at)
+      VALUES (${columns.map(() => '?').join(', ')}, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET
+        ${columns.slice(1).map(column => `${column} = excluded.${column}`).join(', ')},
+        data = excluded.data, updated_at = excluded.updated_at
+    `, calls.map(call => [...columns.map(column => call[CALL_COLUMNS[column]]), call, updatedAt]));
+    return calls.length;
+  }
+
+  /**
+   * Replace the parties of calls
+   * @param {Array} calls Extensive call data ({ metaData, parties })
+   * @returns {number} The number of parties written
+   * @private
+   */
+  writeParties(calls) {
+    const withParties = calls.filter(call => Array.isArray(call.parties));
+    const parties = withParties.flatMap(call => call.parties.map(party => ({ ...party, callId: call.metaData.id })));
+
+    this.runEach('DELETE FROM parties WHERE call_id = ?', withParties.map(call => [call.metaData.id]));
+    this.ensureUsers(parties.map(party => party.userId));
+    this.runEach(`
+      INSERT INTO parties (call_id, party_id, speaker_id, user_id, name, email_address, title, affiliation, phone_number, methods)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, parties.map(party => [
+      party.callId, party.id, party.speakerId, party.userId, party.name, party.emailAddress,
+      party.title, party.affiliation, party.phoneNumber, party.methods
+    ]));
+    return parties.length;
+  }
+
+  /**
+   * Replace the transcript sentences of calls
+   * @param {Array} transcripts Transcripts joined with their calls ({ callId, transcript })
+   * @returns {number} The number of sentences written
+   * @private
+   */
+  writeTranscripts(transcripts) {
+    const sentences = transcripts.flatMap(entry => (entry.transcript || []).flatMap(monologue =>
+      (monologue.sentences || []).map(sentence => ({ callId: entry.callId, monologue, sentence }))));
+
+    this.runEach('DELETE FROM transcript_sentences WHERE call_id = ?', transcripts.map(entry => [entry.callId]));
+    this.runEach(`
+      INSERT INTO transcript_sentences (call_id, sentence_index, speaker_id, party_id, topic, start_ms, end_ms, text)
+      VALUES (?, (SELECT COUNT(*) FROM transcript_sentences WHERE call_id = ?), ?, ?, ?, ?, ?, ?)
+    `, sentences.map(({ callId, monologue, sentence }) => [
+      callId, callId, monologue.speakerId, monologue.speaker ? monologue.speaker.partyId : null,
+      monologue.topic, sentence.start, sentence.end, sentence.text
+    ]));
+    return sentences.length;
+  }
+
+  /**
+   * Upsert the download status of call recordings
+   * A failure doesn't overwrite a recording that was downloaded by an earlier run, and the video is
+   * kept when both the video and the audio of a call were saved. Recordings skipped because they
+   * already exist come without their details, so the ones recorded by the earlier run are kept.
+   * @param {Array} downloads Download records ({ callId, filePath, fileKey, size, sha256, sourceHost, mediaType, mediaDuration, downloadedAt })
+   * @param {Array} failures Failure records ({ callId, reason, error })
+   * @param {string} updatedAt Time of the run
+   * @returns {number} The number of statuses written
+   * @private
+   */
+  writeVideoDownloads(downloads, failures, updatedAt) {
+    const recordings = new Map();
+    for (const download of downloads) {
+      if (!recordings.has(download.callId) || download.mediaType !== 'audio') {
+        recordings.set(download.callId, download);
+      }
+    }
+
+    this.runEach(`
+      INSERT INTO video_downloads (call_id, status, file_path, file_key, size, sha256, source_host, media_type, media_duration, reason, downloaded_at, updated_at)
+      VALUES (?, 'downloaded', ?, ?, ?, ?, ?, ?, ?, NULL, ?, ?)
+      ON CONFLICT (call_id) DO UPDATE SET
+        status = excluded.status, file_path = excluded.file_path, file_key = excluded.file_key,
+        size = COALESCE(excluded.size, video_downloads.size), sha256 = COALESCE(excluded.sha256, video_downloads.sha256),
+        source_host = COALESCE(excluded.source_host, video_downloads.source_host), media_type = excluded.media_type,
+        media_duration = COALESCE(excluded.media_duration, video_downloads.media_duration), reason = NULL,
+        downloaded_at = COALESCE(excluded.downloaded_at, video_downloads.downloaded_at), updated_at = excluded.updated_at
+    `, Array.from(recordings.values()).map(download => [
+      download.callId, download.filePath, download.fileKey, download.size, download.sha256,
+      download.sourceHost, download.mediaType || 'video', download.mediaDuration, download.downloadedAt, updatedAt
+    ]));
+    this.runEach(`
+      INSERT INTO video_downloads (call_id, status, reason, updated_at)
+      VALUES (?, 'failed', ?, ?)
+      ON CONFLICT (call_id) DO UPDATE SET status = excluded.status, reason = excluded.reason, updated_at = excluded.updated_at
+      WHERE video_downloads.status <> 'downloaded'
+    `, failures.map(failure => [failure.callId, failure.reason || failure.error, updatedAt]));
+    return recordings.size + failures.length;
+  }
+
+  /**
+   * Upsert a batch of exported records in one transaction
+   * An export writes each page of calls as it arrives, along with its transcripts and downloads.
+   * @param {Object} batch The records to write, every list is optional
+   * @param {Array} batch.users Users as returned by /v2/users or /v2/users/extensive
+   * @param {Array} batch.calls Standard call data
+   * @param {Array} batch.extensiveCalls Extensive call data ({ metaData, parties })
+   * @param {Array} batch.transcripts Transcripts joined with their calls ({ callId, transcript })
+   * @param {Array} batch.videoDownloads Download records ({ callId, filePath, size, sha256 })
+   * @param {Array} batch.failedVideoDownloads Failure records ({ callId, reason, error })
+   * @returns {Object} The number of rows written per table
+   */
+  write(batch) {
+    const updatedAt = new Date().toISOString();
+    const extensiveCalls = batch.extensiveCalls || [];
+    const standardCalls = batch.calls || [];
+    const knownCallIds = new Set([
+      ...standardCalls.map(call => call.id),
+      ...extensiveCalls.map(call => call.metaData.id)
+    ]);
+    // Only the status of calls that are in the database can be recorded
+    const inCalls = record => knownCallIds.has(record.callId) || this.hasCall(record.callId);
+
+    this.db.run('BEGIN');
+    try {
+      const counts = {
+        users: this.writeUsers(batch.users || [], updatedAt),
+        // Extensive metadata is written last so it wins over the standard call data
+        calls: this.writeCalls([...standardCalls, ...extensiveCalls.map(call => call.metaData)], updatedAt),
+        parties: this.writeParties(extensiveCalls),
+        transcriptSentences: this.writeTranscripts((batch.transcripts || []).filter(inCalls)),
+        videoDownloads: this.writeVideoDownloads(
+          (batch.videoDownloads || []).filter(inCalls),
+          (batch.failedVideoDownloads || []).filter(inCalls),
+          updatedAt
+        )
+      };
+      this.db.run('COMMIT');
+      return counts;
+    } catch (error) {
+      this.db.run('ROLLBACK');
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a call is in the database
+   * @param {string} callId The call ID
+   * @returns {boolean} True if the call has a row
+   * @private
+   */
+  hasCall(callId) {
+    const statement = this.db.prepare('SELECT 1 FROM calls WHERE id = ?');
+    try {
+      statement.bind([toSqlValue(callId)]);
+      return statement.step();
+    } finally {
+      statement.free();
+    }
+  }
+
+  /**
+   * Run a query, for reports and tests
+   * @param {string} sql The query
+   * @param {Array} params Optional parameters
+   * @returns {Array<Object>} The rows, keyed by column name
+   */
+  query(sql, params = []) {
+    const statement = this.db.prepare(sql);
+    try {
+      statement.bind(params.map(toSqlValue));
+      const rows = [];
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+      return rows;
+    } finally {
+      statement.free();
+    }
+  }
+
+  /**
+   * Save the database to its file, replacing it only once the new file is complete
+   * @returns {Promise<string>} The path of the database file
+   */
+  async save() {
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const data = Buffer.from(this.db.export());
+    await fs.promises.writeFile(tempPath, this.cipher ? await encryptBuffer(this.cipher, data) : data);
+    // Exporting reopens the database, which resets its pragmas
+    this.db.run('PRAGMA foreign_keys = ON');
+    await fs.promises.rename(tempPath, this.filePath);
+    logger.info(`Database saved to ${this.filePath}`);
+    return this.filePath;
+  }
+
+  /**
+   * Close the database
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteSink;
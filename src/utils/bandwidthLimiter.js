@@ -0,0 +1,81 @@
+const { Transform } = require('stream');
+
+/**
+ * Aggregate bandwidth limiter shared by all concurrent downloads
+ *
+ * Every chunk reserves a slot on a shared virtual clock advancing at the configured
+ * bytes-per-second rate, so the combined throughput of all streams stays under the cap.
+ */
+class BandwidthLimiter {
+  /**
+   * Create a new BandwidthLimiter instance
+   * @param {number} bytesPerSecond Maximum combined throughput in bytes per second
+   */
+  constructor(bytesPerSecond) {
+    if (!bytesPerSecond || bytesPerSecond <= 0) {
+      throw new Error('Bandwidth limit must be a positive number of bytes per second');
+    }
+    this.bytesPerSecond = bytesPerSecond;
+    this.nextAvailableTime = 0;
+  }
+
+  /**
+   * Reserve bandwidth for a number of bytes
+   * @param {number} bytes The number of bytes about to be transferred
+   * @returns {number} Milliseconds to wait before passing the bytes on
+   */
+  reserve(bytes) {
+    const now = Date.now();
+    const start = Math.max(now, this.nextAvailableTime);
+    this.nextAvailableTime = start + (bytes / this.bytesPerSecond) * 1000;
+    return start - now;
+  }
+
+  /**
+   * Create a transform stream that delays chunks to respect the shared limit
+   * @returns {Transform} The throttling stream
+   */
+  throttle() {
+    return new Transform({
+      transform: (chunk, encoding, callback) => {
+        const delay = this.reserve(chunk.length);
+        if (delay > 0) {
+          setTimeout(() => callback(null, chunk), delay);
+        } else {
+          callback(null, chunk);
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Parse a bandwidth value such as "500K", "10M" or "1G" (bytes per second)
+ * A value below one byte per second is rejected rather than read as no limit.
+ * @param {string|number} value The value to parse
+ * @returns {number|null} The number of bytes per second, or null when empty
+ */
+function parseBytesPerSecond(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  let bytesPerSecond = NaN;
+  if (typeof value === 'number') {
+    bytesPerSecond = Math.floor(value);
+  } else {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/i);
+    if (match) {
+      const multipliers = { '': 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+      bytesPerSecond = Math.floor(parseFloat(match[1]) * multipliers[match[2].toLowerCase()]);
+    }
+  }
+
+  if (!(bytesPerSecond >= 1)) {
+    throw new Error(`Invalid bandwidth value: ${value} (expected e.g. 500K, 10M or 1G)`);
+  }
+  return bytesPerSecond;
+}
+
+module.exports = BandwidthLimiter;
+module.exports.parseBytesPerSecond = parseBytesPerSecond;
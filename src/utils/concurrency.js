@@ -0,0 +1,32 @@
+/**
+ * Helpers for running asynchronous work with bounded concurrency
+ */
+
+/**
+ * Run a worker over a list of items with at most `concurrency` workers in flight
+ * @param {Array} items The items to process
+ * @param {number} concurrency Maximum number of items processed at the same time
+ * @param {Function} worker Async function called with (item, index) for each item
+ * @returns {Promise<Array>} The worker results in the same order as the items
+ */
+async function runWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  const poolSize = Math.max(1, Math.min(concurrency || 1, items.length));
+  let nextIndex = 0;
+
+  // Each runner takes the next unprocessed item until none are left
+  const runners = Array.from({ length: poolSize }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+
+  return results;
+}
+
+module.exports = {
+  runWithConcurrency
+};
@@ -0,0 +1,128 @@
+/**
+ * Helpers for choosing which sections of extensive call data to request, and for giving
+ * each section the same shape whatever Gong returns
+ */
+
+// Every field Gong can expose on /v2/calls/extensive
+const ALL_FIELDS = {
+  parties: true,
+  media: true,
+  content: {
+    structure: true,
+    topics: true,
+    trackers: true,
+    trackerOccurrences: true,
+    pointsOfInterest: true,
+    brief: true,
+    outline: true,
+    highlights: true,
+    callOutcome: true,
+    keyPoints: true
+  },
+  interaction: {
+    speakers: true,
+    video: true,
+    personInteractionStats: true,
+    questions: true
+  },
+  collaboration: {
+    publicComments: true
+  }
+};
+
+const CONTENT_PRESETS = {
+  minimal: { parties: true },
+  media: { parties: true, media: true },
+  everything: ALL_FIELDS
+};
+
+const DEFAULT_CONTENT_PRESET = 'media';
+
+// Default value of each field of the sections, with the name Gong returns it under
+const SECTION_SCHEMA = {
+  content: {
+    structure: [],
+    topics: [],
+    trackers: [],
+    pointsOfInterest: null,
+    brief: null,
+    outline: [],
+    highlights: [],
+    callOutcome: null,
+    keyPoints: []
+  },
+  interaction: {
+    speakers: [],
+    interactionStats: [],
+    questions: null,
+    video: []
+  },
+  collaboration: {
+    publicComments: []
+  }
+};
+
+/**
+ * Resolve a content preset or a custom selection to the exposedFields Gong expects
+ * @param {string|Object} selector A preset name ('minimal', 'media' or 'everything') or an exposedFields object
+ * @returns {Object} The exposedFields to send with the request
+ */
+function resolveExposedFields(selector = DEFAULT_CONTENT_PRESET) {
+  if (selector && typeof selector === 'object') {
+    return selector;
+  }
+
+  const preset = CONTENT_PRESETS[String(selector).toLowerCase()];
+  if (!preset) {
+    throw new Error(`Unknown content preset: ${selector} (expected one of ${Object.keys(CONTENT_PRESETS).join(', ')})`);
+  }
+
+  return JSON.parse(JSON.stringify(preset));
+}
+
+/**
+ * Give a section of an extensive call every field of its schema
+ * Fields Gong left out are filled with an empty list or null, and fields the schema does
+ * not know about are kept.
+ * @param {Object} section The section as returned by Gong
+ * @param {Object} schema Map of field name to default value
+ * @returns {Object} The normalised section
+ */
+function normalizeSection(section, schema) {
+  const normalized = {};
+  for (const [field, defaultValue] of Object.entries(schema)) {
+    const value = section && section[field];
+    normalized[field] = value !== undefined && value !== null ? value : (Array.isArray(defaultValue) ? [] : defaultValue);
+  }
+  return { ...(section || {}), ...normalized };
+}
+
+/**
+ * Put an extensive call into the stable export schema
+ * Every call has the same keys: sections that were not requested are null, and requested
+ * sections have all of their fields.
+ * @param {Object} call The call as returned by /v2/calls/extensive
+ * @param {Object} exposedFields The exposedFields the call was requested with
+ * @returns {Object} The call ({ metaData, context, parties, media, content, interaction, collaboration })
+ */
+function normalizeExtensiveCall(call, exposedFields = CONTENT_PRESETS[DEFAULT_CONTENT_PRESET]) {
+  const media = call.media || {};
+
+  return {
+    ...call,
+    metaData: call.metaData || null,
+    context: Array.isArray(call.context) ? call.context : [],
+    parties: exposedFields.parties ? (call.parties || []) : null,
+    media: exposedFields.media ? { ...media, audioUrl: media.audioUrl || null, videoUrl: media.videoUrl || null } : null,
+    content: exposedFields.content ? normalizeSection(call.content, SECTION_SCHEMA.content) : null,
+    interaction: exposedFields.interaction ? normalizeSection(call.interaction, SECTION_SCHEMA.interaction) : null,
+    collaboration: exposedFields.collaboration ? normalizeSection(call.collaboration, SECTION_SCHEMA.collaboration) : null
+  };
+}
+
+module.exports = {
+  CONTENT_PRESETS,
+  DEFAULT_CONTENT_PRESET,
+  normalizeExtensiveCall,
+  resolveExposedFields
+};
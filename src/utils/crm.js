@@ -0,0 +1,109 @@
+/**
+ * Helpers for normalising the CRM data linked to Gong calls
+ */
+
+/**
+ * Convert a list of CRM fields into an object
+ * @param {Array|Object} fields Fields as returned in call context ([{ name, value }]) or an object of field values
+ * @returns {Object} Map of field name to value
+ */
+function normalizeFields(fields) {
+  if (Array.isArray(fields)) {
+    const normalized = {};
+    for (const field of fields) {
+      if (field && field.name) {
+        normalized[field.name] = field.value !== undefined ? field.value : null;
+      }
+    }
+    return normalized;
+  }
+
+  return { ...(fields || {}) };
+}
+
+/**
+ * Collect the CRM objects linked to calls from the `context` of extensive call data
+ * Objects are grouped by type and keyed by CRM ID, so an account discussed on several
+ * calls appears once with all of its call IDs. Pages of calls can be collected one at a time
+ * by passing the result of the previous page.
+ * @param {Array} calls Array of extensive call objects ({ metaData, context })
+ * @param {Object} into Optional result of an earlier call to add these calls to
+ * @returns {Object} The CRM objects ({ [objectType]: { [crmId]: object } }) and the call links ([{ callId, system, objectType, crmId }])
+ */
+function extractCallContext(calls, into = null) {
+  const { objects, callLinks } = into || { objects: {}, callLinks: [] };
+
+  for (const call of calls || []) {
+    const callId = call.metaData && call.metaData.id;
+    if (!callId || !Array.isArray(call.context)) {
+      continue;
+    }
+
+    for (const context of call.context) {
+      for (const object of context.objects || []) {
+        if (!object.objectType || !object.objectId) {
+          continue;
+        }
+
+        const objectsOfType = objects[object.objectType] = objects[object.objectType] || {};
+        const existing = objectsOfType[object.objectId];
+        const fields = normalizeFields(object.fields);
+
+        if (existing) {
+          Object.assign(existing.fields, fields);
+          if (!existing.callIds.includes(callId)) {
+            existing.callIds.push(callId);
+          }
+        } else {
+          objectsOfType[object.objectId] = {
+            crmId: object.objectId,
+            objectType: object.objectType,
+            system: context.system || null,
+            fields,
+            callIds: [callId]
+          };
+        }
+
+        callLinks.push({
+          callId,
+          system: context.system || null,
+          objectType: object.objectType,
+          crmId: object.objectId
+        });
+      }
+    }
+  }
+
+  return { objects, callLinks };
+}
+
+/**
+ * Merge CRM entities retrieved from an integration into the objects collected from call context
+ * Entity values are the current values in the CRM, so they take precedence over the call context.
+ * @param {Object} objectsOfType The objects of one type, keyed by CRM ID
+ * @param {Object} crmObjectsMap Map of CRM ID to field values as returned by /v2/crm/entities
+ * @param {string} integrationId The ID of the integration the entities came from
+ * @returns {number} The number of objects that were updated
+ */
+function mergeCrmEntities(objectsOfType, crmObjectsMap, integrationId) {
+  let merged = 0;
+
+  for (const [crmId, entity] of Object.entries(crmObjectsMap || {})) {
+    const object = objectsOfType[crmId];
+    if (!object || !entity) {
+      continue;
+    }
+
+    Object.assign(object.fields, normalizeFields(entity));
+    object.integrationId = integrationId;
+    merged++;
+  }
+
+  return merged;
+}
+
+module.exports = {
+  extractCallContext,
+  mergeCrmEntities,
+  normalizeFields
+};
@@ -0,0 +1,169 @@
+/**
+ * Cron expressions for scheduled exports
+ *
+ * The five standard fields are supported (minute, hour, day of month, month, day of week) with
+ * `*`, lists, ranges, steps and month and weekday names, as well as the @hourly style shortcuts.
+ * Times are matched in the local time zone, like cron does.
+ */
+
+// Shortcuts for common schedules
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Range and names of each field, in the order they are written
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  // 7 is Sunday too
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+// Give up looking for the next run after this many years, e.g. for 0 0 31 2 *
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Read a field value, as a number or a name
+ * @param {string} value The value
+ * @param {Object} field The field definition
+ * @returns {number} The number
+ */
+function parseValue(value, field) {
+  const nameIndex = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+  const number = nameIndex >= 0 ? nameIndex + field.min : Number(value);
+  if (!/^\w+$/.test(value) || !Number.isInteger(number) || number < field.min || number > field.max) {
+    throw new Error(`Invalid ${field.name}: ${value} (expected ${field.min}-${field.max}${field.names ? ' or a name' : ''})`);
+  }
+  return number;
+}
+
+/**
+ * Expand a field into the set of values it matches
+ * @param {string} text The field text, e.g. 1-5 or *\/15 or mon,wed,fri
+ * @param {Object} field The field definition
+ * @returns {Set<number>} The matching values
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (extra !== undefined || !Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in ${field.name}: ${part}`);
+    }
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      // A single value with a step runs to the end of the range, like 5/15
+      end = to !== undefined ? parseValue(to, field) : (stepText === undefined ? start : field.max);
+      if (end < start) {
+        throw new Error(`Invalid range in ${field.name}: ${range}`);
+      }
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * A parsed cron expression that finds its next run time
+ */
+class CronSchedule {
+  /**
+   * Create a new CronSchedule instance
+   * @param {string} expression The cron expression, e.g. '0 2 * * *' or '@hourly'
+   */
+  constructor(expression) {
+    this.expression = String(expression || '').trim();
+    const fields = (ALIASES[this.expression.toLowerCase()] || this.expression).split(/\s+/);
+    if (fields.length !== FIELDS.length) {
+      throw new Error(`Invalid cron expression: ${this.expression} (expected 5 fields: minute hour day-of-month month day-of-week, or @hourly, @daily, @weekly, @monthly or @yearly)`);
+    }
+
+    try {
+      [this.minutes, this.hours, this.days, this.months, this.weekdays] = fields.map((text, index) => parseField(text, FIELDS[index]));
+    } catch (error) {
+      throw new Error(`Invalid cron expression: ${this.expression} (${error.message})`);
+    }
+    if (this.weekdays.has(7)) {
+      this.weekdays.add(0);
+    }
+
+    // As in cron, a restricted day of month and day of week match when either does
+    this.anyDay = fields[2] === '*';
+    this.anyWeekday = fields[4] === '*';
+  }
+
+  /**
+   * Check whether the schedule runs on a date, ignoring the time
+   * @param {Date} date The date
+   * @returns {boolean} True if the schedule runs that day
+   * @private
+   */
+  matchesDay(date) {
+    if (!this.months.has(date.getMonth() + 1)) {
+      return false;
+    }
+    const day = this.days.has(date.getDate());
+    const weekday = this.weekdays.has(date.getDay());
+    if (this.anyDay || this.anyWeekday) {
+      return day && weekday;
+    }
+    return day || weekday;
+  }
+
+  /**
+   * Find the next time the schedule runs
+   * @param {Date} after The time to start from, which itself is never returned (default: now)
+   * @returns {Date} The next run time, at the start of its minute
+   */
+  next(after = new Date()) {
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const limit = new Date(date.getTime());
+    limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+    // Skip whole days and hours that can't match, so finding a yearly run takes few steps
+    while (date < limit) {
+      if (!this.matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.hours.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0);
+      } else if (!this.minutes.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0);
+      } else {
+        return date;
+      }
+    }
+
+    throw new Error(`Cron expression ${this.expression} never runs`);
+  }
+
+  /**
+   * Get the expression as written
+   * @returns {string} The cron expression
+   */
+  toString() {
+    return this.expression;
+  }
+}
+
+module.exports = CronSchedule;
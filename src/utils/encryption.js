@@ -0,0 +1,472 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { Duplex, Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const logger = require('./logger');
+
+// How written files are encrypted: with a shared AES key, or to the public keys of age or OpenPGP recipients
+const ENCRYPTION_MODES = ['aes-256-gcm', 'age', 'openpgp'];
+
+// Extension added to the name of every encrypted file, which also tells the decrypt command how to read it
+const EXTENSIONS = {
+  'aes-256-gcm': '.enc',
+  age: '.age',
+  openpgp: '.gpg'
+};
+
+// Layout of AES files: magic, key ID, IV, then the ciphertext followed by the authentication tag
+const AES_MAGIC = Buffer.from('GONGENC1');
+const KEY_ID_LENGTH = 8;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const AES_HEADER_LENGTH = AES_MAGIC.length + KEY_ID_LENGTH + IV_LENGTH;
+const KEY_LENGTH = 32;
+
+/**
+ * Read a 256-bit key, given as 64 hex characters, as base64 or as the 32 raw bytes of a key file
+ * @param {string|Buffer} value The key
+ * @returns {Buffer} The key bytes
+ */
+function parseKey(value) {
+  if (Buffer.isBuffer(value) && value.length === KEY_LENGTH) {
+    return value;
+  }
+
+  const text = String(value).trim();
+  const key = /^[0-9a-fA-F]{64}$/.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  if (key.length !== KEY_LENGTH) {
+    throw new Error('Encryption key must be 32 bytes, given as 64 hex characters or as base64 (e.g. from openssl rand -hex 32)');
+  }
+  return key;
+}
+
+/**
+ * Read the encryption settings from the environment
+ * @param {Object} env The environment variables (default: process.env)
+ * @returns {Object} The settings ({ mode, key, recipients, identityFile, agePath, gpgPath }), mode is null when files are not encrypted
+ */
+function loadEncryptionSettings(env = process.env) {
+  const mode = env.GONG_ENCRYPTION ? env.GONG_ENCRYPTION.toLowerCase() : null;
+  if (mode && !ENCRYPTION_MODES.includes(mode)) {
+    throw new Error(`Invalid GONG_ENCRYPTION: ${env.GONG_ENCRYPTION} (expected one of ${ENCRYPTION_MODES.join(', ')})`);
+  }
+
+  let key = null;
+  try {
+    if (env.GONG_ENCRYPTION_KEY_FILE) {
+      key = parseKey(fs.readFileSync(env.GONG_ENCRYPTION_KEY_FILE));
+    } else if (env.GONG_ENCRYPTION_KEY) {
+      key = parseKey(env.GONG_ENCRYPTION_KEY);
+    }
+  } catch (error) {
+    throw new Error(`Invalid ${env.GONG_ENCRYPTION_KEY_FILE ? 'GONG_ENCRYPTION_KEY_FILE' : 'GONG_ENCRYPTION_KEY'}: ${error.message}`);
+  }
+
+  const recipients = (env.GONG_ENCRYPTION_RECIPIENTS || '').split(',').map(recipient => recipient.trim()).filter(Boolean);
+  if (mode === 'aes-256-gcm' && !key) {
+    throw new Error('AES encryption needs a key, set GONG_ENCRYPTION_KEY_FILE or GONG_ENCRYPTION_KEY');
+  }
+  if ((mode === 'age' || mode === 'openpgp') && recipients.length === 0) {
+    throw new Error(`${mode} encryption needs recipients, set GONG_ENCRYPTION_RECIPIENTS`);
+  }
+
+  return {
+    mode,
+    key,
+    recipients,
+    identityFile: env.GONG_AGE_IDENTITY_FILE || null,
+    agePath: env.GONG_AGE_PATH || 'age',
+    gpgPath: env.GONG_GPG_PATH || 'gpg'
+  };
+}
+
+/**
+ * Streaming AES-256-GCM encryption with a shared key
+ *
+ * Each file gets a random IV and ends with the GCM authentication tag, so a file that was
+ * truncated or changed fails to decrypt instead of yielding damaged data.
+ */
+class AesGcmCipher {
+  /**
+   * Create a new AesGcmCipher instance
+   * @param {Buffer} key The 256-bit key
+   */
+  constructor(key) {
+    this.mode = 'aes-256-gcm';
+    this.extension = EXTENSIONS[this.mode];
+    this.key = parseKey(key);
+    // Identifies the key in every file header without revealing it, so the wrong key is reported as such
+    this.keyId = crypto.createHash('sha256').update(this.key).digest().subarray(0, KEY_ID_LENGTH);
+  }
+
+  /**
+   * Check whether files written with this cipher can be read back by the exporter
+   * @returns {boolean} True, the key decrypts as well as encrypts
+   */
+  canDecrypt() {
+    return true;
+  }
+
+  /**
+   * Create a stream that encrypts what is written to it
+   * @returns {Transform} The encrypting stream
+   */
+  encryptStream() {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(this.mode, this.key, iv);
+    let headerSent = false;
+    const header = () => {
+      headerSent = true;
+      return Buffer.concat([AES_MAGIC, this.keyId, iv]);
+    };
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        const encrypted = cipher.update(chunk);
+        callback(null, headerSent ? encrypted : Buffer.concat([header(), encrypted]));
+      },
+      flush(callback) {
+        const final = cipher.final();
+        callback(null, Buffer.concat([headerSent ? Buffer.alloc(0) : header(), final, cipher.getAuthTag()]));
+      }
+    });
+  }
+
+  /**
+   * Create a stream that decrypts what is written to it
+   * The last bytes are held back until the end, since they are the tag the whole file is checked against.
+   * @returns {Transform} The decrypting stream
+   */
+  decryptStream() {
+    const { key, keyId, mode } = this;
+    let pending = Buffer.alloc(0);
+    let decipher = null;
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        pending = Buffer.concat([pending, chunk]);
+        try {
+          if (!decipher) {
+            if (pending.length < AES_HEADER_LENGTH) {
+              return callback();
+            }
+            if (!pending.subarray(0, AES_MAGIC.length).equals(AES_MAGIC)) {
+              throw new Error('Not a file encrypted by gongexport');
+            }
+            if (!pending.subarray(AES_MAGIC.length, AES_MAGIC.length + KEY_ID_LENGTH).equals(keyId)) {
+              throw new Error('File was encrypted with a different key');
+            }
+            decipher = crypto.createDecipheriv(mode, key, pending.subarray(AES_MAGIC.length + KEY_ID_LENGTH, AES_HEADER_LENGTH));
+            pending = pending.subarray(AES_HEADER_LENGTH);
+          }
+
+          const ready = pending.length - TAG_LENGTH;
+          if (ready <= 0) {
+            return callback();
+          }
+          const decrypted = decipher.update(pending.subarray(0, ready));
+          pending = pending.subarray(ready);
+          callback(null, decrypted);
+        } catch (error) {
+          callback(error);
+        }
+      },
+      flush(callback) {
+        const start = pending.subarray(0, AES_MAGIC.length);
+        if (!decipher && !start.equals(AES_MAGIC.subarray(0, start.length))) {
+          return callback(new Error('Not a file encrypted by gongexport'));
+        }
+        if (!decipher || pending.length !== TAG_LENGTH) {
+          return callback(new Error('Encrypted file is truncated'));
+        }
+        try {
+          decipher.setAuthTag(pending);
+          callback(null, decipher.final());
+        } catch (error) {
+          callback(new Error('Encrypted file failed authentication, it is corrupted or was tampered with'));
+        }
+      }
+    });
+  }
+
+  /**
+   * Describe the cipher, without the key
+   * @returns {Object} The description ({ mode, keyId })
+   */
+  describe() {
+    return { mode: this.mode, keyId: this.keyId.toString('hex') };
+  }
+}
+
+/**
+ * Public-key encryption to age or OpenPGP recipients with the local age or gpg binary
+ *
+ * Only the recipients' public keys are needed to encrypt, so a run can't read back what it
+ * wrote unless an age identity file is set or the OpenPGP secret key is in gpg's keyring.
+ */
+class RecipientCipher {
+  /**
+   * Create a new RecipientCipher instance
+   * @param {Object} options Cipher settings
+   * @param {string} options.mode 'age' or 'openpgp'
+   * @param {Array<string>} options.recipients The age public keys, or OpenPGP key IDs, fingerprints or email addresses
+   * @param {string} options.identityFile age identity file used to decrypt (default: none)
+   * @param {string} options.agePath Path to the age binary (default: age on the PATH)
+   * @param {string} options.gpgPath Path to the gpg binary (default: gpg on the PATH)
+   */
+  constructor(options = {}) {
+    if (options.mode !== 'age' && options.mode !== 'openpgp') {
+      throw new Error(`Unknown public-key encryption mode: ${options.mode}`);
+    }
+
+    this.mode = options.mode;
+    this.extension = EXTENSIONS[this.mode];
+    this.recipients = options.recipients || [];
+    this.identityFile = options.identityFile || null;
+    this.command = this.mode === 'age' ? options.agePath || 'age' : options.gpgPath || 'gpg';
+  }
+
+  /**
+   * Check whether files written with this cipher can be read back by the exporter
+   * @returns {boolean} For age, whether an identity file is set; gpg finds its secret keys in the keyring
+   */
+  canDecrypt() {
+    return this.mode === 'openpgp' || Boolean(this.identityFile);
+  }
+
+  /**
+   * Create a stream that encrypts what is written to it to every recipient
+   * @returns {Duplex} The encrypting stream
+   */
+  encryptStream() {
+    if (this.recipients.length === 0) {
+      throw new Error(`${this.mode} encryption needs at least one recipient`);
+    }
+    return this.mode === 'age'
+      ? commandStream(this.command, ['--encrypt', ...this.recipients.flatMap(recipient => ['--recipient', recipient])])
+      : commandStream(this.command, ['--batch', '--yes', '--trust-model', 'always', '--encrypt', ...this.recipients.flatMap(recipient => ['--recipient', recipient])]);
+  }
+
+  /**
+   * Create a stream that decrypts what is written to it
+   * @returns {Duplex} The decrypting stream
+   */
+  decryptStream() {
+    if (this.mode === 'age') {
+      if (!this.identityFile) {
+        throw new Error('Decrypting age files needs an identity file, set GONG_AGE_IDENTITY_FILE or pass --identity');
+      }
+      return commandStream(this.command, ['--decrypt', '--identity', this.identityFile]);
+    }
+    return commandStream(this.command, ['--batch', '--quiet', '--decrypt']);
+  }
+
+  /**
+   * Describe the cipher
+   * @returns {Object} The description ({ mode, recipients })
+   */
+  describe() {
+    return { mode: this.mode, recipients: this.recipients };
+  }
+}
+
+/**
+ * Run a command that reads its input from stdin and writes its output to stdout as a stream
+ * The stream only ends once the command has exited successfully, and fails with its error message otherwise.
+ * @param {string} command The command
+ * @param {Array<string>} args The command arguments
+ * @returns {Duplex} The stream
+ */
+function commandStream(command, args) {
+  const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+  let stderr = '';
+  let exited = false;
+
+  const stream = new Duplex({
+    write(chunk, encoding, callback) {
+      child.stdin.write(chunk, callback);
+    },
+    final(callback) {
+      child.stdin.end(callback);
+    },
+    read() {
+      child.stdout.resume();
+    },
+    destroy(error, callback) {
+      if (!exited) {
+        child.kill();
+      }
+      callback(error);
+    }
+  });
+
+  child.stdout.on('data', chunk => {
+    if (!stream.push(chunk)) {
+      child.stdout.pause();
+    }
+  });
+  child.stderr.on('data', chunk => {
+    stderr += chunk;
+  });
+  // A command that exits early fails through its exit code rather than the broken pipe
+  child.stdin.on('error', () => {});
+  child.on('error', error => {
+    exited = true;
+    stream.destroy(new Error(`${path.basename(command)} could not be started: ${error.message}`));
+  });
+  child.on('close', code => {
+    exited = true;
+    if (code === 0) {
+      stream.push(null);
+    } else {
+      const message = stderr.trim().split('\n').pop() || `exit code ${code}`;
+      stream.destroy(new Error(`${path.basename(command)} failed: ${message}`));
+    }
+  });
+
+  return stream;
+}
+
+/**
+ * Create the cipher for a set of encryption settings
+ * @param {Object} settings The settings from loadEncryptionSettings()
+ * @returns {AesGcmCipher|RecipientCipher|null} The cipher, or null when files are not encrypted
+ */
+function createCipher(settings = {}) {
+  if (!settings.mode) {
+    return null;
+  }
+  return settings.mode === 'aes-256-gcm' ? new AesGcmCipher(settings.key) : new RecipientCipher(settings);
+}
+
+/**
+ * Get the cipher that reads an encrypted file, from its extension
+ * @param {string} filePath The encrypted file
+ * @param {Object} settings The settings from loadEncryptionSettings(), for the key or identity
+ * @returns {AesGcmCipher|RecipientCipher|null} The cipher, or null if the file isn't encrypted
+ */
+function cipherForFile(filePath, settings = {}) {
+  const mode = Object.keys(EXTENSIONS).find(name => filePath.endsWith(EXTENSIONS[name]));
+  if (!mode) {
+    return null;
+  }
+  if (mode === 'aes-256-gcm' && !settings.key) {
+    throw new Error(`Decrypting ${path.basename(filePath)} needs the AES key, set GONG_ENCRYPTION_KEY_FILE or GONG_ENCRYPTION_KEY`);
+  }
+  return createCipher({ ...settings, mode });
+}
+
+/**
+ * Decrypt an encrypted file, or every encrypted file below a directory
+ * Each file is decrypted next to itself without its extension, or below outputDir mirroring the
+ * input's layout. A file is only put in place once it decrypted and authenticated in full.
+ * @param {string} inputPath The encrypted file or a directory
+ * @param {Object} settings The settings from loadEncryptionSettings(), for the key or identity
+ * @param {Object} options Optional settings
+ * @param {string} options.outputDir Directory to write the decrypted files to (default: next to each file)
+ * @returns {Promise<Object>} The result ({ decrypted: [{ file, output }], failed: [{ file, error }] })
+ */
+async function decryptFiles(inputPath, settings = {}, options = {}) {
+  const root = path.resolve(inputPath);
+  const stats = await fs.promises.stat(root);
+  const baseDir = stats.isDirectory() ? root : path.dirname(root);
+  const files = stats.isDirectory() ? await listFiles(root) : [root];
+  const result = { decrypted: [], failed: [] };
+
+  for (const file of files) {
+    let cipher;
+    try {
+      cipher = cipherForFile(file, settings);
+    } catch (error) {
+      result.failed.push({ file, error: error.message });
+      continue;
+    }
+    if (!cipher) {
+      continue;
+    }
+
+    const relative = path.relative(baseDir, file).slice(0, -cipher.extension.length);
+    const output = options.outputDir ? path.join(path.resolve(options.outputDir), relative) : path.join(baseDir, relative);
+    const partPath = `${output}.part`;
+    try {
+      await fs.promises.mkdir(path.dirname(output), { recursive: true });
+      await pipeline(fs.createReadStream(file), cipher.decryptStream(), fs.createWriteStream(partPath));
+      await fs.promises.rename(partPath, output);
+      result.decrypted.push({ file, output });
+    } catch (error) {
+      await fs.promises.rm(partPath, { force: true });
+      logger.error(`Failed to decrypt ${file}`, error);
+      result.failed.push({ file, error: error.message });
+    }
+  }
+
+  logger.info(`Decrypted ${result.decrypted.length} files${result.failed.length > 0 ? `, ${result.failed.length} failed` : ''}`);
+  return result;
+}
+
+/**
+ * List every file below a directory
+ * @param {string} dir The directory
+ * @returns {Promise<Array<string>>} The file paths, sorted
+ */
+async function listFiles(dir) {
+  const files = [];
+  for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    files.push(...(entry.isDirectory() ? await listFiles(entryPath) : [entryPath]));
+  }
+  return files.sort();
+}
+
+/**
+ * Read a whole stream into a buffer
+ * @param {Readable} stream The stream
+ * @returns {Promise<Buffer>} The content
+ */
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Encrypt a buffer in one go
+ * @param {AesGcmCipher|RecipientCipher} cipher The cipher
+ * @param {string|Buffer} data The content
+ * @returns {Promise<Buffer>} The encrypted content
+ */
+async function encryptBuffer(cipher, data) {
+  const encrypting = cipher.encryptStream();
+  const [encrypted] = await Promise.all([readAll(encrypting), pipeline(Readable.from([Buffer.from(data)]), encrypting)]);
+  return encrypted;
+}
+
+/**
+ * Decrypt a buffer in one go
+ * @param {AesGcmCipher|RecipientCipher} cipher The cipher
+ * @param {Buffer} data The encrypted content
+ * @returns {Promise<Buffer>} The content
+ */
+async function decryptBuffer(cipher, data) {
+  const decrypting = cipher.decryptStream();
+  const [decrypted] = await Promise.all([readAll(decrypting), pipeline(Readable.from([data]), decrypting)]);
+  return decrypted;
+}
+
+module.exports = {
+  ENCRYPTION_MODES,
+  EXTENSIONS,
+  AesGcmCipher,
+  RecipientCipher,
+  cipherForFile,
+  createCipher,
+  decryptBuffer,
+  decryptFiles,
+  encryptBuffer,
+  loadEncryptionSettings,
+  parseKey
+};
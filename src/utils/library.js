@@ -0,0 +1,81 @@
+/**
+ * Helpers for the Gong call library: folder paths and joining library entries with calls
+ */
+
+/**
+ * Make a folder name safe to use as a directory name
+ * @param {Object} folder A library folder ({ id, name })
+ * @returns {string} The directory name
+ */
+function folderDirectoryName(folder) {
+  const name = (folder.name || '').replace(/[\\/:*?"<>|]/g, '_').trim();
+  return name && name !== '.' && name !== '..' ? name : String(folder.id);
+}
+
+/**
+ * Work out the path of each library folder from its parents
+ * Folders whose parent is unknown are treated as top-level, and a parent cycle is cut
+ * where it loops back.
+ * @param {Array} folders Array of folders as returned by /v2/library/folders ({ id, name, parentFolderId })
+ * @returns {Map<string, string>} Map of folder ID to its path (directory names joined with '/')
+ */
+function buildFolderPaths(folders) {
+  const foldersById = new Map((folders || []).map(folder => [folder.id, folder]));
+  const paths = new Map();
+
+  for (const folder of foldersById.values()) {
+    const segments = [];
+    const seen = new Set();
+    let current = folder;
+
+    while (current && !seen.has(current.id)) {
+      seen.add(current.id);
+      segments.unshift(folderDirectoryName(current));
+      current = foldersById.get(current.parentFolderId);
+    }
+
+    paths.set(folder.id, segments.join('/'));
+  }
+
+  return paths;
+}
+
+/**
+ * Join library entries with the exported call data
+ * Each entry gets the call's metadata when the call was exported, and snippets get the
+ * absolute times they start and end at.
+ * @param {Array} entries Calls in a library folder as returned by /v2/library/folder-content
+ * @param {Map<string, Object>} callsById Map of call ID to call object (extensive or standard)
+ * @returns {Array} The entries with callId, call ({ id, title, started, duration } or null) and snippet times
+ */
+function linkLibraryEntries(entries, callsById) {
+  return (entries || []).map(entry => {
+    const callId = entry.callId || entry.id;
+    const exported = callsById.get(callId);
+    const metaData = exported ? (exported.metaData || exported) : null;
+    const call = metaData ? {
+      id: callId,
+      title: metaData.title || null,
+      started: metaData.started || null,
+      duration: metaData.duration || null
+    } : null;
+
+    let snippet = entry.snippet || null;
+    if (snippet && call && call.started) {
+      const started = new Date(call.started).getTime();
+      snippet = {
+        ...snippet,
+        startTime: new Date(started + (snippet.fromSec || 0) * 1000).toISOString(),
+        endTime: snippet.toSec !== undefined ? new Date(started + snippet.toSec * 1000).toISOString() : null
+      };
+    }
+
+    return { ...entry, callId, call, snippet };
+  });
+}
+
+module.exports = {
+  buildFolderPaths,
+  folderDirectoryName,
+  linkLibraryEntries
+};
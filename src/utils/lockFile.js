@@ -0,0 +1,111 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('./logger');
+
+// Name of the lock file in each export directory
+const LOCK_FILE_NAME = '.gongexport.lock';
+
+/**
+ * Lock file that keeps two runs from writing the same export tree at the same time
+ *
+ * The file records the process holding the lock. A lock left behind by a process that has
+ * since died on this machine is taken over, while a lock held from another machine (e.g. on a
+ * shared drive), or one that can't be read, is only released by its owner or by removing the file.
+ */
+class LockFile {
+  /**
+   * Create a new LockFile instance
+   * @param {string} lockPath Path of the lock file
+   */
+  constructor(lockPath) {
+    this.lockPath = lockPath;
+    this.held = false;
+  }
+
+  /**
+   * Take the lock
+   * Fails with code ELOCKED when another live process holds it.
+   * @param {Object} details Optional details recorded in the lock file, e.g. the resources being exported
+   * @returns {LockFile} This instance
+   */
+  acquire(details = {}) {
+    fs.mkdirSync(path.dirname(this.lockPath), { recursive: true });
+    const content = JSON.stringify({ pid: process.pid, hostname: os.hostname(), startedAt: new Date().toISOString(), ...details }, null, 2);
+
+    try {
+      // wx fails if the file exists, so only one process can create it
+      fs.writeFileSync(this.lockPath, content, { flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+
+      // The owner creates the file before writing it, so an empty or unreadable lock may be
+      // one that is being taken right now and is never treated as stale
+      const owner = this.read();
+      if (!owner || !this.isStale(owner)) {
+        const holder = owner ? ` (pid ${owner.pid} on ${owner.hostname} since ${owner.startedAt})` : '';
+        const lockError = new Error(`Another export is already running in ${path.dirname(this.lockPath)}${holder}, remove ${this.lockPath} if it is not`);
+        lockError.code = 'ELOCKED';
+        throw lockError;
+      }
+
+      logger.warn(`Taking over the lock ${this.lockPath} left by pid ${owner.pid}, which is no longer running`);
+      fs.rmSync(this.lockPath, { force: true });
+      return this.acquire(details);
+    }
+
+    this.held = true;
+    return this;
+  }
+
+  /**
+   * Release the lock if this instance holds it
+   */
+  release() {
+    if (!this.held) {
+      return;
+    }
+    const owner = this.read();
+    if (owner && owner.pid === process.pid && owner.hostname === os.hostname()) {
+      fs.rmSync(this.lockPath, { force: true });
+    }
+    this.held = false;
+  }
+
+  /**
+   * Read the lock file
+   * @returns {Object|null} The lock owner ({ pid, hostname, startedAt }), or null if the file is missing, empty or unreadable
+   * @private
+   */
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.lockPath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a lock was left by a process on this machine that is no longer running
+   * @param {Object} owner The lock owner
+   * @returns {boolean} True if the lock can be taken over
+   * @private
+   */
+  isStale(owner) {
+    if (owner.hostname !== os.hostname()) {
+      return false;
+    }
+    try {
+      // Signal 0 only checks that the process exists
+      process.kill(owner.pid, 0);
+      return false;
+    } catch (error) {
+      return error.code === 'ESRCH';
+    }
+  }
+}
+
+module.exports = LockFile;
+module.exports.LOCK_FILE_NAME = LOCK_FILE_NAME;
@@ -31,4 +31,15 @@ const logger = winston.createLogger({
   ],
 });
 
+/**
+ * Send all console log output to stderr, keeping stdout free for machine-readable output
+ */
+logger.useStderr = () => {
+  logger.transports
+    .filter(transport => transport instanceof winston.transports.Console)
+    .forEach(transport => {
+      transport.stderrLevels = Object.keys(logger.levels).reduce((levels, level) => ({ ...levels, [level]: true }), {});
+    });
+};
+
 module.exports = logger;
\ No newline at end of file
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const logger = require('./logger');
+
+// Prefix of the per-export integrity manifest files
+const MANIFEST_PREFIX = 'video_manifest_';
+
+// Directory holding the separate export tree of each workspace (--per-workspace)
+const WORKSPACES_DIR = 'workspaces';
+
+/**
+ * Compute the SHA-256 hash and size of a stream
+ * @param {Readable} stream The stream to hash
+ * @returns {Promise<Object>} The hash and size ({ sha256, size })
+ */
+async function hashStream(stream) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+
+  for await (const chunk of stream) {
+    hash.update(chunk);
+    size += chunk.length;
+  }
+
+  return { sha256: hash.digest('hex'), size };
+}
+
+/**
+ * Compute the SHA-256 hash and size of a file
+ * @param {string} filePath The file to hash
+ * @returns {Promise<Object>} The hash and size ({ sha256, size })
+ */
+async function hashFile(filePath) {
+  return hashStream(fs.createReadStream(filePath));
+}
+
+/**
+ * Write the integrity manifest for the recordings downloaded in an export
+ * @param {Array} downloads Download records with integrity details ({ callId, fileKey, sha256, size, ... })
+ * @param {Object} exportStorage Storage driver to write the manifest to
+ * @param {Object} videoStorage Storage driver the recordings are stored in, files are recorded by their key in it
+ * @returns {Promise<string|null>} Location of the manifest, or null if there was nothing to record
+ */
+async function writeManifest(downloads, exportStorage, videoStorage) {
+  const entries = downloads
+    .filter(download => download.sha256)
+    .map(download => ({
+      callId: download.callId,
+      file: download.fileKey,
+      size: download.size,
+      sha256: download.sha256,
+      sourceHost: download.sourceHost,
+      downloadedAt: download.downloadedAt,
+      downloadDurationMs: download.downloadDurationMs,
+      callDuration: download.callDuration !== undefined ? download.callDuration : null,
+      mediaType: download.mediaType || 'video',
+      mediaDuration: download.mediaDuration !== undefined ? download.mediaDuration : null
+    }));
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const manifestPath = await exportStorage.writeFile(`${MANIFEST_PREFIX}${new Date().toISOString().replace(/:/g, '-')}.json`, JSON.stringify({
+    createdAt: new Date().toISOString(),
+    algorithm: 'sha256',
+    videoDirectory: videoStorage.describe(),
+    // Digests and sizes are of the decrypted recordings, so they hold whichever way the files are stored
+    ...(videoStorage.encryption ? { encryption: videoStorage.encryption } : {}),
+    files: entries
+  }, null, 2));
+  logger.info(`Saved integrity manifest for ${entries.length} recordings to ${manifestPath}`);
+
+  return manifestPath;
+}
+
+/**
+ * Load all manifests in an export, keeping the latest entry for each file
+ * Manifests are written at the top of each export tree, those of nested workspace trees are
+ * loaded with their own tree.
+ * @param {Object} exportStorage Storage driver holding the manifest files
+ * @returns {Promise<Map<string, Object>>} Map of video storage key to manifest entry
+ */
+async function loadManifestEntries(exportStorage) {
+  const entries = new Map();
+
+  // Manifest names embed the export timestamp, so sorting applies them oldest first
+  const manifestKeys = (await exportStorage.list())
+    .filter(key => !key.includes('/') && key.startsWith(MANIFEST_PREFIX) && key.endsWith('.json'))
+    .sort();
+
+  for (const manifestKey of manifestKeys) {
+    const manifest = JSON.parse(await exportStorage.readFile(manifestKey));
+    for (const entry of manifest.files || []) {
+      entries.set(entry.file, { ...entry, manifest: manifestKey });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Find the workspace export trees written inside an export directory
+ * @param {Object} exportStorage Storage driver of the export directory
+ * @returns {Promise<Array<string>>} The paths of the trees, e.g. 'workspaces/emea'
+ */
+async function listWorkspaceTrees(exportStorage) {
+  const trees = new Set();
+  for (const key of await exportStorage.list(WORKSPACES_DIR)) {
+    const parts = key.split('/');
+    if (parts.length > 2) {
+      trees.add(parts.slice(0, 2).join('/'));
+    }
+  }
+  return Array.from(trees).sort();
+}
+
+/**
+ * Re-hash the recording archive and compare it against the manifests
+ * @param {Object} exportStorage Storage driver holding the manifest files
+ * @param {Object} videoStorage Storage driver the recordings are stored in
+ * @param {Object} options Optional settings
+ * @param {Array<string>} options.exclude Paths in the video storage that belong to other export trees and are not reported as extra
+ * @returns {Promise<Object>} The report ({ verified, missing, corrupted, extra })
+ */
+async function verifyArchive(exportStorage, videoStorage, options = {}) {
+  const exclude = options.exclude || [];
+  const entries = await loadManifestEntries(exportStorage);
+  const report = { verified: [], missing: [], corrupted: [], extra: [] };
+
+  logger.info(`Verifying ${entries.size} recordings in ${videoStorage.describe()} against manifests in ${exportStorage.describe()}`);
+
+  for (const [file, entry] of entries) {
+    if (!(await videoStorage.exists(file))) {
+      report.missing.push({ file, callId: entry.callId });
+      continue;
+    }
+
+    let digest;
+    try {
+      digest = await hashStream(await videoStorage.createReadStream(file));
+    } catch (error) {
+      // Encrypted files that fail authentication can't be read at all
+      report.corrupted.push({ file, callId: entry.callId, expected: { sha256: entry.sha256, size: entry.size }, error: error.message });
+      continue;
+    }
+
+    const { sha256, size } = digest;
+    if (sha256 !== entry.sha256 || size !== entry.size) {
+      report.corrupted.push({
+        file,
+        callId: entry.callId,
+        expected: { sha256: entry.sha256, size: entry.size },
+        actual: { sha256, size }
+      });
+    } else {
+      report.verified.push({ file, callId: entry.callId });
+    }
+  }
+
+  report.extra = (await videoStorage.list())
+    .filter(file => !entries.has(file) && !exclude.some(tree => file.startsWith(`${tree}/`)));
+
+  logger.info(`Verification complete: ${report.verified.length} verified, ${report.missing.length} missing, ${report.corrupted.length} corrupted, ${report.extra.length} extra`);
+
+  return report;
+}
+
+/**
+ * Verify every tree of an export against its own manifests
+ * A custom video path holds the recordings of workspace trees below those of the top-level tree, so
+ * they are left out of the top-level tree's extra files.
+ * @param {Array<Object>} trees The trees ({ path, exportStorage, videoStorage }), with path '' for the top-level tree
+ * @returns {Promise<Object>} The combined report ({ verified, missing, corrupted, extra }), files of workspace trees prefixed with the tree path
+ */
+async function verifyExport(trees) {
+  const report = { verified: [], missing: [], corrupted: [], extra: [] };
+  const nested = trees.map(tree => tree.path).filter(Boolean);
+  const inTree = (tree, file) => (tree.path ? `${tree.path}/${file}` : file);
+
+  for (const tree of trees) {
+    const treeReport = await verifyArchive(tree.exportStorage, tree.videoStorage, { exclude: tree.path ? [] : nested });
+    for (const status of ['verified', 'missing', 'corrupted']) {
+      report[status].push(...treeReport[status].map(entry => ({ ...entry, file: inTree(tree, entry.file) })));
+    }
+    report.extra.push(...treeReport.extra.map(file => inTree(tree, file)));
+  }
+
+  return report;
+}
+
+module.exports = {
+  hashFile,
+  hashStream,
+  listWorkspaceTrees,
+  loadManifestEntries,
+  verifyArchive,
+  verifyExport,
+  writeManifest
+};
@@ -0,0 +1,219 @@
+const { execFile } = require('child_process');
+const path = require('path');
+const { promisify } = require('util');
+const logger = require('./logger');
+
+const execFileAsync = promisify(execFile);
+
+// Which recordings of a call to download: the video, the audio track, or both
+const MEDIA_MODES = ['video', 'audio', 'both'];
+const DEFAULT_MEDIA_MODE = 'video';
+
+// Codecs recordings can be transcoded to, with the kind of stream they encode and the extension of the output file
+const CODECS = {
+  aac: { kind: 'audio', extension: '.m4a' },
+  libopus: { kind: 'audio', extension: '.opus' },
+  libmp3lame: { kind: 'audio', extension: '.mp3' },
+  libvorbis: { kind: 'audio', extension: '.ogg' },
+  flac: { kind: 'audio', extension: '.flac' },
+  libx264: { kind: 'video', extension: '.mp4' },
+  libx265: { kind: 'video', extension: '.mp4' },
+  'libvpx-vp9': { kind: 'video', extension: '.webm' }
+};
+
+// Bitrates as ffmpeg takes them, in bits per second with an optional k or M suffix
+const BITRATE_PATTERN = /^\d+(\.\d+)?[kKmM]?$/;
+
+// Codecs used when only a bitrate is set, and for audio extracted from video
+const DEFAULT_CODECS = { audio: 'aac', video: 'libx264' };
+
+// Probed durations may differ from the call duration reported by Gong by this much and still match
+const DURATION_TOLERANCE_SECONDS = 5;
+const DURATION_TOLERANCE_RATIO = 0.02;
+
+/**
+ * Post-processing of downloaded recordings with a local ffmpeg binary
+ */
+class MediaProcessor {
+  /**
+   * Create a new MediaProcessor instance
+   * @param {Object} options Optional settings
+   * @param {string} options.ffmpegPath Path to the ffmpeg binary (default: ffmpeg on the PATH)
+   * @param {string} options.ffprobePath Path to the ffprobe binary (default: ffprobe on the PATH)
+   * @param {string} options.codec Codec to transcode recordings to, one of CODECS (default: keep the original)
+   * @param {string} options.bitrate Target bitrate of transcoded recordings, e.g. 64k (default: the codec's default)
+   * @param {boolean} options.extractAudio Also save the audio track of video recordings as an audio file (default: false)
+   */
+  constructor(options = {}) {
+    if (options.codec && !CODECS[options.codec]) {
+      throw new Error(`Unknown codec: ${options.codec} (supported codecs: ${Object.keys(CODECS).join(', ')})`);
+    }
+    if (options.bitrate && !BITRATE_PATTERN.test(options.bitrate)) {
+      throw new Error(`Invalid bitrate: ${options.bitrate} (expected a bitrate such as 64k or 1.5M)`);
+    }
+
+    this.ffmpegPath = options.ffmpegPath || 'ffmpeg';
+    this.ffprobePath = options.ffprobePath || 'ffprobe';
+    this.codec = options.codec || null;
+    this.bitrate = options.bitrate || null;
+    this.extractAudio = Boolean(options.extractAudio);
+  }
+
+  /**
+   * Work out what a recording is transcoded to
+   * @param {string} mediaType The kind of recording: 'video' or 'audio'
+   * @returns {Object|null} The target ({ codec, kind, extension }), or null if recordings are kept as downloaded
+   */
+  transcodeTarget(mediaType) {
+    if (!this.codec && !this.bitrate) {
+      return null;
+    }
+
+    const codec = this.codec || DEFAULT_CODECS[mediaType];
+    return { codec, ...CODECS[codec] };
+  }
+
+  /**
+   * Get the storage key of the transcoded copy of a recording
+   * The codec is part of the name, so a transcoded file never takes the place of a download a later run checks for completeness.
+   * @param {string} fileKey The storage key of the downloaded recording
+   * @param {Object} target The transcode target ({ codec, extension })
+   * @returns {string} The storage key of the transcoded recording
+   */
+  transcodedKey(fileKey, target) {
+    return `${stripExtension(fileKey)}_${target.codec}${target.extension}`;
+  }
+
+  /**
+   * Get the storage key of the audio extracted from a video recording
+   * @param {string} fileKey The storage key of the video recording
+   * @returns {string} The storage key of the audio file
+   */
+  audioKey(fileKey) {
+    const codec = this.audioCodec();
+    return `${stripExtension(fileKey)}_audio${CODECS[codec].extension}`;
+  }
+
+  /**
+   * Transcode a recording
+   * @param {string} inputPath The recording to transcode
+   * @param {string} outputPath The file to write, its extension should match the target
+   * @param {Object} target The transcode target from transcodeTarget()
+   * @returns {Promise<string>} The output path
+   */
+  async transcode(inputPath, outputPath, target) {
+    const codecArgs = target.kind === 'audio'
+      ? ['-vn', '-c:a', target.codec, ...(this.bitrate ? ['-b:a', this.bitrate] : [])]
+      : ['-c:v', target.codec, ...(this.bitrate ? ['-b:v', this.bitrate] : []), '-c:a', 'copy'];
+
+    logger.info(`Transcoding ${path.basename(inputPath)} to ${target.codec}${this.bitrate ? ` at ${this.bitrate}` : ''}`);
+    await this.runFfmpeg(inputPath, outputPath, codecArgs);
+    return outputPath;
+  }
+
+  /**
+   * Save the audio track of a video recording as an audio file
+   * @param {string} inputPath The video recording
+   * @param {string} outputPath The audio file to write
+   * @returns {Promise<string>} The output path
+   */
+  async extractAudioTrack(inputPath, outputPath) {
+    // A bitrate set for video transcoding does not apply to the extracted audio
+    const bitrate = this.bitrate && (!this.codec || CODECS[this.codec].kind === 'audio') ? ['-b:a', this.bitrate] : [];
+
+    logger.info(`Extracting the audio of ${path.basename(inputPath)}`);
+    await this.runFfmpeg(inputPath, outputPath, ['-vn', '-c:a', this.audioCodec(), ...bitrate]);
+    return outputPath;
+  }
+
+  /**
+   * Read the duration of a recording with ffprobe
+   * @param {string} filePath The recording
+   * @returns {Promise<number|null>} The duration in seconds, or null if ffprobe could not tell
+   */
+  async probeDuration(filePath) {
+    try {
+      const { stdout } = await execFileAsync(this.ffprobePath, [
+        '-v', 'error',
+        '-show_entries', 'format=duration',
+        '-of', 'default=noprint_wrappers=1:nokey=1',
+        filePath
+      ]);
+      const duration = parseFloat(stdout.trim());
+      return Number.isFinite(duration) ? duration : null;
+    } catch (error) {
+      logger.error(`Failed to probe the duration of ${filePath}`, error);
+      throw new Error(`ffprobe failed for ${path.basename(filePath)}: ${lastLine(error.stderr) || error.message}`);
+    }
+  }
+
+  /**
+   * Probe the duration of a recording and compare it with the duration of its call
+   * @param {string} filePath The recording
+   * @param {number} callDuration The call duration reported by Gong in seconds, if known
+   * @returns {Promise<Object>} The probed duration and whether it matches the call ({ mediaDuration, durationVerified })
+   */
+  async verifyDuration(filePath, callDuration) {
+    const mediaDuration = await this.probeDuration(filePath);
+    if (mediaDuration === null || !callDuration) {
+      return { mediaDuration, durationVerified: null };
+    }
+
+    const tolerance = Math.max(DURATION_TOLERANCE_SECONDS, callDuration * DURATION_TOLERANCE_RATIO);
+    const durationVerified = Math.abs(mediaDuration - callDuration) <= tolerance;
+    if (!durationVerified) {
+      logger.warn(`Recording ${path.basename(filePath)} lasts ${mediaDuration.toFixed(1)}s but the call lasted ${callDuration}s`);
+    }
+    return { mediaDuration, durationVerified };
+  }
+
+  /**
+   * Get the codec audio tracks are extracted with
+   * @returns {string} The codec name
+   * @private
+   */
+  audioCodec() {
+    return this.codec && CODECS[this.codec].kind === 'audio' ? this.codec : DEFAULT_CODECS.audio;
+  }
+
+  /**
+   * Run ffmpeg on one input file, overwriting the output file
+   * @param {string} inputPath The input file
+   * @param {string} outputPath The output file
+   * @param {Array<string>} codecArgs The codec arguments
+   * @private
+   */
+  async runFfmpeg(inputPath, outputPath, codecArgs) {
+    try {
+      await execFileAsync(this.ffmpegPath, ['-hide_banner', '-loglevel', 'error', '-y', '-i', inputPath, ...codecArgs, outputPath]);
+    } catch (error) {
+      logger.error(`Failed to process ${inputPath} with ffmpeg`, error);
+      throw new Error(`ffmpeg failed for ${path.basename(inputPath)}: ${lastLine(error.stderr) || error.message}`);
+    }
+  }
+}
+
+/**
+ * Remove the extension from a file name or storage key
+ * @param {string} fileKey The file name or storage key
+ * @returns {string} The name without its extension
+ */
+function stripExtension(fileKey) {
+  const extension = path.posix.extname(fileKey);
+  return extension ? fileKey.slice(0, -extension.length) : fileKey;
+}
+
+/**
+ * Get the last non-empty line of a command's output, which holds ffmpeg's error message
+ * @param {string} output The command output
+ * @returns {string} The last line, or an empty string
+ */
+function lastLine(output) {
+  return String(output || '').trim().split('\n').pop().trim();
+}
+
+module.exports = MediaProcessor;
+module.exports.BITRATE_PATTERN = BITRATE_PATTERN;
+module.exports.CODECS = CODECS;
+module.exports.DEFAULT_MEDIA_MODE = DEFAULT_MEDIA_MODE;
+module.exports.MEDIA_MODES = MEDIA_MODES;
@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const { normalizeFields } = require('./crm');
+
+/**
+ * Naming templates for the files recordings are saved as
+ *
+ * A template is a storage key without its extension, made of literal text and tokens such as
+ * `{yyyy}/{mm}/{workspace}/{callId}_{title}`. Every `/` starts a folder.
+ */
+
+// Names the downloader used before templates, e.g. 2025-01-01_1001_discovery_call
+const DEFAULT_NAMING_TEMPLATE = '{date}_{callId}_{title}';
+
+// Storage keys are kept to this many characters below the video directory (default of GONG_MAX_PATH_LENGTH)
+const DEFAULT_MAX_PATH_LENGTH = 200;
+
+// Room kept below the limit for the suffixes of processed recordings (e.g. _audio_libopus.opus)
+const RESERVED_SUFFIX_LENGTH = 20;
+
+// Most filesystems limit each file or folder name to 255 bytes
+const MAX_SEGMENT_BYTES = 255;
+
+// Shortest title a long name is cut down to before the key is given up on
+const MIN_TITLE_LENGTH = 8;
+
+// Folder name used for tokens with no value, so calls without e.g. an account still get their own folder
+const UNKNOWN_SEGMENT = 'unknown';
+
+// Names Windows reserves for devices, which can't be used as file or folder names there
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])$/i;
+
+// Tokens built from the call date, which are safe in names as they are
+const DATE_TOKENS = ['yyyy', 'mm', 'dd', 'date'];
+
+// Values of each token, from the call details built by namingFields()
+const TOKENS = {
+  yyyy: call => datePart(call.started, 0, 4),
+  mm: call => datePart(call.started, 5, 7),
+  dd: call => datePart(call.started, 8, 10),
+  date: call => datePart(call.started, 0, 10),
+  callId: call => call.id,
+  title: call => call.title,
+  workspace: call => call.workspaceId,
+  primaryUser: call => call.primaryUser || call.primaryUserId,
+  account: call => call.account
+};
+
+/**
+ * Get part of the ISO date of a call's start
+ * @param {string} started The start date-time of the call
+ * @param {number} start Index of the first character of the ISO string to keep
+ * @param {number} end Index after the last character to keep
+ * @returns {string} The part, or an empty string if the date is unknown
+ */
+function datePart(started, start, end) {
+  if (!started) {
+    return '';
+  }
+  const date = new Date(started);
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString().slice(start, end);
+}
+
+/**
+ * Turn a token value into text that is safe in a file name
+ * Letters, marks and digits of every script are kept, so titles in any language stay readable,
+ * while separators, punctuation and path characters become underscores.
+ * @param {*} value The token value
+ * @returns {string} The sanitized text, lower case
+ */
+function sanitizeNamePart(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return String(value).normalize('NFC').toLowerCase().replace(/[^\p{L}\p{M}\p{N}]/gu, '_');
+}
+
+/**
+ * Split a template into folder segments of literal and token parts
+ * @param {string} template The naming template
+ * @returns {Array<Array<Object>>} The segments, each a list of parts ({ literal } or { token })
+ */
+function parseTemplate(template) {
+  return template.split('/').map(segment => segment.split(/(\{[^}]*\})/).filter(Boolean).map(part => (
+    part.startsWith('{') && part.endsWith('}') ? { token: part.slice(1, -1) } : { literal: part }
+  )));
+}
+
+/**
+ * Check that a naming template only uses known tokens and stays below the video directory
+ * @param {string} template The naming template
+ * @returns {string} The template
+ */
+function validateTemplate(template) {
+  if (!template || typeof template !== 'string') {
+    throw new Error('Naming template must not be empty');
+  }
+  if (template.startsWith('/') || template.includes('\\')) {
+    throw new Error(`Invalid naming template: ${template} (use relative folders separated by /)`);
+  }
+
+  for (const segment of parseTemplate(template)) {
+    if (segment.length === 0 || segment.every(part => part.literal !== undefined && /^\.+$/.test(part.literal))) {
+      throw new Error(`Invalid naming template: ${template} (folders must not be empty, . or ..)`);
+    }
+    const unknown = segment.filter(part => part.token !== undefined && !TOKENS[part.token]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown token {${unknown[0].token}} in naming template ${template} (valid tokens: ${Object.keys(TOKENS).map(token => `{${token}}`).join(', ')})`);
+    }
+  }
+
+  return template;
+}
+
+/**
+ * Render one folder segment of a template
+ * A token without a value is left out together with the separator that follows it, or the one
+ * before it at the end of the segment, so `{date}_{callId}` becomes `1001` for a call without a date.
+ * @param {Array<Object>} parts The segment parts
+ * @param {Object} values The sanitized token values
+ * @returns {string} The rendered segment
+ */
+function renderSegment(parts, values) {
+  const rendered = parts.map(part => (part.token !== undefined ? { token: part.token, text: values[part.token] } : { text: part.literal }));
+
+  for (let i = 0; i < rendered.length; i++) {
+    if (rendered[i].token === undefined || rendered[i].text) {
+      continue;
+    }
+    if (rendered[i + 1] && rendered[i + 1].token === undefined) {
+      rendered[i + 1].text = '';
+    } else if (rendered[i - 1] && rendered[i - 1].token === undefined) {
+      rendered[i - 1].text = '';
+    }
+  }
+
+  const segment = rendered.map(part => part.text).join('') || UNKNOWN_SEGMENT;
+  return RESERVED_NAMES.test(segment) ? `${segment}_` : segment;
+}
+
+/**
+ * Shorten a sanitized title, ending it with a hash of the full title so shortened titles stay distinct
+ * @param {string} title The sanitized title
+ * @param {number} length The length to cut the title to, including the hash
+ * @returns {string} The shortened title
+ */
+function shortenTitle(title, length) {
+  const hash = crypto.createHash('sha256').update(title).digest('hex').slice(0, 8);
+  return `${Array.from(title).slice(0, Math.max(length - hash.length - 1, 1)).join('')}_${hash}`;
+}
+
+/**
+ * Build the storage key of a recording from a naming template
+ * Keys longer than the limit, or with a file or folder name over 255 bytes, get a shortened title.
+ * @param {string} template The naming template
+ * @param {Object} call The call details ({ id, title, started, workspaceId, primaryUser, primaryUserId, account })
+ * @param {Object} options Optional settings
+ * @param {string} options.suffix Text to add after the name and before the extension (e.g. _audio)
+ * @param {string} options.extension The file extension, including the dot
+ * @param {string} options.directory Folder to put the recording in before the template's own folders
+ * @param {number} options.maxLength Maximum length of the key (default: DEFAULT_MAX_PATH_LENGTH)
+ * @returns {string} The storage key
+ */
+function buildRecordingKey(template, call, options = {}) {
+  const { suffix = '', extension = '', directory = '', maxLength = DEFAULT_MAX_PATH_LENGTH } = options;
+  const segments = parseTemplate(template);
+  const values = Object.fromEntries(Object.entries(TOKENS).map(([token, read]) => [
+    token,
+    DATE_TOKENS.includes(token) ? read(call) : sanitizeNamePart(read(call))
+  ]));
+  const limit = Math.max(maxLength - RESERVED_SUFFIX_LENGTH, 1);
+
+  const render = title => {
+    const rendered = segments.map(parts => renderSegment(parts, { ...values, title }));
+    rendered[rendered.length - 1] += suffix + extension;
+    return { key: [directory, ...rendered].filter(Boolean).join('/'), rendered };
+  };
+  const fits = ({ key, rendered }) => key.length <= limit &&
+    rendered.every(segment => Buffer.byteLength(segment) <= MAX_SEGMENT_BYTES - RESERVED_SUFFIX_LENGTH);
+
+  let result = render(values.title);
+  const titleLength = Array.from(values.title).length;
+  for (let length = titleLength - 1; !fits(result) && length >= MIN_TITLE_LENGTH; length--) {
+    result = render(shortenTitle(values.title, length));
+  }
+
+  if (!fits(result)) {
+    throw new Error(`Recording name ${result.key} is longer than the maximum of ${maxLength} characters, shorten the naming template or the directory`);
+  }
+  return result.key;
+}
+
+/**
+ * Collect the call details naming templates use that aren't in the call metadata
+ * @param {Object} call Standard or extensive call data
+ * @returns {Object} The details ({ workspaceId, primaryUserId, primaryUser, account })
+ */
+function namingFields(call) {
+  const metaData = call.metaData || call;
+
+  // The name of the primary user is known from the parties of extensive call data
+  const primaryParty = (call.parties || []).find(party => party.userId && party.userId === metaData.primaryUserId);
+  const primaryUser = primaryParty ? primaryParty.name || primaryParty.emailAddress || null : null;
+
+  // The first CRM account linked to the call, by name when its fields include one
+  let account = null;
+  for (const system of Array.isArray(call.context) ? call.context : []) {
+    const object = (system.objects || []).find(entry => entry.objectType === 'Account');
+    if (object) {
+      account = normalizeFields(object.fields).Name || object.objectId || null;
+      break;
+    }
+  }
+
+  return {
+    workspaceId: metaData.workspaceId || null,
+    primaryUserId: metaData.primaryUserId || null,
+    primaryUser: primaryUser || call.primaryUser || null,
+    account: account || call.account || null
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_PATH_LENGTH,
+  DEFAULT_NAMING_TEMPLATE,
+  NAMING_TOKENS: Object.keys(TOKENS),
+  buildRecordingKey,
+  namingFields,
+  sanitizeNamePart,
+  validateTemplate
+};
@@ -0,0 +1,230 @@
+const { PassThrough } = require('stream');
+const { once } = require('events');
+const logger = require('./logger');
+
+/**
+ * Output formats for exported datasets
+ *
+ * - json: one pretty-printed `{ exportTimestamp, data }` document per dataset (default)
+ * - ndjson: one record per line
+ * - csv: flattened tables for calls, parties, users and video downloads
+ *
+ * Every format is written as pages of records arrive, so large datasets are never held in memory.
+ */
+const OUTPUT_FORMATS = ['json', 'ndjson', 'csv'];
+
+const DEFAULT_OUTPUT_FORMAT = 'json';
+
+const CALL_COLUMNS = [
+  'id', 'url', 'title', 'scheduled', 'started', 'duration', 'primaryUserId', 'direction', 'system',
+  'scope', 'media', 'language', 'workspaceId', 'meetingUrl', 'isPrivate', 'purpose'
+];
+
+const PARTY_COLUMNS = [
+  'callId', 'id', 'speakerId', 'userId', 'name', 'emailAddress', 'title', 'affiliation', 'phoneNumber', 'methods'
+];
+
+const USER_COLUMNS = [
+  'id', 'emailAddress', 'firstName', 'lastName', 'title', 'phoneNumber', 'extension', 'managerId',
+  'active', 'created', 'emailAliases', 'trustedEmailAddress'
+];
+
+const VIDEO_DOWNLOAD_COLUMNS = [
+  'callId', 'title', 'mediaType', 'filePath', 'fileKey', 'size', 'sha256', 'callDuration', 'mediaDuration', 'durationVerified',
+  'codec', 'bitrate', 'sourceHost', 'downloadedAt', 'downloadDurationMs'
+];
+
+// Each table has a fixed set of columns and turns one exported record into its rows
+const CSV_TABLES = {
+  calls: {
+    columns: CALL_COLUMNS,
+    rows: call => [call.metaData || call]
+  },
+  parties: {
+    columns: PARTY_COLUMNS,
+    rows: call => {
+      const callId = call.metaData ? call.metaData.id : call.id;
+      return (call.parties || []).map(party => ({ ...party, callId }));
+    }
+  },
+  users: {
+    columns: USER_COLUMNS,
+    rows: user => [user]
+  },
+  videoDownloads: {
+    columns: VIDEO_DOWNLOAD_COLUMNS,
+    rows: download => [download]
+  }
+};
+
+/**
+ * Convert a value to a CSV field
+ * Lists and objects are written as JSON, and fields containing commas, quotes or line breaks are quoted.
+ * @param {*} value The value
+ * @returns {string} The CSV field
+ */
+function toCsvField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert a list of values to a CSV line
+ * @param {Array} values The values, in column order
+ * @returns {string} The CSV line, without a line break
+ */
+function toCsvLine(values) {
+  return values.map(toCsvField).join(',');
+}
+
+/**
+ * Indent every line after the first of a pretty-printed JSON value
+ * @param {*} value The value
+ * @param {string} indent The indentation of the value's position in the document
+ * @returns {string} The JSON text
+ */
+function toIndentedJson(value, indent) {
+  return JSON.stringify(value, null, 2).replace(/\n/g, `\n${indent}`);
+}
+
+/**
+ * Writes records to a stored object as they arrive, as NDJSON, as a CSV table or as a JSON document
+ *
+ * JSON documents have the same layout as the files saved in one go ({ exportTimestamp, data }),
+ * with the records as data or as a list under a key of data.
+ */
+class RecordWriter {
+  /**
+   * Create a new RecordWriter instance and start streaming to storage
+   * @param {LocalStorage|S3Storage} storage The storage to write to
+   * @param {string} key The storage key
+   * @param {Object} options Optional settings
+   * @param {string} options.table Name of the CSV table to write (see CSV_TABLES), NDJSON is written when not set
+   * @param {boolean} options.json Write a pretty-printed JSON document instead of NDJSON
+   * @param {string} options.key Key of data to list the records under in a JSON document, other fields of data are passed to close()
+   */
+  constructor(storage, key, options = {}) {
+    if (options.table && !CSV_TABLES[options.table]) {
+      throw new Error(`Unknown CSV table: ${options.table}`);
+    }
+
+    this.storage = storage;
+    this.key = key;
+    this.table = options.table ? CSV_TABLES[options.table] : null;
+    this.json = Boolean(options.json) && !this.table;
+    this.dataKey = options.key || null;
+    this.indent = this.dataKey ? '      ' : '    ';
+    this.count = 0;
+    this.stream = new PassThrough();
+    this.done = storage.writeStream(key, this.stream);
+    // Failures are reported by close() or the next write, also when the storage hasn't started reading yet
+    this.done.catch(() => {});
+    this.stream.on('error', () => {});
+
+    // A header is written even when there are no rows, so every file has the same columns
+    if (this.table) {
+      this.stream.write(`${toCsvLine(this.table.columns)}\n`);
+    }
+    if (this.json) {
+      const timestamp = JSON.stringify(new Date().toISOString());
+      this.stream.write(`{\n  "exportTimestamp": ${timestamp},\n  "data": ${this.dataKey ? `{\n    ${JSON.stringify(this.dataKey)}: [` : '['}`);
+    }
+  }
+
+  /**
+   * Write records, waiting for the storage to catch up when its buffer is full
+   * @param {Array} records The records to write
+   * @returns {Promise<void>}
+   */
+  async write(records) {
+    for (const record of records || []) {
+      let chunks;
+      if (this.table) {
+        chunks = this.table.rows(record).map(row => `${toCsvLine(this.table.columns.map(column => row[column]))}\n`);
+      } else if (this.json) {
+        chunks = [`${this.count > 0 ? ',' : ''}\n${this.indent}${toIndentedJson(record, this.indent)}`];
+      } else {
+        chunks = [`${JSON.stringify(record)}\n`];
+      }
+
+      for (const chunk of chunks) {
+        if (!this.stream.write(chunk)) {
+          await Promise.race([once(this.stream, 'drain'), this.done]);
+        }
+        this.count++;
+      }
+    }
+  }
+
+  /**
+   * Finish writing
+   * @param {Object} fields Optional fields to add to data after the records, for JSON documents with a key
+   * @returns {Promise<string>} The location of the written object
+   */
+  async close(fields = {}) {
+    if (this.json) {
+      let end = this.count > 0 ? `\n${this.indent.slice(2)}]` : ']';
+      if (this.dataKey) {
+        for (const [name, value] of Object.entries(fields)) {
+          end += `,\n    ${JSON.stringify(name)}: ${toIndentedJson(value, '    ')}`;
+        }
+        end += '\n  }';
+      }
+      this.stream.write(`${end}\n}`);
+    }
+    this.stream.end();
+    const location = await this.done;
+    logger.info(`${this.count} ${this.table ? 'rows' : 'records'} saved to ${location}`);
+    return location;
+  }
+
+  /**
+   * Stop writing and remove what was written so far, so a failed export leaves no partial file
+   * @returns {Promise<void>}
+   */
+  async abort() {
+    this.stream.destroy(new Error(`Writing ${this.key} was aborted`));
+    try {
+      await this.done;
+    } catch (error) {
+      // Expected, the stream was destroyed
+    }
+    await this.storage.delete(this.key);
+  }
+}
+
+/**
+ * Create a writer for a dataset in an output format
+ * @param {LocalStorage|S3Storage} storage The storage to write to
+ * @param {string} name The file name without extension (may include a subdirectory)
+ * @param {Object} options Writer settings
+ * @param {string} options.format The output format ('json', 'ndjson' or 'csv')
+ * @param {string} options.table Name of the CSV table, required for csv
+ * @param {string} options.key Key of data to list the records under in a JSON document
+ * @returns {RecordWriter} The writer
+ */
+function createRecordWriter(storage, name, options = {}) {
+  if (options.format === 'json') {
+    return new RecordWriter(storage, `${name}.json`, { json: true, key: options.key });
+  }
+  if (options.format === 'csv') {
+    return new RecordWriter(storage, `${name}.csv`, { table: options.table });
+  }
+  if (options.format === 'ndjson') {
+    return new RecordWriter(storage, `${name}.ndjson`);
+  }
+  throw new Error(`Unknown output format: ${options.format}`);
+}
+
+module.exports = {
+  CSV_TABLES,
+  DEFAULT_OUTPUT_FORMAT,
+  OUTPUT_FORMATS,
+  RecordWriter,
+  createRecordWriter,
+  toCsvLine
+};
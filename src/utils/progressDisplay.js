@@ -0,0 +1,128 @@
+const readline = require('readline');
+
+/**
+ * Aggregate terminal progress display for concurrent downloads
+ *
+ * On a TTY a single status line is redrawn with the overall progress, combined speed and
+ * the progress of each active file. Elsewhere (log files, CI) only completed files are printed.
+ */
+class ProgressDisplay {
+  /**
+   * Create a new ProgressDisplay instance
+   * @param {number} totalItems Number of items (calls) to process
+   * @param {Object} options Optional settings
+   * @param {Object} options.output Stream to write progress to (default: process.stderr)
+   * @param {number} options.renderInterval Minimum time between redraws in ms (default: 250)
+   */
+  constructor(totalItems, options = {}) {
+    this.totalItems = totalItems;
+    this.output = options.output || process.stderr;
+    this.renderInterval = options.renderInterval || 250;
+    this.interactive = Boolean(this.output.isTTY);
+    this.completedItems = 0;
+    this.failedItems = 0;
+    this.activeFiles = new Map();
+    this.totalBytes = 0;
+    this.startTime = Date.now();
+    this.lastRenderTime = 0;
+  }
+
+  /**
+   * Start tracking a file download
+   * @param {string} name The file name
+   * @param {number} size The expected size in bytes (0 when unknown)
+   * @param {number} initialBytes Bytes already present before this download started (default: 0)
+   */
+  startFile(name, size, initialBytes = 0) {
+    this.activeFiles.set(name, { size, downloaded: initialBytes });
+    this.render(true);
+  }
+
+  /**
+   * Record bytes received for a file
+   * @param {string} name The file name
+   * @param {number} bytes The number of bytes received
+   */
+  updateFile(name, bytes) {
+    const file = this.activeFiles.get(name);
+    if (file) {
+      file.downloaded += bytes;
+    }
+    this.totalBytes += bytes;
+    this.render();
+  }
+
+  /**
+   * Stop tracking a file download
+   * @param {string} name The file name
+   * @param {boolean} success Whether the download completed
+   */
+  finishFile(name, success) {
+    this.activeFiles.delete(name);
+    this.clearLine();
+    this.output.write(`${success ? 'Downloaded' : 'Download failed for'} ${name}${success ? ' [100%] Complete' : ''}\n`);
+    this.render(true);
+  }
+
+  /**
+   * Record that an item (call) has been processed
+   * @param {boolean} success Whether the item produced a download
+   */
+  completeItem(success) {
+    this.completedItems++;
+    if (!success) {
+      this.failedItems++;
+    }
+    this.render(true);
+  }
+
+  /**
+   * Redraw the status line, throttled to the render interval unless forced
+   * @param {boolean} force Redraw even if the last redraw was recent
+   */
+  render(force = false) {
+    if (!this.interactive) {
+      return;
+    }
+
+    const now = Date.now();
+    if (!force && now - this.lastRenderTime < this.renderInterval) {
+      return;
+    }
+    this.lastRenderTime = now;
+
+    const percentage = this.totalItems > 0 ? Math.floor((this.completedItems / this.totalItems) * 100) : 100;
+    const elapsedTime = (now - this.startTime) / 1000; // seconds
+    const speed = elapsedTime > 0 ? this.totalBytes / elapsedTime / 1024 / 1024 : 0; // MB/s
+
+    const files = Array.from(this.activeFiles.entries()).map(([name, file]) => {
+      const filePercentage = file.size > 0 ? `${Math.floor((file.downloaded / file.size) * 100)}%` : `${(file.downloaded / (1024 * 1024)).toFixed(1)} MB`;
+      return `${name.length > 24 ? `${name.slice(0, 21)}...` : name} ${filePercentage}`;
+    });
+
+    const line = `Overall [${this.completedItems}/${this.totalItems}] ${percentage}% | ${this.activeFiles.size} active | ${speed.toFixed(2)} MB/s${files.length > 0 ? ` | ${files.join(', ')}` : ''}`;
+    const width = this.output.columns || 120;
+
+    this.clearLine();
+    this.output.write(line.length > width ? `${line.slice(0, width - 3)}...` : line);
+  }
+
+  /**
+   * Clear the status line so other output can be written
+   */
+  clearLine() {
+    if (this.interactive) {
+      readline.clearLine(this.output, 0);
+      readline.cursorTo(this.output, 0);
+    }
+  }
+
+  /**
+   * Finish the display, leaving the cursor on a fresh line
+   */
+  stop() {
+    this.clearLine();
+  }
+}
+
+module.exports = ProgressDisplay;
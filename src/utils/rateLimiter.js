@@ -0,0 +1,146 @@
+const logger = require('./logger');
+
+// Gong's documented limits: 3 calls per second and 10,000 calls per day per company
+const DEFAULT_LIMITS = {
+  requestsPerSecond: 3,
+  burst: 3,
+  requestsPerDay: 10000
+};
+
+// Limiters shared by every client of the same tenant (Gong company) in this process
+const tenantLimiters = new Map();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Token bucket rate limiter for outbound Gong API calls
+ *
+ * The bucket holds up to `burst` tokens and refills at `requestsPerSecond`. Every call
+ * takes one token, and callers are served in order so parallel workers share the limit
+ * fairly. A daily counter enforces the per-day quota, and `pause` holds all callers back
+ * when the server asks for it with Retry-After.
+ */
+class RateLimiter {
+  /**
+   * Create a new RateLimiter instance
+   * @param {Object} limits Optional limits
+   * @param {number} limits.requestsPerSecond Sustained number of calls per second (default: 3)
+   * @param {number} limits.burst Number of calls that may be made back to back (default: requestsPerSecond)
+   * @param {number} limits.requestsPerDay Maximum number of calls per 24 hours (default: 10000)
+   */
+  constructor(limits = {}) {
+    // Only missing limits get the defaults, a limit of 0 is rejected below rather than replaced
+    this.requestsPerSecond = limits.requestsPerSecond !== undefined ? limits.requestsPerSecond : DEFAULT_LIMITS.requestsPerSecond;
+    this.burst = limits.burst !== undefined ? limits.burst : Math.max(1, Math.floor(this.requestsPerSecond));
+    this.requestsPerDay = limits.requestsPerDay !== undefined ? limits.requestsPerDay : DEFAULT_LIMITS.requestsPerDay;
+
+    if (!(this.requestsPerSecond > 0) || !(this.burst >= 1) || !(this.requestsPerDay >= 1)) {
+      throw new Error(`Rate limits must be positive numbers, with a burst and daily limit of at least 1 (got ${this.requestsPerSecond}/s, burst ${this.burst}, ${this.requestsPerDay}/day)`);
+    }
+
+    this.tokens = this.burst;
+    this.lastRefillTime = Date.now();
+    this.pausedUntil = 0;
+    this.dailyCalls = 0;
+    this.dailyResetTime = Date.now() + 24 * 60 * 60 * 1000;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Wait until the next call is allowed
+   * Calls are queued so that concurrent callers are served in order
+   * @returns {Promise<void>} Resolves when the caller may make its call
+   */
+  acquire() {
+    const next = this.queue.then(() => this.takeToken());
+    this.queue = next.catch(() => {});
+    return next;
+  }
+
+  /**
+   * Hold back all callers for a period, e.g. when the server responds with Retry-After
+   * @param {number} ms Milliseconds to pause for
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    this.tokens = 0;
+  }
+
+  /**
+   * Take a token from the bucket, waiting for one to become available
+   * @private
+   */
+  async takeToken() {
+    for (;;) {
+      const now = Date.now();
+
+      // Reset the daily counter once the 24 hour window has passed
+      if (now >= this.dailyResetTime) {
+        this.dailyCalls = 0;
+        this.dailyResetTime = now + 24 * 60 * 60 * 1000;
+      }
+
+      if (this.dailyCalls >= this.requestsPerDay) {
+        const waitTime = this.dailyResetTime - now;
+        logger.warn(`Daily rate limit of ${this.requestsPerDay} calls reached. Waiting for ${Math.ceil(waitTime / 1000)} seconds until reset.`);
+        await sleep(waitTime);
+        continue;
+      }
+
+      if (this.pausedUntil > now) {
+        await sleep(this.pausedUntil - now);
+        continue;
+      }
+
+      // Refill the bucket for the time elapsed since the last refill
+      this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefillTime) / 1000) * this.requestsPerSecond);
+      this.lastRefillTime = now;
+
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        this.dailyCalls++;
+        return;
+      }
+
+      const waitTime = Math.ceil(((1 - this.tokens) / this.requestsPerSecond) * 1000);
+      logger.debug(`Waiting ${waitTime}ms to respect rate limit`);
+      await sleep(waitTime);
+    }
+  }
+}
+
+/**
+ * Describe the limits of a rate limiter, for error messages
+ * @param {RateLimiter} limiter The rate limiter
+ * @returns {string} The limits, e.g. "3/s, burst 3, 10000/day"
+ */
+const describeLimits = limiter => `${limiter.requestsPerSecond}/s, burst ${limiter.burst}, ${limiter.requestsPerDay}/day`;
+
+/**
+ * Get the rate limiter shared by all clients of a tenant, creating it on first use
+ * The limits passed on first use apply for the lifetime of the process. Later callers may leave the
+ * limits out to share them, while passing different limits fails instead of silently getting the old ones.
+ * @param {string} tenant Key identifying the tenant (e.g. the Basic auth token)
+ * @param {Object} limits Optional limits ({ requestsPerSecond, burst, requestsPerDay })
+ * @returns {RateLimiter} The tenant's rate limiter
+ */
+function getRateLimiter(tenant, limits = {}) {
+  const existing = tenantLimiters.get(tenant);
+  if (!existing) {
+    const limiter = new RateLimiter(limits);
+    tenantLimiters.set(tenant, limiter);
+    return limiter;
+  }
+
+  if (limits && Object.values(limits).some(value => value !== undefined)) {
+    const requested = new RateLimiter(limits);
+    if (['requestsPerSecond', 'burst', 'requestsPerDay'].some(name => requested[name] !== existing[name])) {
+      throw new Error(`The rate limiter of this tenant already applies ${describeLimits(existing)}, it cannot be shared with limits of ${describeLimits(requested)} (pass a rate limiter of its own instead)`);
+    }
+  }
+  return existing;
+}
+
+module.exports = RateLimiter;
+module.exports.DEFAULT_LIMITS = DEFAULT_LIMITS;
+module.exports.getRateLimiter = getRateLimiter;
@@ -0,0 +1,378 @@
+const crypto = require('crypto');
+
+// How email addresses are replaced: 'hash' hides the whole address, 'pseudonym' keeps the domain
+const EMAIL_MODES = ['hash', 'pseudonym'];
+const DEFAULT_EMAIL_MODE = 'hash';
+
+// Shorter salts are easy to brute force against a list of known addresses
+const MIN_SALT_LENGTH = 16;
+
+// Domain of hashed email addresses, reserved so it never delivers mail
+const HASHED_EMAIL_DOMAIN = 'redacted.invalid';
+
+// Values this redactor produced, which are left alone when a record is redacted again (e.g. a resumed page)
+const REDACTED_EMAIL = /^(?:[0-9a-f]{16}@redacted\.invalid|person-[0-9a-f]{10}@.+)$/;
+const REDACTED_NAME = /^Person [0-9a-f]{8}$/;
+
+// Fields holding personal data, matched on the field name (CRM fields are matched on their own name)
+const EMAIL_FIELD = /email/i;
+const PHONE_FIELD = /phone|mobile|fax/i;
+const NAME_FIELD = /^(name|fullName)$/i;
+const FIRST_NAME_FIELD = /^firstName$/i;
+const LAST_NAME_FIELD = /^lastName$/i;
+
+// Fields of free text, which are searched for TEXT_PATTERNS
+const TEXT_FIELD = /^(text|brief|comment|note|title|description|summary|subject|body)$/i;
+
+// Records with one of these fields describe a person, so their name fields are pseudonymised
+// Names of accounts, topics, folders and the like are left as they are
+const PERSON_FIELD = /^(email|emailAddress|firstName|lastName|affiliation|speakerId)$/i;
+
+// CRM objects describing a person, whose field lists hold names
+const PERSON_OBJECT_TYPES = ['Contact', 'Lead'];
+
+// Patterns redacted from free text, in the order they are applied
+// Card numbers must pass the Luhn check, so order numbers and call IDs are left alone
+const TEXT_PATTERNS = {
+  email: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu,
+  iban: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+  card: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+  ssn: /(?<![\d-])\d{3}[ -]\d{2}[ -]\d{4}(?![\d-])/g,
+  // International numbers, or local numbers of three groups such as (415) 555-0134, so years and amounts are left alone
+  phone: /(?<![\w+])(?:\+\d{1,3}[ .-]?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}[ .-]?\d{3,4}(?:[ .-]?\d{2,4})?|(?:\(\d{2,4}\)[ .-]?|\d{2,4}[ .-])\d{3,4}[ .-]\d{3,4})(?!\w)/g
+};
+
+/**
+ * Check a number with the Luhn checksum used by payment cards
+ * @param {string} digits The number, digits only
+ * @returns {boolean} Whether the checksum is valid
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Normalise a name or address so the same person always gets the same pseudonym
+ * @param {string} value The name or address
+ * @returns {string} The normalised value
+ */
+function normalize(value) {
+  return String(value).normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Build the pattern that finds a name in text, as a whole word in any case
+ * @param {string} name The name
+ * @returns {RegExp} The pattern
+ */
+function namePattern(name) {
+  const escaped = name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+/**
+ * Redaction of personal data in exported records
+ *
+ * Email addresses and names are replaced with stable pseudonyms, keyed with a secret salt so the
+ * same person gets the same pseudonym in every run and file while the pseudonyms can't be reversed
+ * by hashing known addresses. Phone numbers are masked, and card numbers, IBANs, social security
+ * numbers, phone numbers and addresses in free text are replaced. The pseudonyms handed out are
+ * kept, so they can be saved to a re-identification key kept apart from the export.
+ */
+class Redactor {
+  /**
+   * Create a new Redactor instance
+   * @param {Object} options Redaction settings
+   * @param {string} options.salt Secret the pseudonyms are keyed with, at least 16 characters
+   * @param {string} options.emails How email addresses are replaced, one of EMAIL_MODES (default: 'hash')
+   * @param {Array<string>} options.patterns Patterns redacted from free text (default: all of TEXT_PATTERNS)
+   */
+  constructor(options = {}) {
+    const { salt, emails = DEFAULT_EMAIL_MODE, patterns = Object.keys(TEXT_PATTERNS) } = options;
+
+    if (!salt || salt.length < MIN_SALT_LENGTH) {
+      throw new Error(`Redaction needs a salt of at least ${MIN_SALT_LENGTH} characters, set GONG_REDACTION_SALT`);
+    }
+    if (!EMAIL_MODES.includes(emails)) {
+      throw new Error(`Unknown email redaction mode: ${emails} (valid modes: ${EMAIL_MODES.join(', ')})`);
+    }
+    const unknown = patterns.filter(pattern => !TEXT_PATTERNS[pattern]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown redaction patterns: ${unknown.join(', ')} (valid patterns: ${Object.keys(TEXT_PATTERNS).join(', ')})`);
+    }
+
+    this.salt = salt;
+    this.emails = emails;
+    this.patterns = Object.keys(TEXT_PATTERNS).filter(pattern => patterns.includes(pattern));
+    // Pseudonym to original value, for the re-identification key
+    this.pseudonyms = new Map();
+  }
+
+  /**
+   * Redact a list of records
+   * @param {Array<Object>} records The records
+   * @returns {Array<Object>} Redacted copies of the records
+   */
+  redactRecords(records) {
+    return (records || []).map(record => this.redactRecord(record));
+  }
+
+  /**
+   * Redact the personal data in a record and everything nested in it
+   * The full names of a call's parties are also replaced in its free text, such as transcript sentences.
+   * @param {*} record The record
+   * @param {Object} options Optional settings
+   * @param {boolean} options.person Whether the record describes a person, e.g. a CRM contact (default: worked out from its fields)
+   * @returns {*} A redacted copy of the record
+   */
+  redactRecord(record, options = {}) {
+    return this.redactValue(record, { field: '', inPerson: Boolean(options.person), names: [] });
+  }
+
+  /**
+   * Replace an email address with its pseudonym
+   * @param {string} email The email address
+   * @returns {string} The pseudonymous address
+   */
+  redactEmail(email) {
+    if (REDACTED_EMAIL.test(email)) {
+      return email;
+    }
+
+    const hash = this.hash('email', normalize(email));
+    const domain = email.includes('@') ? normalize(email.split('@').pop()) : HASHED_EMAIL_DOMAIN;
+    const pseudonym = this.emails === 'pseudonym' ? `person-${hash.slice(0, 10)}@${domain}` : `${hash.slice(0, 16)}@${HASHED_EMAIL_DOMAIN}`;
+    return this.remember(pseudonym, 'email', email);
+  }
+
+  /**
+   * Replace a person's name with its pseudonym
+   * @param {string} name The full name
+   * @returns {string} The pseudonym, e.g. "Person 1a2b3c4d"
+   */
+  redactName(name) {
+    if (!name.trim() || REDACTED_NAME.test(name)) {
+      return name;
+    }
+    return this.remember(`Person ${this.hash('name', normalize(name)).slice(0, 8)}`, 'name', name);
+  }
+
+  /**
+   * Mask a phone number, keeping its last two digits and its formatting
+   * @param {string} phone The phone number
+   * @returns {string} The masked number, e.g. +*-***-***-**34
+   */
+  maskPhone(phone) {
+    return phone.replace(/\d(?=(?:\D*\d){2})/g, '*');
+  }
+
+  /**
+   * Redact the enabled patterns from free text
+   * Email addresses get the same pseudonym as in the address fields, other matches are replaced
+   * with a placeholder naming what was removed, e.g. [REDACTED_CARD].
+   * @param {string} text The text
+   * @param {Array<string>} names Full names to replace with their pseudonyms, e.g. those of the call's parties
+   * @returns {string} The redacted text
+   */
+  redactText(text, names = []) {
+    let redacted = text;
+    for (const name of names) {
+      redacted = redacted.replace(namePattern(name), () => this.redactName(name));
+    }
+    for (const name of this.patterns) {
+      redacted = redacted.replace(TEXT_PATTERNS[name], match => {
+        if (name === 'email') {
+          return this.redactEmail(match);
+        }
+        if (name === 'card' && !passesLuhn(match.replace(/\D/g, ''))) {
+          return match;
+        }
+        return `[REDACTED_${name.toUpperCase()}]`;
+      });
+    }
+    return redacted;
+  }
+
+  /**
+   * List the pseudonyms handed out so far with the values they replaced
+   * @returns {Array<Object>} The entries ({ type, pseudonym, value }), by type and pseudonym
+   */
+  keyEntries() {
+    return Array.from(this.pseudonyms, ([pseudonym, { type, value }]) => ({ type, pseudonym, value }))
+      .sort((a, b) => a.type.localeCompare(b.type) || a.pseudonym.localeCompare(b.pseudonym));
+  }
+
+  /**
+   * Describe the redaction settings, without the salt
+   * @returns {Object} The settings ({ emails, patterns, saltFingerprint })
+   */
+  describe() {
+    return {
+      emails: this.emails,
+      patterns: this.patterns,
+      // Tells which salt a key file belongs to, so pseudonyms from different salts aren't mixed up
+      saltFingerprint: crypto.createHash('sha256').update(this.salt).digest('hex').slice(0, 12)
+    };
+  }
+
+  /**
+   * Redact a value within a record
+   * @param {*} value The value
+   * @param {Object} context Where the value sits ({ field, inPerson, names })
+   * @returns {*} The redacted value
+   * @private
+   */
+  redactValue(value, context) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactValue(item, context));
+    }
+    if (typeof value === 'string') {
+      return this.redactField(context.field, value, context.names);
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    const keys = Object.keys(value);
+    const inPerson = context.inPerson || PERSON_OBJECT_TYPES.includes(value.objectType);
+    const person = inPerson || keys.some(key => PERSON_FIELD.test(key));
+    // Calls and transcripts list their parties, whose names may be spoken or written in the text below them
+    const names = Array.isArray(value.parties) ? this.partyNames(value.parties).concat(context.names) : context.names;
+
+    // CRM fields come as { name, value } pairs, where the value is redacted by the field's name
+    if (typeof value.name === 'string' && 'value' in value && keys.length <= 3) {
+      const nameField = [NAME_FIELD, FIRST_NAME_FIELD, LAST_NAME_FIELD].some(pattern => pattern.test(value.name));
+      return {
+        ...value,
+        value: inPerson && nameField && typeof value.value === 'string'
+          ? this.redactName(value.value)
+          : this.redactValue(value.value, { field: value.name, inPerson, names })
+      };
+    }
+
+    const nameFields = person ? this.redactNameFields(value, keys) : {};
+    const redacted = {};
+    for (const key of keys) {
+      redacted[key] = key in nameFields ? nameFields[key] : this.redactValue(value[key], { field: key, inPerson, names });
+    }
+    return redacted;
+  }
+
+  /**
+   * Redact a string by the name of the field holding it
+   * @param {string} field The field name
+   * @param {string} value The value
+   * @param {Array<string>} names Full names to replace in free text
+   * @returns {string} The redacted value
+   * @private
+   */
+  redactField(field, value, names) {
+    if (EMAIL_FIELD.test(field)) {
+      return value ? this.redactEmail(value) : value;
+    }
+    if (PHONE_FIELD.test(field)) {
+      return this.maskPhone(value);
+    }
+    if (TEXT_FIELD.test(field)) {
+      return this.redactText(value, names);
+    }
+    return value;
+  }
+
+  /**
+   * Pseudonymise the name fields of a record describing a person
+   * A first and last name become "Person" and the hash of the full name, so the user's full
+   * name reads the same as the pseudonym of the name on their call parties.
+   * @param {Object} record The record
+   * @param {Array<string>} keys The record's fields
+   * @returns {Object} The redacted name fields
+   * @private
+   */
+  redactNameFields(record, keys) {
+    const redacted = {};
+    const stringField = pattern => keys.find(key => pattern.test(key) && typeof record[key] === 'string');
+
+    const nameField = stringField(NAME_FIELD);
+    if (nameField) {
+      redacted[nameField] = this.redactName(record[nameField]);
+    }
+
+    const firstNameField = stringField(FIRST_NAME_FIELD);
+    const lastNameField = stringField(LAST_NAME_FIELD);
+    if (firstNameField || lastNameField) {
+      const firstName = firstNameField ? record[firstNameField] : '';
+      const lastName = lastNameField ? record[lastNameField] : '';
+      const pseudonym = firstName === 'Person' && /^[0-9a-f]{8}$/.test(lastName)
+        ? `${firstName} ${lastName}`
+        : this.redactName([firstName, lastName].filter(Boolean).join(' '));
+      const [first, last] = REDACTED_NAME.test(pseudonym) ? pseudonym.split(' ') : [firstName, lastName];
+      if (firstNameField) {
+        redacted[firstNameField] = first;
+      }
+      if (lastNameField) {
+        redacted[lastNameField] = last;
+      }
+    }
+
+    return redacted;
+  }
+
+  /**
+   * List the full names of a call's parties, longest first so a longer name is replaced before a name within it
+   * Parties that were redacted already, such as those of a call joined with its transcript, are named by the value their pseudonym replaced.
+   * @param {Array<Object>} parties The parties
+   * @returns {Array<string>} The names
+   * @private
+   */
+  partyNames(parties) {
+    const names = parties
+      .map(party => (party && typeof party.name === 'string' ? party.name : ''))
+      .map(name => (REDACTED_NAME.test(name) && this.pseudonyms.has(name) ? this.pseudonyms.get(name).value : name))
+      .filter(name => name.trim() && !REDACTED_NAME.test(name));
+    return Array.from(new Set(names)).sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * Key a value with the salt
+   * @param {string} type The kind of value, so an address and a name never share a hash
+   * @param {string} value The normalised value
+   * @returns {string} The hex digest
+   * @private
+   */
+  hash(type, value) {
+    return crypto.createHmac('sha256', this.salt).update(`${type}:${value}`).digest('hex');
+  }
+
+  /**
+   * Keep a pseudonym for the re-identification key
+   * @param {string} pseudonym The pseudonym
+   * @param {string} type The kind of value it replaced
+   * @param {string} value The value it replaced
+   * @returns {string} The pseudonym
+   * @private
+   */
+  remember(pseudonym, type, value) {
+    if (!this.pseudonyms.has(pseudonym)) {
+      this.pseudonyms.set(pseudonym, { type, value });
+    }
+    return pseudonym;
+  }
+}
+
+module.exports = Redactor;
+module.exports.DEFAULT_EMAIL_MODE = DEFAULT_EMAIL_MODE;
+module.exports.EMAIL_MODES = EMAIL_MODES;
+module.exports.MIN_SALT_LENGTH = MIN_SALT_LENGTH;
+module.exports.TEXT_PATTERNS = Object.keys(TEXT_PATTERNS);
+module.exports.PERSON_OBJECT_TYPES = PERSON_OBJECT_TYPES;
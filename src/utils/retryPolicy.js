@@ -0,0 +1,94 @@
+// HTTP statuses worth retrying: timeouts, rate limiting and transient server errors
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Network errors that usually clear up on their own
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN', 'ERR_STREAM_PREMATURE_CLOSE'];
+
+/**
+ * Retry policy for outbound calls: which failures to retry and how long to wait
+ *
+ * Waits honor the server's Retry-After header when present, and otherwise use
+ * exponential backoff with full jitter so parallel workers don't retry in lockstep.
+ */
+class RetryPolicy {
+  /**
+   * Create a new RetryPolicy instance
+   * @param {Object} options Optional settings
+   * @param {number} options.maxRetries Maximum number of retries per call (default: 3)
+   * @param {number} options.baseDelayMs Backoff delay before the first retry in ms (default: 1000)
+   * @param {number} options.maxDelayMs Upper bound for a single backoff wait in ms (default: 60000)
+   * @param {Array<number>} options.retryableStatuses HTTP statuses to retry (default: 408, 429 and 5xx gateway errors)
+   */
+  constructor(options = {}) {
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+    this.baseDelayMs = options.baseDelayMs !== undefined ? options.baseDelayMs : 1000;
+    this.maxDelayMs = options.maxDelayMs !== undefined ? options.maxDelayMs : 60000;
+    this.retryableStatuses = options.retryableStatuses || RETRYABLE_STATUSES;
+
+    if (!(this.maxRetries >= 0) || !(this.baseDelayMs >= 0) || !(this.maxDelayMs >= 0)) {
+      throw new Error('Retry settings must be zero or positive numbers');
+    }
+  }
+
+  /**
+   * Check whether a failed call is worth retrying
+   * @param {Error} error The error from the failed call
+   * @returns {boolean} True for retryable statuses and transient network errors
+   */
+  isRetryable(error) {
+    if (error.response) {
+      return this.retryableStatuses.includes(error.response.status);
+    }
+    return RETRYABLE_ERROR_CODES.includes(error.code) || error.message === 'socket hang up';
+  }
+
+  /**
+   * Check whether a failed call should be retried
+   * @param {Error} error The error from the failed call
+   * @param {number} attempt Number of retries already made
+   * @returns {boolean} True if the call should be retried
+   */
+  shouldRetry(error, attempt) {
+    return attempt < this.maxRetries && this.isRetryable(error);
+  }
+
+  /**
+   * Read the Retry-After header of a failed call
+   * @param {Error} error The error from the failed call
+   * @returns {number|null} Milliseconds to wait, or null if the header is missing or invalid
+   */
+  getRetryAfter(error) {
+    const header = error.response && error.response.headers && error.response.headers['retry-after'];
+    if (!header) {
+      return null;
+    }
+
+    // Retry-After is either a number of seconds or an HTTP date
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Work out how long to wait before retrying a failed call
+   * @param {Error} error The error from the failed call
+   * @param {number} attempt Number of retries already made
+   * @returns {number} Milliseconds to wait
+   */
+  getDelay(error, attempt) {
+    const retryAfter = this.getRetryAfter(error);
+    if (retryAfter !== null) {
+      return retryAfter;
+    }
+
+    // Full jitter: a random wait between zero and the exponential backoff
+    const backoff = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt));
+    return Math.floor(Math.random() * backoff);
+  }
+}
+
+module.exports = RetryPolicy;
+module.exports.RETRYABLE_STATUSES = RETRYABLE_STATUSES;
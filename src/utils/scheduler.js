@@ -0,0 +1,236 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CronSchedule = require('./cron');
+const logger = require('./logger');
+
+// Users nightly, call data hourly (default of GONG_SCHEDULE)
+const DEFAULT_SCHEDULE = 'users=0 2 * * *; calls,transcripts,videos=0 * * * *';
+
+// Longest single wait between checks, so long waits survive clock changes and timer limits
+const MAX_WAIT_MS = 60 * 1000;
+
+/**
+ * Parse scheduled jobs, written as `<resources>=<cron expression>` separated by semicolons or newlines
+ * @param {string|Array<string>} specs The jobs, e.g. 'users=0 2 * * *; calls,videos=@hourly'
+ * @returns {Array<Object>} The jobs ({ name, resources, schedule }), named after their resources
+ */
+function parseJobs(specs) {
+  const entries = (Array.isArray(specs) ? specs : String(specs || '').split(/[;\n]/))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+  if (entries.length === 0) {
+    throw new Error('No scheduled jobs, expected <resources>=<cron expression>, e.g. users=0 2 * * *');
+  }
+
+  const jobs = entries.map(entry => {
+    const separator = entry.indexOf('=');
+    const resources = separator > 0 ? entry.slice(0, separator).split(',').map(resource => resource.trim()).filter(Boolean) : [];
+    if (resources.length === 0) {
+      throw new Error(`Invalid scheduled job: ${entry} (expected <resources>=<cron expression>, e.g. users=0 2 * * *)`);
+    }
+    return { name: resources.join(','), resources, schedule: new CronSchedule(entry.slice(separator + 1)) };
+  });
+
+  const names = jobs.map(job => job.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`Job ${duplicate} is scheduled more than once`);
+  }
+  return jobs;
+}
+
+/**
+ * Long-running scheduler that runs export jobs at their cron times, one at a time
+ *
+ * Jobs that come due while another job runs start as soon as it finishes, and a job that
+ * missed several of its times runs once. The status of the scheduler and of each job's last run
+ * is written to a JSON file after every change, for monitoring to read.
+ */
+class Scheduler {
+  /**
+   * Create a new Scheduler instance
+   * @param {Object} options Scheduler settings
+   * @param {Array<Object>} options.jobs The jobs from parseJobs()
+   * @param {Function} options.runJob Async function running a job, called with (job, signal), returning its result ({ status, exported, errors })
+   * @param {string} options.statusPath File the status is written to
+   * @param {Function} options.now Function returning the current time (default: the system clock)
+   */
+  constructor(options = {}) {
+    this.jobs = options.jobs || [];
+    this.runJob = options.runJob;
+    this.statusPath = options.statusPath;
+    this.now = options.now || (() => new Date());
+    this.stopping = false;
+    this.controller = null;
+    this.timer = null;
+    this.wake = null;
+
+    const now = this.now();
+    this.status = {
+      pid: process.pid,
+      hostname: os.hostname(),
+      startedAt: now.toISOString(),
+      state: 'idle',
+      currentJob: null,
+      jobs: {}
+    };
+    for (const job of this.jobs) {
+      job.nextRunAt = job.schedule.next(now);
+      this.status.jobs[job.name] = {
+        schedule: job.schedule.toString(),
+        resources: job.resources,
+        nextRunAt: job.nextRunAt.toISOString(),
+        lastRun: null,
+        lastSuccessAt: null
+      };
+    }
+  }
+
+  /**
+   * Run jobs at their scheduled times until stop() is called
+   * @returns {Promise<Object>} The final status
+   */
+  async run() {
+    logger.info(`Scheduler started with ${this.jobs.length} jobs: ${this.jobs.map(job => `${job.name} at ${job.schedule} (next ${job.nextRunAt.toISOString()})`).join(', ')}`);
+    this.writeStatus();
+
+    while (!this.stopping) {
+      await this.runDueJobs();
+      if (this.stopping) {
+        break;
+      }
+      const nextRunAt = Math.min(...this.jobs.map(job => job.nextRunAt.getTime()));
+      await this.wait(Math.min(Math.max(nextRunAt - this.now().getTime(), 0), MAX_WAIT_MS));
+    }
+
+    this.status.state = 'stopped';
+    this.status.stoppedAt = this.now().toISOString();
+    this.writeStatus();
+    logger.info('Scheduler stopped');
+    return this.status;
+  }
+
+  /**
+   * Run every job that is due, one after the other
+   * @returns {Promise<number>} The number of jobs run
+   */
+  async runDueJobs() {
+    let count = 0;
+    const due = this.jobs
+      .filter(job => job.nextRunAt <= this.now())
+      .sort((a, b) => a.nextRunAt - b.nextRunAt);
+
+    for (const job of due) {
+      if (this.stopping) {
+        break;
+      }
+      await this.runOnce(job);
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Run a job and record the outcome in the status file
+   * @param {Object} job The job
+   * @private
+   */
+  async runOnce(job) {
+    const startedAt = this.now();
+    const jobStatus = this.status.jobs[job.name];
+    this.controller = new AbortController();
+    this.status.state = 'running';
+    this.status.currentJob = job.name;
+    this.writeStatus();
+    logger.info(`Running scheduled job ${job.name}`);
+
+    let lastRun;
+    try {
+      const result = await this.runJob(job, this.controller.signal);
+      lastRun = {
+        status: this.controller.signal.aborted ? 'stopped' : result.status,
+        exported: result.exported || null,
+        errors: result.errors || []
+      };
+    } catch (error) {
+      // A run that found the export tree locked by another process is skipped, not failed
+      lastRun = { status: error.code === 'ELOCKED' ? 'skipped' : 'failed', error: error.message };
+      logger.error(`Scheduled job ${job.name} ${lastRun.status === 'skipped' ? 'skipped' : 'failed'}: ${error.message}`);
+    }
+
+    const finishedAt = this.now();
+    job.nextRunAt = job.schedule.next(finishedAt);
+    this.status.jobs[job.name] = {
+      ...jobStatus,
+      nextRunAt: job.nextRunAt.toISOString(),
+      lastRun: {
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        ...lastRun
+      },
+      lastSuccessAt: lastRun.status === 'success' ? finishedAt.toISOString() : jobStatus.lastSuccessAt
+    };
+    this.status.state = 'idle';
+    this.status.currentJob = null;
+    this.controller = null;
+    this.writeStatus();
+    logger.info(`Scheduled job ${job.name} finished with status ${lastRun.status}, next run at ${job.nextRunAt.toISOString()}`);
+  }
+
+  /**
+   * Stop the scheduler, letting the running job finish what it is downloading and save its checkpoint
+   */
+  stop() {
+    if (this.stopping) {
+      return;
+    }
+    this.stopping = true;
+    logger.info(`Stopping the scheduler${this.controller ? `, waiting for job ${this.status.currentJob} to save its progress` : ''}`);
+    this.status.state = this.controller ? 'stopping' : this.status.state;
+    this.writeStatus();
+
+    if (this.controller) {
+      this.controller.abort();
+    }
+    clearTimeout(this.timer);
+    if (this.wake) {
+      this.wake();
+    }
+  }
+
+  /**
+   * Wait until a time has passed or the scheduler is stopped
+   * @param {number} ms Milliseconds to wait
+   * @returns {Promise<void>}
+   * @private
+   */
+  wait(ms) {
+    return new Promise(resolve => {
+      this.wake = resolve;
+      this.timer = setTimeout(resolve, ms);
+    }).finally(() => {
+      this.wake = null;
+    });
+  }
+
+  /**
+   * Write the status file, replacing it atomically so monitoring never reads half a file
+   * @private
+   */
+  writeStatus() {
+    if (!this.statusPath) {
+      return;
+    }
+    this.status.updatedAt = this.now().toISOString();
+    fs.mkdirSync(path.dirname(this.statusPath), { recursive: true });
+    const tempPath = `${this.statusPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.status, null, 2));
+    fs.renameSync(tempPath, this.statusPath);
+  }
+}
+
+module.exports = Scheduler;
+module.exports.DEFAULT_SCHEDULE = DEFAULT_SCHEDULE;
+module.exports.parseJobs = parseJobs;
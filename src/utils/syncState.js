@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const logger = require('./logger');
+
+/**
+ * Persisted checkpoint for incremental exports
+ *
+ * For each resource the state records the last successfully exported toDateTime, which the next
+ * window starts from less an optional lookback, and, while an export is in progress, the pending
+ * date window and the next page cursor.
+ * Pages retrieved before an interruption are kept in a partial NDJSON file so a
+ * resumed run can continue from the saved cursor without losing them.
+ * The state always lives on the local disk, also when exports are written to S3.
+ */
+class SyncState {
+  /**
+   * Create a new SyncState instance
+   * @param {string} stateDir Directory holding the state file and partial page files
+   * @param {Object} options Optional settings
+   * @param {boolean} options.keepPages Save retrieved pages so interrupted exports can resume (default: true),
+   *   turned off for encrypted exports so no call data is left on disk unencrypted
+   */
+  constructor(stateDir, options = {}) {
+    this.stateDir = stateDir;
+    this.statePath = path.join(stateDir, 'sync_state.json');
+    this.keepPages = options.keepPages !== false;
+    this.state = { resources: {} };
+  }
+
+  /**
+   * Load the state file from disk if it exists
+   * @returns {SyncState} This instance
+   */
+  load() {
+    if (fs.existsSync(this.statePath)) {
+      try {
+        this.state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+        this.state.resources = this.state.resources || {};
+        logger.info(`Loaded sync state from ${this.statePath}`);
+      } catch (error) {
+        logger.warn(`Could not read sync state from ${this.statePath}, starting fresh: ${error.message}`);
+        this.state = { resources: {} };
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Write the state file to disk, replacing it atomically
+   */
+  save() {
+    if (!fs.existsSync(this.stateDir)) {
+      fs.mkdirSync(this.stateDir, { recursive: true });
+    }
+    this.state.updatedAt = new Date().toISOString();
+    const tempPath = `${this.statePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tempPath, this.statePath);
+  }
+
+  /**
+   * Get the saved state for a resource
+   * @param {string} resource The resource name (e.g. 'calls')
+   * @returns {Object} The resource state ({ lastToDateTime, pending })
+   */
+  getResource(resource) {
+    return this.state.resources[resource] || { lastToDateTime: null, pending: null };
+  }
+
+  /**
+   * Work out the date window and starting cursor for a resource
+   * @param {string} resource The resource name
+   * @param {Object} options Window options
+   * @param {boolean} options.full Ignore the saved state and use the default window
+   * @param {string} options.defaultFromDateTime ISO date to start from when there is no saved state
+   * @param {string} options.fromDateTime Explicit ISO date to start from, bypasses the saved state
+   * @param {string} options.toDateTime ISO date to export until (default: now)
+   * @param {number} options.lookbackMs Start an incremental window this long before the last sync (default: 0)
+   * @returns {Object} The window ({ fromDateTime, toDateTime, cursor, resumed, explicit }), read the pages retrieved before an interruption with readPartialPages when resumed is set
+   */
+  resolveWindow(resource, options = {}) {
+    const { full = false, defaultFromDateTime = null } = options;
+    const toDateTime = options.toDateTime || new Date().toISOString();
+    const resourceState = this.getResource(resource);
+
+    // An explicitly requested window is exported as-is and never checkpointed
+    if (options.fromDateTime || options.toDateTime) {
+      return {
+        fromDateTime: options.fromDateTime || defaultFromDateTime,
+        toDateTime,
+        cursor: null,
+        resumed: false,
+        explicit: true
+      };
+    }
+
+    if (!full && resourceState.pending && resourceState.pending.cursor) {
+      logger.info(`Resuming interrupted ${resource} export from saved cursor`);
+      return {
+        fromDateTime: resourceState.pending.fromDateTime,
+        toDateTime: resourceState.pending.toDateTime,
+        cursor: resourceState.pending.cursor,
+        resumed: true
+      };
+    }
+
+    // Calls that started before the last sync but were still being processed then only show up later,
+    // so the window overlaps the previous one and the calls exported twice are upserted by call ID
+    if (!full && resourceState.lastToDateTime) {
+      const lookbackMs = options.lookbackMs || 0;
+      const fromDateTime = new Date(new Date(resourceState.lastToDateTime).getTime() - lookbackMs).toISOString();
+      logger.info(`Incremental ${resource} export from last sync at ${resourceState.lastToDateTime}${lookbackMs ? `, looking back to ${fromDateTime}` : ''}`);
+      return { fromDateTime, toDateTime, cursor: null, resumed: false };
+    }
+
+    if (full) {
+      logger.info(`Full ${resource} export requested, ignoring saved sync state`);
+    }
+    return { fromDateTime: defaultFromDateTime, toDateTime, cursor: null, resumed: false };
+  }
+
+  /**
+   * Record a retrieved page so an interrupted export can resume after it
+   * Without keepPages nothing is recorded, and an interrupted export starts its window over.
+   * @param {string} resource The resource name
+   * @param {Object} window The date window being exported ({ fromDateTime, toDateTime })
+   * @param {Array} items The records retrieved in this page
+   * @param {string} nextCursor The cursor for the next page, or null when done
+   */
+  recordPage(resource, window, items, nextCursor) {
+    if (!this.keepPages) {
+      return;
+    }
+    if (items && items.length > 0) {
+      const lines = items.map(item => JSON.stringify(item)).join('\n') + '\n';
+      if (!fs.existsSync(this.stateDir)) {
+        fs.mkdirSync(this.stateDir, { recursive: true });
+      }
+      fs.appendFileSync(this.partialPath(resource), lines);
+    }
+
+    this.state.resources[resource] = {
+      ...this.getResource(resource),
+      pending: nextCursor ? {
+        fromDateTime: window.fromDateTime,
+        toDateTime: window.toDateTime,
+        cursor: nextCursor
+      } : null
+    };
+    this.save();
+  }
+
+  /**
+   * Mark a resource export as complete up to the given date
+   * @param {string} resource The resource name
+   * @param {string} toDateTime The ISO date the export covered up to
+   */
+  complete(resource, toDateTime) {
+    this.state.resources[resource] = {
+      lastToDateTime: toDateTime,
+      lastCompletedAt: new Date().toISOString(),
+      pending: null
+    };
+    this.clearPartial(resource);
+    this.save();
+  }
+
+  /**
+   * Path of the partial page file for a resource
+   * @param {string} resource The resource name
+   * @returns {string} The file path
+   */
+  partialPath(resource) {
+    return path.join(this.stateDir, `sync_partial_${resource}.ndjson`);
+  }
+
+  /**
+   * Read records saved from an interrupted export, a page at a time so the file is never held in memory
+   * @param {string} resource The resource name
+   * @param {number} pageSize Maximum number of records per page (default: 100)
+   * @returns {AsyncGenerator<Array>} Pages of saved records
+   */
+  async *readPartialPages(resource, pageSize = 100) {
+    const partialPath = this.partialPath(resource);
+    if (!fs.existsSync(partialPath)) {
+      return;
+    }
+
+    const lines = readline.createInterface({ input: fs.createReadStream(partialPath), crlfDelay: Infinity });
+    let page = [];
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      page.push(JSON.parse(line));
+      if (page.length >= pageSize) {
+        yield page;
+        page = [];
+      }
+    }
+    if (page.length > 0) {
+      yield page;
+    }
+  }
+
+  /**
+   * Remove the partial page file for a resource
+   * @param {string} resource The resource name
+   */
+  clearPartial(resource) {
+    const partialPath = this.partialPath(resource);
+    if (fs.existsSync(partialPath)) {
+      fs.unlinkSync(partialPath);
+    }
+  }
+}
+
+module.exports = SyncState;
@@ -0,0 +1,77 @@
+/**
+ * Helpers for joining Gong call transcripts with call metadata
+ */
+
+/**
+ * Build a lookup of call objects by call ID
+ * Accepts both extensive call data (call.metaData.id) and standard call data (call.id)
+ * @param {Array} calls Array of call objects
+ * @returns {Map<string, Object>} Map of call ID to call object
+ */
+function indexCallsById(calls) {
+  const callsById = new Map();
+
+  for (const call of calls || []) {
+    const callId = call.metaData?.id || call.id;
+    if (callId) {
+      callsById.set(callId, call);
+    }
+  }
+
+  return callsById;
+}
+
+/**
+ * Join a transcript with its call metadata and resolve speaker IDs to parties
+ * @param {Object} callTranscript A transcript as returned by /v2/calls/transcript ({ callId, transcript })
+ * @param {Object} call Optional call object (extensive or standard) matching the transcript
+ * @returns {Object} The transcript with call metadata and speaker details attached
+ */
+function joinTranscriptWithCall(callTranscript, call = null) {
+  const metaData = call ? (call.metaData || call) : {};
+  const parties = (call && Array.isArray(call.parties)) ? call.parties : [];
+
+  // Parties in extensive call data carry the speakerId used in transcripts
+  const partiesBySpeakerId = new Map();
+  for (const party of parties) {
+    if (party.speakerId) {
+      partiesBySpeakerId.set(party.speakerId, party);
+    }
+  }
+
+  const transcript = (callTranscript.transcript || []).map(monologue => {
+    const party = partiesBySpeakerId.get(monologue.speakerId);
+    return {
+      ...monologue,
+      speaker: party ? {
+        partyId: party.id,
+        userId: party.userId || null,
+        name: party.name || null,
+        emailAddress: party.emailAddress || null,
+        affiliation: party.affiliation || null
+      } : null
+    };
+  });
+
+  return {
+    callId: callTranscript.callId,
+    title: metaData.title || null,
+    started: metaData.started || null,
+    duration: metaData.duration || null,
+    url: metaData.url || null,
+    parties: parties.map(party => ({
+      partyId: party.id,
+      speakerId: party.speakerId || null,
+      userId: party.userId || null,
+      name: party.name || null,
+      emailAddress: party.emailAddress || null,
+      affiliation: party.affiliation || null
+    })),
+    transcript
+  };
+}
+
+module.exports = {
+  indexCallsById,
+  joinTranscriptWithCall
+};
@@ -0,0 +1,126 @@
+/**
+ * Helpers for Gong user data: lookups, the manager hierarchy and call attribution
+ */
+
+/**
+ * Get a user's display name
+ * @param {Object} user A user as returned by /v2/users
+ * @returns {string|null} The full name, or null if the user has none
+ */
+function getUserName(user) {
+  const name = [user.firstName, user.lastName].filter(Boolean).join(' ');
+  return name || null;
+}
+
+/**
+ * Build a lookup of users by user ID
+ * @param {Array} users Array of users as returned by /v2/users or /v2/users/extensive
+ * @returns {Map<string, Object>} Map of user ID to user
+ */
+function indexUsersById(users) {
+  const usersById = new Map();
+
+  for (const user of users || []) {
+    if (user.id) {
+      usersById.set(user.id, user);
+    }
+  }
+
+  return usersById;
+}
+
+/**
+ * Summarise a user for embedding in other records
+ * @param {Object} user A user as returned by /v2/users
+ * @returns {Object} The user summary ({ id, name, emailAddress, title, active })
+ */
+function summarizeUser(user) {
+  return {
+    id: user.id,
+    name: getUserName(user),
+    emailAddress: user.emailAddress || null,
+    title: user.title || null,
+    active: user.active !== undefined ? user.active : null
+  };
+}
+
+/**
+ * Build the org tree from each user's managerId
+ * Users whose manager is unknown (or who have none) become roots, and a management
+ * cycle is broken by promoting one of its members to a root.
+ * @param {Array} users Array of users as returned by /v2/users
+ * @returns {Array<Object>} Root nodes ({ ...user summary, managerId, reports: [...] })
+ */
+function buildOrgTree(users) {
+  const nodes = new Map();
+  for (const user of indexUsersById(users).values()) {
+    nodes.set(user.id, { ...summarizeUser(user), managerId: user.managerId || null, reports: [] });
+  }
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const manager = node.managerId !== node.id ? nodes.get(node.managerId) : null;
+    if (manager) {
+      manager.reports.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  // Users in a management cycle can't be reached from any root
+  const reachable = new Set();
+  const markReachable = (root) => {
+    const stack = [root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      reachable.add(node.id);
+      stack.push(...node.reports);
+    }
+  };
+  roots.forEach(markReachable);
+
+  for (const node of nodes.values()) {
+    if (!reachable.has(node.id)) {
+      const manager = nodes.get(node.managerId);
+      manager.reports = manager.reports.filter(report => report !== node);
+      roots.push(node);
+      markReachable(node);
+    }
+  }
+
+  return roots;
+}
+
+/**
+ * Attach user details to the parties of extensive call data
+ * Parties that are company users carry a userId; it is resolved against the exported users so
+ * calls stay attributable to reps who have since left (their user records remain, inactive).
+ * @param {Array} calls Array of extensive call objects ({ metaData, parties })
+ * @param {Map<string, Object>} usersById Map of user ID to user
+ * @returns {Array} The calls with `user` set on each party with a userId, and `primaryUser` on the metadata
+ */
+function resolveCallParties(calls, usersById) {
+  const resolve = userId => {
+    const user = userId ? usersById.get(userId) : null;
+    return user ? summarizeUser(user) : null;
+  };
+
+  return (calls || []).map(call => ({
+    ...call,
+    metaData: call.metaData ? {
+      ...call.metaData,
+      primaryUser: resolve(call.metaData.primaryUserId)
+    } : call.metaData,
+    parties: Array.isArray(call.parties) ? call.parties.map(party => (
+      party.userId ? { ...party, user: resolve(party.userId) } : party
+    )) : call.parties
+  }));
+}
+
+module.exports = {
+  buildOrgTree,
+  getUserName,
+  indexUsersById,
+  resolveCallParties,
+  summarizeUser
+};
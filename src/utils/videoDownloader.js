@@ -1,8 +1,33 @@
 const axios = require('axios');
+const crypto = require('crypto');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { PassThrough, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const logger = require('./logger');
-const readline = require('readline');
+const BandwidthLimiter = require('./bandwidthLimiter');
+const ProgressDisplay = require('./progressDisplay');
+const { runWithConcurrency } = require('./concurrency');
+const { hashFile, hashStream, loadManifestEntries, writeManifest } = require('./manifest');
+const { DEFAULT_MEDIA_MODE, MEDIA_MODES } = require('./mediaProcessor');
+const { DEFAULT_MAX_PATH_LENGTH, DEFAULT_NAMING_TEMPLATE, buildRecordingKey, namingFields, sanitizeNamePart, validateTemplate } = require('./naming');
+const LocalStorage = require('../storage/localStorage');
+const { getRateLimiter } = require('./rateLimiter');
+const RetryPolicy = require('./retryPolicy');
+
+// Recordings downloaded for each call in each media mode
+const MEDIA_TYPES = {
+  video: ['video'],
+  audio: ['audio'],
+  both: ['video', 'audio']
+};
+
+// Extensions recognised in the path of recording URLs, and the one used when the path has none of them
+const MEDIA_EXTENSIONS = {
+  video: { extensions: ['.mp4', '.webm', '.mov', '.mkv'], fallback: '.mp4' },
+  audio: { extensions: ['.mp3', '.m4a', '.aac', '.wav', '.ogg', '.opus', '.flac', '.webm'], fallback: '.mp3' }
+};
 
 /**
  * Video downloader utility for Gong call recordings
@@ -13,66 +38,98 @@ class VideoDownloader {
    * @param {string} apiKey The Gong API key
    * @param {string} basicToken The Basic auth token
    * @param {string} customStoragePath Optional custom path to store videos
-   * @param {Function} refreshUrlCallback Optional callback to refresh a video URL for a given call ID
+   * @param {Function} refreshUrlCallback Optional callback to refresh a recording URL for a given call ID and media type ('video' or 'audio')
+   * @param {Object} options Optional settings
+   * @param {string} options.exportDir Directory for export files such as the failed downloads list (default: exports/)
+   * @param {number} options.concurrency Number of videos to download in parallel (default: 1)
+   * @param {number} options.maxBytesPerSecond Optional cap on the combined download speed of all workers
+   * @param {Object} options.storage Storage driver for videos (default: local storage at the downloads directory)
+   * @param {Object} options.exportStorage Storage driver for the failed downloads list and manifest (default: local storage at exportDir)
+   * @param {RateLimiter} options.rateLimiter Rate limiter shared with the Gong API client (default: the tenant's shared limiter)
+   * @param {RetryPolicy} options.retryPolicy Retry policy for failed downloads (default: a policy with default settings)
+   * @param {string} options.mediaMode Recordings to download for each call: 'video' (default), 'audio' or 'both'
+   * @param {MediaProcessor} options.mediaProcessor Optional ffmpeg post-processing that transcodes recordings, extracts their audio and probes their duration
+   * @param {string} options.namingTemplate Template of recording file names, e.g. {yyyy}/{mm}/{callId}_{title} (default: {date}_{callId}_{title})
+   * @param {number} options.maxPathLength Maximum length of recording names below the video directory (default: 200)
+   * @param {AbortSignal} options.signal Signal to stop downloading, recordings already downloading are finished and no new ones are started
    */
-  constructor(apiKey, basicToken, customStoragePath = null, refreshUrlCallback = null) {
+  constructor(apiKey, basicToken, customStoragePath = null, refreshUrlCallback = null, options = {}) {
     this.apiKey = apiKey;
     this.basicToken = basicToken;
     this.customStoragePath = customStoragePath;
     this.refreshUrlCallback = refreshUrlCallback;
-    this.rateLimit = {
-      callsPerSecond: 2, // Reduced to avoid overwhelming the server
-      callsPerDay: 10000,
-      currentCalls: 0,
-      resetTime: Date.now() + 24 * 60 * 60 * 1000, // 24 hours from now
-      lastCallTime: 0
-    };
+    this.exportDir = options.exportDir || path.join(__dirname, '../../exports');
+    this.concurrency = Math.max(1, options.concurrency || 1);
+    this.bandwidthLimiter = options.maxBytesPerSecond ? new BandwidthLimiter(options.maxBytesPerSecond) : null;
+    this.progress = null;
+    // Integrity details (size, SHA-256, source) of files downloaded by this instance, keyed by file path
+    this.fileDetails = new Map();
+    this.manifestPath = null;
+    // Manifest entries of earlier runs, loaded when the first existing recording is skipped
+    this.knownFiles = null;
+    // Download and failure records of the pages downloaded by this instance, until finishDownloads()
+    this.downloadedFiles = [];
+    this.failedDownloads = [];
+    this.storage = options.storage || new LocalStorage(this.customStoragePath || path.join(this.exportDir, 'videos'));
+    this.exportStorage = options.exportStorage || new LocalStorage(this.exportDir);
+    // Downloads count against the same limit as the tenant's API calls, across all parallel workers
+    this.rateLimiter = options.rateLimiter || getRateLimiter(basicToken);
+    this.retryPolicy = options.retryPolicy || new RetryPolicy();
+    this.mediaMode = options.mediaMode || DEFAULT_MEDIA_MODE;
+    this.mediaProcessor = options.mediaProcessor || null;
     
-    // Log storage path information
-    if (this.customStoragePath) {
-      logger.info(`VideoDownloader will save files to custom location: ${this.customStoragePath}`);
-    } else {
-      logger.info('VideoDownloader will save files to default location');
+    if (!MEDIA_TYPES[this.mediaMode]) {
+      throw new Error(`Unknown media mode: ${this.mediaMode} (valid modes: ${MEDIA_MODES.join(', ')})`);
     }
+    this.namingTemplate = validateTemplate(options.namingTemplate || DEFAULT_NAMING_TEMPLATE);
+    this.maxPathLength = options.maxPathLength || DEFAULT_MAX_PATH_LENGTH;
+    this.signal = options.signal || null;
+    // Call that each recording name was given to by this instance, to keep names of different calls apart
+    this.assignedKeys = new Map();
+    
+    if (!this.namingTemplate.includes('{callId}')) {
+      logger.warn(`Naming template ${this.namingTemplate} has no {callId}, recordings of different calls with the same name get their call ID added`);
+    }
+    
+    if (this.concurrency > 1 || this.bandwidthLimiter) {
+      logger.info(`VideoDownloader will use ${this.concurrency} parallel download(s)${this.bandwidthLimiter ? ` limited to ${(options.maxBytesPerSecond / (1024 * 1024)).toFixed(2)} MB/s in total` : ''}`);
+    }
+    
+    // Log storage path information
+    logger.info(`VideoDownloader will save files to ${this.storage.describe()}`);
+  }
+
+  /**
+   * Get the location videos are saved to
+   * @returns {string} The video storage location (a directory, or an s3:// URI)
+   */
+  getDownloadsDir() {
+    return this.storage.describe();
   }
 
   /**
    * Download a video from a URL with retry mechanism
+   *
+   * The video is written to a `.part` file first and resumed with HTTP Range requests after an
+   * interruption. It is only renamed to the final filename once the byte count matches the size
+   * reported by the server.
    * @param {string} url The video URL to download
    * @param {string} filename The filename to save the video as
-   * @param {number} retryCount Number of retries attempted so far (default: 0)
-   * @param {number} maxRetries Maximum number of retries to attempt (default: 3)
-   * @param {number} retryDelay Base delay between retries in ms (default: 2000)
+   * @param {Object} options Optional settings
+   * @param {string} options.callId Call ID used to refresh the URL through refreshUrlCallback when it has expired
+   * @param {string} options.mediaType Kind of recording the URL is refreshed for: 'video' (default) or 'audio'
+   * @param {number} options.retryCount Number of retries attempted so far (default: 0)
+   * @param {number} options.maxRetries Maximum number of retries to attempt (default: the retry policy's maximum)
    * @returns {Promise<string>} Path to the downloaded video file
    */
-  async downloadVideo(url, filename, retryCount = 0, maxRetries = 3, retryDelay = 2000) {
+  async downloadVideo(url, filename, options = {}) {
+    const { callId = null, mediaType = 'video', retryCount = 0, maxRetries = this.retryPolicy.maxRetries } = options;
+    
     // Validate URL
     if (!url) {
       logger.warn(`Cannot download from empty URL`);
       return null;
     }
-    
-    // Calculate exponential backoff delay if retrying
-    const backoffDelay = retryCount > 0 ? retryDelay * Math.pow(2, retryCount - 1) : 0;
-
-    // Determine the downloads directory
-    let downloadsDir;
-    if (this.customStoragePath) {
-      downloadsDir = this.customStoragePath;
-    } else {
-      downloadsDir = path.join(__dirname, '../../exports/videos');
-    }
-    
-    // Create the downloads directory if it doesn't exist
-    if (!fs.existsSync(downloadsDir)) {
-      try {
-        fs.mkdirSync(downloadsDir, { recursive: true });
-        logger.info(`Created downloads directory at ${downloadsDir}`);
-      } catch (error) {
-        logger.error(`Failed to create downloads directory at ${downloadsDir}: ${error.message}`);
-        throw new Error(`Could not create downloads directory: ${error.message}`);
-      }
-    }
 
     // Generate a filename if not provided
     if (!filename) {
@@ -80,205 +137,122 @@ class VideoDownloader {
       filename = urlParts[urlParts.length - 1];
     }
 
-    const filePath = path.join(downloadsDir, filename);
-    
-    // Check if the file already exists
-    if (fs.existsSync(filePath)) {
-      logger.info(`Video file already exists at ${filePath}, skipping download`);
-      return filePath;
-    }
+    // Storage keys use forward slashes whatever the platform
+    const fileKey = filename.split(path.sep).join('/');
+    const partKey = `${fileKey}.part`;
+    const filePath = this.storage.describe(fileKey);
 
     try {
+      // Check if the file already exists, and that it is complete (only on the first attempt)
+      const existing = retryCount === 0 ? await this.storage.stat(fileKey) : null;
+      if (existing) {
+        // Encrypted files only appear once complete, and their size isn't the recording's. Others are
+        // checked against the size in the manifest, the server is only asked for files without one
+        let expectedSize = null;
+        if (!existing.encrypted) {
+          const known = await this.knownFile(fileKey);
+          expectedSize = known && (!callId || known.callId === callId) ? known.size : await this.getRemoteSize(url);
+        }
+
+        if (expectedSize === null || existing.size === expectedSize) {
+          logger.info(`Video file already exists at ${filePath}, skipping download`);
+          await this.recordExistingFile(fileKey, existing);
+          return filePath;
+        }
+        
+        if (existing.size < expectedSize && this.storage.supportsAppend) {
+          // A truncated file left by an earlier run, resume it from where it stopped
+          logger.warn(`Video file ${filePath} is truncated (${existing.size} of ${expectedSize} bytes), resuming download`);
+          await this.storage.rename(fileKey, partKey);
+          await this.writePartDetails(fileKey, { callId, mediaType, size: expectedSize });
+        } else {
+          logger.warn(`Video file ${filePath} has ${existing.size} bytes instead of ${expectedSize}, restarting download`);
+          await this.storage.delete(fileKey);
+        }
+      }
+      
+      // Resume from the bytes already written to the partial file, when it is known to hold this recording
+      let partial = this.storage.supportsAppend ? await this.storage.stat(partKey) : null;
+      let partDetails = partial ? await this.readPartDetails(fileKey) : null;
+      if (partial) {
+        if (!partDetails || (callId && partDetails.callId !== callId)) {
+          logger.warn(`Partial file ${this.storage.describe(partKey)} is not known to hold this recording${callId ? ` of call ${callId}` : ''}, restarting download`);
+          await this.deletePartialFile(fileKey);
+          partial = null;
+        }
+      }
+      const resumeFrom = partial ? partial.size : 0;
+      if (this.storage.supportsAppend && !partial) {
+        partDetails = { callId, mediaType, size: null };
+        await this.writePartDetails(fileKey, partDetails);
+      }
+      
       // Wait for rate limiting if necessary
       await this.respectRateLimit();
 
-      logger.info(`Downloading video from ${url} to ${filePath}`);
+      logger.info(`Downloading video from ${url} to ${filePath}${resumeFrom > 0 ? ` (resuming at byte ${resumeFrom})` : ''}`);
+      
+      const requestHeaders = resumeFrom > 0 ? { 'Range': `bytes=${resumeFrom}-` } : {};
       
       // Try to download the file without authentication first (S3 URLs typically don't need Gong authentication)
+      let response;
+      let label = '';
       try {
-        const response = await axios({
+        response = await axios({
           method: 'GET',
           url: url,
-          responseType: 'stream'
-        });
-
-        // Get file total size for progress calculation
-        const totalSize = parseInt(response.headers['content-length'], 10);
-        let downloadedSize = 0;
-        let lastProgressPercentage = 0;
-        const startTime = Date.now();
-        
-        // Initialize the console line for progress bar with file size info
-        const fileSizeMB = (totalSize / (1024 * 1024)).toFixed(2);
-        process.stdout.write(`Downloading ${path.basename(filePath)} (${fileSizeMB} MB) [0%] █`);
-
-        // Create a transform stream to track download progress
-        const progressStream = response.data;
-        
-        // Track download progress
-        progressStream.on('data', (chunk) => {
-          downloadedSize += chunk.length;
-          const percentage = Math.floor((downloadedSize / totalSize) * 100);
-          
-          // Only update when percentage changes by at least 1%
-          if (percentage > lastProgressPercentage) {
-            lastProgressPercentage = percentage;
-            
-            // Clear current line
-            readline.clearLine(process.stdout, 0);
-            readline.cursorTo(process.stdout, 0);
-            
-            // Create progress bar with 50 segments
-            const progressBarWidth = 50;
-            const filledWidth = Math.floor(progressBarWidth * (percentage / 100));
-            const progressBar = '█'.repeat(filledWidth) + '░'.repeat(progressBarWidth - filledWidth);
-            
-            // Write progress with download speed calculation
-            const elapsedTime = (Date.now() - startTime) / 1000; // seconds
-            const speed = downloadedSize / elapsedTime / 1024 / 1024; // MB/s
-            const remainingSize = totalSize - downloadedSize;
-            const estimatedTimeRemaining = remainingSize / (downloadedSize / elapsedTime);
-            const timeRemaining = estimatedTimeRemaining > 0 
-              ? `${(estimatedTimeRemaining / 60).toFixed(1)}m remaining` 
-              : 'almost done';
-            
-            process.stdout.write(`Downloading ${path.basename(filePath)} [${percentage}%] ${progressBar} ${speed.toFixed(2)} MB/s (${timeRemaining})`);
-          }
-        });
-
-        // Save the file
-        const writer = fs.createWriteStream(filePath);
-        progressStream.pipe(writer);
-
-        return new Promise((resolve, reject) => {
-          writer.on('finish', () => {
-            // Clear line and add a newline after completion
-            readline.clearLine(process.stdout, 0);
-            readline.cursorTo(process.stdout, 0);
-            console.log(`Downloaded ${path.basename(filePath)} [100%] Complete`);
-            logger.info(`Video successfully downloaded to ${filePath}`);
-            resolve(filePath);
-          });
-          writer.on('error', (err) => {
-            // Clear line and add a newline in case of error
-            readline.clearLine(process.stdout, 0);
-            readline.cursorTo(process.stdout, 0);
-            console.log(`Download failed for ${path.basename(filePath)}`);
-            logger.error(`Error writing video file: ${err.message}`);
-            reject(err);
-          });
+          responseType: 'stream',
+          headers: requestHeaders
         });
       } catch (directError) {
+        // The partial file already holds every byte, nothing left to download
+        if (directError.response && directError.response.status === 416) {
+          const downloadStart = Date.now();
+          await this.completePartialFile(partKey, fileKey, this.parseContentRange(directError.response.headers['content-range']));
+          this.recordFileDetails(fileKey, url, await hashStream(await this.storage.createReadStream(fileKey)), downloadStart);
+          return filePath;
+        }
+        
         // If direct download fails, try with authentication
         logger.info(`Direct download failed, trying with authentication: ${directError.message}`);
         
-        const response = await axios({
+        response = await axios({
           method: 'GET',
           url: url,
           responseType: 'stream',
           headers: {
+            ...requestHeaders,
             'Authorization': `Basic ${this.basicToken}`
           }
         });
-
-        // Get file total size for progress calculation
-        const totalSize = parseInt(response.headers['content-length'], 10);
-        let downloadedSize = 0;
-        let lastProgressPercentage = 0;
-        const startTime = Date.now();
-        
-        // Initialize the console line for progress bar with file size info
-        const fileSizeMB = (totalSize / (1024 * 1024)).toFixed(2);
-        process.stdout.write(`Downloading ${path.basename(filePath)} with auth (${fileSizeMB} MB) [0%] █`);
-
-        // Create a transform stream to track download progress
-        const progressStream = response.data;
-        
-        // Track download progress
-        progressStream.on('data', (chunk) => {
-          downloadedSize += chunk.length;
-          const percentage = Math.floor((downloadedSize / totalSize) * 100);
-          
-          // Only update when percentage changes by at least 1%
-          if (percentage > lastProgressPercentage) {
-            lastProgressPercentage = percentage;
-            
-            // Clear current line
-            readline.clearLine(process.stdout, 0);
-            readline.cursorTo(process.stdout, 0);
-            
-            // Create progress bar with 50 segments
-            const progressBarWidth = 50;
-            const filledWidth = Math.floor(progressBarWidth * (percentage / 100));
-            const progressBar = '█'.repeat(filledWidth) + '░'.repeat(progressBarWidth - filledWidth);
-            
-            // Write progress with download speed calculation
-            const elapsedTime = (Date.now() - startTime) / 1000; // seconds
-            const speed = downloadedSize / elapsedTime / 1024 / 1024; // MB/s
-            const remainingSize = totalSize - downloadedSize;
-            const estimatedTimeRemaining = remainingSize / (downloadedSize / elapsedTime);
-            const timeRemaining = estimatedTimeRemaining > 0 
-              ? `${(estimatedTimeRemaining / 60).toFixed(1)}m remaining` 
-              : 'almost done';
-            
-            process.stdout.write(`Downloading ${path.basename(filePath)} with auth [${percentage}%] ${progressBar} ${speed.toFixed(2)} MB/s (${timeRemaining})`);
-          }
-        });
-
-        // Save the file
-        const writer = fs.createWriteStream(filePath);
-        progressStream.pipe(writer);
-
-        return new Promise((resolve, reject) => {
-          writer.on('finish', () => {
-            // Clear line and add a newline after completion
-            readline.clearLine(process.stdout, 0);
-            readline.cursorTo(process.stdout, 0);
-            console.log(`Downloaded ${path.basename(filePath)} [100%] Complete`);
-            logger.info(`Video successfully downloaded to ${filePath}`);
-            resolve(filePath);
-          });
-          writer.on('error', (err) => {
-            // Clear line and add a newline in case of error
-            readline.clearLine(process.stdout, 0);
-            readline.cursorTo(process.stdout, 0);
-            console.log(`Download failed for ${path.basename(filePath)}`);
-            logger.error(`Error writing video file: ${err.message}`);
-            reject(err);
-          });
-        });
+        label = ' with auth';
       }
+      
+      return await this.saveResponseToFile(response, fileKey, resumeFrom, label, partDetails);
     } catch (error) {
-      // Handle rate limiting errors
-      if (error.response && error.response.status === 429) {
-        const retryAfter = parseInt(error.response.headers['retry-after'] || '60', 10);
-        logger.warn(`Rate limit exceeded. Retrying after ${retryAfter} seconds.`);
-        await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
-        return this.downloadVideo(url, filename); // Retry the download
-      }
-
-      // For S3 URLs that return 403 Forbidden or 400 Bad Request
-      // Handle S3 access errors with retries
-      if ((error.response && 
-          (error.response.status === 403 || error.response.status === 400 || error.response.status === 404) && 
-          url.includes('s3.amazonaws.com')) || 
-          error.message === 'socket hang up' || 
-          error.code === 'ECONNRESET' ||
-          error.code === 'ETIMEDOUT') {
-          
+      // Signed S3 URLs that return 403 Forbidden or 400 Bad Request have usually expired
+      const accessDenied = error.response &&
+        (((error.response.status === 403 || error.response.status === 400 || error.response.status === 404) && url.includes('s3.amazonaws.com')) ||
+        (error.response.status === 403 && callId && this.refreshUrlCallback));
+      
+      if (accessDenied) {
         // Check if we have retries left
         if (retryCount < maxRetries) {
           const nextRetryCount = retryCount + 1;
-          const nextDelay = retryDelay * Math.pow(2, retryCount);
+          const nextDelay = this.retryPolicy.getDelay(error, retryCount);
           
           logger.warn(`S3 access failed for ${filename}. Retry ${nextRetryCount}/${maxRetries} in ${nextDelay}ms. Error: ${error.message}`);
           
           // Wait for the backoff delay
           await new Promise(resolve => setTimeout(resolve, nextDelay));
           
-          // Try to get a fresh URL if this is a Gong S3 URL (they expire)
-          // Here we just retry with the same URL since we don't have a mechanism to refresh it
-          return this.downloadVideo(url, filename, nextRetryCount, maxRetries, retryDelay);
+          // Signed Gong S3 URLs expire, so get a fresh one when the server refuses access
+          let nextUrl = url;
+          if (error.response.status === 403 || error.response.status === 400) {
+            nextUrl = (await this.refreshUrl(callId, mediaType)) || url;
+          }
+          
+          return this.downloadVideo(nextUrl, filename, { ...options, retryCount: nextRetryCount });
         } else {
           logger.warn(`Access denied to S3 URL after ${maxRetries} retries: ${url}. These may require special access from Gong.`);
           // Just log this without failing the entire batch
@@ -288,17 +262,23 @@ class VideoDownloader {
 
       logger.error(`Error downloading video: ${error.message}`);
       
-      // For other errors, retry a few times with exponential backoff if we have retries left
-      if (retryCount < maxRetries) {
+      // Retry rate limiting, server and network errors, including downloads cut short, with backoff
+      const retryable = this.retryPolicy.isRetryable(error) || (!error.response && error.message.startsWith('Incomplete download'));
+      if (retryable && retryCount < maxRetries) {
         const nextRetryCount = retryCount + 1;
-        const nextDelay = retryDelay * Math.pow(2, retryCount);
+        const nextDelay = this.retryPolicy.getDelay(error, retryCount);
+        
+        // Hold back every worker when the server asks us to slow down
+        if (error.response && error.response.status === 429) {
+          this.rateLimiter.pause(nextDelay);
+        }
         
         logger.warn(`Download failed. Retry ${nextRetryCount}/${maxRetries} in ${nextDelay}ms. Error: ${error.message}`);
         
         // Wait for the backoff delay
         await new Promise(resolve => setTimeout(resolve, nextDelay));
         
-        return this.downloadVideo(url, filename, nextRetryCount, maxRetries, retryDelay);
+        return this.downloadVideo(url, filename, { ...options, retryCount: nextRetryCount });
       }
       
       throw error;
@@ -306,287 +286,854 @@ class VideoDownloader {
   }
 
   /**
-   * Download videos from extensive calls data using embedded video URLs
-   * @param {Array} extensiveCalls Array of call objects from extensive API
-   * @returns {Promise<Array>} Array of downloaded file paths
+   * Get a fresh signed URL for a call through the refresh callback
+   * @param {string} callId The call ID
+   * @param {string} mediaType The kind of recording: 'video' (default) or 'audio'
+   * @returns {Promise<string|null>} The refreshed URL, or null if it could not be refreshed
+   * @private
    */
-  async downloadVideosFromExtensiveCalls(extensiveCalls) {
-    if (!extensiveCalls || !Array.isArray(extensiveCalls)) {
-      logger.error('No valid extensive calls array provided for video downloads');
-      return [];
+  async refreshUrl(callId, mediaType = 'video') {
+    if (!callId || !this.refreshUrlCallback) {
+      return null;
     }
+    
+    try {
+      // The refresh goes through the Gong API client, which applies the shared rate limit
+      const refreshedUrl = await this.refreshUrlCallback(callId, mediaType);
+      if (refreshedUrl) {
+        logger.info(`Using refreshed URL for call ${callId}`);
+      }
+      return refreshedUrl || null;
+    } catch (error) {
+      logger.warn(`Could not refresh URL for call ${callId}: ${error.message}`);
+      return null;
+    }
+  }
 
-    logger.info(`Starting download for ${extensiveCalls.length} potential extensive call recordings`);
-    console.log(`\n======= Starting download of ${extensiveCalls.length} call videos =======\n`);
+  /**
+   * Get the size of a remote file without downloading it
+   * A single-byte Range request is used because signed S3 URLs are only valid for GET
+   * @param {string} url The file URL
+   * @returns {Promise<number|null>} The size in bytes, or null if it could not be determined
+   * @private
+   */
+  async getRemoteSize(url) {
+    try {
+      await this.respectRateLimit();
+      const response = await axios({
+        method: 'GET',
+        url: url,
+        responseType: 'stream',
+        headers: { 'Range': 'bytes=0-0' }
+      });
+      response.data.destroy();
+      
+      const rangeTotal = this.parseContentRange(response.headers['content-range']);
+      if (rangeTotal !== null) {
+        return rangeTotal;
+      }
+      const contentLength = parseInt(response.headers['content-length'], 10);
+      return Number.isNaN(contentLength) ? null : contentLength;
+    } catch (error) {
+      logger.warn(`Could not determine the size of ${url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Read the total size from a Content-Range header (e.g. "bytes 100-199/200" or "bytes *\/200")
+   * @param {string} contentRange The Content-Range header value
+   * @returns {number|null} The total size in bytes, or null if unknown
+   * @private
+   */
+  parseContentRange(contentRange) {
+    const match = contentRange && String(contentRange).match(/\/(\d+)\s*$/);
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  /**
+   * Rename a partial file to its final name once it holds the expected number of bytes
+   * @param {string} partKey The partial file storage key
+   * @param {string} fileKey The final file storage key
+   * @param {number|null} expectedSize The expected size in bytes, or null if unknown
+   * @private
+   */
+  async completePartialFile(partKey, fileKey, expectedSize) {
+    const partial = await this.storage.stat(partKey);
+    const actualSize = partial ? partial.size : 0;
+    
+    if (expectedSize !== null && actualSize !== expectedSize) {
+      // Keep the partial file when it is short so the next attempt can resume it
+      if (actualSize > expectedSize) {
+        await this.deletePartialFile(fileKey);
+      }
+      throw new Error(`Incomplete download for ${path.basename(fileKey)}: received ${actualSize} of ${expectedSize} bytes`);
+    }
+    
+    await this.storage.rename(partKey, fileKey);
+    await this.storage.delete(this.partDetailsKey(fileKey));
+  }
+
+  /**
+   * Storage key of the record of what a partial file holds
+   * @param {string} fileKey The final file storage key
+   * @returns {string} The storage key of the record
+   * @private
+   */
+  partDetailsKey(fileKey) {
+    return `${fileKey}.part.json`;
+  }
+
+  /**
+   * Read the record of what a partial file holds
+   * @param {string} fileKey The final file storage key
+   * @returns {Promise<Object|null>} The recording in the partial file ({ callId, mediaType, size }), or null if there is no record
+   * @private
+   */
+  async readPartDetails(fileKey) {
+    const detailsKey = this.partDetailsKey(fileKey);
+    if (!(await this.storage.exists(detailsKey))) {
+      return null;
+    }
+    try {
+      return JSON.parse(await this.storage.readFile(detailsKey));
+    } catch (error) {
+      logger.warn(`Could not read ${this.storage.describe(detailsKey)}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Save the record of what a partial file holds, so a later run only resumes it for the same recording
+   * @param {string} fileKey The final file storage key
+   * @param {Object} details The recording in the partial file ({ callId, mediaType, size }), with the size once known
+   * @private
+   */
+  async writePartDetails(fileKey, details) {
+    await this.storage.writeFile(this.partDetailsKey(fileKey), JSON.stringify(details));
+  }
+
+  /**
+   * Delete a partial file and the record of what it holds
+   * @param {string} fileKey The final file storage key
+   * @private
+   */
+  async deletePartialFile(fileKey) {
+    await this.storage.delete(`${fileKey}.part`);
+    await this.storage.delete(this.partDetailsKey(fileKey));
+  }
+
+  /**
+   * Get the manifest entry of a recording saved by an earlier run
+   * @param {string} fileKey The file storage key
+   * @returns {Promise<Object|null>} The latest manifest entry of the file, or null if no manifest lists it
+   * @private
+   */
+  async knownFile(fileKey) {
+    if (!this.knownFiles) {
+      this.knownFiles = loadManifestEntries(this.exportStorage);
+    }
+    return (await this.knownFiles).get(fileKey) || null;
+  }
+
+  /**
+   * Find the call whose recording is stored under any of the given keys by an earlier run
+   * Complete files are attributed by the manifests, partial files by the record saved next to them.
+   * @param {Array<string>} keys The storage keys of a recording and the files processed from it
+   * @returns {Promise<string|null|undefined>} The call ID, null if a file is stored without a record of its call, or undefined if none is stored
+   * @private
+   */
+  async storedOwner(keys) {
+    for (const key of keys) {
+      if (await this.storage.exists(key)) {
+        const known = await this.knownFile(key);
+        return known ? known.callId : null;
+      }
+      if (this.storage.supportsAppend && await this.storage.exists(`${key}.part`)) {
+        const partDetails = await this.readPartDetails(key);
+        return partDetails ? partDetails.callId : null;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Record the integrity details of a recording saved by an earlier run, for the manifest
+   * Recordings listed in an earlier manifest keep the details recorded when they were downloaded,
+   * others (e.g. saved before manifests were written) are hashed, so verify can prove them intact.
+   * @param {string} fileKey The file storage key
+   * @param {Object} existing The stored file details from stat() ({ size, encrypted })
+   * @private
+   */
+  async recordExistingFile(fileKey, existing) {
+    const filePath = this.storage.describe(fileKey);
+    if (this.fileDetails.has(filePath)) {
+      return;
+    }
+
+    try {
+      const known = await this.knownFile(fileKey);
+      // The size of encrypted files isn't the recording's, only unencrypted ones can be compared
+      if (known && (existing.encrypted || known.size === existing.size)) {
+        const { size, sha256, sourceHost, downloadedAt, downloadDurationMs } = known;
+        this.fileDetails.set(filePath, { fileKey, size, sha256, sourceHost, downloadedAt, downloadDurationMs });
+        return;
+      }
+
+      logger.info(`Hashing ${filePath}, which is not listed in a manifest yet`);
+      const digest = await hashStream(await this.storage.createReadStream(fileKey));
+      this.fileDetails.set(filePath, { fileKey, size: digest.size, sha256: digest.sha256 });
+    } catch (error) {
+      // E.g. age-encrypted files without the identity to read them back
+      logger.warn(`Could not record the integrity details of ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record the integrity details of a downloaded file for the manifest
+   * @param {string} fileKey The final file storage key
+   * @param {string} url The URL the file was downloaded from
+   * @param {Object} digest The file hash and size ({ sha256, size })
+   * @param {number} downloadStart Time the download started (ms since epoch)
+   * @private
+   */
+  recordFileDetails(fileKey, url, digest, downloadStart) {
+    let sourceHost = null;
+    try {
+      sourceHost = new URL(url).host;
+    } catch (error) {
+      logger.warn(`Could not parse source host from ${url}`);
+    }
     
-    const downloadedFiles = [];
-    const failedDownloads = [];
-    let completedDownloads = 0;
+    this.fileDetails.set(this.storage.describe(fileKey), {
+      fileKey,
+      size: digest.size,
+      sha256: digest.sha256,
+      sourceHost,
+      downloadedAt: new Date().toISOString(),
+      downloadDurationMs: Date.now() - downloadStart
+    });
+  }
+
+  /**
+   * Stream an HTTP response to storage, updating the progress display and applying the bandwidth limit
+   * When the storage supports appending, the response is written to a partial file that is renamed to
+   * the final name once the byte count matches the expected size. Object stores receive the response
+   * as one multipart upload instead, which only becomes visible once complete.
+   * @param {Object} response The axios response with a stream body
+   * @param {string} fileKey The final file storage key
+   * @param {number} resumeFrom Bytes already in the partial file that were requested to be skipped
+   * @param {string} label Optional label appended to log messages (e.g. ' with auth')
+   * @param {Object} partDetails The record of what the partial file holds ({ callId, mediaType, size }), the expected size is added to it
+   * @returns {Promise<string>} Location of the downloaded video file
+   */
+  async saveResponseToFile(response, fileKey, resumeFrom = 0, label = '', partDetails = null) {
+    const name = path.basename(fileKey);
+    const filePath = this.storage.describe(fileKey);
+    const partKey = `${fileKey}.part`;
+    const progress = this.progress || new ProgressDisplay(1);
+    const downloadStart = Date.now();
     
-    for (const call of extensiveCalls) {
-      // Display overall progress
-      const totalProgress = Math.floor((completedDownloads / extensiveCalls.length) * 100);
-      console.log(`\nOverall Progress: [${completedDownloads}/${extensiveCalls.length}] ${totalProgress}% complete`);
-      completedDownloads++;
+    // A 206 continues the partial file, anything else is the full file and starts over
+    const resuming = resumeFrom > 0 && response.status === 206;
+    if (resumeFrom > 0 && !resuming) {
+      logger.warn(`Server ignored the Range request for ${name}, restarting the download`);
+    }
+    const startSize = resuming ? resumeFrom : 0;
+    
+    // Get file total size for progress calculation and the completeness check
+    const contentLength = parseInt(response.headers['content-length'], 10);
+    const rangeTotal = resuming ? this.parseContentRange(response.headers['content-range']) : null;
+    const expectedSize = rangeTotal !== null ? rangeTotal : (Number.isNaN(contentLength) ? null : startSize + contentLength);
+
+    // A partial file is only continued with the recording it was started with
+    if (resuming && partDetails && partDetails.size && expectedSize !== partDetails.size) {
+      response.data.destroy();
+      await this.deletePartialFile(fileKey);
+      throw new Error(`Incomplete download for ${name}: the recording has ${expectedSize} bytes instead of the ${partDetails.size} the partial file was started with, restarting`);
+    }
+    // Save the expected size while the response streams, so later runs can check the file without asking the server
+    const recordingSize = this.storage.supportsAppend && partDetails && !resuming
+      ? this.writePartDetails(fileKey, { ...partDetails, size: expectedSize }).catch(error => logger.warn(`Could not record the size of ${name}: ${error.message}`))
+      : Promise.resolve();
+    progress.startFile(name, expectedSize || 0, startSize);
+    
+    // Hash the file while it streams, starting with the bytes already in the partial file
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    if (resuming) {
+      for await (const chunk of await this.storage.createReadStream(partKey)) {
+        hash.update(chunk);
+        size += chunk.length;
+      }
+    }
+    
+    // Track download progress as chunks pass through, and check the byte count before the
+    // write completes so a short response never becomes a complete-looking object
+    const stages = [response.data];
+    if (this.bandwidthLimiter) {
+      stages.push(this.bandwidthLimiter.throttle());
+    }
+    const tracker = new Transform({
+      transform(chunk, encoding, callback) {
+        progress.updateFile(name, chunk.length);
+        hash.update(chunk);
+        size += chunk.length;
+        callback(null, chunk);
+      },
+      flush(callback) {
+        callback(expectedSize !== null && size !== expectedSize
+          ? new Error(`Incomplete download for ${name}: received ${size} of ${expectedSize} bytes`)
+          : null);
+      }
+    });
+    stages.push(tracker);
+    
+    // The storage reads from its own stream, which is not torn down with the download, so the
+    // bytes received before a failure still reach the partial file
+    const body = new PassThrough();
+    tracker.pipe(body);
+    const writing = this.storage.writeStream(this.storage.supportsAppend ? partKey : fileKey, body, { append: resuming });
+    writing.catch(err => tracker.destroy(err));
+    
+    try {
+      await pipeline(...stages);
+      await writing;
+      await recordingSize;
+      if (this.storage.supportsAppend) {
+        await this.completePartialFile(partKey, fileKey, expectedSize);
+      }
+      this.recordFileDetails(fileKey, response.config.url, { sha256: hash.digest('hex'), size }, downloadStart);
+    } catch (err) {
+      // A partial file is kept so the next attempt resumes where this one stopped,
+      // while an upload to an object store is aborted
+      if (this.storage.supportsAppend) {
+        body.end();
+      } else {
+        body.destroy(err);
+      }
+      await writing.catch(() => {});
+      await recordingSize;
+      progress.finishFile(name, false);
+      logger.error(`Error writing video file${label}: ${err.message}`);
+      throw err;
+    }
+    
+    progress.finishFile(name, true);
+    logger.info(`Video successfully downloaded${label} to ${filePath}`);
+    return filePath;
+  }
+
+  /**
+   * Download the recordings of a single call from extensive calls data
+   * @param {Object} call Call object from extensive API
+   * @returns {Promise<Object>} The download and failure records of the call ({ downloaded, failed })
+   * @private
+   */
+  async downloadExtensiveCall(call) {
+    const callId = call.metaData?.id || 'unknown';
+    const callTitle = call.metaData?.title || 'Unknown Call';
+    const details = { id: callId, title: callTitle, started: call.metaData?.started, duration: call.metaData?.duration, ...namingFields(call) };
+    const result = { downloaded: [], failed: [] };
+
+    for (const mediaType of MEDIA_TYPES[this.mediaMode]) {
       try {
-        const callId = call.metaData?.id;
-        const callTitle = call.metaData?.title || 'Unknown Call';
-        
-        // Check if the call has a video URL in the media object
-        if (!call.media || !call.media.videoUrl) {
-          logger.warn(`No video URL available in extensive call data for call ${callId} - "${callTitle}"`);
-          failedDownloads.push({
-            callId: callId,
-            title: callTitle,
-            reason: "No video URL in extensive call data"
-          });
+        // Check if the call has a URL for this recording in the media object
+        const mediaUrl = call.media && call.media[`${mediaType}Url`];
+        if (!mediaUrl) {
+          logger.warn(`No ${mediaType} URL available in extensive call data for call ${callId} - "${callTitle}"`);
+          result.failed.push({ callId, title: callTitle, mediaType, reason: `No ${mediaType} URL in extensive call data` });
           continue;
         }
-        
-        const videoUrl = call.media.videoUrl;
-        
-        // Extract the meeting start date and time from metadata
-        const startedDateTime = call.metaData?.started;
-        let formattedDate = '';
-        
-        if (startedDateTime) {
-          try {
-            // Format the date as YYYY-MM-DD from ISO string
-            const startDate = new Date(startedDateTime);
-            formattedDate = startDate.toISOString().split('T')[0]; // Get YYYY-MM-DD part
-          } catch (err) {
-            logger.warn(`Could not parse date from ${startedDateTime} for call ${callId}`);
-          }
+
+        // Try to get a fresh video URL if possible, audio URLs are only refreshed when they have expired
+        const refreshedUrl = mediaType === 'video' ? await this.refreshUrl(call.metaData?.id, mediaType) : null;
+
+        // Download the recording using the URL from extensive call data (with retry and resume mechanism)
+        const records = await this.downloadRecording(details, mediaType, refreshedUrl || mediaUrl, { callId: call.metaData?.id });
+
+        if (records) {
+          result.downloaded.push(...records);
+        } else {
+          result.failed.push({ callId, title: callTitle, mediaType, reason: "Download returned null" });
         }
-        
-        // Generate a filename using the call ID, date, and title for uniqueness and organization
-        const fileExt = videoUrl.toLowerCase().includes('.mp4') ? '.mp4' : 
-                       videoUrl.toLowerCase().includes('.webm') ? '.webm' : '.mp4';
-        const filename = `${formattedDate ? formattedDate + '_' : ''}${callId}_${callTitle.replace(/[^a-z0-9]/gi, '_').toLowerCase()}${fileExt}`;
-        
-        // Try to get a fresh URL if possible (might be implemented on the Gong API side)
-        let freshVideoUrl = videoUrl;
-        try {
-          if (call.metaData?.id && this.refreshUrlCallback) {
-            const refreshedUrl = await this.refreshUrlCallback(call.metaData.id);
-            if (refreshedUrl) {
-              logger.info(`Using refreshed URL for call ${call.metaData.id}`);
-              freshVideoUrl = refreshedUrl;
-            }
-          }
-        } catch (refreshError) {
-          logger.warn(`Could not refresh URL for call ${call.metaData?.id}: ${refreshError.message}`);
+      } catch (error) {
+        logger.error(`Failed to download ${mediaType} for call ${callId}: ${error.message}`);
+        result.failed.push({ callId, title: callTitle, mediaType, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Download a recording of a call and post-process it when a media processor is set
+   * @param {Object} call The call ({ id, title, started, duration, directory })
+   * @param {string} mediaType The kind of recording: 'video' or 'audio'
+   * @param {string} url The recording URL
+   * @param {Object} options Optional settings
+   * @param {string} options.callId Call ID used to refresh the URL when it has expired
+   * @returns {Promise<Array|null>} The download records of the files kept, or null if the download returned nothing
+   * @private
+   */
+  async downloadRecording(call, mediaType, url, options = {}) {
+    const fileKey = await this.recordingKey(call, mediaType, this.recordingExtension(url, mediaType));
+    const basename = path.posix.basename(fileKey);
+    const record = { callId: call.id, title: call.title, mediaType, fileKey, callDuration: call.duration };
+    const outputs = this.planOutputs(fileKey, mediaType);
+
+    // A download that is replaced by its processed files is not fetched again once they exist
+    const keepsDownload = outputs.some(output => output.action === 'keep');
+    if (!keepsDownload && (await Promise.all(outputs.map(output => this.storage.exists(output.key)))).every(Boolean)) {
+      logger.info(`Processed recordings of ${basename} already exist, skipping download`);
+      return this.describeStoredOutputs(record, outputs);
+    }
+
+    const filePath = await this.downloadVideo(url, fileKey, { callId: options.callId, mediaType });
+    if (!filePath) {
+      return null;
+    }
+
+    const downloaded = { ...record, filePath, ...this.fileDetails.get(filePath) };
+    return this.mediaProcessor ? this.processRecording(downloaded, outputs) : [downloaded];
+  }
+
+  /**
+   * Work out the files a downloaded recording is turned into
+   * @param {string} fileKey The storage key of the download
+   * @param {string} mediaType The kind of recording: 'video' or 'audio'
+   * @returns {Array<Object>} The outputs ({ action: 'keep', 'transcode' or 'extractAudio', key, mediaType, target })
+   * @private
+   */
+  planOutputs(fileKey, mediaType) {
+    if (!this.mediaProcessor) {
+      return [{ action: 'keep', key: fileKey, mediaType }];
+    }
+
+    const target = this.mediaProcessor.transcodeTarget(mediaType);
+    const outputs = [target
+      ? { action: 'transcode', key: this.mediaProcessor.transcodedKey(fileKey, target), mediaType: target.kind, target }
+      : { action: 'keep', key: fileKey, mediaType }];
+
+    // The audio is only extracted when it isn't downloaded separately
+    if (this.mediaProcessor.extractAudio && mediaType === 'video' && this.mediaMode === 'video') {
+      outputs.push({ action: 'extractAudio', key: this.mediaProcessor.audioKey(fileKey), mediaType: 'audio' });
+    }
+    return outputs;
+  }
+
+  /**
+   * Transcode a downloaded recording and extract its audio as planned, and probe the duration of every file kept
+   * A transcoded recording replaces its download.
+   * @param {Object} record The download record
+   * @param {Array<Object>} outputs The outputs from planOutputs()
+   * @returns {Promise<Array>} The download records of the files kept
+   * @private
+   */
+  async processRecording(record, outputs) {
+    return this.withWorkDir(async workDir => {
+      const inputPath = await this.localCopy(record.fileKey, workDir);
+      const records = [];
+
+      for (const output of outputs) {
+        if (output.action === 'keep') {
+          records.push({ ...record, ...(await this.mediaProcessor.verifyDuration(inputPath, record.callDuration)) });
+          continue;
         }
-        
-        // Download the video using the URL from extensive call data (with retry mechanism)
-        const filePath = await this.downloadVideo(freshVideoUrl, filename);
-        
-        if (filePath) {
-          downloadedFiles.push({
-            callId: callId,
-            title: callTitle,
-            filePath: filePath
-          });
+
+        const outputPath = path.join(workDir, path.posix.basename(output.key));
+        if (output.action === 'transcode') {
+          await this.mediaProcessor.transcode(inputPath, outputPath, output.target);
         } else {
-          failedDownloads.push({
-            callId: callId,
-            title: callTitle,
-            reason: "Download returned null"
-          });
+          await this.mediaProcessor.extractAudioTrack(inputPath, outputPath);
         }
-      } catch (error) {
-        const callId = call.metaData?.id || 'unknown';
-        const callTitle = call.metaData?.title || 'Unknown Call';
-        
-        logger.error(`Failed to download video for call ${callId}: ${error.message}`);
-        failedDownloads.push({
-          callId: callId,
-          title: callTitle,
-          error: error.message
-        });
+        await this.storage.writeStream(output.key, fs.createReadStream(outputPath));
+        records.push(await this.describeOutput(record, output, outputPath));
+      }
+
+      if (!outputs.some(output => output.action === 'keep')) {
+        await this.storage.delete(record.fileKey);
+      }
+      return records;
+    });
+  }
+
+  /**
+   * Describe processed recordings saved by an earlier run
+   * @param {Object} record The download record the files were made from
+   * @param {Array<Object>} outputs The outputs from planOutputs()
+   * @returns {Promise<Array>} The download records of the files
+   * @private
+   */
+  async describeStoredOutputs(record, outputs) {
+    return this.withWorkDir(async workDir => {
+      const records = [];
+      for (const output of outputs) {
+        records.push(await this.describeOutput(record, output, await this.localCopy(output.key, workDir)));
       }
+      return records;
+    });
+  }
+
+  /**
+   * Build the download record of a processed recording, with its integrity details and probed duration
+   * @param {Object} record The download record the file was made from
+   * @param {Object} output The output from planOutputs()
+   * @param {string} localPath Local copy of the processed file
+   * @returns {Promise<Object>} The download record
+   * @private
+   */
+  async describeOutput(record, output, localPath) {
+    const digest = await hashFile(localPath);
+    return {
+      ...record,
+      mediaType: output.mediaType,
+      filePath: this.storage.describe(output.key),
+      fileKey: output.key,
+      size: digest.size,
+      sha256: digest.sha256,
+      processedFrom: record.fileKey,
+      ...(output.target ? { codec: output.target.codec, bitrate: this.mediaProcessor.bitrate } : {}),
+      ...(await this.mediaProcessor.verifyDuration(localPath, record.callDuration))
+    };
+  }
+
+  /**
+   * Get a local file for a stored recording, copying it out of object stores and decrypting encrypted ones
+   * @param {string} fileKey The storage key
+   * @param {string} workDir Directory for the copy
+   * @returns {Promise<string>} The local file path
+   * @private
+   */
+  async localCopy(fileKey, workDir) {
+    if (this.storage instanceof LocalStorage) {
+      return this.storage.resolve(fileKey);
     }
+
+    const localPath = path.join(workDir, path.posix.basename(fileKey));
+    await pipeline(await this.storage.createReadStream(fileKey), fs.createWriteStream(localPath));
+    return localPath;
+  }
+
+  /**
+   * Run a function with a temporary directory that is removed afterwards
+   * @param {Function} run Async function receiving the directory path
+   * @returns {Promise<*>} The result of run
+   * @private
+   */
+  async withWorkDir(run) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'gong-media-'));
+    try {
+      return await run(workDir);
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Build the storage key of a call recording from the naming template
+   * Names without the call ID may already hold the recording of another call, given to it earlier in
+   * this run or saved by an earlier run, in which case the call ID is added.
+   * @param {Object} call The call ({ id, title, started, workspaceId, primaryUser, account, directory })
+   * @param {string} mediaType The kind of recording: 'video' or 'audio'
+   * @param {string} extension The file extension, including the dot
+   * @returns {Promise<string>} The storage key
+   * @private
+   */
+  async recordingKey(call, mediaType, extension) {
+    // Audio recordings are marked so they never share a name with the video of the same call
+    const suffix = mediaType === 'audio' ? '_audio' : '';
+    const options = { suffix, extension, directory: call.directory, maxLength: this.maxPathLength };
+    let fileKey = buildRecordingKey(this.namingTemplate, call, options);
     
-    // Display final progress
-    console.log(`\n======= Download Summary =======`);
-    console.log(`✅ Successfully downloaded: ${downloadedFiles.length} videos`);
-    console.log(`❌ Failed to download: ${failedDownloads.length} videos`);
-    console.log(`==============================\n`);
-    
-    logger.info(`Downloaded ${downloadedFiles.length} video files from extensive call data, failed to download ${failedDownloads.length}`);
+    // Names with the call ID only ever hold that call's recordings
+    const storedOwner = this.namingTemplate.includes('{callId}')
+      ? undefined
+      : await this.storedOwner(Array.from(new Set([fileKey, ...this.planOutputs(fileKey, mediaType).map(output => output.key)])));
     
-    // Save failed downloads to a file for reference
-    if (failedDownloads.length > 0) {
-      const failedDir = path.join(__dirname, '../../exports');
-      const failedPath = path.join(failedDir, `failed_video_downloads_${new Date().toISOString().replace(/:/g, '-')}.json`);
-      fs.writeFileSync(failedPath, JSON.stringify(failedDownloads, null, 2));
-      logger.info(`Saved list of failed downloads to ${failedPath}`);
+    const owner = this.assignedKeys.has(fileKey) ? this.assignedKeys.get(fileKey) : storedOwner;
+    if (owner !== undefined && owner !== call.id) {
+      logger.warn(`${owner === null ? 'A recording of an unknown call is' : `Recordings of call ${owner} are`} saved as ${fileKey}, adding the call ID to the name of call ${call.id}`);
+      fileKey = buildRecordingKey(this.namingTemplate, call, { ...options, suffix: `_${sanitizeNamePart(call.id)}${suffix}` });
     }
+    this.assignedKeys.set(fileKey, call.id);
     
-    return downloadedFiles;
+    return fileKey;
   }
 
   /**
-   * Download videos for multiple calls using signed URLs
-   * @param {Array} calls Array of call objects from Gong API
-   * @param {Object} gongExport The GongExport instance to get signed URLs
-   * @returns {Promise<Array>} Array of downloaded file paths
+   * Get the file extension of a recording from the path of its URL
+   * @param {string} url The recording URL
+   * @param {string} mediaType The kind of recording: 'video' or 'audio'
+   * @returns {string} The extension, or the default of the media type when the URL path has no known one
+   * @private
    */
-  async downloadVideosForCalls(calls, gongExport) {
-    if (!calls || !Array.isArray(calls)) {
-      logger.error('No valid calls array provided for video downloads');
-      return [];
+  recordingExtension(url, mediaType) {
+    const { extensions, fallback } = MEDIA_EXTENSIONS[mediaType];
+    try {
+      const extension = path.posix.extname(new URL(url).pathname).toLowerCase();
+      return extensions.includes(extension) ? extension : fallback;
+    } catch (error) {
+      logger.warn(`Could not parse the file extension of ${url}, saving it as ${fallback}`);
+      return fallback;
     }
+  }
 
-    if (!gongExport) {
-      logger.error('GongExport instance is required to get signed media URLs');
+  /**
+   * Download videos from extensive calls data using embedded video URLs
+   * @param {Array} extensiveCalls Array of call objects from extensive API
+   * @returns {Promise<Array>} Array of downloaded file paths
+   */
+  async downloadVideosFromExtensiveCalls(extensiveCalls) {
+    if (!extensiveCalls || !Array.isArray(extensiveCalls)) {
+      logger.error('No valid extensive calls array provided for video downloads');
       return [];
     }
 
-    logger.info(`Starting download for ${calls.length} potential call recordings`);
-    console.log(`\n======= Starting download of ${calls.length} call videos (standard method) =======\n`);
+    logger.info(`Starting download for ${extensiveCalls.length} potential extensive call recordings`);
+    console.error(`\n======= Starting download of ${extensiveCalls.length} call videos (${this.concurrency} parallel) =======\n`);
+    
+    const results = await this.runDownloads(extensiveCalls, call => this.downloadExtensiveCall(call));
+    const downloadedFiles = results.flatMap(result => result.downloaded);
+    const failedDownloads = results.flatMap(result => result.failed);
+    
+    // Display final progress
+    console.error(`\n======= Download Summary =======`);
+    console.error(`✅ Successfully downloaded: ${downloadedFiles.length} videos`);
+    console.error(`❌ Failed to download: ${failedDownloads.length} videos`);
+    console.error(`==============================\n`);
+    
+    logger.info(`Downloaded ${downloadedFiles.length} video files from extensive call data, failed to download ${failedDownloads.length}`);
     
-    const downloadedFiles = [];
-    const failedDownloads = [];
-    let completedDownloads = 0;
+    await this.saveFailedDownloads(failedDownloads);
+    this.manifestPath = await writeManifest(downloadedFiles, this.exportStorage, this.storage);
     
-    for (const call of calls) {
-      // Display overall progress
-      const totalProgress = Math.floor((completedDownloads / calls.length) * 100);
-      console.log(`\nOverall Progress: [${completedDownloads}/${calls.length}] ${totalProgress}% complete`);
-      completedDownloads++;
-      // Process all calls, using the special Gong endpoint to get signed URLs
+    return downloadedFiles;
+  }
+
+  /**
+   * Download the recordings of a single call using signed URLs
+   * @param {Object} call Call object from Gong API, with an optional directory to save the recordings in
+   * @param {Object} gongExport The GongExport instance to get signed URLs
+   * @returns {Promise<Object>} The download and failure records of the call ({ downloaded, failed })
+   * @private
+   */
+  async downloadCall(call, gongExport) {
+    const result = { downloaded: [], failed: [] };
+
+    // Process all calls, using the special Gong endpoints to get signed URLs
+    for (const mediaType of MEDIA_TYPES[this.mediaMode]) {
       try {
         // First get a signed URL for this call's media
         let signedUrl;
         try {
           // Try using the refresh callback first if available
           if (this.refreshUrlCallback && call.id) {
-            signedUrl = await this.refreshUrlCallback(call.id);
+            signedUrl = await this.refreshUrlCallback(call.id, mediaType);
           }
-          
+
           // If no refresh callback or it didn't return a URL, use gongExport
           if (!signedUrl) {
-            signedUrl = await gongExport.getSignedMediaUrl(call.id);
+            signedUrl = mediaType === 'audio'
+              ? (await gongExport.getCallMediaUrls(call.id)).audioUrl
+              : await gongExport.getSignedMediaUrl(call.id);
           }
-          
+
           if (!signedUrl) {
-            logger.warn(`No signed media URL available for call ${call.id} - "${call.title}"`);
-            failedDownloads.push({
-              callId: call.id,
-              title: call.title,
-              reason: "No signed media URL available"
-            });
+            logger.warn(`No signed ${mediaType} URL available for call ${call.id} - "${call.title}"`);
+            result.failed.push({ callId: call.id, title: call.title, mediaType, reason: `No signed ${mediaType} URL available` });
             continue;
           }
         } catch (error) {
-          logger.error(`Failed to get signed media URL for call ${call.id}: ${error.message}`);
-          failedDownloads.push({
-            callId: call.id,
-            title: call.title,
-            error: `Failed to get signed URL: ${error.message || 'Unknown error'}`
-          });
+          logger.error(`Failed to get signed ${mediaType} URL for call ${call.id}: ${error.message}`);
+          result.failed.push({ callId: call.id, title: call.title, mediaType, error: `Failed to get signed URL: ${error.message || 'Unknown error'}` });
           continue;
         }
-        
-        // Try to extract the start date from the call object if available
-        let formattedDate = '';
-        
-        if (call.started) {
-          try {
-            // Format the date as YYYY-MM-DD from ISO string
-            const startDate = new Date(call.started);
-            formattedDate = startDate.toISOString().split('T')[0]; // Get YYYY-MM-DD part
-          } catch (err) {
-            logger.warn(`Could not parse date from ${call.started} for call ${call.id}`);
-          }
-        }
-        
-        // Generate a filename using the call ID, date, and title for uniqueness and organization
-        const fileExt = signedUrl.toLowerCase().includes('.mp4') ? '.mp4' : 
-                       signedUrl.toLowerCase().includes('.webm') ? '.webm' : '.mp4';
-        const filename = `${formattedDate ? formattedDate + '_' : ''}${call.id}_${call.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}${fileExt}`;
-        
-        // Download the video using the signed URL
-        const filePath = await this.downloadVideo(signedUrl, filename);
-        
-        if (filePath) {
-          downloadedFiles.push({
-            callId: call.id,
-            title: call.title,
-            filePath: filePath
-          });
+
+        // Download the recording using the signed URL
+        const records = await this.downloadRecording({ ...call, ...namingFields(call) }, mediaType, signedUrl, { callId: call.id });
+
+        if (records) {
+          result.downloaded.push(...records);
         } else {
-          failedDownloads.push({
-            callId: call.id,
-            title: call.title,
-            reason: "Download returned null"
-          });
+          result.failed.push({ callId: call.id, title: call.title, mediaType, reason: "Download returned null" });
         }
       } catch (error) {
-        logger.error(`Failed to download video for call ${call.id}: ${error.message}`);
-        failedDownloads.push({
-          callId: call.id,
-          title: call.title,
-          error: error.message
-        });
+        logger.error(`Failed to download ${mediaType} for call ${call.id}: ${error.message}`);
+        result.failed.push({ callId: call.id, title: call.title, mediaType, error: error.message });
       }
     }
 
+    return result;
+  }
+
+  /**
+   * Download videos for multiple calls using signed URLs
+   * @param {Array} calls Array of call objects from Gong API
+   * @param {Object} gongExport The GongExport instance to get signed URLs
+   * @returns {Promise<Array>} Array of downloaded file paths
+   */
+  async downloadVideosForCalls(calls, gongExport) {
+    if (!calls || !Array.isArray(calls)) {
+      logger.error('No valid calls array provided for video downloads');
+      return [];
+    }
+
+    if (!gongExport) {
+      logger.error('GongExport instance is required to get signed media URLs');
+      return [];
+    }
+
+    logger.info(`Starting download for ${calls.length} potential call recordings`);
+    console.error(`\n======= Starting download of ${calls.length} call videos (standard method, ${this.concurrency} parallel) =======\n`);
+    
+    const results = await this.runDownloads(calls, call => this.downloadCall(call, gongExport));
+    const downloadedFiles = results.flatMap(result => result.downloaded);
+    const failedDownloads = results.flatMap(result => result.failed);
+
     // Display final progress
-    console.log(`\n======= Download Summary (Standard Method) =======`);
-    console.log(`✅ Successfully downloaded: ${downloadedFiles.length} videos`);
-    console.log(`❌ Failed to download: ${failedDownloads.length} videos`);
-    console.log(`==============================\n`);
+    console.error(`\n======= Download Summary (Standard Method) =======`);
+    console.error(`✅ Successfully downloaded: ${downloadedFiles.length} videos`);
+    console.error(`❌ Failed to download: ${failedDownloads.length} videos`);
+    console.error(`==============================\n`);
     
     logger.info(`Downloaded ${downloadedFiles.length} video files, failed to download ${failedDownloads.length}`);
     
-    // Save failed downloads to a file for reference
-    if (failedDownloads.length > 0) {
-      const failedDir = path.join(__dirname, '../../exports');
-      const failedPath = path.join(failedDir, `failed_video_downloads_${new Date().toISOString().replace(/:/g, '-')}.json`);
-      fs.writeFileSync(failedPath, JSON.stringify(failedDownloads, null, 2));
-      logger.info(`Saved list of failed downloads to ${failedPath}`);
-    }
+    await this.saveFailedDownloads(failedDownloads);
+    this.manifestPath = await writeManifest(downloadedFiles, this.exportStorage, this.storage);
     
     return downloadedFiles;
   }
 
   /**
-   * Respect rate limits by implementing a delay if necessary
+   * Download the videos of one page of extensive calls, as pages arrive during an export
+   * Results are collected on this instance, call finishDownloads() once the last page is done.
+   * @param {Array} extensiveCalls Array of call objects from extensive API
+   * @returns {Promise<Object>} The download and failure records of this page ({ downloaded, failed })
+   */
+  async downloadExtensiveCallsPage(extensiveCalls) {
+    const results = await this.runDownloads(extensiveCalls || [], call => this.downloadExtensiveCall(call));
+    return this.collectPageResults(results);
+  }
+
+  /**
+   * Download the videos of one page of calls using signed URLs, as pages arrive during an export
+   * Results are collected on this instance, call finishDownloads() once the last page is done.
+   * @param {Array} calls Array of call objects from Gong API
+   * @param {Object} gongExport The GongExport instance to get signed URLs
+   * @returns {Promise<Object>} The download and failure records of this page ({ downloaded, failed })
+   */
+  async downloadCallsPage(calls, gongExport) {
+    const results = await this.runDownloads(calls || [], call => this.downloadCall(call, gongExport));
+    return this.collectPageResults(results);
+  }
+
+  /**
+   * Save the failures and write the manifest of every page downloaded by this instance
+   * @returns {Promise<Array>} The download records of every page
+   */
+  async finishDownloads() {
+    logger.info(`Downloaded ${this.downloadedFiles.length} video files, failed to download ${this.failedDownloads.length}`);
+
+    await this.saveFailedDownloads(this.failedDownloads);
+    this.manifestPath = await writeManifest(this.downloadedFiles, this.exportStorage, this.storage);
+
+    return this.downloadedFiles;
+  }
+
+  /**
+   * Split the results of a page into downloads and failures, adding them to this instance's records
+   * @param {Array} results The worker results ({ downloaded, failed })
+   * @returns {Object} The download and failure records ({ downloaded, failed })
    * @private
    */
-  async respectRateLimit() {
-    // Reset the daily counter if past reset time
-    if (Date.now() > this.rateLimit.resetTime) {
-      this.rateLimit.currentCalls = 0;
-      this.rateLimit.resetTime = Date.now() + 24 * 60 * 60 * 1000; // 24 hours from now
-    }
+  collectPageResults(results) {
+    const downloaded = results.flatMap(result => result.downloaded);
+    const failed = results.flatMap(result => result.failed);
 
-    // Check if we've exceeded daily limit
-    if (this.rateLimit.currentCalls >= this.rateLimit.callsPerDay) {
-      const waitTime = this.rateLimit.resetTime - Date.now();
-      logger.warn(`Daily rate limit reached. Waiting for ${Math.ceil(waitTime / 1000)} seconds until reset.`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-      this.rateLimit.currentCalls = 0;
-    }
+    this.downloadedFiles.push(...downloaded);
+    this.failedDownloads.push(...failed);
+
+    return { downloaded, failed };
+  }
 
-    // Calculate time since last call
-    const now = Date.now();
-    const timeSinceLastCall = now - this.rateLimit.lastCallTime;
+  /**
+   * Download the recordings of the calls in the call library into folders that mirror it
+   * Recordings are saved below `library/<folder path>/`, so a call that is in several folders
+   * is saved once in each of them. Snippets are saved as the full recording of their call.
+   * @param {Array} library Library folders as returned by GongExport.exportLibraryData ({ path, calls })
+   * @param {Object} gongExport The GongExport instance to get signed URLs
+   * @returns {Promise<Array>} Array of downloaded file paths
+   */
+  async downloadVideosForLibrary(library, gongExport) {
+    const calls = [];
+    for (const folder of library || []) {
+      for (const entry of folder.calls || []) {
+        const callId = entry.callId || entry.id;
+        calls.push({
+          id: callId,
+          title: (entry.call && entry.call.title) || entry.title || 'Unknown Call',
+          started: entry.call ? entry.call.started : null,
+          duration: entry.call ? entry.call.duration : null,
+          ...(entry.call ? namingFields(entry.call) : {}),
+          directory: `library/${folder.path}`
+        });
+      }
+    }
     
-    // Ensure we respect the calls per second limit (add 50ms buffer)
-    const minTimeBetweenCalls = (1000 / this.rateLimit.callsPerSecond) + 50;
+    return this.downloadVideosForCalls(calls, gongExport);
+  }
+
+  /**
+   * Run a download worker for each call through the worker pool with a shared progress display
+   * @param {Array} calls The calls to download
+   * @param {Function} worker Async function returning the download and failure records of a call ({ downloaded, failed })
+   * @returns {Promise<Array>} The worker results in call order
+   * @private
+   */
+  async runDownloads(calls, worker) {
+    this.progress = new ProgressDisplay(calls.length);
+    let skipped = 0;
     
-    if (timeSinceLastCall < minTimeBetweenCalls) {
-      const waitTime = minTimeBetweenCalls - timeSinceLastCall;
-      logger.debug(`Waiting ${waitTime}ms to respect rate limit`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+    try {
+      return await runWithConcurrency(calls, this.concurrency, async (call) => {
+        // Once stopped, downloads in flight finish while the remaining calls are left for the next run
+        if (this.signal && this.signal.aborted) {
+          skipped++;
+          return { downloaded: [], failed: [] };
+        }
+        const result = await worker(call);
+        this.progress.completeItem(result.failed.length === 0);
+        return result;
+      });
+    } finally {
+      this.progress.stop();
+      this.progress = null;
+      if (skipped > 0) {
+        logger.info(`Stopped before downloading the recordings of ${skipped} calls`);
+      }
     }
+  }
+
+  /**
+   * Save failed downloads to a file for reference
+   * @param {Array} failedDownloads The failure records
+   * @private
+   */
+  async saveFailedDownloads(failedDownloads) {
+    if (failedDownloads.length > 0) {
+      const failedKey = `failed_video_downloads_${new Date().toISOString().replace(/:/g, '-')}.json`;
+      const failedPath = await this.exportStorage.writeFile(failedKey, JSON.stringify(failedDownloads, null, 2));
+      logger.info(`Saved list of failed downloads to ${failedPath}`);
+    }
+  }
 
-    // Update rate limit tracking
-    this.rateLimit.lastCallTime = Date.now();
-    this.rateLimit.currentCalls++;
+  /**
+   * Wait for the shared rate limiter before making a download request
+   * @private
+   */
+  respectRateLimit() {
+    return this.rateLimiter.acquire();
   }
 }
 
@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const BandwidthLimiter = require('../src/utils/bandwidthLimiter');
+
+const { parseBytesPerSecond } = BandwidthLimiter;
+
+describe('BandwidthLimiter', () => {
+  /**
+   * Stream chunks through a throttle and count the bytes that came out
+   * @param {Transform} throttle The throttling stream
+   * @param {number} chunks Number of chunks
+   * @param {number} chunkSize Bytes per chunk
+   * @returns {Promise<number>} The bytes received
+   */
+  const streamThrough = async (throttle, chunks, chunkSize) => {
+    let received = 0;
+    await pipeline(
+      Readable.from(Array.from({ length: chunks }, () => Buffer.alloc(chunkSize))),
+      throttle,
+      new Writable({
+        write(chunk, encoding, callback) {
+          received += chunk.length;
+          callback();
+        }
+      })
+    );
+    return received;
+  };
+
+  it('parses bandwidth values with unit suffixes', () => {
+    assert.equal(parseBytesPerSecond('2048'), 2048);
+    assert.equal(parseBytesPerSecond('500K'), 500 * 1024);
+    assert.equal(parseBytesPerSecond('10m'), 10 * 1024 * 1024);
+    assert.equal(parseBytesPerSecond('1.5MB'), 1.5 * 1024 * 1024);
+    assert.equal(parseBytesPerSecond(' 1G '), 1024 * 1024 * 1024);
+    assert.equal(parseBytesPerSecond(4096), 4096);
+  });
+
+  it('treats an empty value as no limit and rejects zero and invalid values', () => {
+    assert.equal(parseBytesPerSecond(undefined), null);
+    assert.equal(parseBytesPerSecond(''), null);
+
+    for (const value of ['0', '0K', '0.5', 0, -5, '10 Mbit', 'fast', '-1M']) {
+      assert.throws(() => parseBytesPerSecond(value), /Invalid bandwidth value/, `accepted ${value}`);
+    }
+    assert.throws(() => new BandwidthLimiter(0), /positive number/);
+  });
+
+  it('spaces reservations at the configured rate', () => {
+    const limiter = new BandwidthLimiter(1000);
+
+    assert.equal(limiter.reserve(500), 0);
+    const wait = limiter.reserve(500);
+    assert.ok(wait > 450 && wait <= 500, `waited ${wait}ms`);
+  });
+
+  it('throttles the combined throughput of every stream sharing the limit', async () => {
+    // 8 KB at 40 KB/s over two streams takes at least ~200ms
+    const limiter = new BandwidthLimiter(40 * 1024);
+    const start = Date.now();
+
+    const received = await Promise.all([
+      streamThrough(limiter.throttle(), 4, 1024),
+      streamThrough(limiter.throttle(), 4, 1024)
+    ]);
+
+    const elapsed = Date.now() - start;
+    assert.deepEqual(received, [4096, 4096]);
+    assert.ok(elapsed >= 150, `took ${elapsed}ms`);
+    assert.ok(elapsed < 2000, `took ${elapsed}ms`);
+  });
+});
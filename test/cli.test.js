@@ -0,0 +1,253 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir, removeTempDir, startMockServer } = require('./helpers');
+const { EXIT_CODES, parseCommandLine } = require('../src/cli');
+
+const TRIGGER = path.join(__dirname, '..', 'trigger.js');
+
+describe('parseCommandLine', () => {
+  it('defaults to the export command and resolves paths', () => {
+    const { command, options } = parseCommandLine(['--resources', 'calls, users', '--output-dir', 'out', '--max-bandwidth', '10M', '--concurrency', '2']);
+
+    assert.equal(command, 'export');
+    assert.deepEqual(options.resources, ['calls', 'users']);
+    assert.equal(options.outputDir, path.resolve('out'));
+    assert.equal(options.maxBytesPerSecond, 10 * 1024 * 1024);
+    assert.equal(options.concurrency, 2);
+  });
+
+  it('reads dates and the path given to decrypt', () => {
+    const { options } = parseCommandLine(['export', '--from', '2025-01-01', '--to', '2025-02-01T12:00:00Z']);
+    assert.equal(options.fromDateTime, '2025-01-01T00:00:00.000Z');
+    assert.equal(options.toDateTime, '2025-02-01T12:00:00.000Z');
+
+    const decrypt = parseCommandLine(['decrypt', 'exports/calls.json.enc', '--decrypt-to', 'plain']);
+    assert.equal(decrypt.options.decryptPath, path.resolve('exports/calls.json.enc'));
+    assert.equal(decrypt.options.decryptTo, path.resolve('plain'));
+  });
+
+  it('rejects invalid option values', () => {
+    const invalid = [
+      [['--concurrency', '0'], /Invalid value for --concurrency: 0/],
+      [['--content', 'all'], /Invalid value for --content: all/],
+      [['--format', 'xml'], /Invalid value for --format: xml/],
+      [['--media', 'images'], /Invalid value for --media: images/],
+      [['--transcode', 'wmav2'], /Invalid value for --transcode: wmav2/],
+      [['--bitrate', 'fast'], /Invalid value for --bitrate: fast/],
+      [['--max-bandwidth', '0'], /Invalid value for --max-bandwidth/],
+      [['--naming', '{unknown}'], /Invalid value for --naming/],
+      [['--from', 'yesterday'], /Invalid date for --from: yesterday/],
+      [['schedule', '--job', 'users=61 * * * *'], /Invalid value for --job: Invalid cron expression/]
+    ];
+    for (const [argv, message] of invalid) {
+      assert.throws(() => parseCommandLine(argv), message, argv.join(' '));
+    }
+  });
+
+  it('rejects unknown flags, extra arguments and conflicting options', () => {
+    assert.throws(() => parseCommandLine(['--videos-only']), /Unknown option '--videos-only'/);
+    assert.throws(() => parseCommandLine(['export', 'calls']), /Unexpected arguments: calls/);
+    assert.throws(() => parseCommandLine(['decrypt', 'a.enc', 'b.enc']), /Unexpected arguments: b.enc/);
+    assert.throws(() => parseCommandLine(['--workspace', 'ws-1', '--per-workspace']), /cannot be used together/);
+    assert.throws(() => parseCommandLine(['schedule', '--from', '2025-01-01']), /cannot be used with schedule/);
+  });
+});
+
+describe('gongexport command line', () => {
+  let server;
+  let outputDir;
+
+  /**
+   * Run trigger.js in a child process against the mock server
+   * Runs outside the repository, so a developer's .env is not read.
+   * @param {Array<string>} args The command line arguments
+   * @param {Object} options Optional settings
+   * @param {Object} options.env Extra environment variables
+   * @param {Function} options.onStart Called with the child process once started
+   * @returns {Promise<Object>} The exit code and output ({ code, stdout, stderr, json })
+   */
+  const runCli = (args, options = {}) => new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [TRIGGER, ...args], {
+      cwd: outputDir,
+      env: {
+        PATH: process.env.PATH,
+        GONG_API_URL: server.apiUrl,
+        GONG_ACCESS_KEY: server.accessKey,
+        GONG_ACCESS_KEY_SECRET: server.accessKeySecret,
+        GONG_RATE_LIMIT_PER_SECOND: '1000',
+        GONG_RATE_LIMIT_BURST: '1000',
+        GONG_MAX_RETRIES: '0',
+        ...options.env
+      }
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => {
+      stdout += chunk;
+    });
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+    });
+    const timer = setTimeout(() => child.kill(), 60000);
+    child.on('error', reject);
+    child.on('close', code => {
+      clearTimeout(timer);
+      let json = null;
+      try {
+        json = JSON.parse(stdout);
+      } catch (error) {
+        // Not run with --json
+      }
+      resolve({ code, stdout, stderr, json });
+    });
+    if (options.onStart) {
+      options.onStart(child);
+    }
+  });
+
+  before(async () => {
+    server = await startMockServer({ callCount: 2, mediaSize: 16 * 1024 });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    outputDir = createTempDir();
+  });
+
+  afterEach(() => {
+    removeTempDir(outputDir);
+  });
+
+  it('prints the usage and exits with 0 for --help', async () => {
+    const { code, stdout } = await runCli(['--help']);
+
+    assert.equal(code, EXIT_CODES.SUCCESS);
+    assert.match(stdout, /Usage: gongexport <command> \[options\]/);
+  });
+
+  it('exits with 1 on invalid arguments and unknown commands, before calling the API', async () => {
+    const invalid = await runCli(['export', '--format', 'xml']);
+    assert.equal(invalid.code, EXIT_CODES.FATAL);
+    assert.match(invalid.stderr, /Invalid value for --format: xml/);
+
+    const unknown = await runCli(['backup']);
+    assert.equal(unknown.code, EXIT_CODES.FATAL);
+    assert.match(unknown.stderr, /Unknown command: backup/);
+
+    const flag = await runCli(['--everything']);
+    assert.equal(flag.code, EXIT_CODES.FATAL);
+    assert.match(flag.stderr, /Unknown option '--everything'/);
+
+    assert.deepEqual(server.requests, []);
+  });
+
+  it('exits with 0 and prints the result as JSON after a successful export', async () => {
+    const { code, json } = await runCli(['export', '--resources', 'calls,users', '--no-videos', '--output-dir', outputDir, '--json']);
+
+    assert.equal(code, EXIT_CODES.SUCCESS);
+    assert.equal(json.status, 'success');
+    assert.equal(json.exported.calls, 2);
+    assert.deepEqual(json.errors, []);
+    assert.ok(fs.existsSync(json.savedFiles.combined));
+  });
+
+  it('exits with 2 when some resources fail to export', async () => {
+    server.fail({ path: '/v2/users', type: 'status', status: 403, times: Infinity });
+
+    const { code, json } = await runCli(['export', '--resources', 'calls,users', '--no-videos', '--output-dir', outputDir, '--json']);
+
+    assert.equal(code, EXIT_CODES.PARTIAL);
+    assert.equal(json.status, 'partial');
+    assert.deepEqual(json.errors.map(error => error.resource), ['users']);
+  });
+
+  it('exits with 1 when the API rejects the credentials', async () => {
+    const { code, json } = await runCli(['users', '--output-dir', outputDir, '--json'], { env: { GONG_ACCESS_KEY_SECRET: 'wrong' } });
+
+    assert.equal(code, EXIT_CODES.FATAL);
+    assert.equal(json.status, 'fatal');
+    assert.match(json.error, /Failed to connect to Gong API/);
+  });
+
+  it('exits with 1 when the configuration is invalid', async () => {
+    const { code, json } = await runCli(['users', '--json'], { env: { GONG_OUTPUT_FORMAT: 'xml' } });
+
+    assert.equal(code, EXIT_CODES.FATAL);
+    assert.match(json.error, /Invalid GONG_OUTPUT_FORMAT/);
+  });
+
+  it('reports the API status and sync state with status, and the workspaces with workspaces', async () => {
+    const status = await runCli(['status', '--output-dir', outputDir, '--json']);
+    assert.equal(status.code, EXIT_CODES.SUCCESS);
+    assert.equal(status.json.api.status, 'ok');
+
+    const workspaces = await runCli(['workspaces', '--json']);
+    assert.equal(workspaces.code, EXIT_CODES.SUCCESS);
+    assert.ok(workspaces.json.workspaces.length > 0);
+  });
+
+  it('exits with 0 when verify finds every recording intact, and 3 when one is damaged', async () => {
+    const exported = await runCli(['export', '--resources', 'calls,videos', '--output-dir', outputDir, '--json']);
+    assert.equal(exported.code, EXIT_CODES.SUCCESS);
+
+    const intact = await runCli(['verify', '--output-dir', outputDir, '--json']);
+    assert.equal(intact.code, EXIT_CODES.SUCCESS);
+    assert.equal(intact.json.verified, 2);
+
+    const videosDir = path.join(outputDir, 'videos');
+    const [damaged] = fs.readdirSync(videosDir);
+    fs.appendFileSync(path.join(videosDir, damaged), 'garbage');
+    const failed = await runCli(['verify', '--output-dir', outputDir, '--json']);
+    assert.equal(failed.code, EXIT_CODES.VERIFY_FAILED);
+    assert.equal(failed.json.status, 'verify_failed');
+    assert.equal(failed.json.corrupted.length, 1);
+  });
+
+  it('exits with 2 when decrypt finds files it cannot decrypt', async () => {
+    const file = path.join(outputDir, 'calls.json.enc');
+    fs.writeFileSync(file, 'not encrypted');
+
+    const { code, json } = await runCli(['decrypt', file, '--json'], { env: { GONG_ENCRYPTION_KEY: '00'.repeat(32) } });
+
+    assert.equal(code, EXIT_CODES.PARTIAL);
+    assert.equal(json.failed.length, 1);
+  });
+
+  it('rejects scheduled jobs of unknown resources', async () => {
+    const { code, json } = await runCli(['schedule', '--job', 'meetings=@hourly', '--output-dir', outputDir, '--json']);
+
+    assert.equal(code, EXIT_CODES.FATAL);
+    assert.match(json.error, /Unknown resources in scheduled jobs: meetings/);
+  });
+
+  it('keeps running until SIGTERM, then exits with 0 and marks the status file stopped', async () => {
+    const statusFile = path.join(outputDir, 'last_run_status.json');
+    let child;
+
+    const waitForStatus = async () => {
+      for (let attempt = 0; attempt < 200 && !fs.existsSync(statusFile); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      child.kill('SIGTERM');
+    };
+    const result = await runCli(['schedule', '--job', 'users=0 2 * * *', '--output-dir', outputDir, '--json'], {
+      onStart: started => {
+        child = started;
+        waitForStatus();
+      }
+    });
+
+    assert.equal(result.code, EXIT_CODES.SUCCESS);
+    assert.equal(result.json.statusFile, statusFile);
+    const status = JSON.parse(fs.readFileSync(statusFile, 'utf8'));
+    assert.equal(status.state, 'stopped');
+    assert.equal(status.jobs.users.schedule, '0 2 * * *');
+  });
+});
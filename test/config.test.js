@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const os = require('os');
+const path = require('path');
+
+describe('config', () => {
+  const SRC = path.join(__dirname, '..', 'src');
+
+  /**
+   * Load the config in a child process, since it reads the environment once when it is loaded
+   * The process runs outside the repository, so a developer's .env is not read.
+   * @param {Object} env Environment variables to set on top of the Gong credentials
+   * @returns {Object} The loaded config ({ config }), or the startup error ({ error })
+   */
+  const loadConfig = (env = {}) => {
+    const result = spawnSync(process.execPath, ['-e', `
+      require(${JSON.stringify(path.join(SRC, 'utils', 'logger'))}).silent = true;
+      try {
+        process.stdout.write(JSON.stringify({ config: require(${JSON.stringify(path.join(SRC, 'config'))}) }));
+      } catch (error) {
+        process.stdout.write(JSON.stringify({ error: error.message }));
+      }
+    `], {
+      cwd: os.tmpdir(),
+      encoding: 'utf8',
+      timeout: 30000,
+      env: {
+        PATH: process.env.PATH,
+        GONG_API_URL: 'http://127.0.0.1:1',
+        GONG_ACCESS_KEY: 'key',
+        GONG_ACCESS_KEY_SECRET: 'secret',
+        ...env
+      }
+    });
+    return JSON.parse(result.stdout);
+  };
+
+  it('uses the default rate limits and retry policy when none are set', () => {
+    const { config } = loadConfig();
+
+    assert.deepEqual(config.rateLimit, { requestsPerSecond: 3, requestsPerDay: 10000 });
+    assert.deepEqual(config.retry, { maxRetries: 3, baseDelayMs: 1000, maxDelayMs: 60000 });
+    assert.deepEqual(config.sync, { lookbackMinutes: 180 });
+  });
+
+  it('keeps retry settings of zero', () => {
+    const { config } = loadConfig({ GONG_MAX_RETRIES: '0', GONG_RETRY_BASE_DELAY_MS: '0', GONG_RATE_LIMIT_BURST: '1' });
+
+    assert.deepEqual(config.retry, { maxRetries: 0, baseDelayMs: 0, maxDelayMs: 60000 });
+    assert.equal(config.rateLimit.burst, 1);
+    assert.equal(loadConfig({ GONG_SYNC_LOOKBACK_MINUTES: '0' }).config.sync.lookbackMinutes, 0);
+  });
+
+  it('reads the video bandwidth cap with its unit', () => {
+    assert.equal(loadConfig().config.downloads.maxBytesPerSecond, null);
+    assert.equal(loadConfig({ GONG_VIDEO_MAX_BANDWIDTH: '10M' }).config.downloads.maxBytesPerSecond, 10 * 1024 * 1024);
+    assert.match(loadConfig({ GONG_VIDEO_MAX_BANDWIDTH: '0' }).error, /Invalid GONG_VIDEO_MAX_BANDWIDTH: Invalid bandwidth value: 0/);
+    assert.match(loadConfig({ GONG_VIDEO_MAX_BANDWIDTH: '10 Mbit' }).error, /Invalid GONG_VIDEO_MAX_BANDWIDTH/);
+  });
+
+  it('fails at startup on rate limits of zero or invalid numbers', () => {
+    assert.match(loadConfig({ GONG_RATE_LIMIT_BURST: '0' }).error, /Invalid GONG_RATE_LIMIT_BURST: 0 \(expected a positive number\)/);
+    assert.match(loadConfig({ GONG_RATE_LIMIT_PER_SECOND: '0' }).error, /Invalid GONG_RATE_LIMIT_PER_SECOND/);
+    assert.match(loadConfig({ GONG_RATE_LIMIT_PER_DAY: 'lots' }).error, /Invalid GONG_RATE_LIMIT_PER_DAY/);
+    assert.match(loadConfig({ GONG_RETRY_MAX_DELAY_MS: '-1' }).error, /Invalid GONG_RETRY_MAX_DELAY_MS: -1 \(expected zero or a positive number\)/);
+  });
+});
@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CONTENT_PRESETS, normalizeExtensiveCall, resolveExposedFields } = require('../src/utils/contentSelector');
+
+describe('contentSelector', () => {
+  describe('resolveExposedFields', () => {
+    it('resolves presets to copies of their exposed fields', () => {
+      const fields = resolveExposedFields('Everything');
+      fields.content.trackers = false;
+
+      assert.deepEqual(resolveExposedFields(), { parties: true, media: true });
+      assert.deepEqual(resolveExposedFields('minimal'), { parties: true });
+      assert.equal(CONTENT_PRESETS.everything.content.trackers, true);
+    });
+
+    it('passes custom selections through and rejects unknown presets', () => {
+      const custom = { parties: true, collaboration: { publicComments: true } };
+
+      assert.equal(resolveExposedFields(custom), custom);
+      assert.throws(() => resolveExposedFields('trackers'), /Unknown content preset: trackers/);
+    });
+  });
+
+  describe('normalizeExtensiveCall', () => {
+    it('sets sections that were not requested to null', () => {
+      const call = normalizeExtensiveCall({ metaData: { id: '1' }, parties: [{ id: 'p1' }] }, { parties: true });
+
+      assert.deepEqual(call, {
+        metaData: { id: '1' },
+        context: [],
+        parties: [{ id: 'p1' }],
+        media: null,
+        content: null,
+        interaction: null,
+        collaboration: null
+      });
+    });
+
+    it('fills in the fields Gong left out of requested sections', () => {
+      const call = normalizeExtensiveCall({
+        metaData: { id: '1' },
+        media: { videoUrl: 'https://example.com/1.mp4' },
+        content: { brief: 'Pricing call', topics: [{ name: 'Pricing' }], newField: 'kept' },
+        interaction: { questions: null }
+      }, resolveExposedFields('everything'));
+
+      assert.deepEqual(call.parties, []);
+      assert.deepEqual(call.media, { videoUrl: 'https://example.com/1.mp4', audioUrl: null });
+      assert.equal(call.content.brief, 'Pricing call');
+      assert.deepEqual(call.content.trackers, []);
+      assert.equal(call.content.callOutcome, null);
+      assert.equal(call.content.newField, 'kept');
+      assert.deepEqual(call.interaction.speakers, []);
+      assert.equal(call.interaction.questions, null);
+      assert.deepEqual(call.collaboration, { publicComments: [] });
+    });
+  });
+});
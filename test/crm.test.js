@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractCallContext, mergeCrmEntities, normalizeFields } = require('../src/utils/crm');
+
+describe('crm', () => {
+  const calls = [
+    {
+      metaData: { id: '1' },
+      context: [{
+        system: 'Salesforce',
+        objects: [
+          { objectType: 'Account', objectId: 'acc-1', fields: [{ name: 'Name', value: 'Acme' }] },
+          { objectType: 'Opportunity', objectId: 'opp-1', fields: [{ name: 'Amount', value: 1000 }] }
+        ]
+      }]
+    },
+    {
+      metaData: { id: '2' },
+      context: [{
+        system: 'Salesforce',
+        objects: [{ objectType: 'Account', objectId: 'acc-1', fields: [{ name: 'Industry', value: 'Software' }] }]
+      }]
+    },
+    { metaData: { id: '3' } }
+  ];
+
+  describe('extractCallContext', () => {
+    it('groups objects by type and CRM ID across calls', () => {
+      const { objects, callLinks } = extractCallContext(calls);
+
+      assert.deepEqual(Object.keys(objects), ['Account', 'Opportunity']);
+      assert.deepEqual(objects.Account['acc-1'], {
+        crmId: 'acc-1',
+        objectType: 'Account',
+        system: 'Salesforce',
+        fields: { Name: 'Acme', Industry: 'Software' },
+        callIds: ['1', '2']
+      });
+      assert.deepEqual(callLinks.map(link => `${link.callId}:${link.crmId}`), ['1:acc-1', '1:opp-1', '2:acc-1']);
+    });
+
+    it('collects pages of calls into the same result', () => {
+      const context = extractCallContext(calls.slice(0, 1));
+      const result = extractCallContext(calls.slice(1), context);
+
+      assert.equal(result.objects, context.objects);
+      assert.deepEqual(result, extractCallContext(calls));
+    });
+  });
+
+  describe('mergeCrmEntities', () => {
+    it('overrides call context values with the current CRM values', () => {
+      const { objects } = extractCallContext(calls);
+
+      const merged = mergeCrmEntities(objects.Account, {
+        'acc-1': { Name: 'Acme Corp' },
+        'acc-unknown': { Name: 'Not linked to a call' }
+      }, 'integration-1');
+
+      assert.equal(merged, 1);
+      assert.deepEqual(objects.Account['acc-1'].fields, { Name: 'Acme Corp', Industry: 'Software' });
+      assert.equal(objects.Account['acc-1'].integrationId, 'integration-1');
+      assert.equal(objects.Account['acc-unknown'], undefined);
+    });
+  });
+
+  describe('normalizeFields', () => {
+    it('turns name and value pairs into an object', () => {
+      assert.deepEqual(normalizeFields([{ name: 'A', value: 1 }, { name: 'B' }, {}]), { A: 1, B: null });
+      assert.deepEqual(normalizeFields(null), {});
+    });
+  });
+});
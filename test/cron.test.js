@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CronSchedule = require('../src/utils/cron');
+
+describe('CronSchedule', () => {
+  // Local time, like the schedules themselves: Tuesday 4 March 2025, 10:17:30
+  const start = new Date(2025, 2, 4, 10, 17, 30);
+  const next = expression => new CronSchedule(expression).next(start);
+
+  it('finds the next run of hourly, nightly and stepped schedules', () => {
+    assert.deepEqual(next('@hourly'), new Date(2025, 2, 4, 11, 0));
+    assert.deepEqual(next('0 2 * * *'), new Date(2025, 2, 5, 2, 0));
+    assert.deepEqual(next('*/15 * * * *'), new Date(2025, 2, 4, 10, 30));
+    assert.deepEqual(next('5/20 9-17 * * *'), new Date(2025, 2, 4, 10, 25));
+    assert.deepEqual(next('30 4 1,15 * *'), new Date(2025, 2, 15, 4, 30));
+  });
+
+  it('never returns the time it starts from', () => {
+    assert.deepEqual(new CronSchedule('* * * * *').next(new Date(2025, 2, 4, 10, 17)), new Date(2025, 2, 4, 10, 18));
+  });
+
+  it('reads month and weekday names, with 7 as Sunday', () => {
+    assert.deepEqual(next('0 9 * * mon-fri'), new Date(2025, 2, 5, 9, 0));
+    assert.deepEqual(next('0 0 * * 7'), new Date(2025, 2, 9, 0, 0));
+    assert.deepEqual(next('0 0 1 jan *'), new Date(2026, 0, 1, 0, 0));
+  });
+
+  it('matches either the day of month or the weekday when both are restricted', () => {
+    assert.deepEqual(next('0 0 13 * fri'), new Date(2025, 2, 7, 0, 0));
+    assert.deepEqual(next('0 0 29 2 *'), new Date(2028, 1, 29, 0, 0));
+  });
+
+  it('rejects malformed expressions and schedules that never run', () => {
+    assert.throws(() => new CronSchedule('* * *'), /expected 5 fields/);
+    assert.throws(() => new CronSchedule('61 * * * *'), /Invalid minute: 61/);
+    assert.throws(() => new CronSchedule('*/0 * * * *'), /Invalid step in minute/);
+    assert.throws(() => new CronSchedule('0 0 * * funday'), /Invalid day of week: funday/);
+    assert.throws(() => new CronSchedule('5-1 * * * *'), /Invalid range in minute: 5-1/);
+    assert.throws(() => next('0 0 31 2 *'), /never runs/);
+  });
+});
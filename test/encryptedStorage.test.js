@@ -0,0 +1,60 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { createTempDir, removeTempDir } = require('./helpers');
+const EncryptedStorage = require('../src/storage/encryptedStorage');
+const LocalStorage = require('../src/storage/localStorage');
+const { AesGcmCipher } = require('../src/utils/encryption');
+
+describe('EncryptedStorage', () => {
+  let dir;
+  let storage;
+
+  beforeEach(() => {
+    dir = createTempDir();
+    storage = new EncryptedStorage(new LocalStorage(dir), new AesGcmCipher(crypto.randomBytes(32)));
+  });
+
+  afterEach(() => {
+    removeTempDir(dir);
+  });
+
+  it('stores objects encrypted under their key with the cipher extension', async () => {
+    const location = await storage.writeFile('transcripts/call_1001.json', '{"speaker":"Pat Customer"}');
+
+    assert.equal(location, path.join(dir, 'transcripts', 'call_1001.json.enc'));
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'transcripts')), ['call_1001.json.enc']);
+    assert.ok(!fs.readFileSync(location).includes('Pat Customer'));
+    assert.equal(await storage.readFile('transcripts/call_1001.json'), '{"speaker":"Pat Customer"}');
+    assert.equal((await storage.stat('transcripts/call_1001.json')).encrypted, true);
+    assert.deepEqual(await storage.list(), ['transcripts/call_1001.json']);
+
+    await storage.rename('transcripts/call_1001.json', 'call.json');
+    assert.equal(await storage.exists('transcripts/call_1001.json'), false);
+    await storage.delete('call.json');
+    assert.deepEqual(await storage.list(), []);
+  });
+
+  it('leaves nothing behind when a write fails', async () => {
+    const failing = new Readable({ read() {} });
+    const writing = storage.writeStream('videos/call.mp4', failing);
+    failing.push(Buffer.alloc(1024));
+    failing.destroy(new Error('connection reset'));
+
+    await assert.rejects(writing, /connection reset|premature close/i);
+    assert.deepEqual(fs.existsSync(path.join(dir, 'videos')) ? fs.readdirSync(path.join(dir, 'videos')) : [], []);
+    await assert.rejects(storage.writeStream('videos/call.mp4', Readable.from(['data']), { append: true }), /does not support appending/);
+  });
+
+  it('fails reads of objects that were changed', async () => {
+    const location = await storage.writeFile('calls.json', JSON.stringify({ calls: ['1001'] }));
+    const data = fs.readFileSync(location);
+    data[data.length - 1] ^= 1;
+    fs.writeFileSync(location, data);
+
+    await assert.rejects(storage.readFile('calls.json'), /failed authentication/);
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir, removeTempDir } = require('./helpers');
+const {
+  AesGcmCipher,
+  RecipientCipher,
+  decryptBuffer,
+  decryptFiles,
+  encryptBuffer,
+  loadEncryptionSettings,
+  parseKey
+} = require('../src/utils/encryption');
+
+const FAKE_AGE = path.join(__dirname, 'mock', 'fakeAge.js');
+
+describe('encryption', () => {
+  const key = crypto.randomBytes(32);
+  let dir;
+
+  beforeEach(() => {
+    dir = createTempDir();
+  });
+
+  afterEach(() => {
+    removeTempDir(dir);
+  });
+
+  describe('settings', () => {
+    it('reads keys as hex, base64 or a key file and rejects other lengths', () => {
+      assert.deepEqual(parseKey(key.toString('hex')), key);
+      assert.deepEqual(parseKey(key.toString('base64')), key);
+      assert.throws(() => parseKey('abcd'), /must be 32 bytes/);
+
+      const keyFile = path.join(dir, 'export.key');
+      fs.writeFileSync(keyFile, key);
+      assert.deepEqual(loadEncryptionSettings({ GONG_ENCRYPTION: 'AES-256-GCM', GONG_ENCRYPTION_KEY_FILE: keyFile }).key, key);
+    });
+
+    it('requires a key or recipients for the selected mode', () => {
+      assert.equal(loadEncryptionSettings({}).mode, null);
+      assert.throws(() => loadEncryptionSettings({ GONG_ENCRYPTION: 'rot13' }), /Invalid GONG_ENCRYPTION: rot13/);
+      assert.throws(() => loadEncryptionSettings({ GONG_ENCRYPTION: 'aes-256-gcm' }), /needs a key/);
+      assert.throws(() => loadEncryptionSettings({ GONG_ENCRYPTION: 'age' }), /needs recipients/);
+      assert.deepEqual(loadEncryptionSettings({ GONG_ENCRYPTION: 'openpgp', GONG_ENCRYPTION_RECIPIENTS: 'a@example.com, b@example.com' }).recipients, ['a@example.com', 'b@example.com']);
+    });
+  });
+
+  describe('AesGcmCipher', () => {
+    it('round-trips data with a fresh IV for every file', async () => {
+      const cipher = new AesGcmCipher(key);
+      const plaintext = crypto.randomBytes(200 * 1024);
+      const first = await encryptBuffer(cipher, plaintext);
+      const second = await encryptBuffer(cipher, plaintext);
+
+      assert.notDeepEqual(first, second);
+      assert.deepEqual(await decryptBuffer(cipher, first), plaintext);
+      assert.deepEqual(await decryptBuffer(cipher, await encryptBuffer(cipher, '')), Buffer.alloc(0));
+    });
+
+    it('rejects the wrong key, tampered and truncated files', async () => {
+      const cipher = new AesGcmCipher(key);
+      const encrypted = await encryptBuffer(cipher, 'customer conversation');
+
+      await assert.rejects(decryptBuffer(new AesGcmCipher(crypto.randomBytes(32)), encrypted), /encrypted with a different key/);
+      const tampered = Buffer.from(encrypted);
+      tampered[40] ^= 1;
+      await assert.rejects(decryptBuffer(cipher, tampered), /failed authentication/);
+      await assert.rejects(decryptBuffer(cipher, encrypted.subarray(0, encrypted.length - 20)), /failed authentication|truncated/);
+      await assert.rejects(decryptBuffer(cipher, Buffer.from('{"plain":"json"}')), /Not a file encrypted by gongexport/);
+    });
+  });
+
+  describe('RecipientCipher', () => {
+    const recipient = 'age1recipient';
+
+    it('encrypts to the recipients and decrypts with a matching identity', async () => {
+      const identityFile = path.join(dir, 'identity.txt');
+      fs.writeFileSync(identityFile, recipient);
+      const cipher = new RecipientCipher({ mode: 'age', recipients: [recipient], identityFile, agePath: FAKE_AGE });
+
+      const encrypted = await encryptBuffer(cipher, 'customer conversation');
+      assert.ok(!encrypted.includes('customer conversation'));
+      assert.equal((await decryptBuffer(cipher, encrypted)).toString(), 'customer conversation');
+      assert.equal(cipher.canDecrypt(), true);
+    });
+
+    it('reports the error of the binary and needs an identity to decrypt age files', async () => {
+      const otherIdentity = path.join(dir, 'other.txt');
+      fs.writeFileSync(otherIdentity, 'age1someoneelse');
+      const encrypted = await encryptBuffer(new RecipientCipher({ mode: 'age', recipients: [recipient], agePath: FAKE_AGE }), 'data');
+
+      await assert.rejects(decryptBuffer(new RecipientCipher({ mode: 'age', identityFile: otherIdentity, agePath: FAKE_AGE }), encrypted), /fakeAge\.js failed: error: no identity matched/);
+      assert.throws(() => new RecipientCipher({ mode: 'age', agePath: FAKE_AGE }).decryptStream(), /needs an identity file/);
+      assert.equal(new RecipientCipher({ mode: 'age', recipients: [recipient] }).canDecrypt(), false);
+      await assert.rejects(encryptBuffer(new RecipientCipher({ mode: 'openpgp', recipients: ['a@example.com'], gpgPath: path.join(dir, 'missing-gpg') }), 'data'), /missing-gpg could not be started/);
+    });
+  });
+
+  describe('decryptFiles', () => {
+    it('decrypts every encrypted file below a directory, only keeping files that authenticate', async () => {
+      const cipher = new AesGcmCipher(key);
+      fs.mkdirSync(path.join(dir, 'export', 'videos'), { recursive: true });
+      fs.writeFileSync(path.join(dir, 'export', 'calls.json.enc'), await encryptBuffer(cipher, '{"calls":[]}'));
+      fs.writeFileSync(path.join(dir, 'export', 'videos', 'call.mp4.enc'), await encryptBuffer(cipher, 'recording'));
+      fs.writeFileSync(path.join(dir, 'export', 'videos', 'broken.mp4.enc'), (await encryptBuffer(cipher, 'recording')).subarray(0, 40));
+      fs.writeFileSync(path.join(dir, 'export', 'sync_state.json'), '{}');
+
+      const result = await decryptFiles(path.join(dir, 'export'), { key }, { outputDir: path.join(dir, 'plain') });
+
+      assert.deepEqual(result.decrypted.map(file => path.relative(dir, file.output)).sort(), [
+        path.join('plain', 'calls.json'),
+        path.join('plain', 'videos', 'call.mp4')
+      ]);
+      assert.equal(fs.readFileSync(path.join(dir, 'plain', 'videos', 'call.mp4'), 'utf8'), 'recording');
+      assert.deepEqual(result.failed.map(file => path.basename(file.file)), ['broken.mp4.enc']);
+      assert.deepEqual(fs.readdirSync(path.join(dir, 'plain', 'videos')), ['call.mp4']);
+    });
+  });
+});
@@ -0,0 +1,502 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTempDir, removeTempDir, startMockServer } = require('./helpers');
+const SqliteSink = require('../src/storage/sqliteSink');
+const { AesGcmCipher, decryptFiles } = require('../src/utils/encryption');
+
+describe('exportGongData', () => {
+  let server;
+  let outputDir;
+  let exportGongData;
+
+  const listFiles = (dir = outputDir) => fs.readdirSync(dir);
+  const listTree = dir => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => (
+    entry.isDirectory() ? listTree(path.join(dir, entry.name)) : [path.join(dir, entry.name)]
+  ));
+  const readExport = prefix => {
+    const file = listFiles().find(name => name.startsWith(prefix));
+    return JSON.parse(fs.readFileSync(path.join(outputDir, file), 'utf8')).data;
+  };
+
+  before(async () => {
+    server = await startMockServer({ callCount: 4, pageSize: 3, mediaSize: 32 * 1024 });
+
+    // The config is read once when the export module is loaded
+    Object.assign(process.env, {
+      GONG_API_URL: server.apiUrl,
+      GONG_ACCESS_KEY: server.accessKey,
+      GONG_ACCESS_KEY_SECRET: server.accessKeySecret,
+      GONG_RATE_LIMIT_PER_SECOND: '1000',
+      GONG_RATE_LIMIT_BURST: '1000',
+      GONG_RETRY_BASE_DELAY_MS: '5',
+      GONG_RETRY_MAX_DELAY_MS: '20',
+      GONG_FFMPEG_PATH: path.join(__dirname, 'mock', 'fakeFfmpeg.js'),
+      GONG_FFPROBE_PATH: path.join(__dirname, 'mock', 'fakeFfmpeg.js'),
+      GONG_REDACTION_SALT: 'export-test-salt-0123456789'
+    });
+    exportGongData = require('../src/export');
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    outputDir = createTempDir();
+  });
+
+  afterEach(() => {
+    removeTempDir(outputDir);
+  });
+
+  it('exports calls, transcripts, users and recordings', async () => {
+    const result = await exportGongData({
+      resources: ['calls', 'transcripts', 'videos', 'users'],
+      outputDir,
+      videoConcurrency: 2
+    });
+
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(exportGongData.summarizeExport(result.exportedData), {
+      users: 3,
+      extensiveUsers: 3,
+      orgTree: 1,
+      calls: 4,
+      extensiveCalls: 4,
+      transcripts: 4,
+      videoDownloads: 4,
+      videoDownloadSummary: 'exported'
+    });
+    assert.equal(readExport('calls_').calls.length, 4);
+    assert.deepEqual(readExport('calls_').records, { totalRecords: 4, retrievedRecords: 4 });
+    assert.equal(readExport('users_').users.length, 3);
+    assert.equal(readExport('extensive_calls_').length, 4);
+    assert.equal(listFiles(path.join(outputDir, 'transcripts')).length, 4);
+    assert.equal(listFiles(path.join(outputDir, 'videos')).length, 4);
+    assert.ok(listFiles().some(name => name.startsWith('video_manifest_')));
+
+    // Transcript speakers are resolved to the call's parties
+    const transcriptFile = listFiles(path.join(outputDir, 'transcripts')).find(name => name.endsWith('_1001.json'));
+    const transcript = JSON.parse(fs.readFileSync(path.join(outputDir, 'transcripts', transcriptFile), 'utf8')).data;
+    assert.equal(transcript.transcript[0].speaker.emailAddress, 'rep1@example.com');
+  });
+
+  it('saves a combined file that lists the files of each dataset', async () => {
+    const result = await exportGongData({ resources: ['calls', 'transcripts', 'videos'], outputDir });
+
+    const manifest = JSON.parse(fs.readFileSync(result.savedFiles.combined, 'utf8')).data;
+    assert.equal(manifest.format, 'json');
+    assert.equal(manifest.exported.extensiveCalls, 4);
+    assert.deepEqual(manifest.files.calls, [path.join(outputDir, listFiles().find(name => name.startsWith('calls_')))]);
+    assert.deepEqual(manifest.files.transcripts, [path.join(outputDir, 'transcripts')]);
+    assert.deepEqual(manifest.files.videoManifest, [result.exportedData.videoDownloadSummary.manifest]);
+    assert.equal(JSON.stringify(manifest).includes('Discovery Call'), false);
+  });
+
+  it('saves transcoded audio recordings in audio mode', async () => {
+    const result = await exportGongData({ resources: ['calls', 'videos'], outputDir, mediaMode: 'audio', transcodeCodec: 'libopus' });
+
+    assert.deepEqual(result.errors, []);
+    const videoFiles = listFiles(path.join(outputDir, 'videos'));
+    assert.equal(videoFiles.length, 4);
+    assert.ok(videoFiles.every(file => file.endsWith('_audio_libopus.opus')), videoFiles.join(', '));
+    const downloads = readExport('video_downloads_');
+    assert.deepEqual(downloads.map(download => [download.mediaType, download.codec, download.mediaDuration]), Array(4).fill(['audio', 'libopus', 1800]));
+    assert.equal(server.requestsFor('/recordings/').filter(request => request.path.endsWith('.mp4')).length, 0);
+  });
+
+  it('exports extensive users, settings history and the org tree', async () => {
+    const result = await exportGongData({ resources: ['users'], outputDir });
+
+    assert.deepEqual(result.errors, []);
+    const extensiveUsers = readExport('users_extensive_');
+    assert.equal(extensiveUsers.length, 3);
+    assert.equal(extensiveUsers[0].settingsHistory.length, 1);
+    const orgTree = readExport('org_tree_');
+    assert.equal(orgTree.length, 1);
+    assert.deepEqual(orgTree[0].reports.map(report => report.id), ['user-2', 'user-3']);
+  });
+
+  it('attributes calls to users who have left', async () => {
+    const result = await exportGongData({ resources: ['calls'], outputDir, enableVideoDownloads: false });
+
+    // Calls are assigned to users in turn, so the third call belongs to the inactive user
+    const call = readExport('extensive_calls_').find(entry => entry.metaData.id === '1003');
+    assert.deepEqual(call.parties[0].user, {
+      id: 'user-3',
+      name: 'Rep 3',
+      emailAddress: 'rep3@example.com',
+      title: 'Account Executive',
+      active: false
+    });
+    assert.equal(call.metaData.primaryUser.id, 'user-3');
+    assert.equal(result.exportedData.users, undefined);
+  });
+
+  it('exports the selected call content and still requests media for recordings', async () => {
+    const result = await exportGongData({ resources: ['calls', 'videos'], outputDir, contentSelector: 'minimal' });
+
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(server.requestsFor('/v2/calls/extensive')[0].body.contentSelector.exposedFields, { parties: true, media: true });
+    assert.equal(result.exportedData.videoDownloads.count, 4);
+
+    server.reset();
+    const everything = await exportGongData({ resources: ['calls'], outputDir, full: true, enableVideoDownloads: false, contentSelector: 'everything' });
+    const { files } = JSON.parse(fs.readFileSync(everything.savedFiles.combined, 'utf8')).data;
+    const [call] = JSON.parse(fs.readFileSync(files.extensiveCalls[0], 'utf8')).data;
+    assert.deepEqual(Object.keys(call).sort(), ['collaboration', 'content', 'context', 'interaction', 'media', 'metaData', 'parties']);
+    assert.equal(call.content.topics[0].name, 'Pricing');
+  });
+
+  it('writes NDJSON records in the ndjson format', async () => {
+    const result = await exportGongData({ resources: ['calls', 'transcripts', 'crm'], outputDir, enableVideoDownloads: false, format: 'ndjson' });
+
+    assert.deepEqual(result.errors, []);
+    const readLines = file => fs.readFileSync(path.join(outputDir, file), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    const files = listFiles();
+    assert.equal(files.some(name => name.startsWith('extensive_calls_') && name.endsWith('.json')), false);
+    // Pages of three calls are appended as they arrive
+    assert.deepEqual(readLines(files.find(name => name.startsWith('calls_'))).map(call => call.id), ['1001', '1002', '1003', '1004']);
+    const extensiveCalls = readLines(files.find(name => name.startsWith('extensive_calls_')));
+    assert.equal(extensiveCalls[0].parties[0].user.id, 'user-1');
+    assert.equal(readLines(files.find(name => name.startsWith('transcripts_'))).length, 4);
+    const accountsFile = listFiles(path.join(outputDir, 'crm')).find(name => name.startsWith('account_'));
+    assert.deepEqual(readLines(path.join('crm', accountsFile)).map(account => account.crmId), ['001A000001', '001A000002']);
+  });
+
+  it('writes flattened tables in the csv format', async () => {
+    const result = await exportGongData({ resources: ['calls', 'videos', 'users'], outputDir, format: 'csv' });
+
+    assert.deepEqual(result.errors, []);
+    const readTable = prefix => fs.readFileSync(path.join(outputDir, listFiles().find(name => name.startsWith(prefix) && name.endsWith('.csv'))), 'utf8').trim().split('\n');
+    const calls = readTable('calls_');
+    assert.match(calls[0], /^id,url,title,scheduled,started,duration,/);
+    assert.equal(calls.length, 5);
+    assert.equal(readTable('parties_').length, 9);
+    assert.equal(readTable('users_').length, 4);
+    const downloads = readTable('video_downloads_');
+    assert.equal(downloads.length, 5);
+    assert.match(downloads[1], /^100\d,Discovery Call \d,/);
+    // Nested data that has no table is still saved as JSON
+    assert.ok(listFiles().some(name => name.startsWith('extensive_calls_') && name.endsWith('.json')));
+  });
+
+  it('loads calls, parties and download status into a SQLite database', async () => {
+    const sqlitePath = path.join(outputDir, 'gong.sqlite');
+
+    const result = await exportGongData({ resources: ['calls', 'transcripts', 'videos'], outputDir, sqlitePath });
+    await exportGongData({ resources: ['calls'], outputDir, sqlitePath, full: true, enableVideoDownloads: false });
+
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.savedFiles.sqlite, sqlitePath);
+    const sink = await SqliteSink.open(sqlitePath);
+    assert.deepEqual(sink.query('SELECT COUNT(*) AS count FROM calls'), [{ count: 4 }]);
+    assert.deepEqual(sink.query('SELECT COUNT(*) AS count FROM parties'), [{ count: 8 }]);
+    assert.deepEqual(sink.query("SELECT COUNT(*) AS count FROM video_downloads WHERE status = 'downloaded'"), [{ count: 4 }]);
+    assert.deepEqual(sink.query('SELECT COUNT(*) AS count FROM transcript_sentences'), [{ count: 8 }]);
+    sink.close();
+  });
+
+  it('redacts personal data from every file and keeps the re-identification key outside the export', async () => {
+    const exportDir = path.join(outputDir, 'shared');
+    const result = await exportGongData({
+      resources: ['calls', 'transcripts', 'users', 'crm', 'engage', 'analytics'],
+      outputDir: exportDir,
+      sqlitePath: path.join(exportDir, 'gong.sqlite'),
+      contentSelector: 'everything',
+      redact: true
+    });
+
+    assert.deepEqual(result.errors, []);
+    for (const file of listTree(exportDir)) {
+      const content = fs.readFileSync(file, 'latin1');
+      for (const value of ['pat@customer.example', '@example.com', 'Pat Customer']) {
+        assert.equal(content.includes(value), false, `${path.relative(exportDir, file)} contains ${value}`);
+      }
+    }
+
+    // The same person has the same pseudonym in every dataset
+    const readShared = prefix => JSON.parse(fs.readFileSync(path.join(exportDir, listFiles(exportDir).find(name => name.startsWith(prefix))), 'utf8')).data;
+    const call = readShared('extensive_calls_').find(entry => entry.metaData.id === '1001');
+    const user = readShared('users_').users.find(entry => entry.id === 'user-1');
+    assert.equal(call.parties[0].emailAddress, user.emailAddress);
+    assert.equal(call.parties[0].name, `${user.firstName} ${user.lastName}`);
+    const transcriptFile = listFiles(path.join(exportDir, 'transcripts')).find(name => name.endsWith('_1001.json'));
+    const transcript = JSON.parse(fs.readFileSync(path.join(exportDir, 'transcripts', transcriptFile), 'utf8')).data;
+    assert.equal(transcript.transcript[1].sentences[0].text, `Hello from ${call.parties[1].name}`);
+
+    const key = JSON.parse(fs.readFileSync(result.savedFiles.redactionKey, 'utf8')).data;
+    assert.equal(path.dirname(result.savedFiles.redactionKey), path.join(outputDir, 'redaction_keys'));
+    assert.deepEqual(key.entries.find(entry => entry.pseudonym === call.parties[1].emailAddress), {
+      type: 'email',
+      pseudonym: call.parties[1].emailAddress,
+      value: 'pat@customer.example'
+    });
+  });
+
+  it('refuses to save the re-identification key inside the export', async () => {
+    await assert.rejects(
+      exportGongData({ resources: ['users'], outputDir, redact: true, redactionKeyDir: path.join(outputDir, 'keys') }),
+      /must be outside the export directory/
+    );
+  });
+
+  it('encrypts every file it writes and leaves no call data in the clear after an interruption', async () => {
+    const key = crypto.randomBytes(32);
+    const encryption = { mode: 'aes-256-gcm', key };
+    const sqlitePath = path.join(outputDir, 'gong.sqlite');
+    server.fail({ path: '/v2/calls', method: 'GET', type: 'status', status: 404, skip: 2 });
+
+    const interrupted = await exportGongData({ resources: ['calls'], outputDir, enableVideoDownloads: false, encryption });
+    assert.deepEqual(interrupted.errors.map(error => error.resource), ['calls']);
+    assert.equal(listFiles().some(name => name.startsWith('sync_partial_')), false);
+    server.reset();
+
+    const result = await exportGongData({ resources: ['calls', 'transcripts', 'videos', 'users'], outputDir, sqlitePath, encryption });
+    await exportGongData({ resources: ['calls'], outputDir, sqlitePath, enableVideoDownloads: false, full: true, encryption });
+
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.savedFiles.sqlite, `${sqlitePath}.enc`);
+    for (const file of listTree(outputDir)) {
+      if (path.basename(file) !== 'sync_state.json') {
+        assert.match(file, /\.enc$/);
+        assert.equal(fs.readFileSync(file, 'latin1').includes('Pat Customer'), false, `${path.relative(outputDir, file)} is not encrypted`);
+      }
+    }
+
+    const decrypted = path.join(createTempDir(), 'plain');
+    const { decrypted: files, failed } = await decryptFiles(outputDir, { key }, { outputDir: decrypted });
+    assert.deepEqual(failed, []);
+    const combined = JSON.parse(fs.readFileSync(path.join(decrypted, path.basename(result.savedFiles.combined, '.enc')), 'utf8')).data;
+    assert.equal(combined.encryption.mode, 'aes-256-gcm');
+    assert.equal(files.filter(file => file.output.includes(`${path.sep}videos${path.sep}`)).length, 4);
+    const sink = await SqliteSink.open(sqlitePath, { cipher: new AesGcmCipher(key) });
+    assert.deepEqual(sink.query('SELECT COUNT(*) AS count FROM calls'), [{ count: 4 }]);
+    sink.close();
+    removeTempDir(path.dirname(decrypted));
+  });
+
+  it('refuses to read back public-key encrypted files it has no identity for', async () => {
+    await assert.rejects(
+      exportGongData({ resources: ['calls'], outputDir, sqlitePath: path.join(outputDir, 'gong.sqlite'), encryption: { mode: 'age', recipients: ['age1recipient'] } }),
+      /needs the identity to decrypt age files/
+    );
+  });
+
+  it('writes CRM objects keyed by CRM ID', async () => {
+    const result = await exportGongData({ resources: ['crm'], outputDir, enableVideoDownloads: false });
+
+    assert.deepEqual(result.errors, []);
+    const crmFiles = listFiles(path.join(outputDir, 'crm'));
+    const readCrm = prefix => JSON.parse(fs.readFileSync(path.join(outputDir, 'crm', crmFiles.find(name => name.startsWith(prefix))), 'utf8')).data;
+    assert.deepEqual(crmFiles.map(name => name.split('_20')[0]).sort(), ['account', 'call_links', 'contact', 'integrations', 'opportunity']);
+    assert.equal(readCrm('account_')['001A000002'].fields.Industry, 'Retail');
+    assert.equal(Object.keys(readCrm('opportunity_')).length, 4);
+    assert.deepEqual(readCrm('call_links_')[0], { callId: '1001', system: 'Salesforce', objectType: 'Account', crmId: '001A000001' });
+  });
+
+  it('exports the call library and mirrors it with recordings', async () => {
+    const result = await exportGongData({ resources: ['library'], outputDir, libraryRecordings: true });
+
+    assert.deepEqual(result.errors, []);
+    // No calls were exported in this run, so the library calls are looked up by ID
+    assert.deepEqual(server.requestsFor('/v2/calls/extensive')[0].body.filter.callIds, ['1001', '1002']);
+    const [, objectionHandling] = result.exportedData.library;
+    const entry = objectionHandling.calls[0];
+    assert.equal(entry.call.started, server.fixtures.calls[1].metaData.started);
+    assert.equal(entry.snippet.startTime, new Date(new Date(entry.call.started).getTime() + 60000).toISOString());
+
+    const libraryDir = path.join(outputDir, 'videos', 'library');
+    assert.equal(listFiles(path.join(libraryDir, 'Best Calls')).filter(name => name.endsWith('.mp4')).length, 1);
+    const [recording] = listFiles(path.join(libraryDir, 'Best Calls', 'Objection Handling'));
+    assert.match(recording, /_1002_discovery_call_2\.mp4$/);
+    assert.deepEqual(fs.readFileSync(path.join(libraryDir, 'Best Calls', 'Objection Handling', recording)), server.fixtures.media.get('1002'));
+  });
+
+  it('exports Engage flows only when selected', async () => {
+    assert.equal(exportGongData.DEFAULT_RESOURCES.includes('engage'), false);
+
+    const result = await exportGongData({ resources: ['engage'], outputDir, enableVideoDownloads: false });
+
+    assert.deepEqual(result.errors, []);
+    const engageFiles = listFiles(path.join(outputDir, 'engage'));
+    const readEngage = prefix => JSON.parse(fs.readFileSync(path.join(outputDir, 'engage', engageFiles.find(name => name.startsWith(prefix))), 'utf8')).data;
+    assert.equal(readEngage('flows_').length, 2);
+    // The customer's contact on the exported calls is looked up as a prospect
+    assert.deepEqual(readEngage('flow_prospects_').map(prospect => prospect.crmProspectId), ['003A000001']);
+  });
+
+  it('writes each analytics dataset and checkpoints the analytics window', async () => {
+    const result = await exportGongData({ resources: ['analytics'], outputDir });
+
+    assert.deepEqual(result.errors, []);
+    const analyticsFiles = listFiles(path.join(outputDir, 'analytics'));
+    assert.deepEqual(analyticsFiles.map(name => name.split('_20')[0]).sort(), ['aggregate_activity', 'day_by_day_activity', 'interaction_stats', 'scorecards']);
+
+    // Stats cover whole days up to, but not including, today
+    const today = new Date().toISOString().split('T')[0];
+    const aggregate = JSON.parse(fs.readFileSync(path.join(outputDir, 'analytics', analyticsFiles.find(name => name.startsWith('aggregate_'))), 'utf8')).data;
+    assert.equal(aggregate.toDate, today);
+    assert.equal(aggregate.records.length, 3);
+    const syncState = JSON.parse(fs.readFileSync(path.join(outputDir, 'sync_state.json'), 'utf8'));
+    assert.equal(syncState.resources.analytics.lastToDateTime, `${today}T00:00:00.000Z`);
+
+    // A second run on the same day has nothing new to export
+    server.reset();
+    await exportGongData({ resources: ['analytics'], outputDir });
+    assert.equal(server.requestsFor('/v2/stats').length, 0);
+  });
+
+  it('writes one output tree per workspace', async () => {
+    const result = await exportGongData({ resources: ['calls', 'videos'], outputDir, perWorkspace: true });
+
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.exportedData.workspaces.map(workspace => workspace.directory), [
+      'workspaces/north_america_workspace-1',
+      'workspaces/emea_workspace-2'
+    ]);
+    assert.ok(listFiles().some(name => name.startsWith('workspaces_')));
+
+    const emeaDir = path.join(outputDir, 'workspaces', 'emea_workspace-2');
+    const readFromTree = prefix => JSON.parse(fs.readFileSync(path.join(emeaDir, listFiles(emeaDir).find(name => name.startsWith(prefix))), 'utf8')).data;
+    assert.deepEqual(readFromTree('calls_').calls.map(call => call.id), ['1002', '1004']);
+    assert.deepEqual(listFiles(path.join(emeaDir, 'videos')).map(name => name.split('_')[1]).sort(), ['1002', '1004']);
+    assert.ok(fs.existsSync(path.join(emeaDir, 'sync_state.json')));
+
+    const summary = readFromTree('summary_');
+    assert.equal(summary.workspace.name, 'EMEA');
+    assert.equal(summary.exported.calls, 2);
+    assert.equal(summary.exported.videoDownloads, 2);
+  });
+
+  it('continues from the last sync on the next run', async () => {
+    await exportGongData({ resources: ['calls'], outputDir, enableVideoDownloads: false });
+    const syncState = JSON.parse(fs.readFileSync(path.join(outputDir, 'sync_state.json'), 'utf8'));
+    server.reset();
+
+    const result = await exportGongData({ resources: ['calls'], outputDir, enableVideoDownloads: false });
+
+    // The window starts the default three hours before the last sync, which takes in the call of an hour ago again
+    const callRequests = server.requestsFor('/v2/calls', 'GET').filter(request => !request.query.limit);
+    const lastToDateTime = new Date(syncState.resources.calls.lastToDateTime).getTime();
+    assert.equal(callRequests[0].query.fromDateTime, new Date(lastToDateTime - 3 * 60 * 60 * 1000).toISOString());
+    assert.equal(result.exportedData.calls.records.retrievedRecords, 1);
+
+    const lastSync = JSON.parse(fs.readFileSync(path.join(outputDir, 'sync_state.json'), 'utf8')).resources.calls.lastToDateTime;
+    server.reset();
+    const withoutLookback = await exportGongData({ resources: ['calls'], outputDir, enableVideoDownloads: false, syncLookbackMinutes: 0 });
+    const [request] = server.requestsFor('/v2/calls', 'GET').filter(candidate => !candidate.query.limit);
+    assert.equal(request.query.fromDateTime, lastSync);
+    assert.equal(withoutLookback.exportedData.calls.records.retrievedRecords, 0);
+  });
+
+  it('picks up calls that started before the last sync but only showed up after it', async () => {
+    const readCallIds = result => {
+      const { files } = JSON.parse(fs.readFileSync(result.savedFiles.combined, 'utf8')).data;
+      return JSON.parse(fs.readFileSync(files.calls[0], 'utf8')).data.calls.map(call => call.id);
+    };
+    const first = await exportGongData({ resources: ['calls'], outputDir, enableVideoDownloads: false });
+    assert.ok(!readCallIds(first).includes('1099'));
+    const { lastToDateTime } = JSON.parse(fs.readFileSync(path.join(outputDir, 'sync_state.json'), 'utf8')).resources.calls;
+
+    // A call that was still in progress during the first run, and that Gong only lists once it is processed
+    const [template] = server.fixtures.calls;
+    const lateCall = { ...template, metaData: { ...template.metaData, id: '1099', started: new Date(new Date(lastToDateTime).getTime() - 5 * 60 * 1000).toISOString() } };
+    server.fixtures.calls.push(lateCall);
+    try {
+      const second = await exportGongData({ resources: ['calls'], outputDir, enableVideoDownloads: false });
+
+      assert.deepEqual(second.errors, []);
+      assert.ok(readCallIds(second).includes('1099'));
+    } finally {
+      server.fixtures.calls.pop();
+    }
+  });
+
+  it('resumes an interrupted export from the saved cursor', async () => {
+    // Let the API check and the first page through, then fail the second page
+    server.fail({ path: '/v2/calls', method: 'GET', type: 'status', status: 404, skip: 2 });
+
+    const interrupted = await exportGongData({ resources: ['calls'], outputDir, enableVideoDownloads: false });
+    assert.deepEqual(interrupted.errors.map(error => error.resource), ['calls']);
+    server.reset();
+
+    const resumed = await exportGongData({ resources: ['calls'], outputDir, enableVideoDownloads: false });
+
+    assert.deepEqual(resumed.errors, []);
+    assert.equal(resumed.exportedData.calls.records.retrievedRecords, 4);
+    const { files } = JSON.parse(fs.readFileSync(resumed.savedFiles.combined, 'utf8')).data;
+    assert.deepEqual(JSON.parse(fs.readFileSync(files.calls[0], 'utf8')).data.calls.map(call => call.id), ['1001', '1002', '1003', '1004']);
+    const callRequests = server.requestsFor('/v2/calls', 'GET').filter(request => !request.query.limit);
+    assert.equal(callRequests.length, 1);
+    assert.ok(callRequests[0].query.cursor);
+  });
+
+  it('finishes the recording in flight and saves the checkpoint when stopped', async () => {
+    const controller = new AbortController();
+    // Stop as soon as the first recording is requested
+    server.handleMedia = function (req, res) {
+      controller.abort();
+      return Object.getPrototypeOf(this).handleMedia.call(this, req, res);
+    };
+
+    let stopped;
+    try {
+      stopped = await exportGongData({ resources: ['calls', 'videos', 'library'], outputDir, videoConcurrency: 1, signal: controller.signal });
+    } finally {
+      delete server.handleMedia;
+    }
+
+    assert.equal(stopped.exportedData.videoDownloads.count, 1);
+    assert.equal(stopped.exportedData.library, undefined);
+    assert.ok(stopped.errors.some(error => error.resource === 'export'));
+    const syncState = JSON.parse(fs.readFileSync(path.join(outputDir, 'sync_state.json'), 'utf8'));
+    assert.ok(syncState.resources.extensiveCalls.pending);
+    assert.equal(fs.existsSync(path.join(outputDir, '.gongexport.lock')), false);
+    server.reset();
+
+    const resumed = await exportGongData({ resources: ['calls', 'videos'], outputDir });
+
+    assert.deepEqual(resumed.errors, []);
+    assert.equal(listFiles(path.join(outputDir, 'videos')).length, 4);
+  });
+
+  it('refuses to export while another run holds the lock', async () => {
+    fs.writeFileSync(path.join(outputDir, '.gongexport.lock'), JSON.stringify({ pid: process.pid, hostname: os.hostname(), startedAt: new Date().toISOString() }));
+
+    await assert.rejects(exportGongData({ resources: ['users'], outputDir }), error => error.code === 'ELOCKED' && /already running/.test(error.message));
+    assert.equal(server.requestsFor('/v2/users', 'GET').length, 0);
+  });
+
+  it('reports failed resources without stopping the export', async () => {
+    server.fail({ path: '/v2/users', type: 'status', status: 403, times: Infinity });
+
+    const result = await exportGongData({ resources: ['calls', 'users'], outputDir, enableVideoDownloads: false });
+
+    assert.deepEqual(result.errors.map(error => error.resource), ['users']);
+    assert.equal(result.exportedData.calls.records.retrievedRecords, 4);
+  });
+
+  it('falls back to signed URLs for the calls after a failed page of extensive data', async () => {
+    // The first page of three calls is handled before the second page fails
+    server.fail({ path: '/v2/calls/extensive', type: 'status', status: 404, skip: 1 });
+
+    const result = await exportGongData({ resources: ['calls', 'videos'], outputDir });
+
+    assert.deepEqual(result.errors.map(error => error.resource), ['extensiveCalls']);
+    assert.equal(result.exportedData.videoDownloads.count, 4);
+    assert.deepEqual(listFiles(path.join(outputDir, 'videos')).map(name => name.split('_')[1]).sort(), ['1001', '1002', '1003', '1004']);
+    assert.equal(listFiles().some(name => name.startsWith('extensive_calls_')), false);
+  });
+
+  it('fails when the API cannot be reached', async () => {
+    server.fail({ path: '/v2/calls', type: 'status', status: 401 });
+
+    await assert.rejects(exportGongData({ resources: ['users'], outputDir }), /Failed to connect to Gong API/);
+  });
+});
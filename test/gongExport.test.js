@@ -0,0 +1,255 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { fastLimits, startMockServer } = require('./helpers');
+const GongExport = require('../src/api/gongExport');
+
+describe('GongExport', () => {
+  let server;
+  let gongExport;
+
+  before(async () => {
+    server = await startMockServer({ callCount: 5, pageSize: 2 });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    gongExport = new GongExport(server.apiUrl, server.basicToken, fastLimits());
+  });
+
+  it('follows cursors until every call is retrieved', async () => {
+    const pages = [];
+    const result = await gongExport.exportCallData({
+      onPage: (calls, nextCursor) => pages.push({ count: calls.length, nextCursor })
+    });
+
+    assert.equal(result.calls.length, 5);
+    assert.deepEqual(result.records, { totalRecords: 5, retrievedRecords: 5 });
+    assert.equal(server.requestsFor('/v2/calls', 'GET').length, 3);
+    assert.deepEqual(pages.map(page => page.count), [2, 2, 1]);
+    assert.equal(pages[2].nextCursor, null);
+  });
+
+  it('yields pages as they arrive and stops requesting when the consumer stops', async () => {
+    const pages = [];
+    for await (const page of gongExport.iterateExtensiveCallPages({ contentSelector: 'minimal' })) {
+      pages.push(page);
+      if (pages.length === 2) {
+        break;
+      }
+    }
+
+    assert.deepEqual(pages.map(page => page.calls.map(call => call.metaData.id)), [['1001', '1002'], ['1003', '1004']]);
+    assert.equal(pages[0].calls[0].media, null);
+    assert.ok(pages[1].records.cursor);
+    assert.equal(server.requestsFor('/v2/calls/extensive').length, 2);
+
+    const transcriptPages = [];
+    for await (const page of gongExport.iterateTranscriptPages({ callIds: ['1001', '1002', '1003'], batchSize: 2 })) {
+      transcriptPages.push(page.callTranscripts.map(transcript => transcript.callId));
+    }
+    assert.deepEqual(transcriptPages, [['1001', '1002'], ['1003']]);
+  });
+
+  it('resumes pagination from a saved cursor', async () => {
+    const firstPage = [];
+    await gongExport.exportCallData({ onPage: (calls, nextCursor) => firstPage.push(nextCursor) });
+    server.reset();
+
+    const result = await gongExport.exportCallData({ cursor: firstPage[0] });
+
+    assert.equal(result.calls.length, 3);
+    assert.equal(server.requests[0].query.cursor, firstPage[0]);
+  });
+
+  it('lists workspaces and restricts calls to one of them', async () => {
+    const workspaces = await gongExport.getWorkspaces();
+    const calls = await gongExport.exportCallData({ workspaceId: 'workspace-2' });
+    const extensiveCalls = await gongExport.getAllExtensiveCallData({ workspaceId: 'workspace-2' });
+
+    assert.deepEqual(workspaces.map(workspace => workspace.name), ['North America', 'EMEA']);
+    assert.deepEqual(calls.calls.map(call => call.id), ['1002', '1004']);
+    assert.equal(server.requestsFor('/v2/calls', 'GET')[0].query.workspaceId, 'workspace-2');
+    assert.deepEqual(extensiveCalls.map(call => call.metaData.id), ['1002', '1004']);
+    assert.equal(server.requestsFor('/v2/calls/extensive')[0].body.filter.workspaceId, 'workspace-2');
+  });
+
+  it('retrieves extensive call data with parties and media URLs', async () => {
+    const calls = await gongExport.getAllExtensiveCallData({ fromDateTime: '2000-01-01T00:00:00Z' });
+
+    assert.equal(calls.length, 5);
+    assert.equal(calls[0].parties.length, 2);
+    assert.match(calls[0].media.videoUrl, /\/recordings\/1001\.mp4/);
+    assert.deepEqual(server.requests[0].body.contentSelector.exposedFields, { parties: true, media: true });
+  });
+
+  it('retrieves the call content sections selected by a preset', async () => {
+    const calls = await gongExport.getAllExtensiveCallData({ contentSelector: 'everything' });
+    const minimal = await gongExport.getAllExtensiveCallData({ contentSelector: 'minimal' });
+
+    assert.equal(server.requestsFor('/v2/calls/extensive')[0].body.contentSelector.exposedFields.content.trackers, true);
+    assert.equal(calls[0].content.trackers[0].name, 'Competitors');
+    assert.equal(calls[0].content.brief, 'Pat walked through pricing on call 1');
+    assert.deepEqual(calls[0].content.keyPoints, []);
+    assert.equal(calls[0].interaction.interactionStats[0].name, 'Talk Ratio');
+    assert.equal(calls[0].collaboration.publicComments[0].comment, 'Good discovery');
+    assert.equal(minimal[0].media, null);
+    assert.equal(minimal[0].content, null);
+  });
+
+  it('batches call IDs when retrieving transcripts', async () => {
+    const transcripts = await gongExport.getAllTranscripts({ callIds: ['1001', '1002', '1003', '1004', '1005'], batchSize: 3 });
+
+    assert.equal(transcripts.length, 5);
+    const batches = server.requestsFor('/v2/calls/transcript').map(request => request.body.filter.callIds);
+    assert.deepEqual(batches, [
+      ['1001', '1002', '1003'],
+      ['1001', '1002', '1003'],
+      ['1004', '1005']
+    ]);
+  });
+
+  it('exports the CRM objects linked to calls', async () => {
+    const calls = await gongExport.getAllExtensiveCallData({ context: 'Extended' });
+
+    const crm = await gongExport.exportCrmData({ calls });
+
+    assert.deepEqual(crm.integrations.map(integration => integration.integrationId), ['integration-1']);
+    assert.deepEqual(Object.keys(crm.objects.Account), ['001A000001', '001A000002']);
+    // Both accounts are looked up in one request with repeated objectsCrmIds parameters
+    assert.deepEqual(Object.values(crm.objects.Account).map(account => account.fields.Name), ['Customer 1 Inc', 'Customer 2 Ltd']);
+    assert.equal(server.requestsFor('/v2/crm/entities').filter(request => request.query.objectType === 'Account').length, 1);
+    assert.deepEqual(crm.objects.Account['001A000001'].callIds, ['1001', '1003', '1005']);
+    assert.equal(Object.keys(crm.objects.Opportunity).length, 5);
+    // The integration has no contacts, so they keep the values from the call context
+    assert.equal(crm.objects.Contact['003A000001'].fields.Email, 'pat@customer.example');
+    assert.equal(crm.objects.Contact['003A000001'].integrationId, undefined);
+    assert.equal(crm.callLinks.length, 15);
+    assert.equal(server.requests[0].body.contentSelector.context, 'Extended');
+  });
+
+  it('exports library folders with their paths and content', async () => {
+    const library = await gongExport.exportLibraryData();
+
+    assert.deepEqual(library.map(folder => folder.path), ['Best Calls', 'Best Calls/Objection Handling']);
+    assert.deepEqual(library[1].calls.map(entry => entry.id), ['1002']);
+    assert.deepEqual(library[1].calls[0].snippet, { fromSec: 60, toSec: 120 });
+    assert.equal(server.requestsFor('/v2/library/folder-content')[1].query.folderId, 'folder-2');
+  });
+
+  it('exports Engage flows with their steps and assigned prospects', async () => {
+    const ownerEmails = server.fixtures.users.map(user => user.emailAddress);
+
+    const engage = await gongExport.exportEngageData({ ownerEmails, crmProspectsIds: ['003A000001', '003A000099'] });
+
+    // The company flow is listed for every owner but exported once
+    assert.deepEqual(engage.flows.map(flow => flow.id), ['flow-1', 'flow-2']);
+    assert.equal(server.requestsFor('/v2/flows', 'GET').filter(request => request.path === '/v2/flows').length, 3);
+    assert.deepEqual(engage.flows[1].steps.map(step => step.stepType), ['Email', 'Call']);
+    assert.deepEqual(engage.prospects.map(prospect => prospect.flowId), ['flow-1']);
+  });
+
+  it('exports analytics datasets for a date range', async () => {
+    const analytics = await gongExport.exportAnalyticsData({ fromDate: '2000-01-01', toDate: '2100-01-01' });
+
+    assert.deepEqual(analytics.errors, []);
+    assert.deepEqual(analytics.datasets.aggregateActivity.map(stats => stats.userAggregateActivityStats.callsAsHost), [2, 2, 1]);
+    assert.equal(analytics.datasets.interactionStats[0].personInteractionStats.find(stat => stat.name === 'Talk Ratio').value, 0.45);
+    assert.deepEqual(analytics.datasets.dayByDayActivity[0].userDailyActivityStats.map(day => day.callsAsHost[0]), ['1001', '1004']);
+    assert.deepEqual(analytics.datasets.scorecards.map(scorecard => scorecard.callId), ['1001', '1002']);
+
+    // Three users over pages of two
+    const aggregateRequests = server.requestsFor('/v2/stats/activity/aggregate');
+    assert.equal(aggregateRequests.length, 2);
+    assert.deepEqual(aggregateRequests[0].body.filter, { fromDate: '2000-01-01', toDate: '2100-01-01' });
+  });
+
+  it('restricts analytics to a set of users and keeps the datasets that could be retrieved', async () => {
+    server.fail({ path: '/v2/stats/activity/scorecards', type: 'status', status: 403 });
+
+    const analytics = await gongExport.exportAnalyticsData({ fromDate: '2000-01-01', toDate: '2100-01-01', userIds: ['user-2'] });
+
+    assert.deepEqual(analytics.errors.map(error => error.dataset), ['scorecards']);
+    assert.equal(analytics.datasets.scorecards, undefined);
+    assert.deepEqual(analytics.datasets.interactionStats.map(stats => stats.userId), ['user-2']);
+    assert.deepEqual(server.requestsFor('/v2/stats/activity/scorecards')[0].body.filter.reviewedUserIds, ['user-2']);
+  });
+
+  it('follows cursors until every user is retrieved', async () => {
+    const result = await gongExport.exportUserData();
+
+    assert.deepEqual(result.records, { totalRecords: 3, retrievedRecords: 3 });
+    assert.deepEqual(result.users.map(user => user.id), ['user-1', 'user-2', 'user-3']);
+    assert.equal(server.requestsFor('/v2/users', 'GET').length, 2);
+  });
+
+  it('retrieves extensive users and their settings history', async () => {
+    const users = await gongExport.getAllExtensiveUsers({ userIds: ['user-2', 'user-3'] });
+    const history = await gongExport.getUserSettingsHistory('user-2');
+
+    assert.deepEqual(users.map(user => user.id), ['user-2', 'user-3']);
+    assert.deepEqual(server.requestsFor('/v2/users/extensive', 'POST')[0].body.filter, { userIds: ['user-2', 'user-3'] });
+    assert.equal(history[0].settingName, 'webConferencesRecorded');
+  });
+
+  it('waits for Retry-After when rate limited', async () => {
+    server.fail({ path: '/v2/users', type: 'rateLimit', retryAfter: 1 });
+
+    const start = Date.now();
+    const data = await gongExport.exportUserData();
+
+    assert.equal(data.users.length, 3);
+    assert.equal(server.requestsFor('/v2/users').length, 3);
+    assert.ok(Date.now() - start >= 900, 'retry should wait for the Retry-After period');
+  });
+
+  it('retries server errors and dropped connections', async () => {
+    server.fail({ path: '/v2/users', type: 'status', status: 503 });
+    server.fail({ path: '/v2/users', type: 'hangup' });
+
+    const data = await gongExport.exportUserData();
+
+    assert.equal(data.users.length, 3);
+    assert.equal(server.requestsFor('/v2/users').length, 4);
+  });
+
+  it('gives up after the maximum number of retries', async () => {
+    server.fail({ path: '/v2/users', type: 'status', status: 502, times: Infinity });
+
+    await assert.rejects(gongExport.exportUserData(), error => error.response.status === 502);
+    assert.equal(server.requestsFor('/v2/users').length, 4);
+  });
+
+  it('does not retry errors that will not go away', async () => {
+    const unauthorized = new GongExport(server.apiUrl, Buffer.from('wrong:key').toString('base64'), fastLimits());
+
+    await assert.rejects(unauthorized.exportUserData(), error => error.response.status === 401);
+    assert.equal(server.requestsFor('/v2/users').length, 1);
+  });
+
+  it('gets a fresh signed media URL', async () => {
+    server.expireMediaUrls();
+
+    const url = await gongExport.getSignedMediaUrl('1002');
+
+    assert.equal(url, server.signedMediaUrl('1002'));
+    assert.equal(server.requestsFor('/v2/calls/1002/media', 'PUT').length, 1);
+  });
+
+  it('sends requests through an injected HTTP client', async () => {
+    const httpClient = axios.create({
+      baseURL: server.apiUrl,
+      headers: { Authorization: `Basic ${server.basicToken}`, 'X-Test-Client': 'injected' }
+    });
+    const injected = new GongExport('http://unused.invalid', server.basicToken, { ...fastLimits(), httpClient });
+
+    const status = await injected.checkApiStatus();
+
+    assert.equal(status.status, 'ok');
+    assert.equal(server.requests[0].headers['x-test-client'], 'injected');
+  });
+});
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../src/utils/logger');
+const RateLimiter = require('../src/utils/rateLimiter');
+const RetryPolicy = require('../src/utils/retryPolicy');
+const MockGongServer = require('./mock/gongMockServer');
+
+// Keep test output readable, failures are reported through assertions
+logger.silent = true;
+
+/**
+ * Start a mock Gong server for a test file
+ * @param {Object} options Options passed to MockGongServer
+ * @returns {Promise<MockGongServer>} The started server
+ */
+async function startMockServer(options = {}) {
+  return new MockGongServer(options).start();
+}
+
+/**
+ * Create an empty temporary directory
+ * @returns {string} The directory path
+ */
+function createTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'gongexport-test-'));
+}
+
+/**
+ * Remove a temporary directory
+ * @param {string} dir The directory path
+ */
+function removeTempDir(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Rate limiting and retry settings that keep tests fast
+ * @returns {Object} A fresh limiter and policy ({ rateLimiter, retryPolicy })
+ */
+function fastLimits() {
+  return {
+    rateLimiter: new RateLimiter({ requestsPerSecond: 1000, burst: 1000 }),
+    retryPolicy: new RetryPolicy({ maxRetries: 3, baseDelayMs: 5, maxDelayMs: 20 })
+  };
+}
+
+module.exports = {
+  createTempDir,
+  fastLimits,
+  removeTempDir,
+  startMockServer
+};
@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFolderPaths, linkLibraryEntries } = require('../src/utils/library');
+
+describe('library', () => {
+  describe('buildFolderPaths', () => {
+    it('joins the names of parent folders', () => {
+      const paths = buildFolderPaths([
+        { id: 'a', name: 'Onboarding', parentFolderId: null },
+        { id: 'b', name: 'Week 1', parentFolderId: 'a' },
+        { id: 'c', name: 'Pricing / Discounts', parentFolderId: 'b' },
+        { id: 'd', name: 'Orphan', parentFolderId: 'deleted-folder' },
+        { id: 'e', name: '..', parentFolderId: null }
+      ]);
+
+      assert.equal(paths.get('c'), 'Onboarding/Week 1/Pricing _ Discounts');
+      assert.equal(paths.get('d'), 'Orphan');
+      assert.equal(paths.get('e'), 'e');
+    });
+
+    it('stops at a parent cycle', () => {
+      const paths = buildFolderPaths([
+        { id: 'a', name: 'A', parentFolderId: 'b' },
+        { id: 'b', name: 'B', parentFolderId: 'a' }
+      ]);
+
+      assert.equal(paths.get('a'), 'B/A');
+      assert.equal(paths.get('b'), 'A/B');
+    });
+  });
+
+  describe('linkLibraryEntries', () => {
+    it('attaches call metadata and absolute snippet times', () => {
+      const callsById = new Map([
+        ['1', { metaData: { id: '1', title: 'Kickoff', started: '2025-01-01T10:00:00.000Z', duration: 1800 } }]
+      ]);
+
+      const [snippet, unknown] = linkLibraryEntries([
+        { id: '1', title: 'Kickoff', snippet: { fromSec: 90, toSec: 150 } },
+        { id: '2', title: 'Older call' }
+      ], callsById);
+
+      assert.deepEqual(snippet.call, { id: '1', title: 'Kickoff', started: '2025-01-01T10:00:00.000Z', duration: 1800 });
+      assert.equal(snippet.snippet.startTime, '2025-01-01T10:01:30.000Z');
+      assert.equal(snippet.snippet.endTime, '2025-01-01T10:02:30.000Z');
+      assert.equal(unknown.callId, '2');
+      assert.equal(unknown.call, null);
+    });
+  });
+});
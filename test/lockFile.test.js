@@ -0,0 +1,61 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTempDir, removeTempDir } = require('./helpers');
+const LockFile = require('../src/utils/lockFile');
+
+describe('LockFile', () => {
+  let dir;
+  let lockPath;
+
+  beforeEach(() => {
+    dir = createTempDir();
+    lockPath = path.join(dir, LockFile.LOCK_FILE_NAME);
+  });
+
+  afterEach(() => {
+    removeTempDir(dir);
+  });
+
+  it('is held by one owner at a time and removed on release', () => {
+    const lock = new LockFile(lockPath).acquire({ resources: ['calls'] });
+    assert.deepEqual(JSON.parse(fs.readFileSync(lockPath, 'utf8')).resources, ['calls']);
+
+    assert.throws(() => new LockFile(lockPath).acquire(), error => error.code === 'ELOCKED' && /Another export is already running/.test(error.message));
+
+    lock.release();
+    assert.equal(fs.existsSync(lockPath), false);
+    new LockFile(lockPath).acquire().release();
+  });
+
+  it('takes over a lock left by a process that is no longer running', () => {
+    // The pid of a process that has exited
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    fs.writeFileSync(lockPath, JSON.stringify({ pid, hostname: os.hostname(), startedAt: '2025-01-01T00:00:00.000Z' }));
+
+    const lock = new LockFile(lockPath).acquire();
+
+    assert.equal(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid, process.pid);
+    lock.release();
+  });
+
+  it('keeps a lock that is still being written', () => {
+    // Another process has created the lock file but not written its details yet
+    fs.writeFileSync(lockPath, '');
+
+    assert.throws(() => new LockFile(lockPath).acquire(), error => error.code === 'ELOCKED');
+    assert.equal(fs.readFileSync(lockPath, 'utf8'), '');
+  });
+
+  it('keeps locks held from other machines', () => {
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: 1, hostname: `${os.hostname()}-other`, startedAt: '2025-01-01T00:00:00.000Z' }));
+
+    assert.throws(() => new LockFile(lockPath).acquire(), /pid 1 on .*-other/);
+    // A lock this instance never took is left alone
+    new LockFile(lockPath).release();
+    assert.equal(fs.existsSync(lockPath), true);
+  });
+});
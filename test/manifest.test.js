@@ -0,0 +1,81 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir, removeTempDir } = require('./helpers');
+const LocalStorage = require('../src/storage/localStorage');
+const { listWorkspaceTrees, verifyExport, writeManifest } = require('../src/utils/manifest');
+
+describe('verifyExport', () => {
+  let exportDir;
+
+  const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+  /**
+   * Save recordings to a tree and write its manifest
+   * @param {LocalStorage} exportStorage Storage of the tree's export files
+   * @param {LocalStorage} videoStorage Storage of the tree's recordings
+   * @param {Object} recordings Recording content by file key
+   */
+  const saveRecordings = async (exportStorage, videoStorage, recordings) => {
+    const downloads = [];
+    for (const [fileKey, content] of Object.entries(recordings)) {
+      await videoStorage.writeFile(fileKey, content);
+      downloads.push({ callId: fileKey.split('.')[0], fileKey, size: content.length, sha256: sha256(content) });
+    }
+    await writeManifest(downloads, exportStorage, videoStorage);
+  };
+
+  beforeEach(() => {
+    exportDir = createTempDir();
+  });
+
+  afterEach(() => {
+    removeTempDir(exportDir);
+  });
+
+  it('checks each workspace tree against its own manifests', async () => {
+    const root = new LocalStorage(exportDir);
+    const tree = subPath => ({
+      path: subPath,
+      exportStorage: new LocalStorage(path.join(exportDir, subPath)),
+      videoStorage: new LocalStorage(path.join(exportDir, subPath, 'videos'))
+    });
+    const emea = tree('workspaces/emea');
+    const amer = tree('workspaces/amer');
+    await saveRecordings(emea.exportStorage, emea.videoStorage, { '1001.mp4': 'emea call' });
+    await saveRecordings(amer.exportStorage, amer.videoStorage, { '2001.mp4': 'amer call', '2002.mp4': 'amer call 2' });
+    fs.appendFileSync(path.join(exportDir, 'workspaces/amer/videos/2002.mp4'), '!');
+    await amer.videoStorage.writeFile('2003.mp4', 'unlisted');
+
+    assert.deepEqual(await listWorkspaceTrees(root), ['workspaces/amer', 'workspaces/emea']);
+    const report = await verifyExport([{ path: '', exportStorage: root, videoStorage: new LocalStorage(path.join(exportDir, 'videos')) }, amer, emea]);
+
+    assert.deepEqual(report.verified.map(entry => entry.file), ['workspaces/amer/2001.mp4', 'workspaces/emea/1001.mp4']);
+    assert.deepEqual(report.corrupted.map(entry => entry.file), ['workspaces/amer/2002.mp4']);
+    assert.deepEqual(report.extra, ['workspaces/amer/2003.mp4']);
+    assert.deepEqual(report.missing, []);
+  });
+
+  it('leaves the recordings of workspace trees below a custom video path out of the top-level extra files', async () => {
+    const videoDir = createTempDir();
+    try {
+      const root = { path: '', exportStorage: new LocalStorage(exportDir), videoStorage: new LocalStorage(videoDir) };
+      const emea = {
+        path: 'workspaces/emea',
+        exportStorage: new LocalStorage(path.join(exportDir, 'workspaces/emea')),
+        videoStorage: new LocalStorage(path.join(videoDir, 'workspaces/emea'))
+      };
+      await saveRecordings(root.exportStorage, root.videoStorage, { '1001.mp4': 'top-level call' });
+      await saveRecordings(emea.exportStorage, emea.videoStorage, { '3001.mp4': 'emea call' });
+
+      const report = await verifyExport([root, emea]);
+
+      assert.deepEqual(report.verified.map(entry => entry.file), ['1001.mp4', 'workspaces/emea/3001.mp4']);
+      assert.deepEqual(report.extra, []);
+    } finally {
+      removeTempDir(videoDir);
+    }
+  });
+});
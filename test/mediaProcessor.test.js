@@ -0,0 +1,77 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir, removeTempDir } = require('./helpers');
+const MediaProcessor = require('../src/utils/mediaProcessor');
+
+const FAKE_FFMPEG = path.join(__dirname, 'mock', 'fakeFfmpeg.js');
+
+describe('MediaProcessor', () => {
+  let dir;
+  let input;
+
+  const createProcessor = (options = {}) => new MediaProcessor({ ffmpegPath: FAKE_FFMPEG, ffprobePath: FAKE_FFMPEG, ...options });
+  const readOutput = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  beforeEach(() => {
+    dir = createTempDir();
+    input = path.join(dir, 'call.mp4');
+    fs.writeFileSync(input, 'recording');
+  });
+
+  afterEach(() => {
+    removeTempDir(dir);
+    delete process.env.FAKE_FFPROBE_DURATION;
+  });
+
+  it('rejects unknown codecs and malformed bitrates', () => {
+    assert.throws(() => new MediaProcessor({ codec: 'wmav2' }), /Unknown codec: wmav2/);
+    assert.throws(() => new MediaProcessor({ bitrate: 'fast' }), /Invalid bitrate: fast/);
+  });
+
+  it('names transcoded and extracted files after the codec they are written with', () => {
+    const opus = createProcessor({ codec: 'libopus', bitrate: '32k' });
+    const target = opus.transcodeTarget('video');
+
+    assert.deepEqual(target, { codec: 'libopus', kind: 'audio', extension: '.opus' });
+    assert.equal(opus.transcodedKey('calls/2025-01-01_1001_demo.mp4', target), 'calls/2025-01-01_1001_demo_libopus.opus');
+    assert.equal(opus.audioKey('calls/2025-01-01_1001_demo.mp4'), 'calls/2025-01-01_1001_demo_audio.opus');
+
+    assert.equal(createProcessor().transcodeTarget('video'), null);
+    assert.equal(createProcessor({ bitrate: '1M' }).transcodeTarget('video').codec, 'libx264');
+    assert.equal(createProcessor({ codec: 'libx264' }).audioKey('1001.mp4'), '1001_audio.m4a');
+  });
+
+  it('transcodes to audio codecs without the video stream and copies the audio of video codecs', async () => {
+    const audio = createProcessor({ codec: 'libopus', bitrate: '32k' });
+    await audio.transcode(input, path.join(dir, 'call.opus'), audio.transcodeTarget('video'));
+    assert.deepEqual(readOutput(path.join(dir, 'call.opus')).codecArgs, ['-vn', '-c:a', 'libopus', '-b:a', '32k']);
+
+    const video = createProcessor({ codec: 'libx265', bitrate: '500k' });
+    await video.transcode(input, path.join(dir, 'small.mp4'), video.transcodeTarget('video'));
+    assert.deepEqual(readOutput(path.join(dir, 'small.mp4')).codecArgs, ['-c:v', 'libx265', '-b:v', '500k', '-c:a', 'copy']);
+
+    await video.extractAudioTrack(input, path.join(dir, 'call.m4a'));
+    assert.deepEqual(readOutput(path.join(dir, 'call.m4a')).codecArgs, ['-vn', '-c:a', 'aac']);
+  });
+
+  it('compares the probed duration with the call duration', async () => {
+    const processor = createProcessor();
+
+    assert.deepEqual(await processor.verifyDuration(input, 1795), { mediaDuration: 1800, durationVerified: true });
+    assert.deepEqual(await processor.verifyDuration(input, null), { mediaDuration: 1800, durationVerified: null });
+
+    process.env.FAKE_FFPROBE_DURATION = '600.5';
+    assert.deepEqual(await processor.verifyDuration(input, 1800), { mediaDuration: 600.5, durationVerified: false });
+  });
+
+  it('reports the ffmpeg error message when processing fails', async () => {
+    const corrupt = path.join(dir, 'corrupt.mp4');
+    fs.writeFileSync(corrupt, 'not a recording');
+
+    await assert.rejects(createProcessor().extractAudioTrack(corrupt, path.join(dir, 'out.m4a')), /ffmpeg failed for corrupt\.mp4: .*Invalid data found/);
+    await assert.rejects(createProcessor().probeDuration(corrupt), /ffprobe failed for corrupt\.mp4/);
+    await assert.rejects(createProcessor({ ffprobePath: path.join(dir, 'missing-ffprobe') }).probeDuration(input), /ffprobe failed for call\.mp4/);
+  });
+});
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * Stand-in for the age and gpg binaries, so public-key encryption can be tested without them
+ *
+ * Encrypting writes a header naming the recipients followed by the input with every byte flipped.
+ * Decrypting as age needs an identity file holding one of the recipients, like a real age identity
+ * holds the private half of a recipient. Decrypting as gpg always succeeds, as if the secret key
+ * were in the keyring.
+ */
+const fs = require('fs');
+
+const HEADER = 'FAKE-ENCRYPTED';
+const args = process.argv.slice(2);
+
+const readInput = () => {
+  const chunks = [];
+  process.stdin.on('data', chunk => chunks.push(chunk));
+  return new Promise(resolve => process.stdin.on('end', () => resolve(Buffer.concat(chunks))));
+};
+const flip = data => Buffer.from(data.map(byte => byte ^ 0xff));
+const fail = message => {
+  process.stderr.write(`${message}\n`);
+  process.exit(1);
+};
+
+readInput().then(input => {
+  if (args.includes('--encrypt')) {
+    const recipients = args.filter((arg, index) => args[index - 1] === '--recipient');
+    if (recipients.length === 0) {
+      fail('error: missing recipients');
+    }
+    process.stdout.write(`${HEADER} ${JSON.stringify(recipients)}\n`);
+    process.stdout.write(flip(input));
+    return;
+  }
+
+  if (args.includes('--decrypt')) {
+    const newline = input.indexOf('\n');
+    const header = newline > 0 ? input.subarray(0, newline).toString() : '';
+    if (!header.startsWith(`${HEADER} `)) {
+      fail('error: failed to read header: parsing age header: unexpected intro');
+    }
+    const recipients = JSON.parse(header.slice(HEADER.length + 1));
+
+    const identityIndex = args.indexOf('--identity');
+    if (identityIndex >= 0) {
+      const identityFile = args[identityIndex + 1];
+      const identity = fs.existsSync(identityFile) ? fs.readFileSync(identityFile, 'utf8').trim() : null;
+      if (!recipients.includes(identity)) {
+        fail('error: no identity matched any of the recipients');
+      }
+    }
+    process.stdout.write(flip(input.subarray(newline + 1)));
+    return;
+  }
+
+  fail(`error: unexpected arguments ${args.join(' ')}`);
+});
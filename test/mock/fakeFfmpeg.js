@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+/**
+ * Stand-in for the ffmpeg and ffprobe binaries, so media processing can be tested without them
+ *
+ * As ffprobe it prints the duration in FAKE_FFPROBE_DURATION (default: 1800 seconds). As ffmpeg it
+ * writes the codec arguments it was given and a digest of the input to the output file, so tests
+ * can check what was asked for. Inputs whose name contains "corrupt" fail like unreadable media.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+
+const args = process.argv.slice(2);
+
+if (args.includes('-show_entries')) {
+  const input = args[args.length - 1];
+  if (!fs.existsSync(input) || input.includes('corrupt')) {
+    process.stderr.write(`${input}: Invalid data found when processing input\n`);
+    process.exit(1);
+  }
+  process.stdout.write(`${process.env.FAKE_FFPROBE_DURATION || '1800.000000'}\n`);
+  process.exit(0);
+}
+
+const input = args[args.indexOf('-i') + 1];
+const output = args[args.length - 1];
+if (!fs.existsSync(input) || input.includes('corrupt')) {
+  process.stderr.write(`${input}: Invalid data found when processing input\n`);
+  process.exit(1);
+}
+
+fs.writeFileSync(output, JSON.stringify({
+  codecArgs: args.slice(args.indexOf('-i') + 2, -1),
+  input: crypto.createHash('sha256').update(fs.readFileSync(input)).digest('hex')
+}));
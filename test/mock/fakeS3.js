@@ -0,0 +1,184 @@
+/**
+ * In-memory S3 bucket behind a stub HTTP request handler for the AWS SDK
+ *
+ * Passed to S3Client as its requestHandler, so requests are built, signed and parsed by the real
+ * SDK (and lib-storage for multipart uploads) but never leave the process. Implements the object
+ * operations S3Storage uses: PutObject, multipart uploads, GetObject, HeadObject, CopyObject,
+ * DeleteObject and ListObjectsV2 with continuation tokens.
+ */
+class FakeS3 {
+  /**
+   * Create a new FakeS3 instance
+   * @param {Object} options Optional settings
+   * @param {string} options.bucket The bucket name (default: 'gong-archive')
+   * @param {number} options.listPageSize Number of keys per ListObjectsV2 page (default: 2)
+   */
+  constructor(options = {}) {
+    this.bucket = options.bucket || 'gong-archive';
+    this.listPageSize = options.listPageSize || 2;
+    // Object content keyed by full object key
+    this.objects = new Map();
+    this.uploads = new Map();
+    this.requests = [];
+    this.requestHandler = { handle: request => this.handle(request) };
+  }
+
+  /**
+   * Handle a request built by the SDK
+   * @param {Object} request The HTTP request ({ method, hostname, path, query, headers, body })
+   * @returns {Promise<Object>} The HTTP response ({ response })
+   */
+  async handle(request) {
+    const body = await readBody(request.body);
+    const { bucket, key } = this.locate(request);
+    const query = request.query || {};
+    this.requests.push({ method: request.method, hostname: request.hostname, path: request.path, bucket, key, query, headers: request.headers, size: body.length });
+
+    if (bucket !== this.bucket) {
+      return respond(404, xml('Error', '<Code>NoSuchBucket</Code>'));
+    }
+
+    switch (request.method) {
+      case 'PUT':
+        if (query.uploadId) {
+          this.uploads.get(query.uploadId).parts[Number(query.partNumber)] = body;
+          return respond(200, '', { etag: `"part-${query.partNumber}"` });
+        }
+        if (request.headers['x-amz-copy-source']) {
+          const source = decodeURIComponent(request.headers['x-amz-copy-source']).replace(/^\//, '');
+          const sourceKey = source.slice(source.indexOf('/') + 1);
+          if (!this.objects.has(sourceKey)) {
+            return respond(404, xml('Error', '<Code>NoSuchKey</Code>'));
+          }
+          this.objects.set(key, this.objects.get(sourceKey));
+          return respond(200, xml('CopyObjectResult', `<ETag>"copy"</ETag><LastModified>${new Date().toISOString()}</LastModified>`));
+        }
+        this.objects.set(key, body);
+        return respond(200, '', { etag: '"object"' });
+
+      case 'POST':
+        if ('uploads' in query) {
+          const uploadId = `upload-${this.uploads.size + 1}`;
+          this.uploads.set(uploadId, { key, parts: [] });
+          return respond(200, xml('InitiateMultipartUploadResult', `<Bucket>${this.bucket}</Bucket><Key>${escapeXml(key)}</Key><UploadId>${uploadId}</UploadId>`));
+        }
+        if (query.uploadId) {
+          const upload = this.uploads.get(query.uploadId);
+          this.objects.set(key, Buffer.concat(upload.parts.filter(Boolean)));
+          this.uploads.delete(query.uploadId);
+          return respond(200, xml('CompleteMultipartUploadResult', `<Bucket>${this.bucket}</Bucket><Key>${escapeXml(key)}</Key><ETag>"multipart"</ETag>`));
+        }
+        return respond(400, xml('Error', '<Code>InvalidRequest</Code>'));
+
+      case 'GET':
+        if (query['list-type'] === '2') {
+          return this.list(query);
+        }
+        return this.objects.has(key)
+          ? respond(200, this.objects.get(key), { 'content-length': String(this.objects.get(key).length) })
+          : respond(404, xml('Error', '<Code>NoSuchKey</Code>'));
+
+      case 'HEAD':
+        return this.objects.has(key)
+          ? respond(200, '', { 'content-length': String(this.objects.get(key).length) })
+          : respond(404, '');
+
+      case 'DELETE':
+        if (query.uploadId) {
+          this.uploads.delete(query.uploadId);
+        } else {
+          this.objects.delete(key);
+        }
+        return respond(204, '');
+
+      default:
+        return respond(405, '');
+    }
+  }
+
+  /**
+   * Answer a ListObjectsV2 request, one page at a time
+   * @param {Object} query The request query ({ prefix, 'continuation-token' })
+   * @returns {Object} The HTTP response
+   * @private
+   */
+  list(query) {
+    const keys = Array.from(this.objects.keys()).filter(key => key.startsWith(query.prefix || '')).sort();
+    const start = Number(query['continuation-token'] || 0);
+    const page = keys.slice(start, start + this.listPageSize);
+    const truncated = start + page.length < keys.length;
+
+    return respond(200, xml('ListBucketResult', [
+      `<Name>${this.bucket}</Name><Prefix>${escapeXml(query.prefix || '')}</Prefix><KeyCount>${page.length}</KeyCount>`,
+      `<IsTruncated>${truncated}</IsTruncated>`,
+      truncated ? `<NextContinuationToken>${start + page.length}</NextContinuationToken>` : '',
+      ...page.map(key => `<Contents><Key>${escapeXml(key)}</Key><Size>${this.objects.get(key).length}</Size></Contents>`)
+    ].join('')));
+  }
+
+  /**
+   * Work out the bucket and object key of a request, with virtual-hosted or path-style addressing
+   * @param {Object} request The HTTP request
+   * @returns {Object} The bucket and key ({ bucket, key })
+   * @private
+   */
+  locate(request) {
+    const segments = request.path.replace(/^\//, '').split('/');
+    if (request.hostname.startsWith(`${this.bucket}.`)) {
+      return { bucket: this.bucket, key: segments.map(decodeURIComponent).join('/') };
+    }
+    return { bucket: decodeURIComponent(segments[0]), key: segments.slice(1).map(decodeURIComponent).join('/') };
+  }
+}
+
+/**
+ * Read a request body, which the SDK passes as a string, buffer or stream
+ * @param {string|Uint8Array|Readable} body The body
+ * @returns {Promise<Buffer>} The body content
+ */
+async function readBody(body) {
+  if (!body) {
+    return Buffer.alloc(0);
+  }
+  if (typeof body === 'string' || body instanceof Uint8Array) {
+    return Buffer.from(body);
+  }
+  const chunks = [];
+  for await (const chunk of body) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Build an S3 XML document
+ * @param {string} root The root element name
+ * @param {string} content The element content
+ * @returns {string} The XML document
+ */
+function xml(root, content) {
+  return `<?xml version="1.0" encoding="UTF-8"?><${root} xmlns="http://s3.amazonaws.com/doc/2006-03-01/">${content}</${root}>`;
+}
+
+/**
+ * Escape text for an XML element
+ * @param {string} text The text
+ * @returns {string} The escaped text
+ */
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Build a response for the SDK, with a streamed body like the node HTTP handler's
+ * @param {number} statusCode The HTTP status
+ * @param {string|Buffer} body The response body
+ * @param {Object} headers Optional response headers
+ * @returns {Object} The response ({ response })
+ */
+function respond(statusCode, body, headers = {}) {
+  const { Readable } = require('stream');
+  return { response: { statusCode, headers: { 'x-amz-request-id': 'fake', ...headers }, body: Readable.from([Buffer.from(body)]) } };
+}
+
+module.exports = FakeS3;
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build deterministic recording bytes for a call, so downloads can be checked byte for byte
+ * @param {string} callId The call ID
+ * @param {number} size The recording size in bytes
+ * @returns {Buffer} The recording content
+ */
+function createMedia(callId, size) {
+  const media = Buffer.alloc(size);
+  let block = crypto.createHash('sha256').update(callId).digest();
+  for (let offset = 0; offset < size; offset += block.length) {
+    block.copy(media, offset);
+    block = crypto.createHash('sha256').update(block).digest();
+  }
+  return media;
+}
+
+/**
+ * Create a set of fixtures for the mock Gong API
+ *
+ * Calls start one day apart going back from `now`, alternating between two workspaces, each
+ * with two parties (a company user and an external contact), a short transcript and a
+ * recording. The first user manages the others, and the last user is inactive. Each call is linked to one of two CRM accounts,
+ * its own opportunity and the customer's contact; the CRM integration holds the accounts
+ * and opportunities but not the contacts. The manager has reviewed the first two calls
+ * with a scorecard. There is one company Engage flow, which the customer's contact is
+ * enrolled in, and one personal flow owned by the second user. The call library has a
+ * top-level folder holding the first call and a subfolder holding a snippet of the second.
+ * Every call has a brief, a topic, a tracker, a highlight, speaker stats and a manager's comment.
+ * @param {Object} options Optional settings
+ * @param {number} options.callCount Number of calls (default: 5)
+ * @param {number} options.userCount Number of users (default: 3)
+ * @param {number} options.mediaSize Size of each recording in bytes (default: 64 KB)
+ * @param {Date} options.now Start time of the most recent call (default: one hour ago)
+ * @returns {Object} The fixtures ({ users, settingsHistory, workspaces, calls, transcripts, media, audio, crmIntegrations, crmEntities, scorecards, flows, flowProspects, libraryFolders })
+ */
+function createFixtures(options = {}) {
+  const { callCount = 5, userCount = 3, mediaSize = 64 * 1024 } = options;
+  const now = options.now || new Date(Date.now() - 60 * 60 * 1000);
+
+  const users = Array.from({ length: userCount }, (_, index) => ({
+    id: `user-${index + 1}`,
+    emailAddress: `rep${index + 1}@example.com`,
+    firstName: 'Rep',
+    lastName: `${index + 1}`,
+    title: index === 0 ? 'Sales Manager' : 'Account Executive',
+    // The last rep has left the company, their calls must still be attributable
+    active: index < userCount - 1 || userCount === 1,
+    managerId: index === 0 ? null : 'user-1',
+    settings: { webConferencesRecorded: true, telephonyCallsImported: index % 2 === 0 }
+  }));
+
+  const settingsHistory = new Map(users.map(user => [user.id, [
+    { settingName: 'webConferencesRecorded', value: true, validFrom: '2023-01-01T00:00:00Z' }
+  ]]));
+
+  const workspaces = [
+    { id: 'workspace-1', name: 'North America', description: 'NA sales' },
+    { id: 'workspace-2', name: 'EMEA', description: 'EMEA sales' }
+  ];
+
+  const calls = Array.from({ length: callCount }, (_, index) => {
+    const id = `${1000 + index + 1}`;
+    const user = users[index % users.length];
+    const accountId = `001A00000${(index % 2) + 1}`;
+    return {
+      metaData: {
+        id,
+        title: `Discovery Call ${index + 1}`,
+        started: new Date(now.getTime() - index * DAY_MS).toISOString(),
+        duration: 1800,
+        primaryUserId: user.id,
+        workspaceId: workspaces[index % workspaces.length].id,
+        url: `https://app.gong.io/call?id=${id}`
+      },
+      parties: [
+        {
+          id: `${id}-1`,
+          speakerId: `speaker-${id}-1`,
+          userId: user.id,
+          name: `${user.firstName} ${user.lastName}`,
+          emailAddress: user.emailAddress,
+          affiliation: 'Internal'
+        },
+        {
+          id: `${id}-2`,
+          speakerId: `speaker-${id}-2`,
+          name: 'Pat Customer',
+          emailAddress: 'pat@customer.example',
+          affiliation: 'External'
+        }
+      ],
+      // The sections Gong returns when requested through exposedFields
+      content: {
+        brief: `Pat walked through pricing on call ${index + 1}`,
+        topics: [{ name: 'Pricing', duration: 300 }],
+        trackers: [{ id: 'tracker-1', name: 'Competitors', count: 1, type: 'KEYWORD', occurrences: [{ startTime: 42.5, speakerId: `speaker-${id}-2` }] }],
+        highlights: [{ title: 'Next steps', items: [{ text: 'Send a proposal', startTimes: [1500] }] }]
+      },
+      interaction: {
+        speakers: [{ id: `${id}-1`, userId: user.id, talkTime: 900 }, { id: `${id}-2`, talkTime: 700 }],
+        interactionStats: [{ name: 'Talk Ratio', value: 0.56 }]
+      },
+      collaboration: {
+        publicComments: [{ id: `comment-${id}`, commenterUserId: users[0].id, comment: 'Good discovery', audioStartTime: 120 }]
+      },
+      context: [{
+        system: 'Salesforce',
+        objects: [
+          { objectType: 'Account', objectId: accountId, fields: [{ name: 'Name', value: `Customer ${(index % 2) + 1}` }] },
+          { objectType: 'Opportunity', objectId: `006A0000${id}`, fields: [{ name: 'Name', value: `Deal ${id}` }, { name: 'AccountId', value: accountId }] },
+          { objectType: 'Contact', objectId: '003A000001', fields: [{ name: 'Email', value: 'pat@customer.example' }] }
+        ]
+      }]
+    };
+  });
+
+  const crmIntegrations = [{ integrationId: 'integration-1', name: 'Salesforce', ownerEmail: users[0].emailAddress }];
+
+  // The CRM's current values, which may have moved on since the calls took place
+  const crmEntities = new Map([
+    ['Account', new Map([
+      ['001A000001', { Id: '001A000001', Name: 'Customer 1 Inc', Industry: 'Software' }],
+      ['001A000002', { Id: '001A000002', Name: 'Customer 2 Ltd', Industry: 'Retail' }]
+    ])],
+    ['Opportunity', new Map(calls.map(call => {
+      const crmId = `006A0000${call.metaData.id}`;
+      return [crmId, { Id: crmId, Name: `Deal ${call.metaData.id}`, StageName: 'Discovery' }];
+    }))]
+  ]);
+
+  const transcripts = calls.map(call => ({
+    callId: call.metaData.id,
+    transcript: call.parties.map((party, index) => ({
+      speakerId: party.speakerId,
+      topic: null,
+      sentences: [{ start: index * 5000, end: index * 5000 + 4000, text: `Hello from ${party.name}` }]
+    }))
+  }));
+
+  const media = new Map(calls.map(call => [call.metaData.id, createMedia(call.metaData.id, mediaSize)]));
+  // Audio recordings are an eighth of the size of the video
+  const audio = new Map(calls.map(call => [call.metaData.id, createMedia(`${call.metaData.id}-audio`, Math.ceil(mediaSize / 8))]));
+
+  const scorecards = calls.slice(0, 2).map((call, index) => ({
+    answeredScorecardId: `answered-${index + 1}`,
+    scorecardId: 'scorecard-1',
+    scorecardName: 'Discovery',
+    callId: call.metaData.id,
+    callStartTime: call.metaData.started,
+    reviewedUserId: call.metaData.primaryUserId,
+    reviewerUserId: users[0].id,
+    reviewTime: new Date(new Date(call.metaData.started).getTime() + 60 * 60 * 1000).toISOString(),
+    answers: [{ questionId: 'question-1', questionRevisionId: 'revision-1', isOverall: true, score: 4 - index }]
+  }));
+
+  const flows = [
+    { id: 'flow-1', name: 'Post-discovery follow-up', visibility: 'Company', folderName: 'Sales' },
+    { id: 'flow-2', name: 'My nurture', visibility: 'Personal', folderName: 'Personal', ownerEmail: users[users.length > 1 ? 1 : 0].emailAddress }
+  ].map(flow => ({
+    ...flow,
+    steps: [
+      { id: `${flow.id}-step-1`, stepType: 'Email', day: 1, templateName: 'Recap' },
+      { id: `${flow.id}-step-2`, stepType: 'Call', day: 3 }
+    ]
+  }));
+
+  const flowProspects = [
+    { crmProspectId: '003A000001', flowId: 'flow-1', flowInstanceOwnerEmail: users[0].emailAddress, status: 'Active' }
+  ];
+
+  const libraryEntry = (call, extra = {}) => ({
+    id: call.metaData.id,
+    title: call.metaData.title,
+    note: null,
+    addedBy: users[0].id,
+    created: call.metaData.started,
+    url: call.metaData.url,
+    ...extra
+  });
+  const libraryFolders = [
+    { id: 'folder-1', name: 'Best Calls', parentFolderId: null, calls: calls.slice(0, 1).map(call => libraryEntry(call)) },
+    {
+      id: 'folder-2',
+      name: 'Objection Handling',
+      parentFolderId: 'folder-1',
+      calls: calls.slice(1, 2).map(call => libraryEntry(call, { note: 'Pricing pushback', snippet: { fromSec: 60, toSec: 120 } }))
+    }
+  ];
+
+  return { users, settingsHistory, workspaces, calls, transcripts, media, audio, crmIntegrations, crmEntities, scorecards, flows, flowProspects, libraryFolders };
+}
+
+module.exports = {
+  createFixtures,
+  createMedia
+};
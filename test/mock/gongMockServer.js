@@ -0,0 +1,535 @@
+const http = require('http');
+const { createFixtures } = require('./fixtures');
+
+/**
+ * Local mock of the Gong API and the S3 host serving call recordings
+ *
+ * Implements the endpoints this tool uses, with cursor pagination, Basic auth and
+ * signed recording URLs that can be expired on demand. Failures can be injected per
+ * path to exercise retries and resumes:
+ *   - rateLimit: 429 with a Retry-After header
+ *   - expired: 403 as returned by S3 for an expired signed URL
+ *   - status: any other HTTP status (default: 500)
+ *   - hangup: the connection is closed without a response
+ *   - truncate: half the body is sent before the connection is closed
+ */
+class MockGongServer {
+  /**
+   * Create a new MockGongServer instance
+   * @param {Object} options Optional settings
+   * @param {Object} options.fixtures Fixtures to serve (default: createFixtures(options))
+   * @param {number} options.pageSize Number of records per page (default: 2)
+   * @param {string} options.accessKey Access key accepted by the API (default: 'test-key')
+   * @param {string} options.accessKeySecret Access key secret accepted by the API (default: 'test-secret')
+   */
+  constructor(options = {}) {
+    this.fixtures = options.fixtures || createFixtures(options);
+    this.pageSize = options.pageSize || 2;
+    this.accessKey = options.accessKey || 'test-key';
+    this.accessKeySecret = options.accessKeySecret || 'test-secret';
+    this.basicToken = Buffer.from(`${this.accessKey}:${this.accessKeySecret}`).toString('base64');
+    this.failures = [];
+    this.requests = [];
+    this.urlVersion = 1;
+    this.apiServer = http.createServer((req, res) => this.handle(req, res, body => this.handleApi(req, res, body)));
+    this.mediaServer = http.createServer((req, res) => this.handle(req, res, () => this.handleMedia(req, res)));
+    this.apiUrl = null;
+    this.mediaUrl = null;
+  }
+
+  /**
+   * Start the API and media servers
+   * @param {Object} ports Optional ports ({ api, media }, default: random free ports)
+   * @returns {Promise<MockGongServer>} This instance, with apiUrl and mediaUrl set
+   */
+  async start(ports = {}) {
+    const listen = (server, port) => new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port || 0, '127.0.0.1', () => resolve(server.address().port));
+    });
+
+    this.apiUrl = `http://127.0.0.1:${await listen(this.apiServer, ports.api)}`;
+    this.mediaUrl = `http://127.0.0.1:${await listen(this.mediaServer, ports.media)}`;
+    return this;
+  }
+
+  /**
+   * Stop both servers, closing any open connections
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    const close = server => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    });
+    await Promise.all([close(this.apiServer), close(this.mediaServer)]);
+  }
+
+  /**
+   * Inject a failure for requests matching a path
+   * @param {Object} failure The failure to inject
+   * @param {string|RegExp} failure.path Path prefix (or pattern) to match, e.g. '/v2/calls' or '/recordings/'
+   * @param {string} failure.method Optional HTTP method to match
+   * @param {string} failure.type Failure type: rateLimit, expired, status, hangup or truncate
+   * @param {number} failure.status Status for the 'status' type (default: 500)
+   * @param {number} failure.retryAfter Retry-After seconds for the 'rateLimit' type (default: 1)
+   * @param {number} failure.times Number of requests to fail (default: 1, Infinity for all)
+   * @param {number} failure.skip Number of matching requests to let through before failing (default: 0)
+   * @returns {MockGongServer} This instance
+   */
+  fail(failure) {
+    this.failures.push({ times: 1, skip: 0, ...failure });
+    return this;
+  }
+
+  /**
+   * Clear recorded requests and pending failures between tests
+   */
+  reset() {
+    this.requests = [];
+    this.failures = [];
+  }
+
+  /**
+   * Invalidate every recording URL handed out so far, as if their signatures had expired
+   */
+  expireMediaUrls() {
+    this.urlVersion++;
+  }
+
+  /**
+   * Get the current signed recording URL for a call
+   * @param {string} callId The call ID
+   * @returns {string} The recording URL
+   */
+  signedMediaUrl(callId) {
+    return `${this.mediaUrl}/recordings/${callId}.mp4?X-Amz-Signature=v${this.urlVersion}`;
+  }
+
+  /**
+   * Get the current signed audio recording URL for a call
+   * @param {string} callId The call ID
+   * @returns {string} The audio recording URL
+   */
+  signedAudioUrl(callId) {
+    return `${this.mediaUrl}/recordings/${callId}.mp3?X-Amz-Signature=v${this.urlVersion}`;
+  }
+
+  /**
+   * Get the requests received for a path
+   * @param {string} path Path prefix to match
+   * @param {string} method Optional HTTP method to match
+   * @returns {Array<Object>} The matching requests ({ method, path, query, headers, body })
+   */
+  requestsFor(path, method) {
+    return this.requests.filter(request => request.path.startsWith(path) && (!method || request.method === method));
+  }
+
+  /**
+   * Record a request, apply any injected failure and pass it on to the handler
+   * @private
+   */
+  handle(req, res, handler) {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const rawBody = Buffer.concat(chunks).toString('utf8');
+      let body = null;
+      try {
+        body = rawBody ? JSON.parse(rawBody) : null;
+      } catch (error) {
+        body = rawBody;
+      }
+
+      this.requests.push({
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body
+      });
+
+      const failure = this.takeFailure(req.method, url.pathname);
+      if (failure && this.applyFailure(failure, req, res)) {
+        return;
+      }
+
+      try {
+        handler(body, url);
+      } catch (error) {
+        this.sendJson(res, 500, { errors: [error.message] });
+      }
+    });
+  }
+
+  /**
+   * Find and consume the first injected failure matching a request
+   * @private
+   */
+  takeFailure(method, path) {
+    const failure = this.failures.find(candidate =>
+      candidate.times > 0 &&
+      (!candidate.method || candidate.method === method) &&
+      (candidate.path instanceof RegExp ? candidate.path.test(path) : path.startsWith(candidate.path)));
+
+    if (!failure) {
+      return null;
+    }
+    if (failure.skip > 0) {
+      failure.skip--;
+      return null;
+    }
+    failure.times--;
+    return failure;
+  }
+
+  /**
+   * Respond with an injected failure
+   * @returns {boolean} True if the response was handled, false to continue normally (truncate)
+   * @private
+   */
+  applyFailure(failure, req, res) {
+    switch (failure.type) {
+      case 'rateLimit':
+        res.setHeader('Retry-After', String(failure.retryAfter !== undefined ? failure.retryAfter : 1));
+        this.sendJson(res, 429, { errors: ['API request limit exceeded'] });
+        return true;
+      case 'expired':
+        res.statusCode = 403;
+        res.setHeader('Content-Type', 'application/xml');
+        res.end('<?xml version="1.0" encoding="UTF-8"?><Error><Code>AccessDenied</Code><Message>Request has expired</Message></Error>');
+        return true;
+      case 'hangup':
+        req.socket.destroy();
+        return true;
+      case 'truncate':
+        // Let the handler build the response, then cut it off halfway
+        this.truncateResponse(res);
+        return false;
+      default:
+        this.sendJson(res, failure.status || 500, { errors: ['Injected failure'] });
+        return true;
+    }
+  }
+
+  /**
+   * Make a response send only the first half of its body and then drop the connection
+   * @private
+   */
+  truncateResponse(res) {
+    const end = res.end.bind(res);
+    res.end = (data) => {
+      const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data || '');
+      res.setHeader('Content-Length', buffer.length);
+      res.write(buffer.subarray(0, Math.floor(buffer.length / 2)), () => res.socket.destroy());
+      res.end = end;
+    };
+  }
+
+  /**
+   * Send a JSON response
+   * @private
+   */
+  sendJson(res, status, data) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(data));
+  }
+
+  /**
+   * Return one page of records, using the record offset as an opaque cursor
+   * @private
+   */
+  paginate(items, cursor, key) {
+    const offset = cursor ? parseInt(Buffer.from(cursor, 'base64').toString('utf8'), 10) : 0;
+    const page = items.slice(offset, offset + this.pageSize);
+    const nextOffset = offset + page.length;
+
+    const records = {
+      totalRecords: items.length,
+      currentPageSize: page.length,
+      currentPageNumber: Math.floor(offset / this.pageSize)
+    };
+    if (nextOffset < items.length) {
+      records.cursor = Buffer.from(String(nextOffset)).toString('base64');
+    }
+
+    return { requestId: `mock-${this.requests.length}`, records, [key]: page };
+  }
+
+  /**
+   * Filter calls to a date window
+   * @private
+   */
+  callsInWindow(fromDateTime, toDateTime, workspaceId) {
+    return this.fixtures.calls.filter(call =>
+      (!fromDateTime || call.metaData.started >= new Date(fromDateTime).toISOString()) &&
+      (!toDateTime || call.metaData.started < new Date(toDateTime).toISOString()) &&
+      (!workspaceId || call.metaData.workspaceId === workspaceId));
+  }
+
+  /**
+   * Pick the content, interaction and collaboration fields of a call selected by exposedFields
+   * @private
+   */
+  selectSections(call, exposedFields) {
+    // Fields Gong returns under a different name than the selector's
+    const returnedAs = { personInteractionStats: 'interactionStats' };
+    const sections = {};
+    for (const section of ['content', 'interaction', 'collaboration']) {
+      if (!exposedFields[section]) {
+        continue;
+      }
+      sections[section] = {};
+      for (const [field, enabled] of Object.entries(exposedFields[section])) {
+        const name = returnedAs[field] || field;
+        if (enabled && call[section][name] !== undefined) {
+          sections[section][name] = call[section][name];
+        }
+      }
+    }
+    return sections;
+  }
+
+  /**
+   * Build the per-user stats returned by the /v2/stats endpoints from the calls in a date range
+   * @private
+   */
+  statsForUsers(filter = {}, key, buildStats) {
+    const fromDateTime = filter.fromDate && `${filter.fromDate}T00:00:00.000Z`;
+    const toDateTime = filter.toDate && `${filter.toDate}T00:00:00.000Z`;
+    const calls = this.callsInWindow(fromDateTime, toDateTime);
+
+    return this.fixtures.users
+      .filter(user => !filter.userIds || filter.userIds.includes(user.id))
+      .map(user => ({
+        userId: user.id,
+        userEmailAddress: user.emailAddress,
+        [key]: buildStats(calls.filter(call => call.metaData.primaryUserId === user.id))
+      }));
+  }
+
+  /**
+   * Handle a Gong API request
+   * @private
+   */
+  handleApi(req, res, body, url = new URL(req.url, 'http://localhost')) {
+    if (req.headers.authorization !== `Basic ${this.basicToken}`) {
+      return this.sendJson(res, 401, { errors: ['Invalid credentials'] });
+    }
+
+    const route = `${req.method} ${url.pathname}`;
+    const query = Object.fromEntries(url.searchParams);
+    const mediaMatch = url.pathname.match(/^\/v2\/calls\/([^/]+)\/media$/);
+
+    if (route === 'GET /v2/calls') {
+      const calls = this.callsInWindow(query.fromDateTime, query.toDateTime, query.workspaceId).map(call => call.metaData);
+      return this.sendJson(res, 200, this.paginate(calls, query.cursor, 'calls'));
+    }
+
+    if (route === 'GET /v2/workspaces') {
+      return this.sendJson(res, 200, { requestId: `mock-${this.requests.length}`, workspaces: this.fixtures.workspaces });
+    }
+
+    if (route === 'POST /v2/calls/extensive') {
+      const filter = (body && body.filter) || {};
+      const contentSelector = (body && body.contentSelector) || {};
+      const exposedFields = contentSelector.exposedFields || {};
+      const calls = this.callsInWindow(filter.fromDateTime, filter.toDateTime, filter.workspaceId)
+        .filter(call => !filter.callIds || filter.callIds.includes(call.metaData.id))
+        .map(call => ({
+          metaData: call.metaData,
+          ...(exposedFields.parties ? { parties: call.parties } : {}),
+          ...(exposedFields.media ? { media: { audioUrl: this.signedAudioUrl(call.metaData.id), videoUrl: this.signedMediaUrl(call.metaData.id) } } : {}),
+          ...this.selectSections(call, exposedFields),
+          ...(contentSelector.context ? { context: call.context } : {})
+        }));
+      return this.sendJson(res, 200, this.paginate(calls, body && body.cursor, 'calls'));
+    }
+
+    if (route === 'POST /v2/calls/transcript') {
+      const callIds = body && body.filter && body.filter.callIds;
+      const transcripts = this.fixtures.transcripts.filter(transcript => !callIds || callIds.includes(transcript.callId));
+      return this.sendJson(res, 200, this.paginate(transcripts, body && body.cursor, 'callTranscripts'));
+    }
+
+    if (route === 'GET /v2/users') {
+      return this.sendJson(res, 200, this.paginate(this.fixtures.users, query.cursor, 'users'));
+    }
+
+    if (route === 'POST /v2/users/extensive') {
+      const userIds = body && body.filter && body.filter.userIds;
+      const users = this.fixtures.users.filter(user => !userIds || userIds.includes(user.id));
+      return this.sendJson(res, 200, this.paginate(users, body && body.cursor, 'users'));
+    }
+
+    const settingsMatch = url.pathname.match(/^\/v2\/users\/([^/]+)\/settings-history$/);
+    if (settingsMatch && req.method === 'GET') {
+      const history = this.fixtures.settingsHistory.get(decodeURIComponent(settingsMatch[1]));
+      if (!history) {
+        return this.sendJson(res, 404, { errors: ['User not found'] });
+      }
+      return this.sendJson(res, 200, { requestId: `mock-${this.requests.length}`, userSettingsHistory: history });
+    }
+
+    if (route === 'GET /v2/crm/integrations') {
+      return this.sendJson(res, 200, { requestId: `mock-${this.requests.length}`, integrations: this.fixtures.crmIntegrations });
+    }
+
+    if (route === 'GET /v2/crm/entities') {
+      const integration = this.fixtures.crmIntegrations.find(candidate => candidate.integrationId === query.integrationId);
+      const entities = this.fixtures.crmEntities.get(query.objectType);
+      if (!integration || !entities) {
+        return this.sendJson(res, 400, { errors: [`Object type ${query.objectType} is not available for this integration`] });
+      }
+      const crmObjectsMap = {};
+      for (const crmId of url.searchParams.getAll('objectsCrmIds')) {
+        if (entities.has(crmId)) {
+          crmObjectsMap[crmId] = entities.get(crmId);
+        }
+      }
+      return this.sendJson(res, 200, { requestId: `mock-${this.requests.length}`, crmObjectsMap });
+    }
+
+    if (route === 'GET /v2/library/folders') {
+      const folders = this.fixtures.libraryFolders.map(({ calls, ...folder }) => folder);
+      return this.sendJson(res, 200, { requestId: `mock-${this.requests.length}`, folders });
+    }
+
+    if (route === 'GET /v2/library/folder-content') {
+      const folder = this.fixtures.libraryFolders.find(candidate => candidate.id === query.folderId);
+      if (!folder) {
+        return this.sendJson(res, 404, { errors: ['Folder not found'] });
+      }
+      return this.sendJson(res, 200, { requestId: `mock-${this.requests.length}`, id: folder.id, name: folder.name, calls: folder.calls });
+    }
+
+    if (route === 'GET /v2/flows') {
+      if (!query.flowOwnerEmail) {
+        return this.sendJson(res, 400, { errors: ['flowOwnerEmail is required'] });
+      }
+      const flows = this.fixtures.flows
+        .filter(flow => flow.visibility === 'Company' || flow.ownerEmail === query.flowOwnerEmail)
+        .map(({ steps, ownerEmail, ...flow }) => flow);
+      return this.sendJson(res, 200, this.paginate(flows, query.cursor, 'flows'));
+    }
+
+    const flowStepsMatch = url.pathname.match(/^\/v2\/flows\/([^/]+)\/steps$/);
+    if (flowStepsMatch && req.method === 'GET') {
+      const flow = this.fixtures.flows.find(candidate => candidate.id === decodeURIComponent(flowStepsMatch[1]));
+      if (!flow) {
+        return this.sendJson(res, 404, { errors: ['Flow not found'] });
+      }
+      return this.sendJson(res, 200, { requestId: `mock-${this.requests.length}`, steps: flow.steps });
+    }
+
+    if (route === 'POST /v2/flows/prospects') {
+      const crmProspectsIds = (body && body.crmProspectsIds) || [];
+      const prospectsAssigned = this.fixtures.flowProspects.filter(prospect => crmProspectsIds.includes(prospect.crmProspectId));
+      return this.sendJson(res, 200, { requestId: `mock-${this.requests.length}`, prospectsAssigned });
+    }
+
+    if (route === 'POST /v2/stats/activity/aggregate') {
+      const stats = this.statsForUsers(body && body.filter, 'userAggregateActivityStats', calls => ({
+        callsAsHost: calls.length,
+        callsAttended: calls.length,
+        callsGaveFeedback: 0
+      }));
+      return this.sendJson(res, 200, this.paginate(stats, body && body.cursor, 'usersAggregateActivityStats'));
+    }
+
+    if (route === 'POST /v2/stats/interaction') {
+      const stats = this.statsForUsers(body && body.filter, 'personInteractionStats', calls => calls.length > 0 ? [
+        { name: 'Talk Ratio', value: 0.45 },
+        { name: 'Longest Monologue', value: 95 },
+        { name: 'Patience', value: 1.2 },
+        { name: 'Question Rate', value: 8.5 }
+      ] : []);
+      return this.sendJson(res, 200, this.paginate(stats, body && body.cursor, 'peopleInteractionStats'));
+    }
+
+    if (route === 'POST /v2/stats/activity/day-by-day') {
+      const stats = this.statsForUsers(body && body.filter, 'userDailyActivityStats', calls => calls.map(call => ({
+        fromDate: call.metaData.started.split('T')[0],
+        callsAsHost: [call.metaData.id]
+      })));
+      return this.sendJson(res, 200, this.paginate(stats, body && body.cursor, 'usersDetailedActivities'));
+    }
+
+    if (route === 'POST /v2/stats/activity/scorecards') {
+      const filter = (body && body.filter) || {};
+      const scorecards = this.fixtures.scorecards.filter(scorecard =>
+        (!filter.reviewFromDate || scorecard.reviewTime >= `${filter.reviewFromDate}T00:00:00.000Z`) &&
+        (!filter.reviewToDate || scorecard.reviewTime < `${filter.reviewToDate}T00:00:00.000Z`) &&
+        (!filter.reviewedUserIds || filter.reviewedUserIds.includes(scorecard.reviewedUserId)));
+      return this.sendJson(res, 200, this.paginate(scorecards, body && body.cursor, 'answeredScorecards'));
+    }
+
+    if (mediaMatch && (req.method === 'PUT' || req.method === 'DELETE')) {
+      const callId = decodeURIComponent(mediaMatch[1]);
+      if (!this.fixtures.media.has(callId)) {
+        return this.sendJson(res, 404, { errors: [`Call ${callId} not found`] });
+      }
+      return this.sendJson(res, 200, { url: this.signedMediaUrl(callId) });
+    }
+
+    return this.sendJson(res, 404, { errors: [`No mock for ${route}`] });
+  }
+
+  /**
+   * Handle a recording request on the fake S3 host, with Range support
+   * @private
+   */
+  handleMedia(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(/^\/recordings\/([^/]+)\.(mp4|mp3)$/);
+    const media = match && this.fixtures[match[2] === 'mp3' ? 'audio' : 'media'].get(decodeURIComponent(match[1]));
+
+    if (!media) {
+      res.statusCode = 404;
+      return res.end();
+    }
+
+    if (url.searchParams.get('X-Amz-Signature') !== `v${this.urlVersion}`) {
+      return this.applyFailure({ type: 'expired' }, req, res);
+    }
+
+    res.setHeader('Content-Type', match[2] === 'mp3' ? 'audio/mpeg' : 'video/mp4');
+    res.setHeader('Accept-Ranges', 'bytes');
+
+    const range = (req.headers.range || '').match(/^bytes=(\d+)-(\d*)$/);
+    if (!range) {
+      res.statusCode = 200;
+      res.setHeader('Content-Length', media.length);
+      return res.end(media);
+    }
+
+    const start = parseInt(range[1], 10);
+    const end = range[2] ? Math.min(parseInt(range[2], 10), media.length - 1) : media.length - 1;
+    if (start >= media.length) {
+      res.statusCode = 416;
+      res.setHeader('Content-Range', `bytes */${media.length}`);
+      return res.end();
+    }
+
+    res.statusCode = 206;
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${media.length}`);
+    res.setHeader('Content-Length', end - start + 1);
+    return res.end(media.subarray(start, end + 1));
+  }
+}
+
+// Run the mock server on its own for manual testing
+if (require.main === module) {
+  const server = new MockGongServer({ callCount: parseInt(process.env.MOCK_GONG_CALLS || '5', 10) });
+  server.start({
+    api: parseInt(process.env.MOCK_GONG_PORT || '4567', 10),
+    media: parseInt(process.env.MOCK_GONG_MEDIA_PORT || '4568', 10)
+  }).then(() => {
+    console.log(`Mock Gong API listening on ${server.apiUrl} (recordings on ${server.mediaUrl})`);
+    console.log(`Use: GONG_API_URL=${server.apiUrl} GONG_ACCESS_KEY=${server.accessKey} GONG_ACCESS_KEY_SECRET=${server.accessKeySecret}`);
+  });
+}
+
+module.exports = MockGongServer;
@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_NAMING_TEMPLATE, buildRecordingKey, namingFields, sanitizeNamePart, validateTemplate } = require('../src/utils/naming');
+
+describe('naming', () => {
+  const call = {
+    id: '1001',
+    title: 'Discovery: Acme / Q3',
+    started: '2025-03-04T10:00:00Z',
+    workspaceId: 'ws-1',
+    primaryUser: 'Rep One',
+    account: 'Acme Corp'
+  };
+
+  describe('buildRecordingKey', () => {
+    it('keeps the names used before templates by default', () => {
+      assert.equal(buildRecordingKey(DEFAULT_NAMING_TEMPLATE, call, { extension: '.mp4' }), '2025-03-04_1001_discovery__acme___q3.mp4');
+      assert.equal(buildRecordingKey(DEFAULT_NAMING_TEMPLATE, { id: '1002', title: 'No Date' }, { suffix: '_audio', extension: '.mp3' }), '1002_no_date_audio.mp3');
+    });
+
+    it('builds folders from the template tokens', () => {
+      const key = buildRecordingKey('{yyyy}/{mm}/{workspace}/{primaryUser}/{account}/{callId}_{title}', call, { extension: '.mp4', directory: 'library/sales' });
+
+      assert.equal(key, 'library/sales/2025/03/ws_1/rep_one/acme_corp/1001_discovery__acme___q3.mp4');
+    });
+
+    it('puts calls without a value for a folder token in an unknown folder', () => {
+      assert.equal(buildRecordingKey('{account}/{callId}', { id: '1001' }, { extension: '.mp4' }), 'unknown/1001.mp4');
+    });
+
+    it('keeps non-ASCII titles readable', () => {
+      assert.equal(sanitizeNamePart('Réunion: Überblick 東京 — नमस्ते'), 'réunion__überblick_東京___नमस्ते');
+      assert.equal(sanitizeNamePart('../../etc/passwd'), '______etc_passwd');
+    });
+
+    it('shortens long titles to fit the maximum path length, keeping them distinct', () => {
+      const first = buildRecordingKey('{callId}_{title}', { id: '1', title: `${'a'.repeat(300)} one` }, { extension: '.mp4', maxLength: 80 });
+      const second = buildRecordingKey('{callId}_{title}', { id: '1', title: `${'a'.repeat(300)} two` }, { extension: '.mp4', maxLength: 80 });
+
+      assert.ok(first.length <= 60, first);
+      assert.match(first, /^1_a+_[0-9a-f]{8}\.mp4$/);
+      assert.notEqual(first, second);
+    });
+
+    it('limits each name to 255 bytes for titles in multi-byte scripts', () => {
+      const key = buildRecordingKey('{title}', { title: '東'.repeat(200) }, { extension: '.mp4', maxLength: 1000 });
+
+      assert.ok(Buffer.byteLength(key) <= 255, `${Buffer.byteLength(key)} bytes`);
+    });
+
+    it('fails when the template cannot fit the maximum path length', () => {
+      assert.throws(() => buildRecordingKey('{workspace}/{callId}', { id: '1001', workspaceId: 'w'.repeat(100) }, { maxLength: 50 }), /longer than the maximum of 50 characters/);
+    });
+  });
+
+  describe('validateTemplate', () => {
+    it('rejects unknown tokens and folders outside the video directory', () => {
+      assert.equal(validateTemplate('{yyyy}/{callId}'), '{yyyy}/{callId}');
+      assert.throws(() => validateTemplate('{year}/{callId}'), /Unknown token \{year\}/);
+      assert.throws(() => validateTemplate('../{callId}'), /must not be empty, \. or \.\./);
+      assert.throws(() => validateTemplate('{yyyy}//{callId}'), /must not be empty/);
+      assert.throws(() => validateTemplate('/{callId}'), /relative folders/);
+    });
+  });
+
+  describe('namingFields', () => {
+    it('reads the primary user and account from extensive call data', () => {
+      const fields = namingFields({
+        metaData: { id: '1001', workspaceId: 'ws-1', primaryUserId: 'user-1' },
+        parties: [{ userId: 'user-2', name: 'Other' }, { userId: 'user-1', name: 'Rep One' }],
+        context: [{ system: 'Salesforce', objects: [{ objectType: 'Account', objectId: 'acc-1', fields: [{ name: 'Name', value: 'Acme' }] }] }]
+      });
+
+      assert.deepEqual(fields, { workspaceId: 'ws-1', primaryUserId: 'user-1', primaryUser: 'Rep One', account: 'Acme' });
+      assert.deepEqual(namingFields({ id: '1002', primaryUserId: 'user-3' }), { workspaceId: null, primaryUserId: 'user-3', primaryUser: null, account: null });
+    });
+  });
+});
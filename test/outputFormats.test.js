@@ -0,0 +1,94 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir, removeTempDir } = require('./helpers');
+const LocalStorage = require('../src/storage/localStorage');
+const { CSV_TABLES, createRecordWriter, toCsvLine } = require('../src/utils/outputFormats');
+
+describe('outputFormats', () => {
+  let dir;
+  let storage;
+
+  beforeEach(() => {
+    dir = createTempDir();
+    storage = new LocalStorage(dir);
+  });
+
+  afterEach(() => {
+    removeTempDir(dir);
+  });
+
+  it('quotes CSV fields and writes lists and objects as JSON', () => {
+    assert.equal(toCsvLine(['plain', 'a, b', 'say "hi"', 'two\nlines', null, 42, false]), 'plain,"a, b","say ""hi""","two\nlines",,42,false');
+    assert.equal(toCsvLine([['a', 'b'], { x: 1 }]), '"[""a"",""b""]","{""x"":1}"');
+  });
+
+  it('writes one record per line in NDJSON', async () => {
+    const writer = createRecordWriter(storage, 'calls/page', { format: 'ndjson' });
+    await writer.write([{ id: '1' }, { id: '2' }]);
+    await writer.write([{ id: '3' }]);
+    const location = await writer.close();
+
+    assert.equal(location, path.join(dir, 'calls', 'page.ndjson'));
+    const lines = fs.readFileSync(location, 'utf8').trim().split('\n');
+    assert.deepEqual(lines.map(line => JSON.parse(line).id), ['1', '2', '3']);
+  });
+
+  it('writes JSON documents laid out like the files saved in one go', async () => {
+    const list = createRecordWriter(storage, 'users', { format: 'json' });
+    await list.write([{ id: '1', emails: ['a@example.com'] }]);
+    await list.write([{ id: '2', emails: [] }]);
+    const listDocument = fs.readFileSync(await list.close(), 'utf8');
+
+    const parsed = JSON.parse(listDocument);
+    assert.deepEqual(parsed.data, [{ id: '1', emails: ['a@example.com'] }, { id: '2', emails: [] }]);
+    assert.equal(listDocument, JSON.stringify(parsed, null, 2));
+
+    const keyed = createRecordWriter(storage, 'calls', { format: 'json', key: 'calls' });
+    await keyed.write([{ id: '1001' }]);
+    const keyedDocument = fs.readFileSync(await keyed.close({ records: { totalRecords: 1 } }), 'utf8');
+
+    assert.equal(keyedDocument, JSON.stringify({
+      exportTimestamp: JSON.parse(keyedDocument).exportTimestamp,
+      data: { calls: [{ id: '1001' }], records: { totalRecords: 1 } }
+    }, null, 2));
+
+    const empty = fs.readFileSync(await createRecordWriter(storage, 'empty', { format: 'json' }).close(), 'utf8');
+    assert.deepEqual(JSON.parse(empty).data, []);
+  });
+
+  it('flattens call parties into a CSV table with a fixed header', async () => {
+    const writer = createRecordWriter(storage, 'parties', { format: 'csv', table: 'parties' });
+    await writer.write([{
+      metaData: { id: '1001' },
+      parties: [
+        { id: 'p1', name: 'Rep 1', methods: ['Invitee', 'Attendee'], user: { id: 'user-1' } },
+        { id: 'p2', name: 'Pat, Customer' }
+      ]
+    }]);
+    const location = await writer.close();
+
+    const [header, ...rows] = fs.readFileSync(location, 'utf8').trim().split('\n');
+    assert.equal(header, CSV_TABLES.parties.columns.join(','));
+    assert.deepEqual(rows, [
+      '1001,p1,,,Rep 1,,,,,"[""Invitee"",""Attendee""]"',
+      '1001,p2,,,"Pat, Customer",,,,,'
+    ]);
+  });
+
+  it('writes the header of an empty table', async () => {
+    const location = await createRecordWriter(storage, 'users', { format: 'csv', table: 'users' }).close();
+
+    assert.equal(fs.readFileSync(location, 'utf8'), `${CSV_TABLES.users.columns.join(',')}\n`);
+  });
+
+  it('removes the partial file when aborted', async () => {
+    const writer = createRecordWriter(storage, 'calls', { format: 'ndjson' });
+    await writer.write([{ id: '1' }]);
+
+    await writer.abort();
+
+    assert.deepEqual(fs.readdirSync(dir), []);
+  });
+});
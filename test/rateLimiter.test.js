@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const RateLimiter = require('../src/utils/rateLimiter');
+
+const { getRateLimiter } = RateLimiter;
+
+describe('RateLimiter', () => {
+  const timeCalls = async (limiter, count) => {
+    const start = Date.now();
+    const times = [];
+    for (let i = 0; i < count; i++) {
+      await limiter.acquire();
+      times.push(Date.now() - start);
+    }
+    return times;
+  };
+
+  it('lets a burst through, then spaces calls at the sustained rate', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 20, burst: 3 });
+
+    const times = await timeCalls(limiter, 5);
+
+    assert.ok(times[2] < 30, `burst took ${times[2]}ms`);
+    // The fourth and fifth calls each wait for a token, 50ms apart
+    assert.ok(times[3] >= 40, `fourth call after ${times[3]}ms`);
+    assert.ok(times[4] - times[3] >= 40, `fifth call ${times[4] - times[3]}ms after the fourth`);
+  });
+
+  it('serves concurrent callers in order', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 50, burst: 1 });
+    const order = [];
+
+    await Promise.all([1, 2, 3].map(caller => limiter.acquire().then(() => order.push(caller))));
+
+    assert.deepEqual(order, [1, 2, 3]);
+  });
+
+  it('holds every caller back while paused', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 1000, burst: 10 });
+    await limiter.acquire();
+
+    limiter.pause(60);
+    const [waited] = await timeCalls(limiter, 1);
+
+    assert.ok(waited >= 50, `resumed after ${waited}ms`);
+  });
+
+  it('defaults to Gong limits and rejects limits of zero instead of replacing them', () => {
+    const limiter = new RateLimiter();
+    assert.deepEqual([limiter.requestsPerSecond, limiter.burst, limiter.requestsPerDay], [3, 3, 10000]);
+    assert.equal(new RateLimiter({ requestsPerSecond: 0.5 }).burst, 1);
+
+    assert.throws(() => new RateLimiter({ burst: 0 }), /burst 0/);
+    assert.throws(() => new RateLimiter({ requestsPerSecond: 0 }), /must be positive/);
+    assert.throws(() => new RateLimiter({ requestsPerDay: 0 }), /0\/day/);
+  });
+
+  it('shares one limiter per tenant', () => {
+    const limiter = getRateLimiter('rate-limiter-test-tenant', { requestsPerSecond: 7 });
+
+    assert.equal(getRateLimiter('rate-limiter-test-tenant', { requestsPerSecond: 7, burst: 7 }), limiter);
+    assert.equal(getRateLimiter('rate-limiter-test-tenant'), limiter);
+    assert.equal(getRateLimiter('rate-limiter-test-tenant', { requestsPerSecond: undefined }), limiter);
+    assert.notEqual(getRateLimiter('rate-limiter-test-other-tenant'), limiter);
+  });
+
+  it('refuses to share a tenant limiter with different limits', () => {
+    const limiter = getRateLimiter('rate-limiter-test-limits', { requestsPerSecond: 5, requestsPerDay: 500 });
+
+    assert.throws(() => getRateLimiter('rate-limiter-test-limits', { requestsPerSecond: 1 }), /already applies 5\/s, burst 5, 500\/day, it cannot be shared with limits of 1\/s, burst 1, 10000\/day/);
+    assert.throws(() => getRateLimiter('rate-limiter-test-limits', { requestsPerSecond: 5, requestsPerDay: 500, burst: 10 }), /burst 10/);
+    assert.equal(limiter.requestsPerSecond, 5);
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Redactor = require('../src/utils/redactor');
+
+describe('Redactor', () => {
+  const salt = 'test-salt-0123456789';
+
+  it('requires a salt long enough to resist guessing', () => {
+    assert.throws(() => new Redactor({}), /salt of at least 16 characters/);
+    assert.throws(() => new Redactor({ salt: 'short' }), /salt of at least 16 characters/);
+    assert.throws(() => new Redactor({ salt, emails: 'drop' }), /Unknown email redaction mode: drop/);
+    assert.throws(() => new Redactor({ salt, patterns: ['card', 'passport'] }), /Unknown redaction patterns: passport/);
+  });
+
+  it('gives the same person the same pseudonym across records, and another salt a different one', () => {
+    const redactor = new Redactor({ salt });
+    const email = redactor.redactEmail('Pat@Customer.example');
+
+    assert.match(email, /^[0-9a-f]{16}@redacted\.invalid$/);
+    assert.equal(redactor.redactEmail('pat@customer.example'), email);
+    assert.equal(redactor.redactEmail(email), email);
+    assert.notEqual(new Redactor({ salt: `${salt}-other` }).redactEmail('pat@customer.example'), email);
+    assert.match(new Redactor({ salt, emails: 'pseudonym' }).redactEmail('pat@customer.example'), /^person-[0-9a-f]{10}@customer\.example$/);
+  });
+
+  it('redacts users so their names read the same as their call parties', () => {
+    const redactor = new Redactor({ salt });
+    const user = redactor.redactRecord({ id: 'user-1', firstName: 'Rep', lastName: 'One', emailAddress: 'rep1@example.com', phoneNumber: '+1 415 555 0134', title: 'Account Executive' });
+    const party = redactor.redactRecord({ id: 'p-1', userId: 'user-1', name: 'Rep One', emailAddress: 'rep1@example.com', affiliation: 'Internal' });
+
+    assert.equal(user.id, 'user-1');
+    assert.equal(`${user.firstName} ${user.lastName}`, party.name);
+    assert.match(party.name, /^Person [0-9a-f]{8}$/);
+    assert.equal(user.emailAddress, party.emailAddress);
+    assert.equal(user.phoneNumber, '+* *** *** **34');
+    assert.equal(user.title, 'Account Executive');
+    assert.deepEqual(redactor.redactRecord(user), user);
+  });
+
+  it('redacts CRM fields by name and leaves the names of accounts and topics alone', () => {
+    const redactor = new Redactor({ salt });
+    const call = redactor.redactRecord({
+      content: { topics: [{ name: 'Pricing', duration: 300 }] },
+      context: [{
+        system: 'Salesforce',
+        objects: [
+          { objectType: 'Account', objectId: 'acc-1', fields: [{ name: 'Name', value: 'Acme' }] },
+          { objectType: 'Contact', objectId: 'con-1', fields: [{ name: 'Name', value: 'Pat Customer' }, { name: 'Email', value: 'pat@customer.example' }, { name: 'MobilePhone', value: '555-123-4567' }] }
+        ]
+      }]
+    });
+
+    assert.deepEqual(call.content.topics, [{ name: 'Pricing', duration: 300 }]);
+    assert.deepEqual(call.context[0].objects[0].fields, [{ name: 'Name', value: 'Acme' }]);
+    assert.deepEqual(call.context[0].objects[1].fields, [
+      { name: 'Name', value: redactor.redactName('Pat Customer') },
+      { name: 'Email', value: redactor.redactEmail('pat@customer.example') },
+      { name: 'MobilePhone', value: '***-***-**67' }
+    ]);
+    assert.deepEqual(redactor.redactRecord({ 'con-2': { Id: 'con-2', Name: 'Lee Lead' } }, { person: true }), { 'con-2': { Id: 'con-2', Name: redactor.redactName('Lee Lead') } });
+  });
+
+  it('removes card numbers, IBANs, SSNs, phone numbers and party names from transcript text', () => {
+    const redactor = new Redactor({ salt });
+    const transcript = redactor.redactRecord({
+      callId: '1001',
+      parties: [{ partyId: 'p-2', name: 'Pat Customer', emailAddress: 'pat@customer.example', affiliation: 'External' }],
+      transcript: [{
+        speakerId: 'speaker-2',
+        sentences: [
+          { start: 0, end: 4000, text: 'This is Pat Customer, my card is 4111 1111 1111 1111 and my SSN is 123-45-6789.' },
+          { start: 4000, end: 8000, text: 'Call me on +44 20 7946 0958 or (415) 555-0134, or mail pat@customer.example.' },
+          { start: 8000, end: 9000, text: 'Wire it to GB82 WEST 1234 5698 7654 32 for order 1234567890123 in 2025, 1200 seats.' }
+        ]
+      }]
+    });
+    const pseudonym = redactor.redactName('Pat Customer');
+    const [first, second, third] = transcript.transcript[0].sentences.map(sentence => sentence.text);
+
+    assert.equal(first, `This is ${pseudonym}, my card is [REDACTED_CARD] and my SSN is [REDACTED_SSN].`);
+    assert.equal(second, `Call me on [REDACTED_PHONE] or [REDACTED_PHONE], or mail ${redactor.redactEmail('pat@customer.example')}.`);
+    assert.equal(third, 'Wire it to [REDACTED_IBAN] for order 1234567890123 in 2025, 1200 seats.');
+    assert.equal(transcript.parties[0].name, pseudonym);
+    assert.equal(transcript.callId, '1001');
+  });
+
+  it('only applies the selected text patterns', () => {
+    const redactor = new Redactor({ salt, patterns: ['ssn'] });
+
+    assert.equal(redactor.redactText('SSN 123-45-6789, card 4111 1111 1111 1111'), 'SSN [REDACTED_SSN], card 4111 1111 1111 1111');
+  });
+
+  it('lists every pseudonym with the value it replaced for the re-identification key', () => {
+    const redactor = new Redactor({ salt });
+    redactor.redactRecords([
+      { name: 'Pat Customer', emailAddress: 'pat@customer.example', phoneNumber: '555-123-4567' },
+      { name: 'Pat Customer', emailAddress: 'PAT@customer.example' }
+    ]);
+
+    assert.deepEqual(redactor.keyEntries(), [
+      { type: 'email', pseudonym: redactor.redactEmail('pat@customer.example'), value: 'pat@customer.example' },
+      { type: 'name', pseudonym: redactor.redactName('Pat Customer'), value: 'Pat Customer' }
+    ]);
+    assert.equal(JSON.stringify(redactor.describe()).includes(salt), false);
+  });
+});
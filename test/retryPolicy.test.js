@@ -0,0 +1,54 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const RetryPolicy = require('../src/utils/retryPolicy');
+
+describe('RetryPolicy', () => {
+  const statusError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } });
+  const originalRandom = Math.random;
+
+  afterEach(() => {
+    Math.random = originalRandom;
+  });
+
+  it('retries rate limiting, gateway errors and transient network errors only', () => {
+    const policy = new RetryPolicy({ maxRetries: 2 });
+
+    assert.equal(policy.shouldRetry(statusError(429), 0), true);
+    assert.equal(policy.shouldRetry(statusError(503), 1), true);
+    assert.equal(policy.shouldRetry(statusError(503), 2), false);
+    assert.equal(policy.shouldRetry(statusError(404), 0), false);
+    assert.equal(policy.shouldRetry(Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' }), 0), true);
+    assert.equal(policy.shouldRetry(new Error('socket hang up'), 0), true);
+    assert.equal(policy.shouldRetry(new Error('Unexpected token'), 0), false);
+  });
+
+  it('waits as long as Retry-After asks, in seconds or as a date', () => {
+    const policy = new RetryPolicy({ baseDelayMs: 10, maxDelayMs: 20 });
+
+    assert.equal(policy.getDelay(statusError(429, { 'retry-after': '7' }), 0), 7000);
+    assert.equal(policy.getDelay(statusError(429, { 'retry-after': '0' }), 3), 0);
+    const delay = policy.getDelay(statusError(503, { 'retry-after': new Date(Date.now() + 30000).toUTCString() }), 0);
+    assert.ok(delay > 28000 && delay <= 30000, `waited ${delay}ms`);
+    // A date in the past means retrying right away
+    assert.equal(policy.getDelay(statusError(503, { 'retry-after': 'Wed, 01 Jan 2020 00:00:00 GMT' }), 0), 0);
+  });
+
+  it('backs off exponentially with full jitter up to the maximum without Retry-After', () => {
+    const policy = new RetryPolicy({ baseDelayMs: 100, maxDelayMs: 1000 });
+    Math.random = () => 0.999;
+
+    assert.deepEqual([0, 1, 2, 3, 4].map(attempt => policy.getDelay(statusError(502), attempt)), [99, 199, 399, 799, 999]);
+    assert.equal(policy.getDelay(statusError(429, { 'retry-after': 'soon' }), 0), 99);
+    Math.random = () => 0;
+    assert.equal(policy.getDelay(statusError(502), 4), 0);
+  });
+
+  it('keeps settings of zero instead of replacing them with the defaults', () => {
+    const policy = new RetryPolicy({ maxRetries: 0, baseDelayMs: 0, maxDelayMs: 0 });
+
+    assert.deepEqual([policy.maxRetries, policy.baseDelayMs, policy.maxDelayMs], [0, 0, 0]);
+    assert.equal(policy.shouldRetry(statusError(429), 0), false);
+    assert.deepEqual([new RetryPolicy().maxRetries, new RetryPolicy().baseDelayMs, new RetryPolicy().maxDelayMs], [3, 1000, 60000]);
+    assert.throws(() => new RetryPolicy({ baseDelayMs: -1 }), /zero or positive/);
+  });
+});
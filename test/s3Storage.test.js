@@ -0,0 +1,116 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const S3Storage = require('../src/storage/s3Storage');
+const FakeS3 = require('./mock/fakeS3');
+
+describe('S3Storage', () => {
+  let s3;
+
+  /**
+   * Create a driver talking to the fake bucket
+   * @param {Object} options S3Storage settings on top of the bucket, prefix and credentials
+   * @returns {S3Storage} The driver
+   */
+  const createStorage = (options = {}) => new S3Storage({
+    bucket: s3.bucket,
+    prefix: 'gong/',
+    accessKeyId: 'minio',
+    secretAccessKey: 'minio-secret',
+    requestHandler: s3.requestHandler,
+    ...options
+  });
+
+  beforeEach(() => {
+    s3 = new FakeS3();
+  });
+
+  it('addresses the bucket by path on a custom endpoint such as MinIO', async () => {
+    const storage = createStorage({ endpoint: 'http://127.0.0.1:9000', forcePathStyle: true });
+
+    assert.equal(await storage.writeFile('calls.json', '[]'), 's3://gong-archive/gong/calls.json');
+
+    const [put] = s3.requests;
+    assert.equal(put.method, 'PUT');
+    assert.equal(put.hostname, '127.0.0.1');
+    assert.equal(put.path, '/gong-archive/gong/calls.json');
+    assert.equal(s3.objects.get('gong/calls.json').toString(), '[]');
+  });
+
+  it('addresses the bucket by host name without path-style addressing', async () => {
+    const storage = createStorage({ region: 'eu-west-1' });
+
+    await storage.writeFile('calls.json', '[]');
+
+    assert.equal(s3.requests[0].hostname, 'gong-archive.s3.eu-west-1.amazonaws.com');
+    assert.equal(s3.requests[0].path, '/gong/calls.json');
+  });
+
+  it('uploads streams larger than a part in a multipart upload', async () => {
+    const storage = createStorage({ partSize: 5 * 1024 * 1024, queueSize: 2 });
+    const content = crypto.randomBytes(12 * 1024 * 1024);
+    const chunks = Array.from({ length: 12 }, (chunk, index) => content.subarray(index * 1024 * 1024, (index + 1) * 1024 * 1024));
+
+    await storage.writeStream('videos/1001.mp4', Readable.from(chunks));
+
+    const parts = s3.requests.filter(request => request.method === 'PUT' && request.query.partNumber);
+    assert.deepEqual(parts.map(part => part.size), [5 * 1024 * 1024, 5 * 1024 * 1024, 2 * 1024 * 1024]);
+    assert.ok(s3.requests.some(request => request.method === 'POST' && 'uploads' in request.query));
+    assert.equal(s3.uploads.size, 0);
+    assert.deepEqual(await storage.stat('videos/1001.mp4'), { size: content.length });
+
+    const read = [];
+    for await (const chunk of await storage.createReadStream('videos/1001.mp4')) {
+      read.push(chunk);
+    }
+    assert.ok(Buffer.concat(read).equals(content));
+  });
+
+  it('refuses to append to objects', async () => {
+    const storage = createStorage();
+
+    await assert.rejects(storage.writeStream('videos/1001.mp4', Readable.from(['data']), { append: true }), /does not support appending/);
+    assert.deepEqual(s3.requests, []);
+  });
+
+  it('lists every key below a prefix across pages of results', async () => {
+    const storage = createStorage();
+    for (const key of ['calls.json', 'videos/1001.mp4', 'videos/1002.mp4', 'videos/1003.mp4', 'videos/1004.mp4', 'videos/1005.mp4']) {
+      await storage.writeFile(key, key);
+    }
+    s3.objects.set('other/1006.mp4', Buffer.from('outside the prefix'));
+    s3.requests = [];
+
+    assert.deepEqual(await storage.list('videos'), ['videos/1001.mp4', 'videos/1002.mp4', 'videos/1003.mp4', 'videos/1004.mp4', 'videos/1005.mp4']);
+
+    const pages = s3.requests.filter(request => request.query['list-type'] === '2');
+    assert.deepEqual(pages.map(page => page.query['continuation-token']), [undefined, '2', '4']);
+    assert.ok(pages.every(page => page.query.prefix === 'gong/videos/'));
+    assert.equal((await storage.list()).length, 6);
+  });
+
+  it('encodes the source key when renaming objects with special characters', async () => {
+    const storage = createStorage();
+    await storage.writeFile('videos/Q1 review #2 – Müller.mp4.part', 'recording');
+
+    await storage.rename('videos/Q1 review #2 – Müller.mp4.part', 'videos/Q1 review #2 – Müller.mp4');
+
+    const copy = s3.requests.find(request => request.headers['x-amz-copy-source']);
+    assert.equal(copy.headers['x-amz-copy-source'], 'gong-archive/gong/videos/Q1%20review%20%232%20%E2%80%93%20M%C3%BCller.mp4.part');
+    assert.deepEqual(await storage.list(), ['videos/Q1 review #2 – Müller.mp4']);
+    assert.equal(await storage.readFile('videos/Q1 review #2 – Müller.mp4'), 'recording');
+  });
+
+  it('reports missing objects and deletes stored ones', async () => {
+    const storage = createStorage();
+    await storage.writeFile('users.json', '[]');
+
+    assert.deepEqual(await storage.stat('users.json'), { size: 2 });
+    assert.equal(await storage.stat('calls.json'), null);
+    assert.equal(await storage.exists('calls.json'), false);
+
+    await storage.delete('users.json');
+    assert.equal(await storage.exists('users.json'), false);
+  });
+});
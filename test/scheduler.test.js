@@ -0,0 +1,113 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir, removeTempDir } = require('./helpers');
+const Scheduler = require('../src/utils/scheduler');
+
+const { parseJobs } = Scheduler;
+
+describe('Scheduler', () => {
+  let dir;
+  let statusPath;
+  let clock;
+
+  const readStatus = () => JSON.parse(fs.readFileSync(statusPath, 'utf8'));
+  const createScheduler = (jobs, runJob) => new Scheduler({ jobs: parseJobs(jobs), runJob, statusPath, now: () => new Date(clock) });
+
+  beforeEach(() => {
+    dir = createTempDir();
+    statusPath = path.join(dir, 'last_run_status.json');
+    clock = new Date(2025, 2, 4, 10, 17).getTime();
+  });
+
+  afterEach(() => {
+    removeTempDir(dir);
+  });
+
+  it('parses jobs of resources and cron expressions', () => {
+    const jobs = parseJobs('users=0 2 * * *; calls, videos=@hourly');
+
+    assert.deepEqual(jobs.map(job => [job.name, job.resources, job.schedule.toString()]), [
+      ['users', ['users'], '0 2 * * *'],
+      ['calls,videos', ['calls', 'videos'], '@hourly']
+    ]);
+    assert.throws(() => parseJobs(''), /No scheduled jobs/);
+    assert.throws(() => parseJobs(['0 2 * * *']), /expected <resources>=<cron expression>/);
+    assert.throws(() => parseJobs(['users=@daily', 'users=@hourly']), /scheduled more than once/);
+    assert.throws(() => parseJobs(['users=every day']), /Invalid cron expression/);
+  });
+
+  it('runs due jobs one at a time and records their last run', async () => {
+    const runs = [];
+    const scheduler = createScheduler(['users=0 2 * * *', 'calls=@hourly'], async job => {
+      runs.push(job.name);
+      clock += 5 * 60 * 1000;
+      return { status: 'success', exported: { [job.name]: 1 }, errors: [] };
+    });
+
+    assert.equal(await scheduler.runDueJobs(), 0);
+    clock = new Date(2025, 2, 5, 2, 0).getTime();
+    assert.equal(await scheduler.runDueJobs(), 2);
+
+    // The hourly job was due first, the nightly job runs right after it
+    assert.deepEqual(runs, ['calls', 'users']);
+    const status = readStatus();
+    assert.equal(status.state, 'idle');
+    assert.deepEqual(status.jobs.users.lastRun.exported, { users: 1 });
+    assert.equal(status.jobs.users.lastRun.durationMs, 5 * 60 * 1000);
+    assert.equal(status.jobs.users.lastSuccessAt, new Date(2025, 2, 5, 2, 10).toISOString());
+    // Missed times are not caught up on, the next run is the next time after the run
+    assert.equal(status.jobs.calls.nextRunAt, new Date(2025, 2, 5, 3, 0).toISOString());
+    assert.equal(status.jobs.users.nextRunAt, new Date(2025, 2, 6, 2, 0).toISOString());
+  });
+
+  it('records failed and skipped runs', async () => {
+    const scheduler = createScheduler(['calls=@hourly', 'users=@hourly'], async job => {
+      const error = new Error(job.name === 'calls' ? 'Another export is already running' : 'Failed to connect to Gong API');
+      error.code = job.name === 'calls' ? 'ELOCKED' : undefined;
+      throw error;
+    });
+    clock += 60 * 60 * 1000;
+
+    await scheduler.runDueJobs();
+
+    const { jobs } = readStatus();
+    assert.equal(jobs.calls.lastRun.status, 'skipped');
+    assert.equal(jobs.users.lastRun.status, 'failed');
+    assert.equal(jobs.users.lastRun.error, 'Failed to connect to Gong API');
+    assert.equal(jobs.users.lastSuccessAt, null);
+  });
+
+  it('lets the running job save its progress when stopped', async () => {
+    let started;
+    const running = new Promise(resolve => {
+      started = resolve;
+    });
+    const scheduler = createScheduler(['calls=* * * * *'], (job, signal) => new Promise(resolve => {
+      started();
+      signal.addEventListener('abort', () => resolve({ status: 'partial', errors: [{ resource: 'export', message: 'Stopped' }] }));
+    }));
+    clock += 60 * 1000;
+
+    const stopped = scheduler.run();
+    await running;
+    assert.equal(readStatus().state, 'running');
+    assert.equal(readStatus().currentJob, 'calls');
+    scheduler.stop();
+    const status = await stopped;
+
+    assert.equal(status.state, 'stopped');
+    assert.equal(readStatus().jobs.calls.lastRun.status, 'stopped');
+    assert.equal(fs.existsSync(`${statusPath}.tmp`), false);
+  });
+
+  it('stops while waiting for the next job', async () => {
+    const scheduler = createScheduler(['users=0 2 * * *'], async () => assert.fail('no job is due'));
+
+    const stopped = scheduler.run();
+    scheduler.stop();
+
+    assert.equal((await stopped).state, 'stopped');
+  });
+});
@@ -0,0 +1,177 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir, removeTempDir } = require('./helpers');
+const SqliteSink = require('../src/storage/sqliteSink');
+
+describe('SqliteSink', () => {
+  let dir;
+  let dbPath;
+
+  const exportedData = () => ({
+    users: [{ id: 'user-1', emailAddress: 'rep1@example.com', firstName: 'Rep', lastName: '1', active: true }],
+    calls: [{ id: '1001', title: 'Discovery', started: '2025-01-01T10:00:00Z', primaryUserId: 'user-1' }],
+    extensiveCalls: [{
+      metaData: { id: '1001', title: 'Discovery Call', started: '2025-01-01T10:00:00Z', primaryUserId: 'user-1' },
+      parties: [
+        { id: 'p1', speakerId: 's1', userId: 'user-1', name: 'Rep 1', emailAddress: 'rep1@example.com', affiliation: 'Internal' },
+        // A rep who is not in the users export
+        { id: 'p2', speakerId: 's2', userId: 'user-9', name: 'Former Rep', affiliation: 'Internal' },
+        { id: 'p3', speakerId: 's3', name: 'Pat Customer', emailAddress: 'pat@customer.example', affiliation: 'External' }
+      ]
+    }],
+    transcripts: [{
+      callId: '1001',
+      transcript: [
+        { speakerId: 's1', speaker: { partyId: 'p1' }, sentences: [{ start: 0, end: 1000, text: 'Hi' }, { start: 1000, end: 2000, text: 'Welcome' }] },
+        { speakerId: 's3', speaker: { partyId: 'p3' }, sentences: [{ start: 2000, end: 3000, text: 'Hello' }] }
+      ]
+    }],
+    videoDownloads: [],
+    failedVideoDownloads: [{ callId: '1001', reason: 'No video URL in extensive call data' }]
+  });
+
+  beforeEach(() => {
+    dir = createTempDir();
+    dbPath = path.join(dir, 'gong.sqlite');
+  });
+
+  afterEach(() => {
+    removeTempDir(dir);
+  });
+
+  it('writes calls, parties, users, transcripts and download status to related tables', async () => {
+    const sink = await SqliteSink.open(dbPath);
+    const counts = sink.write(exportedData());
+
+    assert.deepEqual(counts, { users: 1, calls: 2, parties: 3, transcriptSentences: 3, videoDownloads: 1 });
+    assert.deepEqual(sink.query('SELECT id, title FROM calls'), [{ id: '1001', title: 'Discovery Call' }]);
+    // Users referenced by parties are added so the foreign keys hold
+    assert.deepEqual(sink.query('SELECT id, email_address FROM users ORDER BY id'), [
+      { id: 'user-1', email_address: 'rep1@example.com' },
+      { id: 'user-9', email_address: null }
+    ]);
+    assert.deepEqual(sink.query('SELECT text FROM transcript_sentences ORDER BY sentence_index').map(row => row.text), ['Hi', 'Welcome', 'Hello']);
+
+    const withoutRecording = sink.query(`
+      SELECT DISTINCT calls.id FROM calls
+      JOIN parties ON parties.call_id = calls.id
+      LEFT JOIN video_downloads ON video_downloads.call_id = calls.id
+      WHERE parties.email_address LIKE ? AND (video_downloads.status IS NULL OR video_downloads.status <> 'downloaded')
+    `, ['%@customer.example']);
+    assert.deepEqual(withoutRecording, [{ id: '1001' }]);
+    sink.close();
+  });
+
+  it('updates rows on later runs instead of duplicating them', async () => {
+    const first = await SqliteSink.open(dbPath);
+    first.write(exportedData());
+    await first.save();
+    first.close();
+
+    const data = exportedData();
+    data.extensiveCalls[0].metaData.title = 'Renamed Call';
+    data.extensiveCalls[0].parties.pop();
+    data.videoDownloads = [{ callId: '1001', filePath: '/videos/1001.mp4', size: 10, sha256: 'abc' }];
+    data.failedVideoDownloads = [];
+    const second = await SqliteSink.open(dbPath);
+    second.write(data);
+    await second.save();
+    second.close();
+
+    // A failed retry doesn't overwrite the recording downloaded before
+    const third = await SqliteSink.open(dbPath);
+    third.write({ ...exportedData(), failedVideoDownloads: [{ callId: '1001', error: 'Timeout' }] });
+
+    assert.deepEqual(third.query('SELECT COUNT(*) AS count FROM calls'), [{ count: 1 }]);
+    assert.deepEqual(third.query('SELECT COUNT(*) AS count FROM transcript_sentences'), [{ count: 3 }]);
+    assert.deepEqual(third.query('SELECT status, file_path FROM video_downloads'), [{ status: 'downloaded', file_path: '/videos/1001.mp4' }]);
+    third.close();
+
+    const reopened = await SqliteSink.open(dbPath);
+    assert.deepEqual(reopened.query('SELECT title FROM calls'), [{ title: 'Renamed Call' }]);
+    assert.deepEqual(reopened.query('SELECT COUNT(*) AS count FROM parties'), [{ count: 2 }]);
+    reopened.close();
+  });
+
+  it('writes transcripts and downloads of calls written in an earlier batch', async () => {
+    const sink = await SqliteSink.open(dbPath);
+    const { users, extensiveCalls, transcripts } = exportedData();
+    sink.write({ users, extensiveCalls });
+
+    const counts = sink.write({
+      transcripts,
+      videoDownloads: [{ callId: '1001', filePath: '/videos/1001.mp4', size: 10, sha256: 'abc' }],
+      // Calls that are not in the database are left out
+      failedVideoDownloads: [{ callId: '9999', reason: 'No video URL in extensive call data' }]
+    });
+
+    assert.deepEqual(counts, { users: 0, calls: 0, parties: 0, transcriptSentences: 3, videoDownloads: 1 });
+    assert.deepEqual(sink.query('SELECT call_id, status FROM video_downloads'), [{ call_id: '1001', status: 'downloaded' }]);
+    sink.close();
+  });
+
+  it('keeps the checksum of a recording that a later run skipped because it exists', async () => {
+    const sink = await SqliteSink.open(dbPath);
+    const { users, extensiveCalls } = exportedData();
+    sink.write({ users, extensiveCalls });
+    sink.write({
+      videoDownloads: [{ callId: '1001', filePath: '/videos/1001.mp4', size: 10, sha256: 'abc', sourceHost: 'media.example', downloadedAt: '2025-01-02T00:00:00.000Z' }]
+    });
+
+    // A skipped download only knows where the file is
+    sink.write({ videoDownloads: [{ callId: '1001', filePath: '/videos/1001.mp4', fileKey: '1001.mp4' }] });
+
+    assert.deepEqual(sink.query('SELECT status, file_key, size, sha256, source_host, downloaded_at FROM video_downloads'), [
+      { status: 'downloaded', file_key: '1001.mp4', size: 10, sha256: 'abc', source_host: 'media.example', downloaded_at: '2025-01-02T00:00:00.000Z' }
+    ]);
+    sink.close();
+  });
+
+  it('keeps the video of calls saved as video and audio, with its probed duration', async () => {
+    const sink = await SqliteSink.open(dbPath);
+    const { users, extensiveCalls } = exportedData();
+    sink.write({ users, extensiveCalls });
+
+    const counts = sink.write({
+      videoDownloads: [
+        { callId: '1001', mediaType: 'video', filePath: '/videos/1001.mp4', mediaDuration: 1799.5 },
+        { callId: '1001', mediaType: 'audio', filePath: '/videos/1001_audio.mp3', mediaDuration: 1799.4 }
+      ]
+    });
+
+    assert.equal(counts.videoDownloads, 1);
+    assert.deepEqual(sink.query('SELECT file_path, media_type, media_duration FROM video_downloads'), [
+      { file_path: '/videos/1001.mp4', media_type: 'video', media_duration: 1799.5 }
+    ]);
+    sink.close();
+  });
+
+  it('adds new columns to databases created by earlier releases', async () => {
+    const SQL = await require('sql.js')();
+    const db = new SQL.Database();
+    db.run('CREATE TABLE video_downloads (call_id TEXT PRIMARY KEY, status TEXT NOT NULL, file_path TEXT, updated_at TEXT)');
+    db.run("INSERT INTO video_downloads VALUES ('1001', 'downloaded', '/videos/1001.mp4', '2025-01-01')");
+    fs.writeFileSync(dbPath, Buffer.from(db.export()));
+    db.close();
+
+    const sink = await SqliteSink.open(dbPath);
+
+    assert.deepEqual(sink.query('SELECT call_id, media_type, media_duration FROM video_downloads'), [
+      { call_id: '1001', media_type: null, media_duration: null }
+    ]);
+    sink.close();
+  });
+
+  it('rolls back a run that fails part way', async () => {
+    const sink = await SqliteSink.open(dbPath);
+    const data = exportedData();
+    // Two parties with the same ID on one call break the primary key
+    data.extensiveCalls[0].parties.push({ ...data.extensiveCalls[0].parties[0] });
+
+    assert.throws(() => sink.write(data), /UNIQUE constraint failed/);
+    assert.deepEqual(sink.query('SELECT COUNT(*) AS count FROM calls'), [{ count: 0 }]);
+    sink.close();
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildOrgTree, indexUsersById, resolveCallParties } = require('../src/utils/users');
+
+describe('users', () => {
+  const users = [
+    { id: 'ceo', firstName: 'Ada', lastName: 'Chief', managerId: null, active: true },
+    { id: 'vp', firstName: 'Bo', lastName: 'Sales', managerId: 'ceo', active: true },
+    { id: 'rep', firstName: 'Cy', lastName: 'Rep', managerId: 'vp', active: false },
+    { id: 'contractor', firstName: 'Di', managerId: 'unknown-manager', active: true }
+  ];
+
+  describe('buildOrgTree', () => {
+    it('nests reports under their managers', () => {
+      const roots = buildOrgTree(users);
+
+      assert.deepEqual(roots.map(root => root.id), ['ceo', 'contractor']);
+      assert.equal(roots[0].reports[0].id, 'vp');
+      assert.equal(roots[0].reports[0].reports[0].name, 'Cy Rep');
+    });
+
+    it('breaks management cycles', () => {
+      const roots = buildOrgTree([
+        { id: 'a', managerId: 'b' },
+        { id: 'b', managerId: 'a' },
+        { id: 'c', managerId: 'c' }
+      ]);
+
+      assert.deepEqual(roots.map(root => root.id).sort(), ['a', 'c']);
+      assert.equal(roots.find(root => root.id === 'a').reports[0].id, 'b');
+    });
+  });
+
+  describe('resolveCallParties', () => {
+    it('attaches user details to parties and the primary user', () => {
+      const calls = [{
+        metaData: { id: '1', primaryUserId: 'rep' },
+        parties: [{ id: 'p1', userId: 'rep' }, { id: 'p2', name: 'Customer' }, { id: 'p3', userId: 'deleted' }]
+      }];
+
+      const [call] = resolveCallParties(calls, indexUsersById(users));
+
+      assert.equal(call.metaData.primaryUser.name, 'Cy Rep');
+      assert.equal(call.parties[0].user.active, false);
+      assert.equal(call.parties[1].user, undefined);
+      assert.equal(call.parties[2].user, null);
+    });
+  });
+});
@@ -0,0 +1,363 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir, fastLimits, removeTempDir, startMockServer } = require('./helpers');
+const GongExport = require('../src/api/gongExport');
+const EncryptedStorage = require('../src/storage/encryptedStorage');
+const LocalStorage = require('../src/storage/localStorage');
+const { AesGcmCipher, decryptBuffer } = require('../src/utils/encryption');
+const { verifyArchive } = require('../src/utils/manifest');
+const MediaProcessor = require('../src/utils/mediaProcessor');
+const RetryPolicy = require('../src/utils/retryPolicy');
+const VideoDownloader = require('../src/utils/videoDownloader');
+
+const FAKE_FFMPEG = path.join(__dirname, 'mock', 'fakeFfmpeg.js');
+
+describe('VideoDownloader', () => {
+  let server;
+  let gongExport;
+  let exportDir;
+  let downloader;
+
+  const createDownloader = (options = {}) => {
+    const limits = fastLimits();
+    return new VideoDownloader(
+      server.accessKey,
+      server.basicToken,
+      null,
+      async (callId, mediaType) => mediaType === 'audio'
+        ? (await gongExport.getCallMediaUrls(callId)).audioUrl
+        : gongExport.getSignedMediaUrl(callId),
+      { exportDir, concurrency: 2, ...limits, ...options }
+    );
+  };
+
+  const videoPath = filename => path.join(exportDir, 'videos', filename);
+  const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+  const createProcessor = options => new MediaProcessor({ ffmpegPath: FAKE_FFMPEG, ffprobePath: FAKE_FFMPEG, ...options });
+
+  before(async () => {
+    server = await startMockServer({ callCount: 3, mediaSize: 96 * 1024 });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    exportDir = createTempDir();
+    gongExport = new GongExport(server.apiUrl, server.basicToken, fastLimits());
+    downloader = createDownloader();
+  });
+
+  afterEach(() => {
+    removeTempDir(exportDir);
+  });
+
+  it('downloads recordings from extensive call data and writes a manifest', async () => {
+    const calls = await gongExport.getAllExtensiveCallData({});
+
+    const downloads = await downloader.downloadVideosFromExtensiveCalls(calls);
+
+    assert.equal(downloads.length, 3);
+    for (const download of downloads) {
+      const expected = server.fixtures.media.get(download.callId);
+      assert.deepEqual(fs.readFileSync(download.filePath), expected);
+      assert.equal(download.sha256, crypto.createHash('sha256').update(expected).digest('hex'));
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(downloader.manifestPath, 'utf8'));
+    assert.equal(manifest.files.length, 3);
+    assert.deepEqual(manifest.files.map(file => file.callId).sort(), ['1001', '1002', '1003']);
+  });
+
+  it('downloads pages of calls and writes one manifest when finished', async () => {
+    const calls = await gongExport.getAllExtensiveCallData({});
+
+    const first = await downloader.downloadExtensiveCallsPage(calls.slice(0, 2));
+    const second = await downloader.downloadCallsPage([{ id: '1003', title: 'Discovery Call 3' }], gongExport);
+    assert.deepEqual(first.downloaded.map(download => download.callId).sort(), ['1001', '1002']);
+    assert.deepEqual(second.downloaded.map(download => download.callId), ['1003']);
+    assert.equal(downloader.manifestPath, null);
+
+    const downloads = await downloader.finishDownloads();
+
+    assert.equal(downloads.length, 3);
+    const manifest = JSON.parse(fs.readFileSync(downloader.manifestPath, 'utf8'));
+    assert.deepEqual(manifest.files.map(file => file.callId).sort(), ['1001', '1002', '1003']);
+  });
+
+  it('downloads the audio recording, or both recordings, in the selected media mode', async () => {
+    const calls = await gongExport.getAllExtensiveCallData({ callIds: ['1001'] });
+
+    const [audio] = await createDownloader({ mediaMode: 'audio' }).downloadVideosFromExtensiveCalls(calls);
+    assert.equal(audio.mediaType, 'audio');
+    assert.match(audio.filePath, /_1001_discovery_call_1_audio\.mp3$/);
+    assert.deepEqual(fs.readFileSync(audio.filePath), server.fixtures.audio.get('1001'));
+
+    const both = await createDownloader({ mediaMode: 'both' }).downloadVideosFromExtensiveCalls(calls);
+    assert.deepEqual(both.map(download => download.mediaType), ['video', 'audio']);
+    assert.match(both[0].filePath, /_1001_discovery_call_1\.mp4$/);
+    assert.equal(both[1].filePath, audio.filePath);
+  });
+
+  it('gets audio URLs for calls without extensive data from the extensive endpoint', async () => {
+    const { downloaded } = await createDownloader({ mediaMode: 'audio' })
+      .downloadCallsPage([{ id: '1002', title: 'Discovery Call 2' }], gongExport);
+
+    assert.equal(downloaded.length, 1);
+    assert.deepEqual(fs.readFileSync(downloaded[0].filePath), server.fixtures.audio.get('1002'));
+    assert.equal(server.requestsFor('/v2/calls/1002/media', 'PUT').length, 0);
+  });
+
+  it('refreshes an expired audio URL through the extensive endpoint', async () => {
+    const expiredUrl = server.signedAudioUrl('1003');
+    server.expireMediaUrls();
+
+    const filePath = await downloader.downloadVideo(expiredUrl, 'expired.mp3', { callId: '1003', mediaType: 'audio' });
+
+    assert.deepEqual(fs.readFileSync(filePath), server.fixtures.audio.get('1003'));
+    assert.equal(server.requestsFor('/v2/calls/extensive', 'POST').length, 1);
+  });
+
+  it('transcodes recordings with ffmpeg, keeping only the transcoded file', async () => {
+    const calls = await gongExport.getAllExtensiveCallData({ callIds: ['1001'] });
+    const mediaProcessor = createProcessor({ codec: 'libopus', bitrate: '24k' });
+
+    const transcoding = createDownloader({ mediaMode: 'audio', mediaProcessor });
+    const [download] = await transcoding.downloadVideosFromExtensiveCalls(calls);
+
+    assert.match(download.filePath, /_1001_discovery_call_1_audio_libopus\.opus$/);
+    assert.equal(fs.existsSync(download.filePath.replace('_libopus.opus', '.mp3')), false);
+    const transcoded = fs.readFileSync(download.filePath);
+    assert.deepEqual(JSON.parse(transcoded).codecArgs, ['-vn', '-c:a', 'libopus', '-b:a', '24k']);
+    assert.equal(JSON.parse(transcoded).input, sha256(server.fixtures.audio.get('1001')));
+    assert.equal(download.sha256, sha256(transcoded));
+    assert.equal(download.codec, 'libopus');
+    assert.equal(download.mediaDuration, 1800);
+    assert.equal(download.durationVerified, true);
+
+    const manifest = JSON.parse(fs.readFileSync(transcoding.manifestPath, 'utf8'));
+    assert.equal(manifest.files[0].sha256, download.sha256);
+    assert.equal(manifest.files[0].mediaDuration, 1800);
+
+    // A later run finds the transcoded file and does not download the recording again
+    server.reset();
+    const [again] = await createDownloader({ mediaMode: 'audio', mediaProcessor }).downloadVideosFromExtensiveCalls(calls);
+    assert.equal(again.sha256, download.sha256);
+    assert.equal(server.requestsFor('/recordings/').length, 0);
+  });
+
+  it('extracts the audio of downloaded videos and probes the duration of both', async () => {
+    const mediaProcessor = createProcessor({ extractAudio: true });
+
+    const { downloaded } = await createDownloader({ mediaProcessor })
+      .downloadCallsPage([{ id: '1003', title: 'Discovery Call 3', duration: 1800 }], gongExport);
+
+    assert.deepEqual(downloaded.map(download => download.mediaType), ['video', 'audio']);
+    assert.deepEqual(fs.readFileSync(downloaded[0].filePath), server.fixtures.media.get('1003'));
+    assert.match(downloaded[1].filePath, /1003_discovery_call_3_audio\.m4a$/);
+    assert.equal(JSON.parse(fs.readFileSync(downloaded[1].filePath)).input, sha256(server.fixtures.media.get('1003')));
+    assert.deepEqual(downloaded.map(download => download.durationVerified), [true, true]);
+  });
+
+  it('saves recordings into folders from the naming template, keeping calls with the same name apart', async () => {
+    const calls = await gongExport.getAllExtensiveCallData({ callIds: ['1001', '1002'] });
+    Object.assign(calls[1].metaData, { title: calls[0].metaData.title, started: calls[0].metaData.started });
+
+    const downloads = await createDownloader({ namingTemplate: '{yyyy}/{mm}/{title}' }).downloadVideosFromExtensiveCalls(calls);
+
+    const [year, month] = calls[0].metaData.started.split('-');
+    assert.deepEqual(downloads.map(download => path.relative(videoPath(''), download.filePath)).sort(), [
+      path.join(year, month, 'discovery_call_1.mp4'),
+      path.join(year, month, 'discovery_call_1_1002.mp4')
+    ]);
+    assert.deepEqual(fs.readFileSync(videoPath(path.join(year, month, 'discovery_call_1_1002.mp4'))), server.fixtures.media.get('1002'));
+  });
+
+  it('keeps recordings of calls with the same name apart across runs', async () => {
+    const calls = await gongExport.getAllExtensiveCallData({ callIds: ['1001', '1002', '1003'] });
+    for (const call of calls) {
+      call.metaData.title = 'Weekly sync';
+    }
+    const [first, second, third] = calls;
+    const media = callId => server.fixtures.media.get(callId);
+
+    // The first run saves the first call, and is cut off while downloading the third under the same name in another folder
+    await createDownloader({ namingTemplate: '{title}' }).downloadVideosFromExtensiveCalls([first]);
+    server.fail({ path: '/recordings/', type: 'truncate' });
+    const interrupted = createDownloader({ namingTemplate: 'pending/{title}', retryPolicy: new RetryPolicy({ maxRetries: 0 }) });
+    assert.deepEqual(await interrupted.downloadVideosFromExtensiveCalls([third]), []);
+    assert.ok(fs.existsSync(videoPath('pending/weekly_sync.mp4.part')));
+
+    // A later run gets a call with the same name in both folders
+    const [download] = await createDownloader({ namingTemplate: '{title}' }).downloadVideosFromExtensiveCalls([second]);
+    const [pending] = await createDownloader({ namingTemplate: 'pending/{title}' }).downloadVideosFromExtensiveCalls([second]);
+
+    assert.equal(download.filePath, videoPath('weekly_sync_1002.mp4'));
+    assert.equal(pending.filePath, videoPath('pending/weekly_sync_1002.mp4'));
+    assert.deepEqual(fs.readFileSync(download.filePath), media('1002'));
+    assert.deepEqual(fs.readFileSync(pending.filePath), media('1002'));
+    assert.deepEqual(fs.readFileSync(videoPath('weekly_sync.mp4')), media('1001'));
+
+    // The interrupted download is still resumed for the call it belongs to
+    server.reset();
+    const [resumed] = await createDownloader({ namingTemplate: 'pending/{title}' }).downloadVideosFromExtensiveCalls([third]);
+    assert.equal(resumed.filePath, videoPath('pending/weekly_sync.mp4'));
+    assert.deepEqual(fs.readFileSync(resumed.filePath), media('1003'));
+    assert.match(server.requestsFor('/recordings/')[0].headers.range, /^bytes=[1-9]\d*-$/);
+    assert.deepEqual(fs.readdirSync(videoPath('pending')).sort(), ['weekly_sync.mp4', 'weekly_sync_1002.mp4']);
+  });
+
+  it('refreshes an expired signed URL and retries', async () => {
+    const expiredUrl = server.signedMediaUrl('1001');
+    server.expireMediaUrls();
+
+    const filePath = await downloader.downloadVideo(expiredUrl, 'expired.mp4', { callId: '1001' });
+
+    assert.equal(filePath, videoPath('expired.mp4'));
+    assert.deepEqual(fs.readFileSync(filePath), server.fixtures.media.get('1001'));
+    assert.equal(server.requestsFor('/v2/calls/1001/media', 'PUT').length, 1);
+  });
+
+  it('resumes a truncated download with a Range request', async () => {
+    server.fail({ path: '/recordings/', type: 'truncate' });
+
+    const filePath = await downloader.downloadVideo(server.signedMediaUrl('1002'), 'truncated.mp4', { callId: '1002' });
+
+    assert.deepEqual(fs.readFileSync(filePath), server.fixtures.media.get('1002'));
+    assert.equal(fs.existsSync(`${filePath}.part`), false);
+    const resumed = server.requestsFor('/recordings/').find(request => request.headers.range);
+    assert.ok(resumed, 'the retry should request the remaining bytes');
+    assert.match(resumed.headers.range, /^bytes=[1-9]\d*-$/);
+  });
+
+  it('retries when the connection is dropped', async () => {
+    server.fail({ path: '/recordings/', type: 'hangup', times: 2 });
+
+    const filePath = await downloader.downloadVideo(server.signedMediaUrl('1003'), 'hangup.mp4', { callId: '1003' });
+
+    assert.deepEqual(fs.readFileSync(filePath), server.fixtures.media.get('1003'));
+  });
+
+  it('skips recordings that are already complete', async () => {
+    const url = server.signedMediaUrl('1001');
+    await downloader.downloadVideo(url, 'existing.mp4');
+    server.reset();
+
+    await createDownloader().downloadVideo(url, 'existing.mp4');
+
+    const requests = server.requestsFor('/recordings/');
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].headers.range, 'bytes=0-0');
+  });
+
+  it('checks recordings of earlier runs against their manifest entries without asking the server', async () => {
+    const calls = await gongExport.getAllExtensiveCallData({ callIds: ['1001', '1002'] });
+    const downloads = await downloader.downloadVideosFromExtensiveCalls(calls);
+    const complete = downloads.find(download => download.callId === '1001');
+    const damaged = downloads.find(download => download.callId === '1002');
+    fs.truncateSync(damaged.filePath, 1000);
+    server.reset();
+
+    const rerun = await createDownloader().downloadVideosFromExtensiveCalls(calls);
+
+    assert.deepEqual(server.requestsFor('/recordings/').map(request => request.headers.range), ['bytes=1000-']);
+    assert.deepEqual(fs.readFileSync(damaged.filePath), server.fixtures.media.get('1002'));
+    assert.equal(rerun.find(download => download.callId === '1001').sha256, complete.sha256);
+  });
+
+  it('records the size of partial downloads and restarts them when the recording has changed', async () => {
+    const original = server.fixtures.media.get('1001');
+    server.fail({ path: '/recordings/', type: 'truncate' });
+    const interrupted = createDownloader({ retryPolicy: new RetryPolicy({ maxRetries: 0 }) });
+    await assert.rejects(interrupted.downloadVideo(server.signedMediaUrl('1001'), 'changed.mp4', { callId: '1001' }));
+    assert.deepEqual(JSON.parse(fs.readFileSync(videoPath('changed.mp4.part.json'), 'utf8')), { callId: '1001', mediaType: 'video', size: original.length });
+
+    const changed = Buffer.concat([original, Buffer.from('re-encoded')]);
+    server.fixtures.media.set('1001', changed);
+    try {
+      const filePath = await downloader.downloadVideo(server.signedMediaUrl('1001'), 'changed.mp4', { callId: '1001' });
+
+      assert.deepEqual(fs.readFileSync(filePath), changed);
+      assert.deepEqual(fs.readdirSync(videoPath('')), ['changed.mp4']);
+    } finally {
+      server.fixtures.media.set('1001', original);
+    }
+  });
+
+  it('lists recordings skipped because they exist in the manifest of a later run', async () => {
+    const calls = await gongExport.getAllExtensiveCallData({});
+    const [first] = await downloader.downloadVideosFromExtensiveCalls(calls.slice(0, 1));
+    const firstEntry = JSON.parse(fs.readFileSync(downloader.manifestPath, 'utf8')).files[0];
+    // A recording saved before manifests were written
+    const earlier = createDownloader();
+    const [second] = await earlier.downloadVideosFromExtensiveCalls(calls.slice(1, 2));
+    fs.rmSync(earlier.manifestPath);
+    server.reset();
+
+    const rerun = createDownloader();
+    const downloads = await rerun.downloadVideosFromExtensiveCalls(calls);
+
+    assert.equal(server.requestsFor('/recordings/').filter(request => request.headers.range !== 'bytes=0-0').length, 1);
+    const { files } = JSON.parse(fs.readFileSync(rerun.manifestPath, 'utf8'));
+    assert.deepEqual(files.map(file => file.callId).sort(), ['1001', '1002', '1003']);
+    // The recording listed in a manifest keeps its download details, the other one is hashed
+    assert.equal(files.find(file => file.callId === first.callId).downloadedAt, firstEntry.downloadedAt);
+    assert.equal(downloads.find(download => download.callId === second.callId).sha256, sha256(server.fixtures.media.get(second.callId)));
+
+    const report = await verifyArchive(new LocalStorage(exportDir), new LocalStorage(path.join(exportDir, 'videos')));
+    assert.equal(report.verified.length, 3);
+    assert.deepEqual(report.extra, []);
+  });
+
+  it('encrypts recordings, restarting truncated downloads and skipping complete files on later runs', async () => {
+    const cipher = new AesGcmCipher(crypto.randomBytes(32));
+    const storages = () => ({
+      storage: new EncryptedStorage(new LocalStorage(path.join(exportDir, 'videos')), cipher),
+      exportStorage: new EncryptedStorage(new LocalStorage(exportDir), cipher)
+    });
+    const calls = await gongExport.getAllExtensiveCallData({ callIds: ['1001'] });
+    server.fail({ path: '/recordings/', type: 'truncate' });
+
+    const [download] = await createDownloader(storages()).downloadVideosFromExtensiveCalls(calls);
+
+    assert.match(download.filePath, /_1001_discovery_call_1\.mp4\.enc$/);
+    assert.deepEqual(fs.readdirSync(videoPath('')), [path.basename(download.filePath)]);
+    assert.deepEqual(await decryptBuffer(cipher, fs.readFileSync(download.filePath)), server.fixtures.media.get('1001'));
+    assert.equal(download.sha256, sha256(server.fixtures.media.get('1001')));
+    // The truncated attempt can't be appended to, so the retry downloads the whole recording again
+    assert.equal(server.requestsFor('/recordings/').length, 2);
+    assert.equal(server.requestsFor('/recordings/').filter(request => request.headers.range).length, 0);
+
+    // The manifest holds the digest of the recording, which verification checks after decrypting
+    const { exportStorage, storage } = storages();
+    const report = await verifyArchive(exportStorage, storage);
+    assert.equal(report.verified.length, 1);
+    assert.deepEqual(report.extra, []);
+
+    server.reset();
+    await createDownloader(storages()).downloadVideosFromExtensiveCalls(calls);
+    assert.equal(server.requestsFor('/recordings/').length, 0);
+
+    const tampered = fs.readFileSync(download.filePath);
+    tampered[100] ^= 1;
+    fs.writeFileSync(download.filePath, tampered);
+    assert.match((await verifyArchive(exportStorage, storage)).corrupted[0].error, /failed authentication/);
+  });
+
+  it('records calls without a recording as failed', async () => {
+    const calls = [{ metaData: { id: '9999', title: 'No Recording' } }];
+
+    const downloads = await downloader.downloadVideosFromExtensiveCalls(calls);
+
+    assert.equal(downloads.length, 0);
+    const failedFiles = fs.readdirSync(exportDir).filter(file => file.startsWith('failed_video_downloads_'));
+    assert.equal(failedFiles.length, 1);
+    const failed = JSON.parse(fs.readFileSync(path.join(exportDir, failedFiles[0]), 'utf8'));
+    assert.equal(failed[0].callId, '9999');
+  });
+});
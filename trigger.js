@@ -1,23 +1,18 @@
 #!/usr/bin/env node
 
 /**
- * Trigger script to execute the Gong.io data export
- * This can be run directly from the command line
+ * Command line entry point for the Gong.io data export
+ * Run with --help to list the available commands and options
  */
 
-// Import the export function
-const exportGongData = require('./src/export');
-const logger = require('./src/utils/logger');
+const { run } = require('./src/cli');
 
-logger.info('Triggered Gong.io data export');
-
-// Execute the export function
-exportGongData()
-  .then(data => {
-    logger.info('Export triggered successfully');
-    process.exit(0);
+// Execute the requested command and exit with its status code
+run(process.argv.slice(2))
+  .then(exitCode => {
+    process.exit(exitCode);
   })
   .catch(error => {
-    logger.error('Export trigger failed', { error: error.message });
+    console.error('Command failed', error);
     process.exit(1);
-  });
\ No newline at end of file
+  });